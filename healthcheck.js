@@ -72,6 +72,12 @@ if (fs.existsSync('./.env')) {
     }
   }
   
+  if (envContent.includes('STEAM_TOKEN_KEY=') && !envContent.includes('STEAM_TOKEN_KEY=your_')) {
+    console.log('✓ STEAM_TOKEN_KEY is set (refresh tokens will be stored encrypted)');
+  } else {
+    console.warn('⚠ STEAM_TOKEN_KEY not set - bot will log in with STEAM_PASSWORD every time');
+  }
+
   if (envContent.includes('STEAM_SHARED_SECRET=') && !envContent.includes('STEAM_SHARED_SECRET=your_')) {
     console.log('✓ STEAM_SHARED_SECRET is set (recommended)');
   } else {
@@ -88,6 +94,9 @@ const sourceFiles = [
   'src/steam-manager.js',
   'src/discord-manager.js',
   'src/logger.js',
+  'src/token-store.js',
+  'src/migrator.js',
+  'src/migrations/index.js',
   'src/commands/steam.js'
 ];
 
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import { join } from 'path';
+
+const BACKUP_FILE_PATTERN = /^bot-\d{8}T\d{6}\.db$/;
+
+// Node fires longer timers immediately, so long intervals are waited out in chunks
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+class BackupManager {
+  constructor(db, config, logger) {
+    this.db = db;
+    this.dir = config.dir;
+    this.intervalHours = config.intervalHours;
+    this.retention = config.retention;
+    this.logger = logger;
+    this.timer = null;
+  }
+
+  start() {
+    if (!(this.intervalHours > 0)) {
+      this.logger.info('Scheduled database backups are disabled');
+      return;
+    }
+
+    this.schedule(Date.now() + this.intervalHours * 60 * 60 * 1000);
+    this.logger.info(`Backing up the database every ${this.intervalHours}h to ${this.dir} (keeping ${this.retention})`);
+  }
+
+  schedule(dueAt) {
+    const delay = Math.min(Math.max(dueAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    this.timer = setTimeout(async () => {
+      if (Date.now() < dueAt) {
+        this.schedule(dueAt);
+        return;
+      }
+
+      await this.runBackup();
+      if (this.timer) {
+        this.schedule(Date.now() + this.intervalHours * 60 * 60 * 1000);
+      }
+    }, delay);
+  }
+
+  async runBackup() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+      const file = join(this.dir, `bot-${stamp}.db`);
+
+      // better-sqlite3's online backup copies pages incrementally without blocking the bot
+      await this.db.backup(file);
+      this.logger.info(`Database backed up to ${file}`);
+
+      this.prune();
+      return file;
+    } catch (error) {
+      this.logger.error('Database backup failed:', error);
+      return null;
+    }
+  }
+
+  prune() {
+    // Never treat a missing or zero retention as "keep nothing"
+    if (!(this.retention >= 1)) {
+      return;
+    }
+
+    const backups = fs.readdirSync(this.dir)
+      .filter(name => BACKUP_FILE_PATTERN.test(name))
+      .sort()
+      .reverse();
+
+    for (const name of backups.slice(this.retention)) {
+      fs.unlinkSync(join(this.dir, name));
+      this.logger.debug(`Removed old backup ${name}`);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+export default BackupManager;
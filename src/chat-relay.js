@@ -0,0 +1,242 @@
+import TokenBucket from './token-bucket.js';
+import { MAX_PAUSE_HOURS } from './privacy.js';
+import { getUserLocale, t } from './i18n.js';
+
+// Per-user flood protection in each direction: short bursts pass, sustained spam is dropped with one notice
+const RELAY_BURST = 5;
+const RELAY_PER_SECOND = 0.5;
+const MAX_QUEUED_MESSAGES = 5;
+
+// Discord rejects messages over 2000 characters
+const MAX_RELAY_LENGTH = 1900;
+
+// Steam chat commands run the matching /steam subcommand on behalf of the linked Discord user.
+// Usage and description texts live under steamChat.commands in the locale files.
+export const CHAT_COMMANDS = {
+  status: { subcommand: 'status' },
+  pause: {
+    group: 'privacy',
+    subcommand: 'pause',
+    args: [{ name: 'hours', type: 'integer', min: 1, max: MAX_PAUSE_HOURS }],
+  },
+  resume: { group: 'privacy', subcommand: 'resume' },
+  unlink: { subcommand: 'unlink' },
+};
+
+export function parseChatCommand(message) {
+  const [name, ...args] = message.trim().slice(1).split(/\s+/);
+  return { name: name.toLowerCase(), args };
+}
+
+function formatChatUsage(locale, name) {
+  return t(locale, `steamChat.commands.${name}.usage`);
+}
+
+export function formatChatHelp(locale) {
+  const lines = [...Object.keys(CHAT_COMMANDS), 'help'].map(name =>
+    `${formatChatUsage(locale, name)} - ${t(locale, `steamChat.commands.${name}.description`, { max: MAX_PAUSE_HOURS })}`
+  );
+  return [t(locale, 'steamChat.commandsHeading'), ...lines].join('\n');
+}
+
+// Steam chat shows Discord markdown literally
+export function toSteamText(content, locale) {
+  return content
+    .replace(/<t:(\d+)(?::[a-zA-Z])?>/g, (match, seconds) => new Date(Number(seconds) * 1000).toUTCString())
+    .replace(/<#\d+>/g, t(locale, 'steamChat.discordChannel'))
+    .replace(/\*\*|__|`/g, '');
+}
+
+function parseArgs(spec, args) {
+  const options = {};
+  for (const [index, arg] of (spec.args || []).entries()) {
+    const value = Number(args[index]);
+    if (arg.type === 'integer' && (!Number.isInteger(value) || value < arg.min || value > arg.max)) {
+      return null;
+    }
+    options[arg.name] = value;
+  }
+  return options;
+}
+
+// Just enough of a ChatInputCommandInteraction for the /steam handlers; replies are collected as text
+function createChatInteraction(discordId, locale, spec, options, replies) {
+  const getOption = name => options[name] ?? null;
+  const reply = async (payload) => {
+    replies.push(typeof payload === 'string' ? payload : payload.content);
+  };
+
+  return {
+    user: { id: discordId },
+    locale,
+    member: null,
+    guild: null,
+    guildId: null,
+    inGuild: () => false,
+    isChatInputCommand: () => true,
+    isAutocomplete: () => false,
+    isMessageComponent: () => false,
+    options: {
+      getSubcommandGroup: () => spec.group ?? null,
+      getSubcommand: () => spec.subcommand,
+      getString: getOption,
+      getInteger: getOption,
+      getBoolean: getOption,
+      getUser: getOption,
+      getChannel: getOption,
+    },
+    deferReply: async () => {},
+    reply,
+    editReply: reply,
+    followUp: reply,
+  };
+}
+
+class ChatRelay {
+  constructor({ db, steamManager, discordManager, runCommand }, logger) {
+    this.db = db;
+    this.steamManager = steamManager;
+    this.discordManager = discordManager;
+    this.runCommand = runCommand;
+    this.logger = logger;
+    this.buckets = new Map();
+    this.warned = new Set();
+  }
+
+  getLocale(discordId) {
+    return getUserLocale(this.db.getUserLocale(discordId));
+  }
+
+  async handleSteamMessage(mapping, steamId, message) {
+    const allowed = await this.throttle(`steam:${mapping.discord_id}`, () =>
+      this.steamManager.sendChatMessage(steamId, t(this.getLocale(mapping.discord_id), 'steamChat.slowDown'))
+    );
+    if (!allowed) {
+      return;
+    }
+
+    if (message.startsWith('!')) {
+      await this.runChatCommand(mapping, steamId, message);
+    } else {
+      await this.relayToDiscord(mapping, steamId, message);
+    }
+  }
+
+  async runChatCommand(mapping, steamId, message) {
+    const { name, args } = parseChatCommand(message);
+    const locale = this.getLocale(mapping.discord_id);
+    const spec = CHAT_COMMANDS[name];
+    if (!spec) {
+      await this.steamManager.sendChatMessage(steamId, formatChatHelp(locale));
+      return;
+    }
+
+    const options = parseArgs(spec, args);
+    if (!options) {
+      await this.steamManager.sendChatMessage(steamId, t(locale, 'steamChat.usage', { usage: formatChatUsage(locale, name) }));
+      return;
+    }
+
+    // Unlinking from Steam chat always means the account doing the chatting
+    if (name === 'unlink') {
+      options.account = steamId;
+    }
+
+    const replies = [];
+    await this.runCommand(createChatInteraction(mapping.discord_id, this.db.getUserLocale(mapping.discord_id), spec, options, replies));
+    this.logger.info(`Ran !${name} from Steam chat for Discord user ${mapping.discord_id}`);
+
+    for (const reply of replies.filter(Boolean)) {
+      await this.steamManager.sendChatMessage(steamId, toSteamText(reply, locale));
+    }
+  }
+
+  async relayToDiscord(mapping, steamId, message) {
+    const relay = this.db.getChatRelay(mapping.discord_id);
+    if (!relay) {
+      return;
+    }
+
+    const cache = this.db.getSteamCache(steamId);
+    const name = cache ? cache.persona_name : steamId;
+    const sent = await this.discordManager.sendMessage(relay.channel_id, {
+      content: `💬 **${name}**: ${message}`.slice(0, MAX_RELAY_LENGTH),
+      allowedMentions: { parse: [] },
+    });
+
+    if (!sent) {
+      await this.steamManager.sendChatMessage(steamId, t(this.getLocale(mapping.discord_id), 'steamChat.notDelivered'));
+      return;
+    }
+
+    // Replies from Discord go back to whichever account messaged last
+    this.db.setChatRelayLastSteamId(mapping.discord_id, steamId);
+  }
+
+  async handleDiscordMessage(message) {
+    const relay = this.db.getChatRelay(message.author.id);
+    if (!relay || relay.channel_id !== message.channelId) {
+      return;
+    }
+
+    const accounts = this.db.getUserMappings(message.author.id);
+    const primary = accounts.find(account => account.is_primary);
+    const steamId = accounts.some(account => account.steam_id === relay.last_steam_id)
+      ? relay.last_steam_id
+      : primary && primary.steam_id;
+    const locale = this.getLocale(message.author.id);
+    if (!steamId) {
+      await message.reply(t(locale, 'relay.noAccount'));
+      return;
+    }
+
+    const allowed = await this.throttle(`discord:${message.author.id}`, () =>
+      message.reply(t(locale, 'relay.slowDown'))
+    );
+    if (!allowed) {
+      return;
+    }
+
+    const text = [message.content, ...message.attachments.map(attachment => attachment.url)].filter(Boolean).join('\n');
+    if (!text) {
+      return;
+    }
+
+    try {
+      await this.steamManager.sendChatMessage(steamId, text);
+    } catch (error) {
+      this.logger.warn(`Could not relay a Discord message to Steam ID ${steamId}: ${error.message}`);
+      await message.reply(t(locale, 'relay.sendFailed'));
+    }
+  }
+
+  // Resolves false when the message should be dropped; the sender is told once per burst
+  async throttle(key, notify) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket({ capacity: RELAY_BURST, refillPerSecond: RELAY_PER_SECOND });
+      this.buckets.set(key, bucket);
+    }
+
+    if (bucket.pending >= MAX_QUEUED_MESSAGES) {
+      if (!this.warned.has(key)) {
+        this.warned.add(key);
+        this.logger.warn(`Dropping relayed messages from ${key}: too many in a short time`);
+        await notify().catch(error => this.logger.warn(`Could not send flood notice to ${key}: ${error.message}`));
+      }
+      return false;
+    }
+
+    await bucket.acquire();
+    if (bucket.pending === 0) {
+      this.warned.delete(key);
+    }
+    return true;
+  }
+
+  stop() {
+    this.buckets.forEach(bucket => bucket.stop());
+  }
+}
+
+export default ChatRelay;
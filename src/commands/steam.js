@@ -1,4 +1,47 @@
-import { SlashCommandBuilder } from 'discord.js';
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  AttachmentBuilder,
+  ChannelType,
+} from 'discord.js';
+import { PERIODS, getPeriodStart, formatDuration } from '../playtime.js';
+import { buildLeaderboard, createLeaderboardEmbed, getLeaderboardPageCount } from '../leaderboard.js';
+import { EVENT_TYPES } from '../notification-filters.js';
+import {
+  DEFAULT_INACTIVE_DAYS,
+  PRUNE_CATEGORIES,
+  buildFriendReport,
+  formatFriendList,
+  formatFriendReport,
+} from '../friend-report.js';
+import { exportData } from '../data-export.js';
+import { richPresenceFromRow, hasRichPresence } from '../rich-presence.js';
+import {
+  VERIFICATION_TTL_SECONDS,
+  VERIFICATION_RESEND_SECONDS,
+  generateVerificationCode,
+  checkVerificationCode,
+  isVerificationLocked,
+} from '../verification.js';
+import { formatChatHelp } from '../chat-relay.js';
+import { ROLE_STATES, MAX_ROLE_MAPPINGS, parseRoleTrigger, describeRoleTrigger } from '../role-sync.js';
+import { LOCALES, DEFAULT_LOCALE, resolveLocale, getGuildLocale, getUserLocale, t, getStateName } from '../i18n.js';
+import { LAYOUTS, PLACEHOLDERS, MAX_TEMPLATE_LENGTH, findUnknownPlaceholders } from '../presence-templates.js';
+import { MAX_WATCHES_PER_USER, formatMinute, formatUtcOffset } from '../game-watch.js';
+import { MAX_HIDDEN_GAMES, MAX_PAUSE_HOURS, isGameHidden, isTrackingPaused } from '../privacy.js';
+
+// How long leaderboard page buttons stay active
+const LEADERBOARD_BUTTON_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Steam accounts one Discord user can link (mains, alts, family-shared accounts)
+const MAX_LINKED_ACCOUNTS = 5;
+
+// How long destructive commands (prune, forget-me) wait for confirmation
+const CONFIRM_TIMEOUT_MS = 60 * 1000;
 
 export default {
   data: new SlashCommandBuilder()
@@ -11,20 +54,112 @@ export default {
         .addStringOption(option =>
           option
             .setName('identifier')
-            .setDescription('Steam ID (64-bit), profile URL, or custom URL')
+            .setDescription('Steam ID, profile URL, custom URL, friend code, or invite link')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('verify')
+        .setDescription('Confirm a pending link with the code the bot sent you on Steam')
+        .addStringOption(option =>
+          option
+            .setName('code')
+            .setDescription('Verification code from Steam chat')
             .setRequired(true)
         )
     )
     .addSubcommand(subcommand =>
       subcommand
         .setName('unlink')
-        .setDescription('Unlink your Steam account from Discord')
+        .setDescription('Unlink a Steam account from Discord')
+        .addStringOption(option =>
+          option
+            .setName('account')
+            .setDescription('The Steam account to unlink (required if you have more than one)')
+            .setAutocomplete(true)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('remove_friend')
+            .setDescription('Also remove the account from the bot\'s Steam friends list (default false)')
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('primary')
+        .setDescription('Choose which of your linked Steam accounts is your primary one')
+        .addStringOption(option =>
+          option
+            .setName('account')
+            .setDescription('The Steam account to make primary')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('forget-me')
+        .setDescription('Delete everything the bot stores about you and your Steam accounts')
     )
     .addSubcommand(subcommand =>
       subcommand
         .setName('status')
         .setDescription('Check your linked Steam account status')
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('stats')
+        .setDescription('Show playtime statistics for a linked user')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('The user to show statistics for (defaults to you)')
+        )
+        .addStringOption(option =>
+          option
+            .setName('period')
+            .setDescription('Time period to cover (defaults to the past week)')
+            .addChoices(
+              ...Object.entries(PERIODS).map(([value, { label }]) => ({ name: label, value }))
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('leaderboard')
+        .setDescription('Rank linked members of this server by tracked playtime')
+        .addStringOption(option =>
+          option
+            .setName('game')
+            .setDescription('Only count playtime in this game')
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('period')
+            .setDescription('Time period to cover (defaults to the past week)')
+            .addChoices(
+              ...Object.entries(PERIODS).map(([value, { label }]) => ({ name: label, value }))
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('lfg')
+        .setDescription('List members who are "Looking to play" or "Looking to trade" on Steam')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('weeklyleaderboard')
+        .setDescription('Post a weekly playtime leaderboard to the update channel (Admin only)')
+        .addBooleanOption(option =>
+          option
+            .setName('enabled')
+            .setDescription('Whether to post the weekly leaderboard')
+            .setRequired(true)
+        )
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('setchannel')
@@ -35,53 +170,630 @@ export default {
             .setDescription('The channel to send updates to')
             .setRequired(true)
         )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('announce')
+        .setDescription('Choose whether your Steam presence is announced in this server')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('here')
+            .setDescription('Announce your Steam presence changes in this server')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('off')
+            .setDescription('Stop announcing your Steam presence changes in this server')
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('watch')
+        .setDescription('Get alerted when members start a game')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('add')
+            .setDescription('Watch a game: DMs you, or pings a role (admins), when a member starts it')
+            .addStringOption(option =>
+              option
+                .setName('game')
+                .setDescription('Game name as shown on Steam')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addRoleOption(option =>
+              option
+                .setName('role')
+                .setDescription('Ping this role in the update channel instead of DMing you (admin only)')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Stop watching a game')
+            .addStringOption(option =>
+              option
+                .setName('game')
+                .setDescription('A watched game')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addRoleOption(option =>
+              option
+                .setName('role')
+                .setDescription('Remove the watch for this role instead of yours (admin only)')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('Show your watched games and this server\'s role watches')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('quiet')
+            .setDescription('Set hours without watch DMs (leave empty to turn quiet hours off)')
+            .addIntegerOption(option =>
+              option
+                .setName('start_hour')
+                .setDescription('Hour quiet time starts (0-23)')
+                .setMinValue(0)
+                .setMaxValue(23)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('end_hour')
+                .setDescription('Hour quiet time ends (0-23)')
+                .setMinValue(0)
+                .setMaxValue(23)
+            )
+            .addNumberOption(option =>
+              option
+                .setName('utc_offset')
+                .setDescription('Your time zone as hours from UTC, e.g. -5 or 5.5 (default 0)')
+                .setMinValue(-12)
+                .setMaxValue(14)
+            )
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('relay')
+        .setDescription('Relay your Steam chat with the bot to Discord')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('enable')
+            .setDescription('Forward your Steam messages to the bot here, and your replies back to Steam')
+            .addStringOption(option =>
+              option
+                .setName('destination')
+                .setDescription('Where to relay (default: DM)')
+                .addChoices(
+                  { name: 'Direct message', value: 'dm' },
+                  { name: 'Private thread in this channel', value: 'thread' }
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('disable')
+            .setDescription('Stop relaying your Steam chat')
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('privacy')
+        .setDescription('Control what the bot tracks and announces about you')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('visibility')
+            .setDescription('Choose where your Steam presence is announced')
+            .addStringOption(option =>
+              option
+                .setName('setting')
+                .setDescription('Where announcements and dashboards may show you')
+                .setRequired(true)
+                .addChoices(
+                  { name: 'Everyone: every server with an update channel', value: 'everyone' },
+                  { name: 'Guild only: servers where you ran /steam announce here', value: 'guild' },
+                  { name: 'Off: never announce me', value: 'off' }
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('hide')
+            .setDescription('Never track or announce a specific game')
+            .addStringOption(option =>
+              option
+                .setName('game')
+                .setDescription('Game name as shown on Steam')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('unhide')
+            .setDescription('Track and announce a hidden game again')
+            .addStringOption(option =>
+              option
+                .setName('game')
+                .setDescription('A game you have hidden')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('pause')
+            .setDescription('Stop tracking and announcing your presence for a while')
+            .addIntegerOption(option =>
+              option
+                .setName('hours')
+                .setDescription('How long to pause for')
+                .setRequired(true)
+                .setMinValue(1)
+                .setMaxValue(MAX_PAUSE_HOURS)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('resume')
+            .setDescription('Resume tracking before a pause ends')
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('show')
+            .setDescription('Show your privacy settings')
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('dashboard')
+        .setDescription('Manage the live "who\'s playing now" message (Admin only)')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('create')
+            .setDescription('Post and pin a live dashboard message')
+            .addChannelOption(option =>
+              option
+                .setName('channel')
+                .setDescription('The channel to post the dashboard in (defaults to this channel)')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('remove')
+            .setDescription('Remove the live dashboard message')
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('config')
+        .setDescription('Configure which presence changes are announced in this server (Admin only)')
+        .addSubcommand(subcommand => {
+          subcommand
+            .setName('events')
+            .setDescription('Choose which kinds of presence changes are announced');
+
+          for (const [eventType, label] of Object.entries(EVENT_TYPES)) {
+            subcommand.addBooleanOption(option =>
+              option
+                .setName(eventType)
+                .setDescription(`Announce "${label}" events`)
+            );
+          }
+
+          return subcommand;
+        })
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('game')
+            .setDescription('Allow or deny announcements for a game by Steam app ID')
+            .addIntegerOption(option =>
+              option
+                .setName('app_id')
+                .setDescription('Steam app ID of the game (e.g. 730)')
+                .setRequired(true)
+                .setMinValue(1)
+            )
+            .addStringOption(option =>
+              option
+                .setName('rule')
+                .setDescription('What to do with this game')
+                .setRequired(true)
+                .addChoices(
+                  { name: 'Allow (only allowed games are announced once any are allowed)', value: 'allow' },
+                  { name: 'Deny (never announce this game)', value: 'deny' },
+                  { name: 'None (remove from both lists)', value: 'none' }
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('minsession')
+            .setDescription('Wait this long before announcing that someone started playing')
+            .addIntegerOption(option =>
+              option
+                .setName('seconds')
+                .setDescription('Minimum session length in seconds (0 to announce immediately)')
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(3600)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('cooldown')
+            .setDescription('Set the minimum time between announcements for the same member')
+            .addIntegerOption(option =>
+              option
+                .setName('seconds')
+                .setDescription('Cooldown in seconds (0 to announce every change)')
+                .setRequired(true)
+                .setMinValue(0)
+                .setMaxValue(86400)
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('trailing')
+                .setDescription('Post the final state once the cooldown ends (default) instead of dropping changes')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('usercooldown')
+            .setDescription('Override the cooldown for one member')
+            .addUserOption(option =>
+              option
+                .setName('user')
+                .setDescription('The member to override the cooldown for')
+                .setRequired(true)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('seconds')
+                .setDescription('Cooldown in seconds (leave empty to use the server cooldown again)')
+                .setMinValue(0)
+                .setMaxValue(86400)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('richpresence')
+            .setDescription('Announce in-game activity changes such as joining a lobby or starting a match')
+            .addBooleanOption(option =>
+              option
+                .setName('enabled')
+                .setDescription('Whether to announce rich presence changes')
+                .setRequired(true)
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('cooldown')
+                .setDescription('Minimum seconds between rich presence posts per member (default 600)')
+                .setMinValue(60)
+                .setMaxValue(86400)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('friendrequests')
+            .setDescription('Post incoming Steam friend requests for review')
+            .addChannelOption(option =>
+              option
+                .setName('channel')
+                .setDescription('Admin channel for friend requests (leave empty to stop posting them here)')
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('auto_accept')
+                .setDescription('Accept requests from accounts a member of this server is linking')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('lfg')
+            .setDescription('Post members who are looking to play or trade, with a Join button')
+            .addChannelOption(option =>
+              option
+                .setName('channel')
+                .setDescription('LFG channel (leave empty to stop posting)')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('template')
+            .setDescription('Choose how presence announcements look')
+            .addStringOption(option =>
+              option
+                .setName('layout')
+                .setDescription('Announcement layout')
+                .setRequired(true)
+                .addChoices(...Object.entries(LAYOUTS).map(([value, name]) => ({ name, value })))
+            )
+            .addStringOption(option =>
+              option
+                .setName('text')
+                .setDescription('Custom text with placeholders like {user}, {game}, {status}, {duration}')
+                .setMaxLength(MAX_TEMPLATE_LENGTH)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('locale')
+            .setDescription('Choose the language of presence announcements')
+            .addStringOption(option =>
+              option
+                .setName('language')
+                .setDescription('Language (auto follows the server\'s Discord language)')
+                .setRequired(true)
+                .addChoices(
+                  { name: 'Auto (server language)', value: 'auto' },
+                  ...Object.entries(LOCALES).map(([value, strings]) => ({ name: strings.name, value }))
+                )
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('show')
+            .setDescription('Show the current notification settings')
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('roles')
+        .setDescription('Give members Discord roles while they play a game or are in a Steam state (Admin only)')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('map')
+            .setDescription('Give a role while a linked member plays a game or is in a state')
+            .addStringOption(option =>
+              option
+                .setName('activity')
+                .setDescription('A game name, or a state: In-Game, Online, Away, Looking to play or trade')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+            .addRoleOption(option =>
+              option
+                .setName('role')
+                .setDescription('Role to add while the activity lasts')
+                .setRequired(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('unmap')
+            .setDescription('Stop syncing a role for a game or state')
+            .addStringOption(option =>
+              option
+                .setName('activity')
+                .setDescription('A mapped game or state')
+                .setRequired(true)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('Show this server\'s activity role mappings')
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('admin')
+        .setDescription('Manage the bot\'s Steam account and export data (Admin only)')
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('friends')
+            .setDescription('Report friends list capacity and friends that could be removed')
+            .addIntegerOption(option =>
+              option
+                .setName('inactive_days')
+                .setDescription(`Days offline before a friend counts as inactive (default ${DEFAULT_INACTIVE_DAYS})`)
+                .setMinValue(7)
+                .setMaxValue(3650)
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('prune')
+            .setDescription('Remove a category of friends from the bot\'s Steam account')
+            .addStringOption(option =>
+              option
+                .setName('category')
+                .setDescription('Which friends to remove')
+                .setRequired(true)
+                .addChoices(...Object.entries(PRUNE_CATEGORIES).map(([value, name]) => ({ name, value })))
+            )
+            .addIntegerOption(option =>
+              option
+                .setName('inactive_days')
+                .setDescription(`Days offline before a friend counts as inactive (default ${DEFAULT_INACTIVE_DAYS})`)
+                .setMinValue(7)
+                .setMaxValue(3650)
+            )
+            .addBooleanOption(option =>
+              option
+                .setName('dry_run')
+                .setDescription('Only list the friends that would be removed (default true)')
+            )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('export')
+            .setDescription('Download this server\'s bot data as JSON')
+        )
     ),
 
-  async execute(interaction, { db, steamManager, logger }) {
+  async autocomplete(interaction, { db }) {
+    const focused = interaction.options.getFocused(true);
+
+    if (focused.name === 'game' && interaction.options.getSubcommandGroup(false) === 'watch' &&
+      interaction.options.getSubcommand() === 'remove') {
+      const query = focused.value.toLowerCase();
+      const games = [...new Set(getVisibleWatches(db, interaction).map(watch => watch.game_name))]
+        .filter(game => game.toLowerCase().includes(query));
+      await interaction.respond(games.slice(0, 25).map(game => ({ name: game.slice(0, 100), value: game.slice(0, 100) })));
+    } else if (focused.name === 'game' && interaction.options.getSubcommand() === 'unhide') {
+      const query = focused.value.toLowerCase();
+      const games = db.getPrivacySettings(interaction.user.id).hiddenGames
+        .filter(game => game.toLowerCase().includes(query));
+      await interaction.respond(games.slice(0, 25).map(game => ({ name: game.slice(0, 100), value: game.slice(0, 100) })));
+    } else if (focused.name === 'game') {
+      const games = db.searchGameNames(focused.value);
+      await interaction.respond(
+        games.map(game => ({ name: game.game_name.slice(0, 100), value: game.game_name.slice(0, 100) }))
+      );
+    } else if (focused.name === 'activity') {
+      const locale = getReplyLocale(db, interaction);
+      const query = focused.value.toLowerCase();
+      const choices = interaction.options.getSubcommand() === 'unmap'
+        ? db.getRoleMappings(interaction.guildId).map(roleMapping => ({
+          name: describeRoleTrigger(roleMapping.trigger_type, roleMapping.trigger_value, locale),
+          value: roleMapping.trigger_type === 'state' ? `state:${roleMapping.trigger_value}` : roleMapping.trigger_value,
+        }))
+        : [
+          ...Object.keys(ROLE_STATES).map(state => ({ name: describeRoleTrigger('state', state, locale), value: `state:${state}` })),
+          ...db.searchGameNames(focused.value).map(game => ({ name: game.game_name, value: game.game_name })),
+        ];
+      await interaction.respond(
+        choices
+          .filter(choice => choice.name.toLowerCase().includes(query))
+          .slice(0, 25)
+          .map(choice => ({ name: choice.name.slice(0, 100), value: choice.value.slice(0, 100) }))
+      );
+    } else if (focused.name === 'account') {
+      const locale = getReplyLocale(db, interaction);
+      const query = focused.value.toLowerCase();
+      const choices = db.getUserMappings(interaction.user.id)
+        .map(mapping => ({ name: describeAccount(db, mapping, locale).slice(0, 100), value: mapping.steam_id }))
+        .filter(choice => choice.name.toLowerCase().includes(query));
+      await interaction.respond(choices.slice(0, 25));
+    }
+  },
+
+  async execute(interaction, { db, steamManager, steamIdResolver, discordManager, dashboardManager, roleSyncManager, friendRequestManager, lfgManager, ownerIds, logger }) {
+    const group = interaction.options.getSubcommandGroup(false);
     const subcommand = interaction.options.getSubcommand();
 
-    if (subcommand === 'link') {
-      await handleLink(interaction, { db, steamManager, logger });
+    // Announcements follow the guild's Discord language unless an admin picked one
+    if (interaction.inGuild() && interaction.guildLocale) {
+      db.setDetectedLocale(interaction.guildId, interaction.guildLocale);
+    }
+    // Steam chat replies go by the user's own Discord language
+    if (interaction.locale) {
+      db.setUserLocale(interaction.user.id, interaction.locale);
+    }
+    const locale = getReplyLocale(db, interaction);
+
+    if (group === 'announce') {
+      await handleAnnounce(interaction, { db, roleSyncManager, logger, locale }, subcommand === 'here');
+    } else if (group === 'config') {
+      await handleConfig(interaction, { db, discordManager, logger, locale }, subcommand);
+    } else if (group === 'admin') {
+      await handleAdmin(interaction, { db, steamManager, discordManager, ownerIds, logger, locale }, subcommand);
+    } else if (group === 'watch') {
+      await handleWatch(interaction, { db, logger, locale }, subcommand);
+    } else if (group === 'relay') {
+      await handleRelay(interaction, { db, discordManager, logger, locale }, subcommand === 'enable');
+    } else if (group === 'privacy') {
+      await handlePrivacy(interaction, { db, dashboardManager, roleSyncManager, logger, locale }, subcommand);
+    } else if (group === 'roles') {
+      await handleRoles(interaction, { db, discordManager, roleSyncManager, logger, locale }, subcommand);
+    } else if (group === 'dashboard') {
+      await handleDashboard(interaction, { db, discordManager, dashboardManager, logger, locale }, subcommand);
+    } else if (subcommand === 'link') {
+      await handleLink(interaction, { db, steamManager, steamIdResolver, friendRequestManager, logger, locale });
+    } else if (subcommand === 'verify') {
+      await handleVerify(interaction, { db, logger, locale });
     } else if (subcommand === 'unlink') {
-      await handleUnlink(interaction, { db, logger });
+      await handleUnlink(interaction, { db, steamManager, roleSyncManager, lfgManager, logger, locale });
+    } else if (subcommand === 'primary') {
+      await handlePrimary(interaction, { db, logger, locale });
+    } else if (subcommand === 'forget-me') {
+      await handleForgetMe(interaction, { db, dashboardManager, roleSyncManager, lfgManager, logger, locale });
     } else if (subcommand === 'status') {
-      await handleStatus(interaction, { db, steamManager, logger });
+      await handleStatus(interaction, { db, steamManager, logger, locale });
+    } else if (subcommand === 'stats') {
+      await handleStats(interaction, { db, logger, locale });
+    } else if (subcommand === 'leaderboard') {
+      await handleLeaderboard(interaction, { db, discordManager, logger, locale });
+    } else if (subcommand === 'lfg') {
+      await handleLfg(interaction, { db, discordManager, locale });
+    } else if (subcommand === 'weeklyleaderboard') {
+      await handleWeeklyLeaderboard(interaction, { db, logger, locale });
     } else if (subcommand === 'setchannel') {
-      await handleSetChannel(interaction, { db, logger });
+      await handleSetChannel(interaction, { db, logger, locale });
+    }
+  },
+
+  async handleComponent(interaction, { db, friendRequestManager, logger }) {
+    const [, kind, action, steamId] = interaction.customId.split(':');
+    const locale = getReplyLocale(db, interaction);
+
+    if (kind === 'friendrequest') {
+      await handleFriendRequestButton(interaction, { friendRequestManager, logger, locale }, action === 'accept', steamId);
+    } else if (kind === 'lfg') {
+      await handleLfgJoin(interaction, { db, logger, locale }, steamId);
     }
   },
 };
 
-async function handleLink(interaction, { db, steamManager, logger }) {
+async function handleLink(interaction, { db, steamManager, steamIdResolver, friendRequestManager, logger, locale }) {
   await interaction.deferReply({ ephemeral: true });
 
   const identifier = interaction.options.getString('identifier');
   const discordId = interaction.user.id;
 
-  // Parse Steam ID from various formats
+  // Resolve Steam ID from various formats
   let steamId64;
   try {
-    steamId64 = parseSteamIdentifier(identifier);
+    steamId64 = await steamIdResolver.resolve(identifier);
   } catch (error) {
     await interaction.editReply({
-      content: `❌ Invalid Steam identifier. Please provide a valid Steam ID64, profile URL, or custom URL.\n\nExamples:\n- Steam ID64: \`76561198000000000\`\n- Profile URL: \`https://steamcommunity.com/profiles/76561198000000000\`\n- Custom URL: \`https://steamcommunity.com/id/username\` (Note: You'll need to provide the Steam ID64 for custom URLs)`,
+      content: t(locale, 'link.invalid', { error: error.message }),
     });
     return;
   }
 
   // Check if this Steam account is friends with the bot
   if (!steamManager.isFriend(steamId64)) {
+    // Remember the attempt so the friend request can be matched (and possibly auto-accepted)
+    db.setLinkIntent(discordId, steamId64, interaction.guildId);
+    if (friendRequestManager && steamManager.hasPendingFriendRequest(steamId64)) {
+      // The request came in first; now this server's admins can see it (or it is auto-accepted)
+      await friendRequestManager.handleRequest(steamId64);
+    }
+
+    const requestSettings = interaction.guildId ? db.getFriendRequestSettings(interaction.guildId) : null;
+    const nextStep = requestSettings && requestSettings.autoAccept
+      ? t(locale, 'link.autoAccept')
+      : t(locale, 'link.adminReview');
+
     await interaction.editReply({
-      content: `❌ The Steam account \`${steamId64}\` is not friends with the bot.\n\nTo monitor your Steam presence, you must first add the bot's Steam account as a friend:\n\n**Bot Steam ID:** \`${steamManager.client.steamID ? steamManager.client.steamID.getSteamID64() : 'Not available'}\`\n\nAfter adding the bot as a friend, try linking again.`,
+      content: t(locale, 'link.notFriends', {
+        steamId: steamId64,
+        botSteamId: steamManager.client.steamID ? steamManager.client.steamID.getSteamID64() : t(locale, 'link.botUnavailable'),
+        nextStep,
+      }),
     });
     return;
   }
 
-  // Check if user already has a mapping
-  const existing = db.getUserMapping(discordId);
-  if (existing && existing.steam_id !== steamId64) {
+  // Check the user's existing accounts
+  const existing = db.getUserMappings(discordId);
+  if (existing.some(mapping => mapping.steam_id === steamId64)) {
+    await interaction.editReply({
+      content: t(locale, 'link.alreadyLinked', { steamId: steamId64 }),
+    });
+    return;
+  }
+  if (existing.length >= MAX_LINKED_ACCOUNTS) {
     await interaction.editReply({
-      content: `⚠️ You are already linked to Steam ID \`${existing.steam_id}\`. Unlink first if you want to link a different account.`,
+      content: t(locale, 'link.tooMany', { max: MAX_LINKED_ACCOUNTS }),
     });
     return;
   }
@@ -90,95 +802,173 @@ async function handleLink(interaction, { db, steamManager, logger }) {
   const existingSteam = db.getMappingBySteamId(steamId64);
   if (existingSteam && existingSteam.discord_id !== discordId) {
     await interaction.editReply({
-      content: `❌ This Steam account is already linked to another Discord user.`,
+      content: t(locale, 'link.taken'),
+    });
+    return;
+  }
+
+  // Don't let repeated link attempts flood the Steam account with codes
+  const now = Math.floor(Date.now() / 1000);
+  const pending = db.getVerification(discordId);
+  if (pending && isVerificationLocked(pending) && pending.expires_at > now) {
+    await interaction.editReply({
+      content: t(locale, 'link.locked'),
+    });
+    return;
+  }
+  // Per Discord user, so switching between Steam IDs doesn't skip the wait
+  if (pending && pending.expires_at > now && now - pending.created_at < VERIFICATION_RESEND_SECONDS) {
+    await interaction.editReply({
+      content: t(locale, 'link.alreadySent', { steamId: pending.steam_id }),
     });
     return;
   }
 
-  // Link the accounts
-  db.linkUser(discordId, steamId64);
-  logger.info(`Linked Discord user ${discordId} to Steam ID ${steamId64}`);
+  // Prove ownership: send a one-time code to the Steam account
+  db.deleteExpiredVerifications();
+  const code = generateVerificationCode();
+  const minutes = Math.round(VERIFICATION_TTL_SECONDS / 60);
+  try {
+    await steamManager.sendChatMessage(
+      steamId64,
+      t(getUserLocale(interaction.locale), 'steamChat.verificationCode', { user: interaction.user.tag, code, minutes })
+    );
+  } catch (error) {
+    logger.error(`Failed to send verification code to ${steamId64}:`, error);
+    await interaction.editReply({
+      content: t(locale, 'link.sendFailed'),
+    });
+    return;
+  }
+
+  db.createVerification(discordId, steamId64, code, now + VERIFICATION_TTL_SECONDS);
+  logger.info(`Sent link verification code to Steam ID ${steamId64} for Discord user ${discordId}`);
 
   await interaction.editReply({
-    content: `✅ Successfully linked your Discord account to Steam ID \`${steamId64}\`.\n\nYou will now receive presence updates in configured channels when your Steam status changes.`,
+    content: t(locale, 'link.codeSent', { steamId: steamId64, minutes }),
   });
 }
 
-async function handleUnlink(interaction, { db, logger }) {
+async function handleVerify(interaction, { db, logger, locale }) {
   await interaction.deferReply({ ephemeral: true });
 
   const discordId = interaction.user.id;
-  const existing = db.getUserMapping(discordId);
-
-  if (!existing) {
+  const pending = db.getVerification(discordId);
+  if (!pending) {
     await interaction.editReply({
-      content: '❌ You do not have a linked Steam account.',
+      content: t(locale, 'verify.noPending'),
     });
     return;
   }
 
-  db.unlinkUser(discordId);
-  logger.info(`Unlinked Discord user ${discordId} from Steam ID ${existing.steam_id}`);
+  const result = checkVerificationCode(db, pending, interaction.options.getString('code'));
+
+  if (result.status === 'verified') {
+    logger.info(`Linked Discord user ${discordId} to Steam ID ${pending.steam_id}`);
+  }
 
   await interaction.editReply({
-    content: `✅ Successfully unlinked your Discord account from Steam ID \`${existing.steam_id}\`.`,
+    content: t(locale, `verify.${result.status}`, { attempts: result.attemptsLeft, steamId: pending.steam_id }),
   });
 }
 
-async function handleStatus(interaction, { db, steamManager, logger }) {
+async function handleUnlink(interaction, { db, steamManager, roleSyncManager, lfgManager, logger, locale }) {
   await interaction.deferReply({ ephemeral: true });
 
   const discordId = interaction.user.id;
-  const mapping = db.getUserMapping(discordId);
+  const accounts = db.getUserMappings(discordId);
 
-  if (!mapping) {
+  if (accounts.length === 0) {
     await interaction.editReply({
-      content: '❌ You do not have a linked Steam account. Use `/steam link` to link one.',
+      content: t(locale, 'status.notLinked'),
     });
     return;
   }
 
-  const steamId = mapping.steam_id;
-  const isFriend = steamManager.isFriend(steamId);
-  const cache = db.getSteamCache(steamId);
+  const requested = interaction.options.getString('account');
+  if (!requested && accounts.length > 1) {
+    await interaction.editReply({
+      content: t(locale, 'unlink.pickAccount'),
+    });
+    return;
+  }
+
+  const mapping = requested ? accounts.find(account => account.steam_id === requested) : accounts[0];
+  if (!mapping) {
+    await interaction.editReply({
+      content: t(locale, 'common.notYourAccount', { steamId: requested }),
+    });
+    return;
+  }
 
-  let statusText = `**Your Linked Steam Account:**\nSteam ID: \`${steamId}\`\n`;
-  statusText += `Friend Status: ${isFriend ? '✅ Friends with bot' : '❌ Not friends with bot'}\n`;
-  statusText += `Linked Since: <t:${mapping.linked_at}:R>\n\n`;
+  if (lfgManager) {
+    await lfgManager.clear(mapping.steam_id);
+  }
+  db.unlinkUser(discordId, mapping.steam_id);
+  logger.info(`Unlinked Discord user ${discordId} from Steam ID ${mapping.steam_id}`);
+  if (roleSyncManager) {
+    await roleSyncManager.syncUser(discordId);
+  }
 
-  if (cache) {
-    statusText += `**Last Known Status:**\n`;
-    statusText += `Name: ${cache.persona_name}\n`;
-    
-    const stateNames = {
-      0: 'Offline',
-      1: 'Online',
-      2: 'Busy',
-      3: 'Away',
-      4: 'Snooze',
-      5: 'Looking to trade',
-      6: 'Looking to play',
-    };
-    
-    statusText += `Status: ${stateNames[cache.persona_state] || 'Unknown'}\n`;
-    
-    if (cache.game_name) {
-      statusText += `Playing: ${cache.game_name}\n`;
+  let content = t(locale, 'unlink.done', { steamId: mapping.steam_id });
+  if (interaction.options.getBoolean('remove_friend')) {
+    if (steamManager.isLoggedIn) {
+      steamManager.removeFriend(mapping.steam_id);
+      logger.info(`Removed Steam friend ${mapping.steam_id} after unlink`);
+      content += t(locale, 'unlink.friendRemoved');
+    } else {
+      content += t(locale, 'unlink.steamOffline');
     }
-    
-    statusText += `Last Updated: <t:${cache.last_updated}:R>\n`;
-  } else {
-    statusText += `**Status:** No presence data cached yet.\n`;
+  }
+  const primary = mapping.is_primary ? db.getUserMapping(discordId) : null;
+  if (primary) {
+    content += t(locale, 'unlink.newPrimary', { steamId: primary.steam_id });
   }
 
-  await interaction.editReply({ content: statusText });
+  await interaction.editReply({ content });
 }
 
-async function handleSetChannel(interaction, { db, logger }) {
-  // Check if user has admin permissions
-  if (!interaction.member.permissions.has('Administrator')) {
+async function handlePrimary(interaction, { db, logger, locale }) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+  const steamId = interaction.options.getString('account');
+  const mapping = db.getUserMappings(discordId).find(account => account.steam_id === steamId);
+
+  if (!mapping) {
+    await interaction.editReply({
+      content: t(locale, 'common.notYourAccount', { steamId }),
+    });
+    return;
+  }
+
+  db.setPrimaryAccount(discordId, steamId);
+  logger.info(`Discord user ${discordId} set primary Steam ID to ${steamId}`);
+
+  await interaction.editReply({
+    content: t(locale, 'primary.done', { steamId }),
+  });
+}
+
+// The user's own watches plus the guild's role watches
+function getVisibleWatches(db, interaction) {
+  return db.getGuildGameWatches(interaction.guildId)
+    .filter(watch => watch.target_type === 'role' || watch.target_id === interaction.user.id);
+}
+
+async function handleWatch(interaction, { db, logger, locale }, action) {
+  if (!interaction.inGuild()) {
+    await interaction.reply({
+      content: t(locale, 'common.guildOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  const role = interaction.options.getRole('role');
+  if (role && !interaction.member.permissions.has('Administrator')) {
     await interaction.reply({
-      content: '❌ You need Administrator permissions to use this command.',
+      content: t(locale, 'watch.roleAdminOnly'),
       ephemeral: true,
     });
     return;
@@ -186,55 +976,1254 @@ async function handleSetChannel(interaction, { db, logger }) {
 
   await interaction.deferReply({ ephemeral: true });
 
-  const channel = interaction.options.getChannel('channel');
+  const discordId = interaction.user.id;
   const guildId = interaction.guildId;
 
-  // Verify it's a text channel
-  if (!channel.isTextBased()) {
+  if (action === 'list') {
+    const watches = getVisibleWatches(db, interaction);
+    const mine = watches.filter(watch => watch.target_type === 'user').map(watch => `• ${watch.game_name}`);
+    const roles = watches.filter(watch => watch.target_type === 'role').map(watch => `• ${watch.game_name} → <@&${watch.target_id}>`);
+    const quietHours = db.getQuietHours(discordId);
+
+    const none = t(locale, 'common.none');
+    let content = `${t(locale, 'watch.mine')}\n${mine.length > 0 ? mine.join('\n') : none}\n\n`;
+    content += `${t(locale, 'watch.roles')}\n${roles.length > 0 ? roles.join('\n') : none}\n\n`;
+    content += quietHours
+      ? t(locale, 'watch.quietHours', {
+        range: `${formatMinute(quietHours.start_minute)}-${formatMinute(quietHours.end_minute)} ${formatUtcOffset(quietHours.utc_offset_minutes)}`,
+      })
+      : t(locale, 'watch.quietOff');
+
+    await interaction.editReply({ content: content.slice(0, 2000), allowedMentions: { parse: [] } });
+    return;
+  }
+
+  if (action === 'quiet') {
+    const startHour = interaction.options.getInteger('start_hour');
+    const endHour = interaction.options.getInteger('end_hour');
+
+    if (startHour === null && endHour === null) {
+      db.clearQuietHours(discordId);
+      await interaction.editReply({ content: t(locale, 'watch.quietCleared') });
+      return;
+    }
+    if (startHour === null || endHour === null || startHour === endHour) {
+      await interaction.editReply({ content: t(locale, 'watch.quietInvalid') });
+      return;
+    }
+
+    const offsetMinutes = Math.round((interaction.options.getNumber('utc_offset') ?? 0) * 60);
+    db.setQuietHours(discordId, startHour * 60, endHour * 60, offsetMinutes);
+    logger.info(`Discord user ${discordId} set watch quiet hours ${startHour}-${endHour} (${offsetMinutes} min from UTC)`);
+
     await interaction.editReply({
-      content: '❌ Please select a text channel.',
+      content: t(locale, 'watch.quietSet', {
+        start: formatMinute(startHour * 60),
+        end: formatMinute(endHour * 60),
+        offset: formatUtcOffset(offsetMinutes),
+      }),
     });
     return;
   }
 
-  // Check bot permissions in the channel
-  const permissions = channel.permissionsFor(interaction.guild.members.me);
-  if (!permissions.has('SendMessages') || !permissions.has('EmbedLinks')) {
+  const game = interaction.options.getString('game').trim();
+  const targetType = role ? 'role' : 'user';
+  const targetId = role ? role.id : discordId;
+  const target = role ? role.toString() : t(locale, 'watch.you');
+
+  if (action === 'remove') {
+    const result = db.removeGameWatch(guildId, game, targetType, targetId);
     await interaction.editReply({
-      content: '❌ I do not have permission to send messages and embeds in that channel.',
+      content: t(locale, result.changes > 0 ? 'watch.removed' : 'watch.notWatched', { game, target }),
+      allowedMentions: { parse: [] },
     });
     return;
   }
 
-  db.setUpdateChannel(guildId, channel.id);
-  logger.info(`Set update channel for guild ${guildId} to ${channel.id}`);
+  if (!role && db.countUserGameWatches(discordId) >= MAX_WATCHES_PER_USER) {
+    await interaction.editReply({ content: t(locale, 'watch.limit', { max: MAX_WATCHES_PER_USER }) });
+    return;
+  }
+
+  const result = db.addGameWatch(guildId, game, targetType, targetId, discordId);
+  if (result.changes === 0) {
+    await interaction.editReply({ content: t(locale, 'watch.alreadyWatched', { game, target }), allowedMentions: { parse: [] } });
+    return;
+  }
+
+  logger.info(`${discordId} added a game watch for ${game} (${targetType} ${targetId}) in guild ${guildId}`);
+
+  let content = role
+    ? t(locale, 'watch.roleAdded', { role, game })
+    : t(locale, 'watch.userAdded', { game });
+  if (role && !db.getUpdateChannel(guildId)) {
+    content += t(locale, 'watch.noUpdateChannel');
+  }
+  if (db.searchGameNames(game, 1).length === 0) {
+    content += `\n\n${t(locale, 'common.unknownGame')}`;
+  }
+
+  await interaction.editReply({ content, allowedMentions: { parse: [] } });
+}
+
+async function handleRelay(interaction, { db, discordManager, logger, locale }, enable) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+
+  if (!enable) {
+    const result = db.removeChatRelay(discordId);
+    logger.info(`Discord user ${discordId} disabled the Steam chat relay`);
+    await interaction.editReply({
+      content: t(locale, result.changes > 0 ? 'relay.disabled' : 'relay.notRelayed'),
+    });
+    return;
+  }
+
+  if (!db.getUserMapping(discordId)) {
+    await interaction.editReply({
+      content: t(locale, 'common.notLinked'),
+    });
+    return;
+  }
+
+  const destination = interaction.options.getString('destination') || 'dm';
+  const intro = t(locale, 'relay.intro', { help: formatChatHelp(locale) });
+  let channel;
+
+  if (destination === 'thread') {
+    if (!interaction.inGuild() || !interaction.channel || interaction.channel.type !== ChannelType.GuildText) {
+      await interaction.editReply({ content: t(locale, 'relay.threadOnly') });
+      return;
+    }
+    if (!discordManager.canReadGuildMessages()) {
+      await interaction.editReply({
+        content: t(locale, 'relay.noIntent'),
+      });
+      return;
+    }
+
+    try {
+      channel = await interaction.channel.threads.create({
+        name: t(locale, 'relay.threadName', { name: interaction.user.username }).slice(0, 100),
+        type: ChannelType.PrivateThread,
+        invitable: false,
+      });
+      await channel.members.add(discordId);
+      await channel.send({ content: intro });
+    } catch (error) {
+      logger.warn(`Could not create a relay thread in channel ${interaction.channelId}: ${error.message}`);
+      await interaction.editReply({ content: t(locale, 'relay.threadFailed') });
+      return;
+    }
+  } else {
+    try {
+      channel = await interaction.user.createDM();
+      await channel.send({ content: intro });
+    } catch {
+      await interaction.editReply({ content: t(locale, 'relay.dmFailed') });
+      return;
+    }
+  }
+
+  db.setChatRelay(discordId, destination, channel.id);
+  logger.info(`Discord user ${discordId} enabled the Steam chat relay (${destination})`);
 
   await interaction.editReply({
-    content: `✅ Steam presence updates will now be sent to ${channel}.`,
+    content: t(locale, 'relay.enabled', { destination: destination === 'thread' ? channel.toString() : t(locale, 'relay.yourDms') }),
   });
 }
 
-function parseSteamIdentifier(identifier) {
-  // Remove whitespace
-  identifier = identifier.trim();
+async function handlePrivacy(interaction, { db, dashboardManager, roleSyncManager, logger, locale }, action) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+  const settings = db.getPrivacySettings(discordId);
+  const now = Math.floor(Date.now() / 1000);
+  let content;
+
+  if (action === 'visibility') {
+    settings.visibility = interaction.options.getString('setting');
+    content = t(locale, 'privacy.visibility', { where: t(locale, `visibility.${settings.visibility}`) });
+  } else if (action === 'hide') {
+    const game = interaction.options.getString('game').trim();
+    if (isGameHidden(settings, game)) {
+      await interaction.editReply({ content: t(locale, 'privacy.alreadyHidden', { game }) });
+      return;
+    }
+    if (settings.hiddenGames.length >= MAX_HIDDEN_GAMES) {
+      await interaction.editReply({ content: t(locale, 'privacy.hideLimit', { max: MAX_HIDDEN_GAMES }) });
+      return;
+    }
+
+    settings.hiddenGames.push(game);
+    hideCurrentGame(db, discordId, settings);
+    content = t(locale, 'privacy.hidden', { game });
+  } else if (action === 'unhide') {
+    const game = interaction.options.getString('game').trim();
+    const remaining = settings.hiddenGames.filter(hidden => hidden.toLowerCase() !== game.toLowerCase());
+    if (remaining.length === settings.hiddenGames.length) {
+      await interaction.editReply({ content: t(locale, 'privacy.notHidden', { game }) });
+      return;
+    }
+
+    settings.hiddenGames = remaining;
+    content = t(locale, 'privacy.unhidden', { game });
+  } else if (action === 'pause') {
+    settings.pausedUntil = now + interaction.options.getInteger('hours') * 60 * 60;
+    for (const mapping of db.getUserMappings(discordId)) {
+      db.endPlaySession(mapping.steam_id);
+    }
+    content = t(locale, 'privacy.paused', { until: settings.pausedUntil });
+  } else if (action === 'resume') {
+    if (!isTrackingPaused(settings, now)) {
+      await interaction.editReply({ content: t(locale, 'privacy.notPaused') });
+      return;
+    }
 
-  // Check if it's a pure Steam ID64 (17 digits starting with 7656119)
-  if (/^7656119\d{10}$/.test(identifier)) {
-    return identifier;
+    settings.pausedUntil = null;
+    content = t(locale, 'privacy.resumed');
+  } else {
+    const hidden = settings.hiddenGames.length > 0 ? settings.hiddenGames.join(', ') : t(locale, 'common.none');
+    const tracking = isTrackingPaused(settings, now)
+      ? t(locale, 'privacy.pausedUntil', { until: settings.pausedUntil })
+      : t(locale, 'privacy.active');
+    await interaction.editReply({
+      content: [
+        t(locale, 'privacy.heading'),
+        t(locale, 'privacy.announcements', { where: t(locale, `visibility.${settings.visibility}`) }),
+        t(locale, 'privacy.hiddenGames', { games: hidden }),
+        t(locale, 'privacy.tracking', { state: tracking }),
+      ].join('\n'),
+    });
+    return;
   }
 
-  // Try to extract from profile URL
-  const profileMatch = identifier.match(/steamcommunity\.com\/profiles\/(\d+)/);
-  if (profileMatch) {
-    return profileMatch[1];
+  db.savePrivacySettings(discordId, settings);
+  logger.info(`Discord user ${discordId} updated privacy settings (${action})`);
+
+  // Visibility and pauses change which dashboards show the user, not just the ones they appear on now
+  if (dashboardManager) {
+    dashboardManager.refreshAll();
+  }
+  if (roleSyncManager) {
+    await roleSyncManager.syncUser(discordId);
   }
 
-  // For custom URLs, we can't resolve them without an API key
-  // User needs to provide the Steam ID64 directly
-  const customMatch = identifier.match(/steamcommunity\.com\/id\/([^\/]+)/);
-  if (customMatch) {
-    throw new Error('Custom URLs not supported. Please provide your Steam ID64 instead.');
+  await interaction.editReply({ content });
+}
+
+// A game hidden while it is running must not linger in the cache, where the next change would announce it stopping
+function hideCurrentGame(db, discordId, settings) {
+  for (const mapping of db.getUserMappings(discordId)) {
+    const cached = db.getSteamCache(mapping.steam_id);
+    if (!cached || !isGameHidden(settings, cached.game_name)) {
+      continue;
+    }
+
+    db.endPlaySession(mapping.steam_id);
+    db.updateSteamCache(mapping.steam_id, {
+      personaName: cached.persona_name,
+      personaState: cached.persona_state,
+      gameId: null,
+      gameName: null,
+    });
+    db.updateRichPresence(mapping.steam_id, richPresenceFromRow(null));
+  }
+}
+
+async function handleForgetMe(interaction, { db, dashboardManager, roleSyncManager, lfgManager, logger, locale }) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const message = await interaction.editReply({
+    content: t(locale, 'forgetMe.confirm'),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId('forget:confirm')
+          .setLabel(t(locale, 'forgetMe.deleteButton'))
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId('forget:cancel')
+          .setLabel(t(locale, 'common.cancel'))
+          .setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+  });
+
+  let choice;
+  try {
+    choice = await message.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      filter: i => i.user.id === interaction.user.id,
+      time: CONFIRM_TIMEOUT_MS,
+    });
+  } catch {
+    await interaction.editReply({ content: t(locale, 'forgetMe.timedOut'), components: [] });
+    return;
+  }
+
+  if (choice.customId !== 'forget:confirm') {
+    await choice.update({ content: t(locale, 'forgetMe.cancelled'), components: [] });
+    return;
+  }
+
+  // Deleting the LFG messages can take longer than Discord waits for the button to be answered
+  await choice.deferUpdate();
+
+  const discordId = interaction.user.id;
+  if (lfgManager) {
+    for (const mapping of db.getUserMappings(discordId)) {
+      await lfgManager.clear(mapping.steam_id);
+    }
+  }
+  const result = db.forgetUser(discordId);
+  logger.info(`Deleted all data for Discord user ${discordId} (${result.deleted} row(s), ${result.steamIds.length} Steam account(s))`);
+
+  if (dashboardManager) {
+    dashboardManager.refreshAll();
+  }
+
+  await choice.editReply({
+    content: t(locale, 'forgetMe.done', { count: result.deleted }),
+    components: [],
+  });
+
+  // Role edits can be slow; don't hold up the reply for them
+  if (roleSyncManager) {
+    await roleSyncManager.syncUser(discordId);
+  }
+}
+
+async function handleStatus(interaction, { db, steamManager, logger, locale }) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+  const accounts = db.getUserMappings(discordId);
+
+  if (accounts.length === 0) {
+    await interaction.editReply({
+      content: t(locale, 'status.notLinked'),
+    });
+    return;
+  }
+
+  const sections = accounts.map(mapping => describeAccountStatus(db, steamManager, mapping, accounts.length > 1, locale));
+  const heading = accounts.length > 1 ? t(locale, 'status.headingMultiple', { count: accounts.length }) : t(locale, 'status.heading');
+
+  await interaction.editReply({ content: `${heading}\n${sections.join('\n')}` });
+}
+
+// Replies in a server use its announcement language; elsewhere the user's own Discord language
+function getReplyLocale(db, interaction) {
+  if (interaction.inGuild()) {
+    return getGuildLocale(db.getAnnouncementTemplate(interaction.guildId));
+  }
+  return resolveLocale(interaction.locale) || DEFAULT_LOCALE;
+}
+
+function describeAccountStatus(db, steamManager, mapping, showRole, locale) {
+  const steamId = mapping.steam_id;
+  const isFriend = steamManager.isFriend(steamId);
+  const cache = db.getSteamCache(steamId);
+  const role = mapping.is_primary ? ` ⭐ ${t(locale, 'status.primary')}` : ` (${t(locale, 'status.alt')})`;
+
+  let statusText = `${t(locale, 'status.steamId')}: \`${steamId}\`${showRole ? role : ''}\n`;
+  statusText += `${t(locale, 'status.friendStatus')}: ${isFriend ? `✅ ${t(locale, 'status.friends')}` : `❌ ${t(locale, 'status.notFriends')}`}\n`;
+  statusText += `${t(locale, 'status.linkedSince')}: <t:${mapping.linked_at}:R>\n\n`;
+
+  if (cache) {
+    statusText += `**${t(locale, 'status.lastKnown')}:**\n`;
+    statusText += `${t(locale, 'status.name')}: ${cache.persona_name}\n`;
+    statusText += `${t(locale, 'status.status')}: ${getStateName(locale, cache.persona_state)}\n`;
+    
+    if (cache.game_name) {
+      statusText += `${t(locale, 'status.playing')}: ${cache.game_name}\n`;
+
+      const richPresence = richPresenceFromRow(db.getRichPresence(steamId));
+      if (hasRichPresence(richPresence)) {
+        if (richPresence.display) {
+          statusText += `${t(locale, 'richPresence.activity')}: ${richPresence.display}\n`;
+        }
+        if (richPresence.map) {
+          statusText += `${t(locale, 'richPresence.map')}: ${richPresence.map}\n`;
+        }
+        if (richPresence.gameMode) {
+          statusText += `${t(locale, 'richPresence.mode')}: ${richPresence.gameMode}\n`;
+        }
+        if (richPresence.partySize > 1) {
+          statusText += `${t(locale, 'richPresence.party')}: ${t(locale, 'richPresence.players', { count: richPresence.partySize })}\n`;
+        }
+      }
+    }
+    
+    statusText += `${t(locale, 'status.lastUpdated')}: <t:${cache.last_updated}:R>\n`;
+  } else {
+    statusText += `**${t(locale, 'status.status')}:** ${t(locale, 'status.noData')}\n`;
+  }
+
+  return statusText;
+}
+
+function describeAccount(db, mapping, locale) {
+  const cache = db.getSteamCache(mapping.steam_id);
+  const name = cache ? `${cache.persona_name} (${mapping.steam_id})` : mapping.steam_id;
+  return mapping.is_primary ? t(locale, 'primary.label', { name }) : name;
+}
+
+async function handleStats(interaction, { db, logger, locale }) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const user = interaction.options.getUser('user') || interaction.user;
+  const period = interaction.options.getString('period') || 'week';
+  const steamIds = db.getUserMappings(user.id).map(mapping => mapping.steam_id);
+
+  // Someone else's history follows their privacy visibility, so it can only be looked up in a server they share it with
+  if (user.id !== interaction.user.id && (!interaction.inGuild() || !db.isVisibleInGuild(user.id, interaction.guildId))) {
+    await interaction.editReply({ content: t(locale, 'stats.notShared', { user }) });
+    return;
+  }
+
+  if (steamIds.length === 0) {
+    await interaction.editReply({
+      content: user.id === interaction.user.id
+        ? t(locale, 'status.notLinked')
+        : t(locale, 'stats.notLinked', { user }),
+    });
+    return;
+  }
+
+  const since = getPeriodStart(period);
+  const summary = db.getPlaytimeSummary(steamIds, since);
+
+  if (summary.session_count === 0) {
+    await interaction.editReply({
+      content: t(locale, 'stats.noSessions', { user, period: t(locale, `periods.${period}`).toLowerCase() }),
+    });
+    return;
+  }
+
+  const topGames = db.getTopGames(steamIds, since);
+  const longest = db.getLongestSession(steamIds, since);
+  const daily = db.getDailyPlaytime(steamIds, since);
+
+  const embed = new EmbedBuilder()
+    .setTitle(t(locale, 'stats.title', { name: user.username }))
+    .setDescription(t(locale, `periods.${period}`))
+    .setColor(0x66c0f4)
+    .addFields(
+      { name: t(locale, 'stats.total'), value: formatDuration(summary.total_seconds), inline: true },
+      { name: t(locale, 'stats.sessions'), value: String(summary.session_count), inline: true },
+      {
+        name: t(locale, 'stats.longest'),
+        value: t(locale, 'stats.longestValue', {
+          duration: formatDuration(longest.session_seconds),
+          game: longest.game_name,
+          started: longest.started_at,
+        }),
+        inline: false,
+      },
+      {
+        name: t(locale, 'stats.topGames'),
+        value: topGames
+          .map((game, index) => {
+            const sessions = t(locale, game.session_count === 1 ? 'common.sessionsOne' : 'common.sessions', { count: game.session_count });
+            return `${index + 1}. **${game.game_name}**: ${formatDuration(game.total_seconds)} (${sessions})`;
+          })
+          .join('\n'),
+      },
+      {
+        name: t(locale, 'stats.daily'),
+        value: daily.map(row => `\`${row.day}\` ${formatDuration(row.total_seconds)}`).join('\n'),
+      }
+    )
+    .setFooter({
+      text: steamIds.length > 1
+        ? t(locale, 'stats.accounts', { count: steamIds.length })
+        : t(locale, 'stats.steamId', { steamId: steamIds[0] }),
+    });
+
+  logger.debug(`Showing ${period} stats for Steam ID(s) ${steamIds.join(', ')}`);
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleLeaderboard(interaction, { db, discordManager, logger, locale }) {
+  if (!interaction.inGuild()) {
+    await interaction.reply({
+      content: t(locale, 'common.guildOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+
+  const gameName = interaction.options.getString('game');
+  const period = interaction.options.getString('period') || 'week';
+
+  const visibleIds = db.getVisibleDiscordIds(interaction.guildId);
+  const memberIds = await discordManager.getGuildMemberIds(interaction.guildId, visibleIds);
+  const entries = buildLeaderboard(db, memberIds, { period, gameName });
+  const pageCount = getLeaderboardPageCount(entries);
+  let page = 0;
+
+  const render = () => {
+    const payload = { embeds: [createLeaderboardEmbed(entries, { period, gameName, page, locale })] };
+
+    if (pageCount > 1) {
+      payload.components = [
+        new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId('leaderboard:prev')
+            .setLabel(t(locale, 'leaderboard.previous'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page === 0),
+          new ButtonBuilder()
+            .setCustomId('leaderboard:next')
+            .setLabel(t(locale, 'leaderboard.next'))
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page >= pageCount - 1)
+        ),
+      ];
+    }
+
+    return payload;
+  };
+
+  const message = await interaction.editReply(render());
+  logger.debug(`Showing ${period} leaderboard for guild ${interaction.guildId} (${entries.length} entries)`);
+
+  if (pageCount <= 1) {
+    return;
+  }
+
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    filter: i => i.user.id === interaction.user.id,
+    time: LEADERBOARD_BUTTON_TIMEOUT_MS,
+  });
+
+  collector.on('collect', async (buttonInteraction) => {
+    page += buttonInteraction.customId === 'leaderboard:next' ? 1 : -1;
+    page = Math.min(Math.max(page, 0), pageCount - 1);
+    await buttonInteraction.update(render());
+  });
+
+  collector.on('end', async () => {
+    try {
+      await interaction.editReply({ components: [] });
+    } catch (error) {
+      logger.debug('Could not remove leaderboard buttons:', error.message);
+    }
+  });
+}
+
+async function handleLfg(interaction, { db, discordManager, locale }) {
+  if (!interaction.inGuild()) {
+    await interaction.reply({
+      content: t(locale, 'common.guildOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply();
+
+  const rows = db.getLfgEntries(interaction.guildId);
+  const memberIds = await discordManager.getGuildMemberIds(interaction.guildId, rows.map(row => row.discord_id));
+  const entries = rows.filter(row => memberIds.has(row.discord_id));
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5c7e10)
+    .setTitle(t(locale, 'lfg.title'))
+    .setTimestamp();
+
+  if (entries.length === 0) {
+    embed.setDescription(t(locale, 'lfg.empty'));
+  } else {
+    const lines = entries.slice(0, 25).map(entry => t(locale, entry.game_name ? 'lfg.entryInGame' : 'lfg.entry', {
+      discordId: entry.discord_id,
+      name: entry.persona_name,
+      state: getStateName(locale, entry.persona_state),
+      game: entry.game_name,
+      since: entry.last_updated,
+    }));
+    if (entries.length > lines.length) {
+      lines.push(t(locale, 'common.more', { count: entries.length - lines.length }));
+    }
+    embed.setDescription(lines.join('\n'));
+  }
+
+  await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+async function handleLfgJoin(interaction, { db, logger, locale }, steamId) {
+  const post = db.getLfgPost(interaction.guildId, steamId);
+  const mapping = db.getMappingBySteamId(steamId);
+
+  if (!post || !mapping || post.message_id !== interaction.message.id) {
+    await interaction.reply({ content: t(locale, 'lfg.gone'), ephemeral: true });
+    return;
+  }
+
+  if (mapping.discord_id === interaction.user.id) {
+    await interaction.reply({ content: t(locale, 'lfg.own'), ephemeral: true });
+    return;
+  }
+
+  if (!db.addLfgJoin(interaction.guildId, steamId, interaction.user.id, post.message_id)) {
+    await interaction.reply({ content: t(locale, 'lfg.alreadyJoined'), ephemeral: true });
+    return;
+  }
+
+  logger.info(`${interaction.user.id} joined the LFG post of ${mapping.discord_id} in guild ${interaction.guildId}`);
+  await interaction.reply({
+    content: t(locale, 'lfg.joined', { discordId: mapping.discord_id, user: interaction.user }),
+    allowedMentions: { users: [mapping.discord_id] },
+  });
+}
+
+async function handleWeeklyLeaderboard(interaction, { db, logger, locale }) {
+  // Check if user has admin permissions
+  if (!interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'common.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const enabled = interaction.options.getBoolean('enabled');
+  const guildId = interaction.guildId;
+
+  db.setWeeklyLeaderboard(guildId, enabled);
+  logger.info(`${enabled ? 'Enabled' : 'Disabled'} weekly leaderboard for guild ${guildId}`);
+
+  if (!enabled) {
+    await interaction.editReply({ content: t(locale, 'weeklyLeaderboard.disabled') });
+    return;
+  }
+
+  let content = t(locale, 'weeklyLeaderboard.enabled');
+  if (!db.getUpdateChannel(guildId)) {
+    content += t(locale, 'weeklyLeaderboard.noUpdateChannel');
+  }
+
+  await interaction.editReply({ content });
+}
+
+async function handleDashboard(interaction, { db, discordManager, dashboardManager, logger, locale }, action) {
+  // Check if user has admin permissions
+  if (!interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'common.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const guildId = interaction.guildId;
+  const existing = db.getDashboard(guildId);
+
+  if (action === 'remove') {
+    if (!existing) {
+      await interaction.editReply({ content: t(locale, 'dashboard.none') });
+      return;
+    }
+
+    await discordManager.deleteMessage(existing.channel_id, existing.message_id);
+    db.removeDashboard(guildId);
+    logger.info(`Removed dashboard for guild ${guildId}`);
+
+    await interaction.editReply({
+      content: t(locale, 'dashboard.removed'),
+    });
+    return;
+  }
+
+  const channel = interaction.options.getChannel('channel') || interaction.channel;
+
+  // Verify it's a text channel
+  if (!channel.isTextBased()) {
+    await interaction.editReply({
+      content: t(locale, 'common.textChannel'),
+    });
+    return;
+  }
+
+  // Check bot permissions in the channel
+  const permissions = channel.permissionsFor(interaction.guild.members.me);
+  if (!permissions.has('SendMessages') || !permissions.has('EmbedLinks')) {
+    await interaction.editReply({
+      content: t(locale, 'common.channelPermissions'),
+    });
+    return;
+  }
+
+  // Only one dashboard per guild
+  if (existing) {
+    await discordManager.deleteMessage(existing.channel_id, existing.message_id);
+  }
+
+  const message = await channel.send(await dashboardManager.render(guildId));
+  db.setDashboard(guildId, channel.id, message.id);
+  logger.info(`Created dashboard for guild ${guildId} in channel ${channel.id}`);
+
+  let content = t(locale, 'dashboard.created', { channel });
+  if (permissions.has('ManageMessages')) {
+    await message.pin();
+  } else {
+    content += t(locale, 'dashboard.pinPermission');
+  }
+
+  await interaction.editReply({ content });
+}
+
+async function handleRoles(interaction, { db, discordManager, roleSyncManager, logger, locale }, action) {
+  if (!interaction.inGuild()) {
+    await interaction.reply({
+      content: t(locale, 'common.guildOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  if (!interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'common.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const guildId = interaction.guildId;
+  const roleMappings = db.getRoleMappings(guildId);
+
+  if (action === 'list') {
+    const lines = roleMappings.map(roleMapping => {
+      const problem = discordManager.getRoleProblem(guildId, roleMapping.role_id);
+      const trigger = describeRoleTrigger(roleMapping.trigger_type, roleMapping.trigger_value, locale);
+      return `• ${trigger} → <@&${roleMapping.role_id}>${problem ? ` ⚠️ ${t(locale, `roles.problems.${problem}`)}` : ''}`;
+    });
+
+    await interaction.editReply({
+      content: `${t(locale, 'roles.heading')}\n${lines.length > 0 ? lines.join('\n') : t(locale, 'common.none')}`.slice(0, 2000),
+      allowedMentions: { parse: [] },
+    });
+    return;
+  }
+
+  const trigger = parseRoleTrigger(interaction.options.getString('activity'));
+  const label = describeRoleTrigger(trigger.type, trigger.value, locale);
+  const existing = roleMappings.find(roleMapping =>
+    roleMapping.trigger_type === trigger.type && roleMapping.trigger_value.toLowerCase() === trigger.value.toLowerCase()
+  );
+  let content;
+
+  if (action === 'unmap') {
+    if (!existing) {
+      await interaction.editReply({ content: t(locale, 'roles.notMapped', { activity: label }) });
+      return;
+    }
+
+    db.removeRoleMapping(guildId, trigger.type, trigger.value);
+    logger.info(`Removed activity role mapping ${trigger.type} "${trigger.value}" in guild ${guildId}`);
+    content = t(locale, 'roles.unmapped', { activity: label, role: `<@&${existing.role_id}>` });
+  } else {
+    const role = interaction.options.getRole('role');
+    const problem = discordManager.getRoleProblem(guildId, role.id);
+    if (problem) {
+      await interaction.editReply({
+        content: t(locale, 'roles.cannotGive', { role, problem: t(locale, `roles.problems.${problem}`) }),
+        allowedMentions: { parse: [] },
+      });
+      return;
+    }
+    if (!existing && roleMappings.length >= MAX_ROLE_MAPPINGS) {
+      await interaction.editReply({ content: t(locale, 'roles.limit', { max: MAX_ROLE_MAPPINGS }) });
+      return;
+    }
+
+    db.setRoleMapping(guildId, trigger.type, trigger.value, role.id);
+    logger.info(`Mapped ${trigger.type} "${trigger.value}" to role ${role.id} in guild ${guildId}`);
+    const activity = trigger.type === 'state'
+      ? t(locale, 'roles.whileState', { state: t(locale, `roles.states.${trigger.value}`) })
+      : t(locale, 'roles.whileGame', { game: trigger.value });
+    content = t(locale, 'roles.mapped', { role, activity });
+    if (trigger.type === 'game' && db.searchGameNames(trigger.value, 1).length === 0) {
+      content += t(locale, 'roles.unknownGame');
+    }
+  }
+
+  // A role that was replaced or unmapped is taken away from the members the bot gave it to
+  if (roleSyncManager) {
+    const releasedRoleIds = existing ? [existing.role_id] : [];
+    roleSyncManager.reconcileGuild(guildId, releasedRoleIds)
+      .catch(error => logger.error(`Error reconciling activity roles in guild ${guildId}:`, error));
+  }
+
+  await interaction.editReply({ content, allowedMentions: { parse: [] } });
+}
+
+async function handleConfig(interaction, { db, discordManager, logger, locale }, action) {
+  // Check if user has admin permissions
+  if (!interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'common.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const guildId = interaction.guildId;
+  const settings = db.getNotificationSettings(guildId);
+
+  if (action === 'events') {
+    const enabled = new Set(settings.enabledEvents);
+    let changed = false;
+
+    for (const eventType of Object.keys(EVENT_TYPES)) {
+      const value = interaction.options.getBoolean(eventType);
+      if (value === null) {
+        continue;
+      }
+
+      changed = true;
+      if (value) {
+        enabled.add(eventType);
+      } else {
+        enabled.delete(eventType);
+      }
+    }
+
+    if (!changed) {
+      await interaction.editReply({ content: t(locale, 'config.pickEvent') });
+      return;
+    }
+
+    settings.enabledEvents = Object.keys(EVENT_TYPES).filter(eventType => enabled.has(eventType));
+  } else if (action === 'game') {
+    const appId = interaction.options.getInteger('app_id');
+    const rule = interaction.options.getString('rule');
+
+    settings.allowedAppIds = settings.allowedAppIds.filter(id => id !== appId);
+    settings.deniedAppIds = settings.deniedAppIds.filter(id => id !== appId);
+
+    if (rule === 'allow') {
+      settings.allowedAppIds.push(appId);
+    } else if (rule === 'deny') {
+      settings.deniedAppIds.push(appId);
+    }
+  } else if (action === 'minsession') {
+    settings.minSessionSeconds = interaction.options.getInteger('seconds');
+  } else if (action === 'cooldown') {
+    const seconds = interaction.options.getInteger('seconds');
+    const trailing = interaction.options.getBoolean('trailing');
+    const current = db.getCooldownSettings(guildId, null);
+
+    db.setGuildCooldown(guildId, seconds, trailing === null ? current.trailingEdge : trailing);
+    logger.info(`Set cooldown for guild ${guildId} to ${seconds}s`);
+  } else if (action === 'usercooldown') {
+    const user = interaction.options.getUser('user');
+    const seconds = interaction.options.getInteger('seconds');
+
+    if (seconds === null) {
+      db.removeUserCooldown(guildId, user.id);
+      await interaction.editReply({ content: t(locale, 'config.userCooldownReset', { user }) });
+    } else {
+      db.setUserCooldown(guildId, user.id, seconds);
+      await interaction.editReply({ content: t(locale, 'config.userCooldownSet', { user, duration: formatDuration(seconds) }) });
+    }
+
+    logger.info(`Updated cooldown override for ${user.id} in guild ${guildId}`);
+    return;
+  } else if (action === 'richpresence') {
+    const current = db.getRichPresenceSettings(guildId);
+    const cooldownSeconds = interaction.options.getInteger('cooldown') ?? current.cooldownSeconds;
+
+    db.setRichPresenceSettings(guildId, interaction.options.getBoolean('enabled'), cooldownSeconds);
+    logger.info(`Updated rich presence settings for guild ${guildId}`);
+  } else if (action === 'friendrequests') {
+    const channel = interaction.options.getChannel('channel');
+    const autoAccept = interaction.options.getBoolean('auto_accept');
+    const current = db.getFriendRequestSettings(guildId);
+
+    if (channel && !channel.isTextBased()) {
+      await interaction.editReply({ content: t(locale, 'common.textChannel') });
+      return;
+    }
+
+    db.setFriendRequestSettings(guildId, channel ? channel.id : null, autoAccept === null ? current.autoAccept : autoAccept);
+    logger.info(`Updated friend request settings for guild ${guildId}`);
+  } else if (action === 'lfg') {
+    const channel = interaction.options.getChannel('channel');
+    if (channel && !channel.isTextBased()) {
+      await interaction.editReply({ content: t(locale, 'common.textChannel') });
+      return;
+    }
+
+    db.setLfgChannel(guildId, channel ? channel.id : null);
+    logger.info(`Set LFG channel for guild ${guildId} to ${channel ? channel.id : 'none'}`);
+  } else if (action === 'template') {
+    await handleTemplateConfig(interaction, { db, discordManager, logger, locale });
+    return;
+  } else if (action === 'locale') {
+    const template = db.getAnnouncementTemplate(guildId);
+    const language = interaction.options.getString('language');
+    template.locale = language === 'auto' ? null : language;
+    db.saveAnnouncementTemplate(guildId, template);
+    logger.info(`Set announcement locale for guild ${guildId} to ${language}`);
+
+    // Confirm in the language that was just picked
+    const newLocale = getGuildLocale(template);
+    await interaction.editReply({
+      content: t(newLocale, template.locale ? 'config.localeSet' : 'config.localeAuto', { language: LOCALES[newLocale].name }),
+    });
+    return;
+  }
+
+  if (!['show', 'cooldown', 'richpresence', 'friendrequests', 'lfg'].includes(action)) {
+    db.saveNotificationSettings(guildId, settings);
+    logger.info(`Updated notification settings (${action}) for guild ${guildId}`);
+  }
+
+  const eventLines = Object.keys(EVENT_TYPES)
+    .map(eventType => `${settings.enabledEvents.includes(eventType) ? '✅' : '❌'} ${t(locale, `events.${eventType}`)}`);
+
+  const none = t(locale, 'config.noGames');
+  const formatIds = ids => (ids.length > 0 ? ids.map(id => `\`${id}\``).join(', ') : none);
+
+  let content = action === 'show' ? `${t(locale, 'config.heading')}\n` : `${t(locale, 'config.updated')}\n\n`;
+  content += `${t(locale, 'config.events')}\n${eventLines.join('\n')}\n\n`;
+  content += `${t(locale, 'config.allowedGames', {
+    games: settings.allowedAppIds.length > 0 ? formatIds(settings.allowedAppIds) : t(locale, 'config.allGames'),
+  })}\n`;
+  content += `${t(locale, 'config.deniedGames', { games: formatIds(settings.deniedAppIds) })}\n`;
+  content += `${t(locale, 'config.minSession', {
+    duration: settings.minSessionSeconds > 0 ? formatDuration(settings.minSessionSeconds) : none,
+  })}\n`;
+
+  const cooldown = db.getCooldownSettings(guildId, null);
+  content += t(locale, 'config.cooldown', { duration: cooldown.cooldownSeconds > 0 ? formatDuration(cooldown.cooldownSeconds) : none });
+  content += t(locale, cooldown.trailingEdge ? 'config.trailing' : 'config.dropped');
+
+  const richPresence = db.getRichPresenceSettings(guildId);
+  content += `\n${t(locale, 'config.richPresence', {
+    state: richPresence.enabled
+      ? t(locale, 'config.richPresenceOn', { duration: formatDuration(richPresence.cooldownSeconds) })
+      : t(locale, 'common.off'),
+  })}`;
+
+  const updateChannel = db.getUpdateChannel(guildId);
+  if (!updateChannel) {
+    content += `\n${t(locale, 'config.updateChannel', { channel: t(locale, 'config.notSet') })}`;
+  } else if (updateChannel.disabled_at) {
+    content += `\n${t(locale, 'config.updateChannelDisabled', {
+      channel: `<#${updateChannel.update_channel_id}>`,
+      reason: updateChannel.disabled_reason,
+    })}`;
+  } else {
+    content += `\n${t(locale, 'config.updateChannel', { channel: `<#${updateChannel.update_channel_id}>` })}`;
+  }
+
+  const friendRequests = db.getFriendRequestSettings(guildId);
+  content += `\n${t(locale, 'config.friendRequests', {
+    where: friendRequests.channelId
+      ? t(locale, 'config.postedIn', { channel: `<#${friendRequests.channelId}>` })
+      : t(locale, 'config.notPosted'),
+  })}`;
+  content += friendRequests.autoAccept ? t(locale, 'config.autoAccepted') : '';
+
+  const lfgChannelId = db.getLfgChannel(guildId);
+  content += `\n${t(locale, 'config.lfgPosts', {
+    where: lfgChannelId ? t(locale, 'config.lfgIn', { channel: `<#${lfgChannelId}>` }) : t(locale, 'config.notPosted'),
+  })}`;
+
+  const template = db.getAnnouncementTemplate(guildId);
+  content += `\n${t(locale, 'config.layout', { layout: t(locale, `layouts.${template.layout}`) })}`;
+  content += `\n${t(locale, 'config.language', { language: LOCALES[getGuildLocale(template)].name })}`;
+  content += template.locale ? '' : t(locale, 'config.serverLanguage');
+
+  await interaction.editReply({ content });
+}
+
+async function handleTemplateConfig(interaction, { db, discordManager, logger, locale }) {
+  const guildId = interaction.guildId;
+  const template = db.getAnnouncementTemplate(guildId);
+  const layout = interaction.options.getString('layout');
+  const text = interaction.options.getString('text');
+
+  if (text) {
+    const unknown = findUnknownPlaceholders(text);
+    if (unknown.length > 0) {
+      const known = Object.keys(PLACEHOLDERS).map(name => `\`{${name}}\``).join(', ');
+      await interaction.editReply({
+        content: t(locale, 'config.unknownPlaceholders', { unknown: unknown.map(name => `\`{${name}}\``).join(', '), known }),
+      });
+      return;
+    }
+    template.customText = text;
+  }
+
+  if (layout === 'custom' && !template.customText) {
+    const known = Object.keys(PLACEHOLDERS).map(name => `\`{${name}}\` ${t(locale, `placeholders.${name}`)}`).join('\n');
+    await interaction.editReply({ content: t(locale, 'config.customNeedsText', { known }) });
+    return;
+  }
+
+  template.layout = layout;
+  db.saveAnnouncementTemplate(guildId, template);
+  logger.info(`Set announcement layout for guild ${guildId} to ${layout}`);
+
+  // Preview a made-up game start, rendered exactly like a real announcement
+  const preview = discordManager.createPresencePayload(
+    { steamId: '76561197960287930', personaName: 'Gabe', personaState: 1, gameId: '620', gameName: 'Portal 2' },
+    null,
+    { ...template, locale: getGuildLocale(template), discordId: interaction.user.id, durationSeconds: null }
+  );
+  const heading = t(locale, 'config.templateSet', { layout: t(locale, `layouts.${layout}`) });
+
+  await interaction.editReply({
+    content: preview.content ? `${heading}\n\n${preview.content}`.slice(0, 2000) : heading,
+    embeds: preview.embeds || [],
+    allowedMentions: { parse: [] },
+  });
+}
+
+async function handleAdmin(interaction, { db, steamManager, discordManager, ownerIds, logger, locale }, action) {
+  // Check if user has admin permissions
+  if (!interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'common.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  if (action === 'export') {
+    const document = exportData(db, { guildId: interaction.guildId });
+    const attachment = new AttachmentBuilder(Buffer.from(JSON.stringify(document, null, 2)), {
+      name: `steam-bot-export-${interaction.guildId}.json`,
+    });
+
+    logger.info(`${interaction.user.id} exported data for guild ${interaction.guildId}`);
+    await interaction.editReply({
+      content: t(locale, 'admin.exported', {
+        accounts: document.data.userMappings.length,
+        sessions: document.data.playSessions.length,
+      }),
+      files: [attachment],
+    });
+    return;
+  }
+
+  // The friends list is shared by every server, so a single server's admins don't get to manage it
+  if (!ownerIds.includes(interaction.user.id)) {
+    await interaction.editReply({ content: t(locale, 'admin.ownerOnly') });
+    return;
+  }
+
+  if (!steamManager.isLoggedIn) {
+    await interaction.editReply({ content: t(locale, 'admin.steamOffline') });
+    return;
+  }
+
+  const inactiveDays = interaction.options.getInteger('inactive_days') ?? DEFAULT_INACTIVE_DAYS;
+  const deps = { db, steamManager, discordManager };
+  const report = await buildFriendReport(deps, inactiveDays);
+
+  if (action === 'friends') {
+    await interaction.editReply({ content: formatFriendReport(report, inactiveDays, locale) });
+    return;
+  }
+
+  const category = interaction.options.getString('category');
+  const dryRun = interaction.options.getBoolean('dry_run') ?? true;
+  const candidates = report[category];
+
+  if (candidates.length === 0) {
+    await interaction.editReply({ content: t(locale, 'admin.noMatch', { category: t(locale, `friends.categories.${category}`) }) });
+    return;
+  }
+
+  const preview = t(locale, 'admin.wouldRemove', { count: candidates.length, list: formatFriendList(candidates, locale) });
+  if (dryRun) {
+    await interaction.editReply({ content: t(locale, 'admin.dryRun', { preview }) });
+    return;
+  }
+
+  const message = await interaction.editReply({
+    content: t(locale, 'admin.confirm', { preview }),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId('prune:confirm')
+          .setLabel(t(locale, 'admin.removeButton', { count: candidates.length }))
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId('prune:cancel')
+          .setLabel(t(locale, 'common.cancel'))
+          .setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+  });
+
+  let choice;
+  try {
+    choice = await message.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      filter: i => i.user.id === interaction.user.id,
+      time: CONFIRM_TIMEOUT_MS,
+    });
+  } catch {
+    await interaction.editReply({ content: t(locale, 'admin.timedOut'), components: [] });
+    return;
+  }
+
+  if (choice.customId !== 'prune:confirm') {
+    await choice.update({ content: t(locale, 'admin.cancelled'), components: [] });
+    return;
+  }
+
+  await choice.update({ content: t(locale, 'admin.removing'), components: [] });
+
+  // Only remove friends that still match now; someone may have linked in the meantime
+  const current = new Set((await buildFriendReport(deps, inactiveDays))[category].map(entry => entry.steamId));
+  let removed = 0;
+  for (const entry of candidates) {
+    if (!current.has(entry.steamId)) {
+      continue;
+    }
+
+    steamManager.removeFriend(entry.steamId);
+    removed++;
+  }
+
+  logger.info(`${interaction.user.id} pruned ${removed} Steam friend(s) (${category})`);
+  await interaction.editReply({ content: t(locale, 'admin.removed', { count: removed }) });
+}
+
+async function handleFriendRequestButton(interaction, { friendRequestManager, logger, locale }, accept, steamId) {
+  if (!interaction.inGuild() || !interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'friendRequests.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const result = await friendRequestManager.decide(steamId, accept, interaction.user.id, interaction.guildId);
+  let content;
+  if (result.status === 'handled') {
+    content = result.request ? t(locale, `friendRequests.already.${result.request.status}`) : t(locale, 'friendRequests.handled');
+  } else {
+    content = t(locale, `friendRequests.${result.status}`, { steamId });
+  }
+
+  logger.debug(`Friend request button for ${steamId} handled by ${interaction.user.id}: ${result.status}`);
+  await interaction.editReply({ content });
+}
+
+async function handleSetChannel(interaction, { db, logger, locale }) {
+  // Check if user has admin permissions
+  if (!interaction.member.permissions.has('Administrator')) {
+    await interaction.reply({
+      content: t(locale, 'common.adminOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const channel = interaction.options.getChannel('channel');
+  const guildId = interaction.guildId;
+
+  // Verify it's a text channel
+  if (!channel.isTextBased()) {
+    await interaction.editReply({
+      content: t(locale, 'common.textChannel'),
+    });
+    return;
+  }
+
+  // Check bot permissions in the channel
+  const permissions = channel.permissionsFor(interaction.guild.members.me);
+  if (!permissions.has('SendMessages') || !permissions.has('EmbedLinks')) {
+    await interaction.editReply({
+      content: t(locale, 'common.channelPermissions'),
+    });
+    return;
+  }
+
+  db.setUpdateChannel(guildId, channel.id);
+  logger.info(`Set update channel for guild ${guildId} to ${channel.id}`);
+
+  await interaction.editReply({
+    content: t(locale, 'setChannel.done', { channel }),
+  });
+}
+
+async function handleAnnounce(interaction, { db, roleSyncManager, logger, locale }, enable) {
+  if (!interaction.inGuild()) {
+    await interaction.reply({
+      content: t(locale, 'common.guildOnly'),
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+  const guildId = interaction.guildId;
+
+  if (!enable) {
+    const result = db.removeAnnounceOptIn(guildId, discordId);
+    logger.info(`Discord user ${discordId} opted out of announcements in guild ${guildId}`);
+    if (roleSyncManager) {
+      await roleSyncManager.syncUser(discordId);
+    }
+
+    await interaction.editReply({
+      content: t(locale, result.changes > 0 ? 'announce.disabled' : 'announce.notAnnounced'),
+    });
+    return;
+  }
+
+  const mapping = db.getUserMapping(discordId);
+  if (!mapping) {
+    await interaction.editReply({
+      content: t(locale, 'common.notLinked'),
+    });
+    return;
+  }
+
+  db.setAnnounceOptIn(guildId, discordId);
+  logger.info(`Discord user ${discordId} opted in to announcements in guild ${guildId}`);
+  if (roleSyncManager) {
+    await roleSyncManager.syncUser(discordId);
+  }
+
+  let content = t(locale, 'announce.enabled');
+  if (db.getPrivacySettings(discordId).visibility === 'off') {
+    content += t(locale, 'announce.visibilityOff');
+  }
+  if (!db.getUpdateChannel(guildId)) {
+    content += t(locale, 'announce.noUpdateChannel');
   }
 
-  throw new Error('Invalid Steam identifier format');
+  await interaction.editReply({ content });
 }
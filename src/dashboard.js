@@ -0,0 +1,172 @@
+import { EmbedBuilder } from 'discord.js';
+import { getGuildLocale, t } from './i18n.js';
+
+// A burst of presence events within this window results in a single edit
+const DEBOUNCE_MS = 5000;
+
+// Never edit the same dashboard more often than this (keeps well inside Discord's edit limits)
+const MIN_EDIT_INTERVAL_MS = 15000;
+
+// Discord error codes meaning the dashboard message or its channel is gone
+const MISSING_MESSAGE_CODES = [10003, 10008];
+
+const ONLINE_STATES = [1, 2, 5, 6];
+const AWAY_STATES = [3, 4];
+
+class DashboardManager {
+  constructor(db, discordManager, logger) {
+    this.db = db;
+    this.discordManager = discordManager;
+    this.logger = logger;
+    this.timers = new Map();
+    this.lastEditAt = new Map();
+  }
+
+  requestUpdateForUser(discordId) {
+    for (const dashboard of this.db.getDashboardsForUser(discordId)) {
+      this.requestUpdate(dashboard.guild_id);
+    }
+  }
+
+  refreshAll() {
+    for (const dashboard of this.db.getAllDashboards()) {
+      this.requestUpdate(dashboard.guild_id);
+    }
+  }
+
+  requestUpdate(guildId) {
+    if (this.timers.has(guildId)) {
+      // Already scheduled; this change is picked up by the pending edit
+      return;
+    }
+
+    const sinceLastEdit = Date.now() - (this.lastEditAt.get(guildId) || 0);
+    const delay = Math.max(DEBOUNCE_MS, MIN_EDIT_INTERVAL_MS - sinceLastEdit);
+
+    this.timers.set(guildId, setTimeout(() => {
+      this.timers.delete(guildId);
+      this.flush(guildId);
+    }, delay));
+  }
+
+  async flush(guildId) {
+    const dashboard = this.db.getDashboard(guildId);
+    if (!dashboard) {
+      return;
+    }
+
+    try {
+      this.lastEditAt.set(guildId, Date.now());
+      const payload = await this.render(guildId);
+      await this.discordManager.editMessage(dashboard.channel_id, dashboard.message_id, payload);
+      this.logger.debug(`Updated dashboard for guild ${guildId}`);
+    } catch (error) {
+      if (MISSING_MESSAGE_CODES.includes(error.code)) {
+        this.logger.warn(`Dashboard message for guild ${guildId} no longer exists; removing dashboard`);
+        this.db.removeDashboard(guildId);
+        return;
+      }
+
+      this.logger.error(`Error updating dashboard for guild ${guildId}:`, error);
+    }
+  }
+
+  async render(guildId) {
+    const rows = this.db.getDashboardEntries(guildId);
+    const memberIds = await this.discordManager.getGuildMemberIds(guildId, rows.map(row => row.discord_id));
+    const entries = rows.filter(row => memberIds.has(row.discord_id));
+
+    const locale = getGuildLocale(this.db.getAnnouncementTemplate(guildId));
+    return { embeds: [this.createEmbed(entries, locale)] };
+  }
+
+  createEmbed(entries, locale) {
+    const counts = { online: 0, away: 0, offline: 0 };
+    const games = new Map();
+
+    // Users with several linked accounts count once, by their most present account
+    const states = new Map();
+    for (const entry of entries) {
+      const rank = ONLINE_STATES.includes(entry.persona_state) ? 2 : AWAY_STATES.includes(entry.persona_state) ? 1 : 0;
+      states.set(entry.discord_id, Math.max(states.get(entry.discord_id) ?? 0, rank));
+
+      if (entry.game_name) {
+        if (!games.has(entry.game_name)) {
+          games.set(entry.game_name, new Map());
+        }
+        const players = games.get(entry.game_name);
+        if (!players.has(entry.discord_id) || !players.get(entry.discord_id).started_at) {
+          players.set(entry.discord_id, entry);
+        }
+      }
+    }
+
+    for (const rank of states.values()) {
+      if (rank === 2) {
+        counts.online++;
+      } else if (rank === 1) {
+        counts.away++;
+      } else {
+        counts.offline++;
+      }
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, 'dashboard.title'))
+      .setColor(0x66c0f4)
+      .setFooter({ text: t(locale, 'dashboard.footer') })
+      .setTimestamp();
+
+    let description = t(locale, 'dashboard.counts', counts);
+    if (games.size === 0) {
+      description += `\n\n${t(locale, 'dashboard.nobodyPlaying')}`;
+    }
+    embed.setDescription(description);
+
+    // Most popular games first; Discord allows at most 25 fields
+    const sortedGames = [...games.entries()]
+      .map(([gameName, players]) => [gameName, [...players.values()]])
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, 25);
+
+    for (const [gameName, players] of sortedGames) {
+      const lines = players.map(player => {
+        // Relative timestamps keep counting up client-side without further edits
+        return player.started_at
+          ? t(locale, 'dashboard.playerSince', { discordId: player.discord_id, started: player.started_at })
+          : `<@${player.discord_id}>`;
+      });
+
+      embed.addFields({
+        name: `${gameName} (${players.length})`.slice(0, 256),
+        value: truncateLines(lines, 1024, locale),
+      });
+    }
+
+    return embed;
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+function truncateLines(lines, maxLength, locale) {
+  let value = '';
+
+  for (let i = 0; i < lines.length; i++) {
+    const suffix = `\n${t(locale, 'common.more', { count: lines.length - i })}`;
+    const next = value ? `${value}\n${lines[i]}` : lines[i];
+
+    if (next.length + suffix.length > maxLength && i < lines.length - 1) {
+      return value + suffix;
+    }
+
+    value = next;
+  }
+
+  return value;
+}
+
+export default DashboardManager;
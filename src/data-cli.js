@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Export and import bot data as JSON
+ * Run with: npm run export -- [file] [--guild <id>]
+ *           npm run import -- <file> [--replace]
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import DatabaseManager from './database.js';
+import { exportData, importData } from './data-export.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dbPath = process.env.DATABASE_PATH || join(__dirname, '../database/bot.db');
+const [command, ...args] = process.argv.slice(2);
+
+function takeFlag(name) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return false;
+  }
+  args.splice(index, 1);
+  return true;
+}
+
+function takeOption(name) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return null;
+  }
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+let db;
+try {
+  if (command === 'export') {
+    const guildId = takeOption('--guild');
+    const file = args[0] || `steam-bot-export-${new Date().toISOString().slice(0, 10)}.json`;
+
+    db = new DatabaseManager(dbPath);
+    const document = exportData(db, { guildId });
+    fs.writeFileSync(file, JSON.stringify(document, null, 2));
+
+    console.log(`✓ Exported ${guildId ? `guild ${guildId}` : 'all data'} to ${file}`);
+    for (const [key, rows] of Object.entries(document.data)) {
+      console.log(`  ${key}: ${rows.length}`);
+    }
+  } else if (command === 'import') {
+    const replace = takeFlag('--replace');
+    const file = args[0];
+    if (!file) {
+      throw new Error('Usage: npm run import -- <file> [--replace]');
+    }
+
+    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    db = new DatabaseManager(dbPath);
+    const counts = importData(db, document, { mode: replace ? 'replace' : 'merge' });
+
+    console.log(`✓ Imported ${file} (${replace ? 'replace' : 'merge'})`);
+    for (const [key, count] of Object.entries(counts)) {
+      console.log(`  ${key}: ${count}`);
+    }
+  } else {
+    throw new Error('Usage: node src/data-cli.js export [file] [--guild <id>] | import <file> [--replace]');
+  }
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  if (db) {
+    db.close();
+  }
+}
@@ -0,0 +1,263 @@
+import { LATEST_SCHEMA_VERSION } from './migrator.js';
+
+export const EXPORT_FORMAT = 'steam-bot-discord-export';
+export const EXPORT_VERSION = 1;
+
+// Exported tables. Column types: string/integer, with a trailing ? when NULL is allowed.
+// scope decides which rows belong to a guild when exporting a single guild.
+const TABLES = {
+  userMappings: {
+    table: 'user_mappings',
+    scope: 'user',
+    columns: { steam_id: 'string', discord_id: 'string', is_primary: 'integer', linked_at: 'integer', updated_at: 'integer' },
+  },
+  serverConfigs: {
+    table: 'server_configs',
+    scope: 'guild',
+    columns: {
+      guild_id: 'string',
+      update_channel_id: 'string',
+      disabled_at: 'integer?',
+      disabled_reason: 'string?',
+      created_at: 'integer',
+      updated_at: 'integer',
+    },
+  },
+  announceOptIns: {
+    table: 'announce_opt_ins',
+    scope: 'guild',
+    columns: { guild_id: 'string', discord_id: 'string', created_at: 'integer' },
+  },
+  cooldownSettings: {
+    table: 'cooldown_settings',
+    scope: 'guild',
+    columns: { guild_id: 'string', discord_id: 'string', cooldown_seconds: 'integer', trailing_edge: 'integer', updated_at: 'integer' },
+  },
+  notificationSettings: {
+    table: 'notification_settings',
+    scope: 'guild',
+    columns: {
+      guild_id: 'string',
+      enabled_events: 'string?',
+      allowed_app_ids: 'string?',
+      denied_app_ids: 'string?',
+      min_session_seconds: 'integer',
+      updated_at: 'integer',
+    },
+  },
+  richPresenceSettings: {
+    table: 'rich_presence_settings',
+    scope: 'guild',
+    columns: { guild_id: 'string', enabled: 'integer', cooldown_seconds: 'integer', updated_at: 'integer' },
+  },
+  leaderboardSettings: {
+    table: 'leaderboard_settings',
+    scope: 'guild',
+    columns: { guild_id: 'string', weekly_enabled: 'integer', last_posted_at: 'integer?', updated_at: 'integer' },
+  },
+  friendRequestSettings: {
+    table: 'friend_request_settings',
+    scope: 'guild',
+    columns: { guild_id: 'string', channel_id: 'string?', auto_accept: 'integer', updated_at: 'integer' },
+  },
+  dashboards: {
+    table: 'dashboards',
+    scope: 'guild',
+    columns: { guild_id: 'string', channel_id: 'string', message_id: 'string', created_at: 'integer' },
+  },
+  gameWatches: {
+    table: 'game_watches',
+    scope: 'guild',
+    columns: {
+      guild_id: 'string',
+      game_name: 'string',
+      target_type: 'string',
+      target_id: 'string',
+      created_by: 'string?',
+      last_alerted_at: 'integer?',
+      created_at: 'integer',
+    },
+  },
+  lfgSettings: {
+    table: 'lfg_settings',
+    scope: 'guild',
+    columns: { guild_id: 'string', channel_id: 'string?', updated_at: 'integer' },
+  },
+  roleMappings: {
+    table: 'role_mappings',
+    scope: 'guild',
+    columns: { guild_id: 'string', trigger_type: 'string', trigger_value: 'string', role_id: 'string', created_at: 'integer' },
+  },
+  roleAssignments: {
+    table: 'role_assignments',
+    scope: 'guild',
+    columns: { guild_id: 'string', discord_id: 'string', role_id: 'string', assigned_at: 'integer' },
+  },
+  announcementTemplates: {
+    table: 'announcement_templates',
+    scope: 'guild',
+    columns: {
+      guild_id: 'string',
+      layout: 'string',
+      custom_text: 'string?',
+      locale: 'string?',
+      detected_locale: 'string?',
+      updated_at: 'integer',
+    },
+  },
+  watchQuietHours: {
+    table: 'watch_quiet_hours',
+    scope: 'user',
+    columns: { discord_id: 'string', start_minute: 'integer', end_minute: 'integer', utc_offset_minutes: 'integer', updated_at: 'integer' },
+  },
+  privacySettings: {
+    table: 'privacy_settings',
+    scope: 'user',
+    columns: {
+      discord_id: 'string',
+      visibility: 'string',
+      hidden_games: 'string',
+      paused_until: 'integer?',
+      updated_at: 'integer',
+    },
+  },
+  playSessions: {
+    table: 'play_sessions',
+    scope: 'steam',
+    columns: {
+      steam_id: 'string',
+      game_id: 'string?',
+      game_name: 'string',
+      started_at: 'integer',
+      ended_at: 'integer?',
+      duration: 'integer?',
+    },
+  },
+};
+
+export function exportData(db, { guildId = null } = {}) {
+  const data = {};
+  for (const [key, spec] of Object.entries(TABLES)) {
+    data[key] = db.getExportRows(spec.table, Object.keys(spec.columns), spec.scope, guildId);
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    schemaVersion: db.getSchemaVersion(),
+    exportedAt: new Date().toISOString(),
+    guildId,
+    data,
+  };
+}
+
+function checkValue(value, type) {
+  if (value === null) {
+    return type.endsWith('?');
+  }
+
+  const baseType = type.replace('?', '');
+  if (baseType === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeof value === 'string';
+}
+
+// Throws with every problem found, so a broken file can be fixed in one pass
+export function validateExport(document) {
+  const errors = [];
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Export must be a JSON object');
+  }
+  if (document.format !== EXPORT_FORMAT) {
+    errors.push(`format must be "${EXPORT_FORMAT}"`);
+  }
+  if (document.version !== EXPORT_VERSION) {
+    errors.push(`unsupported export version ${document.version} (expected ${EXPORT_VERSION})`);
+  }
+  if (!Number.isInteger(document.schemaVersion) || document.schemaVersion > LATEST_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${document.schemaVersion} is newer than this build supports (${LATEST_SCHEMA_VERSION})`);
+  }
+  if (document.guildId !== null && document.guildId !== undefined && typeof document.guildId !== 'string') {
+    errors.push('guildId must be a string or null');
+  }
+  if (!document.data || typeof document.data !== 'object') {
+    errors.push('data must be an object');
+  }
+
+  for (const key of Object.keys(document.data || {})) {
+    const spec = TABLES[key];
+    const rows = document.data[key];
+    if (!spec) {
+      errors.push(`data.${key} is not a known table`);
+      continue;
+    }
+    if (!Array.isArray(rows)) {
+      errors.push(`data.${key} must be an array`);
+      continue;
+    }
+
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object') {
+        errors.push(`data.${key}[${index}] must be an object`);
+        return;
+      }
+      if (document.guildId && spec.scope === 'guild' && row.guild_id !== document.guildId) {
+        errors.push(`data.${key}[${index}].guild_id does not match the exported guild`);
+      }
+      for (const [column, type] of Object.entries(spec.columns)) {
+        if (!checkValue(row[column] ?? null, type)) {
+          errors.push(`data.${key}[${index}].${column} must be ${type.endsWith('?') ? `${type.slice(0, -1)} or null` : type}`);
+        }
+      }
+      for (const column of Object.keys(row)) {
+        if (!(column in spec.columns)) {
+          errors.push(`data.${key}[${index}].${column} is not a known column`);
+        }
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 20).join('\n  - ');
+    const more = errors.length > 20 ? `\n  …and ${errors.length - 20} more` : '';
+    throw new Error(`Invalid export:\n  - ${shown}${more}`);
+  }
+}
+
+// mode 'merge' upserts rows; 'replace' first clears the covered data (only the exported guild's rows for guild exports)
+export function importData(db, document, { mode = 'merge' } = {}) {
+  validateExport(document);
+
+  const guildId = document.guildId || null;
+  const counts = {};
+
+  db.transaction(() => {
+    for (const [key, rows] of Object.entries(document.data)) {
+      const spec = TABLES[key];
+      const columns = Object.keys(spec.columns);
+
+      // A guild export must not wipe users and history shared with other guilds
+      if (mode === 'replace' && (!guildId || spec.scope === 'guild')) {
+        db.deleteExportRows(spec.table, spec.scope, guildId);
+      }
+
+      let imported = 0;
+      for (const row of rows) {
+        const values = Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+        if (key === 'playSessions') {
+          imported += db.importPlaySession(values) ? 1 : 0;
+        } else {
+          db.importRow(spec.table, columns, values);
+          imported++;
+        }
+      }
+      counts[key] = imported;
+    }
+
+    db.normalizePrimaryAccounts();
+  });
+
+  return counts;
+}
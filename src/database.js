@@ -2,10 +2,99 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { EVENT_TYPES } from './notification-filters.js';
+import { runMigrations, getMigrationStatus } from './migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// The fields of a steam_cache or last_announcements row that describe a presence change,
+// in the same shape as the presence data SteamManager emits
+function toPresenceState(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    personaState: row.persona_state,
+    gameId: row.game_id,
+    gameName: row.game_name,
+  };
+}
+
+// Per-account presence state that is meaningless once the account is unlinked
+const PRESENCE_STATE_TABLES = ['steam_cache', 'rich_presence_cache', 'last_announcements', 'rich_presence_announcements', 'lfg_posts', 'lfg_joins'];
+
+// Tables holding per-guild settings and state, cleared when the bot leaves a guild
+const GUILD_TABLES = [
+  'server_configs',
+  'announce_opt_ins',
+  'cooldown_settings',
+  'notification_settings',
+  'rich_presence_settings',
+  'rich_presence_announcements',
+  'last_announcements',
+  'leaderboard_settings',
+  'dashboards',
+  'friend_request_settings',
+  'game_watches',
+  'lfg_settings',
+  'lfg_posts',
+  'lfg_joins',
+  'role_mappings',
+  'role_assignments',
+  'announcement_templates',
+];
+
+// Whether a user's presence may be shown in a guild, by privacy visibility: 'everyone' = every guild,
+// 'guild' (default) = guilds they opted in to, 'off' = none. The query must join the user's
+// privacy_settings row as p; the arguments are SQL expressions (a column or a ? placeholder).
+function visibleInGuild(discordId, guildId) {
+  return `(
+    COALESCE(p.visibility, 'guild') = 'everyone'
+    OR (COALESCE(p.visibility, 'guild') = 'guild'
+      AND EXISTS (SELECT 1 FROM announce_opt_ins ao WHERE ao.discord_id = ${discordId} AND ao.guild_id = ${guildId}))
+  )`;
+}
+
+// Configured guilds a user's presence may reach. Takes the user's Discord ID twice.
+const VISIBLE_GUILDS = `
+  guild_id IN (
+    SELECT sc.guild_id FROM server_configs sc
+    LEFT JOIN privacy_settings p ON p.discord_id = ?
+    WHERE sc.disabled_at IS NULL AND ${visibleInGuild('?', 'sc.guild_id')}
+  )
+`;
+
+// Row filters for exporting or replacing a single guild's data; each takes the guild ID once.
+// Members whose privacy visibility hides them from the guild are left out, and so are play sessions
+// (the only steam-scoped rows) of games they hid.
+const GUILD_SCOPES = {
+  guild: 'guild_id = ?',
+  user: `discord_id IN (
+    SELECT oi.discord_id FROM announce_opt_ins oi
+    LEFT JOIN privacy_settings p ON p.discord_id = oi.discord_id
+    WHERE oi.guild_id = ? AND ${visibleInGuild('oi.discord_id', 'oi.guild_id')}
+  )`,
+  steam: `steam_id IN (
+    SELECT um.steam_id FROM user_mappings um
+    INNER JOIN announce_opt_ins oi ON oi.discord_id = um.discord_id
+    LEFT JOIN privacy_settings p ON p.discord_id = um.discord_id
+    WHERE oi.guild_id = ? AND ${visibleInGuild('um.discord_id', 'oi.guild_id')}
+  ) AND NOT EXISTS (
+    SELECT 1 FROM user_mappings hm
+    INNER JOIN privacy_settings hp ON hp.discord_id = hm.discord_id, json_each(hp.hidden_games) hg
+    WHERE hm.steam_id = play_sessions.steam_id AND lower(hg.value) = lower(play_sessions.game_name)
+  )`,
+};
+
+// Minimum time between announcements for the same user in a guild, unless configured
+const DEFAULT_COOLDOWN_SECONDS = 300;
+
 class DatabaseManager {
   constructor(dbPath) {
     // Ensure database directory exists
@@ -16,71 +105,71 @@ class DatabaseManager {
 
     this.db = new Database(dbPath);
     this.db.pragma('journal_mode = WAL');
-    this.initSchema();
+    try {
+      const { applied, backupPath } = runMigrations(this.db, dbPath);
+      this.appliedMigrations = applied;
+      this.migrationBackupPath = backupPath;
+    } catch (error) {
+      this.db.close();
+      throw error;
+    }
   }
 
-  initSchema() {
-    // User mappings table: Discord user ID <-> Steam ID
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS user_mappings (
-        discord_id TEXT PRIMARY KEY,
-        steam_id TEXT NOT NULL UNIQUE,
-        linked_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
-        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
-      )
+  // User mapping methods
+  linkUser(discordId, steamId) {
+    // The first account a user links becomes their primary one
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO user_mappings (steam_id, discord_id, is_primary, updated_at)
+      VALUES (?, ?, NOT EXISTS (SELECT 1 FROM user_mappings WHERE discord_id = ? AND steam_id != ?), strftime('%s', 'now'))
     `);
+    return stmt.run(steamId, discordId, discordId, steamId);
+  }
 
-    // Server configurations table: per-guild update channel
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS server_configs (
-        guild_id TEXT PRIMARY KEY,
-        update_channel_id TEXT NOT NULL,
-        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
-        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
-      )
-    `);
+  // Play history is kept so relinking the account restores it; /steam forget-me deletes it
+  unlinkUser(discordId, steamId) {
+    return this.db.transaction(() => {
+      const result = this.db.prepare('DELETE FROM user_mappings WHERE discord_id = ? AND steam_id = ?').run(discordId, steamId);
+      if (result.changes === 0) {
+        return result;
+      }
 
-    // Rate limiting table: track last update per user
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS rate_limits (
-        steam_id TEXT PRIMARY KEY,
-        last_update INTEGER NOT NULL,
-        update_count INTEGER DEFAULT 0
-      )
-    `);
+      for (const table of PRESENCE_STATE_TABLES) {
+        this.db.prepare(`DELETE FROM ${table} WHERE steam_id = ?`).run(steamId);
+      }
+      this.endPlaySession(steamId);
 
-    // Steam cache table: store current state
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS steam_cache (
-        steam_id TEXT PRIMARY KEY,
-        persona_name TEXT,
-        game_name TEXT,
-        game_id TEXT,
-        persona_state INTEGER,
-        last_updated INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
-      )
-    `);
-  }
+      // Promote the oldest remaining account if the primary one was removed
+      this.db.prepare(`
+        UPDATE user_mappings SET is_primary = 1
+        WHERE steam_id = (SELECT steam_id FROM user_mappings WHERE discord_id = ? ORDER BY linked_at, steam_id LIMIT 1)
+          AND NOT EXISTS (SELECT 1 FROM user_mappings WHERE discord_id = ? AND is_primary = 1)
+      `).run(discordId, discordId);
 
-  // User mapping methods
-  linkUser(discordId, steamId) {
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO user_mappings (discord_id, steam_id, updated_at)
-      VALUES (?, ?, strftime('%s', 'now'))
-    `);
-    return stmt.run(discordId, steamId);
+      return result;
+    })();
   }
 
-  unlinkUser(discordId) {
-    const stmt = this.db.prepare('DELETE FROM user_mappings WHERE discord_id = ?');
-    return stmt.run(discordId);
+  setPrimaryAccount(discordId, steamId) {
+    return this.db.transaction(() => {
+      this.db.prepare('UPDATE user_mappings SET is_primary = 0 WHERE discord_id = ?').run(discordId);
+      return this.db.prepare(`
+        UPDATE user_mappings SET is_primary = 1, updated_at = strftime('%s', 'now')
+        WHERE discord_id = ? AND steam_id = ?
+      `).run(discordId, steamId);
+    })();
   }
 
+  // Returns the user's primary account
   getUserMapping(discordId) {
-    const stmt = this.db.prepare('SELECT * FROM user_mappings WHERE discord_id = ?');
+    const stmt = this.db.prepare('SELECT * FROM user_mappings WHERE discord_id = ? ORDER BY is_primary DESC, linked_at LIMIT 1');
     return stmt.get(discordId);
   }
 
+  getUserMappings(discordId) {
+    const stmt = this.db.prepare('SELECT * FROM user_mappings WHERE discord_id = ? ORDER BY is_primary DESC, linked_at, steam_id');
+    return stmt.all(discordId);
+  }
+
   getMappingBySteamId(steamId) {
     const stmt = this.db.prepare('SELECT * FROM user_mappings WHERE steam_id = ?');
     return stmt.get(steamId);
@@ -91,6 +180,52 @@ class DatabaseManager {
     return stmt.all();
   }
 
+  // Verification methods
+  // Replacing a pending verification keeps its attempt count, so wrong guesses carry over to the new code
+  createVerification(discordId, steamId, code, expiresAt) {
+    const stmt = this.db.prepare(`
+      INSERT INTO pending_verifications (discord_id, steam_id, code, attempts, expires_at, created_at)
+      VALUES (?, ?, ?, 0, ?, strftime('%s', 'now'))
+      ON CONFLICT(discord_id) DO UPDATE SET
+        steam_id = excluded.steam_id,
+        code = excluded.code,
+        expires_at = excluded.expires_at,
+        created_at = excluded.created_at
+    `);
+    return stmt.run(discordId, steamId, code, expiresAt);
+  }
+
+  getVerification(discordId) {
+    const stmt = this.db.prepare('SELECT * FROM pending_verifications WHERE discord_id = ?');
+    return stmt.get(discordId);
+  }
+
+  getVerificationsBySteamId(steamId) {
+    const stmt = this.db.prepare('SELECT * FROM pending_verifications WHERE steam_id = ?');
+    return stmt.all(steamId);
+  }
+
+  incrementVerificationAttempts(discordId) {
+    const stmt = this.db.prepare('UPDATE pending_verifications SET attempts = attempts + 1 WHERE discord_id = ?');
+    return stmt.run(discordId);
+  }
+
+  // Keeps the row as a lockout marker so /steam link can't hand out a fresh code straight away
+  lockVerification(discordId, lockedUntil) {
+    const stmt = this.db.prepare('UPDATE pending_verifications SET attempts = attempts + 1, expires_at = ? WHERE discord_id = ?');
+    return stmt.run(lockedUntil, discordId);
+  }
+
+  deleteVerification(discordId) {
+    const stmt = this.db.prepare('DELETE FROM pending_verifications WHERE discord_id = ?');
+    return stmt.run(discordId);
+  }
+
+  deleteExpiredVerifications() {
+    const stmt = this.db.prepare("DELETE FROM pending_verifications WHERE expires_at <= strftime('%s', 'now')");
+    return stmt.run();
+  }
+
   // Server config methods
   setUpdateChannel(guildId, channelId) {
     const stmt = this.db.prepare(`
@@ -110,26 +245,217 @@ class DatabaseManager {
     return stmt.all();
   }
 
-  // Rate limiting methods
-  canUpdate(steamId, cooldownSeconds = 300) {
-    const now = Math.floor(Date.now() / 1000);
-    const stmt = this.db.prepare('SELECT * FROM rate_limits WHERE steam_id = ?');
-    const record = stmt.get(steamId);
+  getServerConfigsByChannel(channelId) {
+    const stmt = this.db.prepare('SELECT * FROM server_configs WHERE update_channel_id = ? AND disabled_at IS NULL');
+    return stmt.all(channelId);
+  }
+
+  disableUpdateChannel(guildId, reason) {
+    const stmt = this.db.prepare(`
+      UPDATE server_configs SET disabled_at = strftime('%s', 'now'), disabled_reason = ?, updated_at = strftime('%s', 'now')
+      WHERE guild_id = ?
+    `);
+    return stmt.run(reason, guildId);
+  }
+
+  // Guild lifecycle methods
+  getKnownGuildIds() {
+    const stmt = this.db.prepare(GUILD_TABLES.map(table => `SELECT guild_id FROM ${table}`).join(' UNION '));
+    return stmt.pluck().all();
+  }
+
+  removeGuildData(guildId) {
+    return this.transaction(() => {
+      let deleted = 0;
+      for (const table of GUILD_TABLES) {
+        deleted += this.db.prepare(`DELETE FROM ${table} WHERE guild_id = ?`).run(guildId).changes;
+      }
+      this.db.prepare('UPDATE link_intents SET guild_id = NULL WHERE guild_id = ?').run(guildId);
+      return deleted;
+    });
+  }
+
+  removeMemberData(guildId, discordId) {
+    return this.transaction(() => {
+      const optIn = this.db.prepare('DELETE FROM announce_opt_ins WHERE guild_id = ? AND discord_id = ?').run(guildId, discordId);
+      this.db.prepare('DELETE FROM cooldown_settings WHERE guild_id = ? AND discord_id = ?').run(guildId, discordId);
+      this.db.prepare("DELETE FROM game_watches WHERE guild_id = ? AND target_type = 'user' AND target_id = ?").run(guildId, discordId);
+      this.db.prepare('DELETE FROM role_assignments WHERE guild_id = ? AND discord_id = ?').run(guildId, discordId);
+      this.db.prepare('DELETE FROM lfg_joins WHERE guild_id = ? AND discord_id = ?').run(guildId, discordId);
+      return optIn;
+    });
+  }
+
+  // Friend request channels are cleared separately (clearFriendRequestChannel) so callers can report them
+  removeChannelData(channelId) {
+    return this.transaction(() => {
+      this.db.prepare('DELETE FROM server_configs WHERE update_channel_id = ?').run(channelId);
+      this.db.prepare('DELETE FROM dashboards WHERE channel_id = ?').run(channelId);
+      this.db.prepare('DELETE FROM friend_request_messages WHERE channel_id = ?').run(channelId);
+      this.db.prepare('DELETE FROM lfg_posts WHERE channel_id = ?').run(channelId);
+      this.db.prepare(`
+        DELETE FROM lfg_joins WHERE NOT EXISTS (
+          SELECT 1 FROM lfg_posts lp WHERE lp.guild_id = lfg_joins.guild_id AND lp.steam_id = lfg_joins.steam_id
+        )
+      `).run();
+      this.db.prepare('UPDATE lfg_settings SET channel_id = NULL WHERE channel_id = ?').run(channelId);
+    });
+  }
+
+  // Rich presence methods
+  updateRichPresence(steamId, richPresence) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO rich_presence_cache (steam_id, display, map, game_mode, party_id, party_size, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(
+      steamId,
+      richPresence.display,
+      richPresence.map,
+      richPresence.gameMode,
+      richPresence.partyId,
+      richPresence.partySize
+    );
+  }
+
+  getRichPresence(steamId) {
+    const stmt = this.db.prepare('SELECT * FROM rich_presence_cache WHERE steam_id = ?');
+    return stmt.get(steamId);
+  }
+
+  getRichPresenceSettings(guildId) {
+    const stmt = this.db.prepare('SELECT * FROM rich_presence_settings WHERE guild_id = ?');
+    const row = stmt.get(guildId);
+
+    return {
+      enabled: Boolean(row && row.enabled),
+      cooldownSeconds: row ? row.cooldown_seconds : 600,
+    };
+  }
+
+  setRichPresenceSettings(guildId, enabled, cooldownSeconds) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO rich_presence_settings (guild_id, enabled, cooldown_seconds, updated_at)
+      VALUES (?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, enabled ? 1 : 0, cooldownSeconds);
+  }
+
+  canAnnounceRichPresence(guildId, steamId, cooldownSeconds) {
+    const stmt = this.db.prepare('SELECT sent_at FROM rich_presence_announcements WHERE guild_id = ? AND steam_id = ?');
+    const record = stmt.get(guildId, steamId);
 
     if (!record) {
       return true;
     }
 
-    return (now - record.last_update) >= cooldownSeconds;
+    return (Math.floor(Date.now() / 1000) - record.sent_at) >= cooldownSeconds;
+  }
+
+  recordRichPresenceAnnouncement(guildId, steamId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO rich_presence_announcements (guild_id, steam_id, sent_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, steamId);
+  }
+
+  // Announcement opt-in methods
+  setAnnounceOptIn(guildId, discordId) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO announce_opt_ins (guild_id, discord_id)
+      VALUES (?, ?)
+    `);
+    return stmt.run(guildId, discordId);
+  }
+
+  removeAnnounceOptIn(guildId, discordId) {
+    const stmt = this.db.prepare('DELETE FROM announce_opt_ins WHERE guild_id = ? AND discord_id = ?');
+    return stmt.run(guildId, discordId);
+  }
+
+  getAnnounceOptIn(guildId, discordId) {
+    const stmt = this.db.prepare('SELECT * FROM announce_opt_ins WHERE guild_id = ? AND discord_id = ?');
+    return stmt.get(guildId, discordId);
+  }
+
+  // Respects the user's privacy visibility, not just their opt-ins
+  getAnnouncementTargets(discordId) {
+    const stmt = this.db.prepare(`SELECT * FROM server_configs WHERE ${VISIBLE_GUILDS}`);
+    return stmt.all(discordId, discordId);
+  }
+
+  // Linked users whose activity (announcements, stats, leaderboards) may be shown in the guild
+  getVisibleDiscordIds(guildId) {
+    const stmt = this.db.prepare(`
+      SELECT DISTINCT um.discord_id FROM user_mappings um
+      LEFT JOIN privacy_settings p ON p.discord_id = um.discord_id
+      WHERE ${visibleInGuild('um.discord_id', '?')}
+    `);
+    return stmt.pluck().all(guildId);
+  }
+
+  isVisibleInGuild(discordId, guildId) {
+    const stmt = this.db.prepare(`
+      SELECT 1 FROM (SELECT ? AS discord_id) u
+      LEFT JOIN privacy_settings p ON p.discord_id = u.discord_id
+      WHERE ${visibleInGuild('u.discord_id', '?')}
+    `);
+    return Boolean(stmt.get(discordId, guildId));
+  }
+
+  // Cooldown methods
+  getCooldownSettings(guildId, discordId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM cooldown_settings WHERE guild_id = ? AND discord_id IN ('', ?)
+    `);
+    const rows = stmt.all(guildId, discordId);
+    const guildRow = rows.find(row => row.discord_id === '');
+    const userRow = rows.find(row => row.discord_id === discordId);
+
+    // User overrides only change the cooldown length; trailing edge is a guild-wide choice and on by default
+    return {
+      cooldownSeconds: (userRow || guildRow || { cooldown_seconds: DEFAULT_COOLDOWN_SECONDS }).cooldown_seconds,
+      trailingEdge: guildRow ? Boolean(guildRow.trailing_edge) : true,
+    };
+  }
+
+  setGuildCooldown(guildId, cooldownSeconds, trailingEdge) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO cooldown_settings (guild_id, discord_id, cooldown_seconds, trailing_edge, updated_at)
+      VALUES (?, '', ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, cooldownSeconds, trailingEdge ? 1 : 0);
   }
 
-  recordUpdate(steamId) {
-    const now = Math.floor(Date.now() / 1000);
+  setUserCooldown(guildId, discordId, cooldownSeconds) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO rate_limits (steam_id, last_update, update_count)
-      VALUES (?, ?, COALESCE((SELECT update_count FROM rate_limits WHERE steam_id = ?), 0) + 1)
+      INSERT OR REPLACE INTO cooldown_settings (guild_id, discord_id, cooldown_seconds, updated_at)
+      VALUES (?, ?, ?, strftime('%s', 'now'))
     `);
-    return stmt.run(steamId, now, steamId);
+    return stmt.run(guildId, discordId, cooldownSeconds);
+  }
+
+  removeUserCooldown(guildId, discordId) {
+    const stmt = this.db.prepare('DELETE FROM cooldown_settings WHERE guild_id = ? AND discord_id = ?');
+    return stmt.run(guildId, discordId);
+  }
+
+  recordAnnouncement(guildId, data) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO last_announcements (guild_id, steam_id, persona_state, game_name, game_id, sent_at)
+      VALUES (?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, data.steamId, data.personaState, data.gameName, data.gameId);
+  }
+
+  getLastAnnouncement(guildId, steamId) {
+    const stmt = this.db.prepare('SELECT * FROM last_announcements WHERE guild_id = ? AND steam_id = ?');
+    return stmt.get(guildId, steamId);
+  }
+
+  getLastAnnouncedPresence(guildId, steamId) {
+    return toPresenceState(this.getLastAnnouncement(guildId, steamId));
   }
 
   // Steam cache methods
@@ -146,6 +472,881 @@ class DatabaseManager {
     return stmt.get(steamId);
   }
 
+  getPreviousPresence(steamId) {
+    return toPresenceState(this.getSteamCache(steamId));
+  }
+
+  // Steam credential methods (tokens are encrypted by the caller)
+  saveRefreshToken(accountName, encryptedToken) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO steam_credentials (account_name, refresh_token, updated_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(accountName, encryptedToken);
+  }
+
+  getRefreshToken(accountName) {
+    const stmt = this.db.prepare('SELECT * FROM steam_credentials WHERE account_name = ?');
+    return stmt.get(accountName);
+  }
+
+  deleteRefreshToken(accountName) {
+    const stmt = this.db.prepare('DELETE FROM steam_credentials WHERE account_name = ?');
+    return stmt.run(accountName);
+  }
+
+  // Play session methods
+  startPlaySession(steamId, gameId, gameName, startedAt = Math.floor(Date.now() / 1000)) {
+    const stmt = this.db.prepare(`
+      INSERT INTO play_sessions (steam_id, game_id, game_name, started_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(steamId, gameId, gameName, startedAt);
+  }
+
+  endPlaySession(steamId, endedAt = Math.floor(Date.now() / 1000)) {
+    const stmt = this.db.prepare(`
+      UPDATE play_sessions
+      SET ended_at = MAX(?, started_at), duration = MAX(?, started_at) - started_at
+      WHERE steam_id = ? AND ended_at IS NULL
+    `);
+    return stmt.run(endedAt, endedAt, steamId);
+  }
+
+  // Reopens an ended session, e.g. when the game is relaunched right after a crash
+  resumePlaySession(sessionId) {
+    const stmt = this.db.prepare('UPDATE play_sessions SET ended_at = NULL, duration = NULL WHERE id = ?');
+    return stmt.run(sessionId);
+  }
+
+  closeOpenPlaySessions(endedAt = Math.floor(Date.now() / 1000)) {
+    const stmt = this.db.prepare(`
+      UPDATE play_sessions
+      SET ended_at = MAX(?, started_at), duration = MAX(?, started_at) - started_at
+      WHERE ended_at IS NULL
+    `);
+    return stmt.run(endedAt, endedAt);
+  }
+
+  getLastEndedPlaySession(steamId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM play_sessions
+      WHERE steam_id = ? AND ended_at IS NOT NULL
+      ORDER BY ended_at DESC LIMIT 1
+    `);
+    return stmt.get(steamId);
+  }
+
+  getOpenPlaySession(steamId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM play_sessions
+      WHERE steam_id = ? AND ended_at IS NULL
+      ORDER BY started_at DESC LIMIT 1
+    `);
+    return stmt.get(steamId);
+  }
+
+  // Average length of earlier finished sessions of a game, across all of a user's accounts
+  getGameSessionStats(steamIds, gameName, excludeSessionId) {
+    const stmt = this.db.prepare(`
+      SELECT COUNT(*) AS session_count, AVG(duration) AS average_seconds
+      FROM play_sessions
+      WHERE steam_id IN (${placeholders(steamIds)}) AND game_name = ? AND duration IS NOT NULL AND id != ?
+    `);
+    const row = stmt.get(...steamIds, gameName, excludeSessionId);
+    return {
+      sessionCount: row.session_count,
+      averageSeconds: row.average_seconds === null ? null : Math.round(row.average_seconds),
+    };
+  }
+
+  // Playtime statistics (open sessions count up to now)
+  getPlaytimeSummary(steamIds, since) {
+    const stmt = this.db.prepare(`
+      SELECT
+        COUNT(*) AS session_count,
+        COALESCE(SUM(COALESCE(duration, strftime('%s', 'now') - started_at)), 0) AS total_seconds
+      FROM play_sessions
+      WHERE steam_id IN (${placeholders(steamIds)}) AND started_at >= ?
+    `);
+    return stmt.get(...steamIds, since);
+  }
+
+  getTopGames(steamIds, since, limit = 5) {
+    const stmt = this.db.prepare(`
+      SELECT game_name, COUNT(*) AS session_count,
+        SUM(COALESCE(duration, strftime('%s', 'now') - started_at)) AS total_seconds
+      FROM play_sessions
+      WHERE steam_id IN (${placeholders(steamIds)}) AND started_at >= ?
+      GROUP BY game_name
+      ORDER BY total_seconds DESC
+      LIMIT ?
+    `);
+    return stmt.all(...steamIds, since, limit);
+  }
+
+  getLongestSession(steamIds, since) {
+    const stmt = this.db.prepare(`
+      SELECT *, COALESCE(duration, strftime('%s', 'now') - started_at) AS session_seconds
+      FROM play_sessions
+      WHERE steam_id IN (${placeholders(steamIds)}) AND started_at >= ?
+      ORDER BY session_seconds DESC
+      LIMIT 1
+    `);
+    return stmt.get(...steamIds, since);
+  }
+
+  getDailyPlaytime(steamIds, since, limit = 7) {
+    const stmt = this.db.prepare(`
+      SELECT date(started_at, 'unixepoch') AS day,
+        SUM(COALESCE(duration, strftime('%s', 'now') - started_at)) AS total_seconds
+      FROM play_sessions
+      WHERE steam_id IN (${placeholders(steamIds)}) AND started_at >= ?
+      GROUP BY day
+      ORDER BY day DESC
+      LIMIT ?
+    `);
+    return stmt.all(...steamIds, since, limit);
+  }
+
+  getPlaytimeLeaderboard(steamIds, since, gameName = null) {
+    if (steamIds.length === 0) {
+      return [];
+    }
+
+    const gameFilter = gameName ? 'AND game_name = ? COLLATE NOCASE' : '';
+    const params = gameName ? [...steamIds, since, gameName] : [...steamIds, since];
+
+    const stmt = this.db.prepare(`
+      SELECT steam_id, COUNT(*) AS session_count,
+        SUM(COALESCE(duration, strftime('%s', 'now') - started_at)) AS total_seconds
+      FROM play_sessions
+      WHERE steam_id IN (${placeholders(steamIds)}) AND started_at >= ? ${gameFilter}
+      GROUP BY steam_id
+      ORDER BY total_seconds DESC
+    `);
+    return stmt.all(...params);
+  }
+
+  searchGameNames(query, limit = 25) {
+    const stmt = this.db.prepare(`
+      SELECT game_name, SUM(COALESCE(duration, strftime('%s', 'now') - started_at)) AS total_seconds
+      FROM play_sessions
+      WHERE instr(lower(game_name), lower(?)) > 0
+      GROUP BY game_name
+      ORDER BY total_seconds DESC
+      LIMIT ?
+    `);
+    return stmt.all(query, limit);
+  }
+
+  // Leaderboard settings methods
+  setWeeklyLeaderboard(guildId, enabled) {
+    // Restart the weekly cycle from now so the first post comes a week after enabling
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO leaderboard_settings (guild_id, weekly_enabled, last_posted_at, updated_at)
+      VALUES (?, ?, strftime('%s', 'now'), strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, enabled ? 1 : 0);
+  }
+
+  getDueWeeklyLeaderboards(intervalSeconds) {
+    const stmt = this.db.prepare(`
+      SELECT ls.*, sc.update_channel_id FROM leaderboard_settings ls
+      INNER JOIN server_configs sc ON sc.guild_id = ls.guild_id AND sc.disabled_at IS NULL
+      WHERE ls.weekly_enabled = 1
+        AND COALESCE(ls.last_posted_at, 0) <= strftime('%s', 'now') - ?
+    `);
+    return stmt.all(intervalSeconds);
+  }
+
+  markWeeklyLeaderboardPosted(guildId) {
+    const stmt = this.db.prepare(`
+      UPDATE leaderboard_settings SET last_posted_at = strftime('%s', 'now')
+      WHERE guild_id = ?
+    `);
+    return stmt.run(guildId);
+  }
+
+  // Dashboard methods
+  setDashboard(guildId, channelId, messageId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO dashboards (guild_id, channel_id, message_id)
+      VALUES (?, ?, ?)
+    `);
+    return stmt.run(guildId, channelId, messageId);
+  }
+
+  getDashboard(guildId) {
+    const stmt = this.db.prepare('SELECT * FROM dashboards WHERE guild_id = ?');
+    return stmt.get(guildId);
+  }
+
+  removeDashboard(guildId) {
+    const stmt = this.db.prepare('DELETE FROM dashboards WHERE guild_id = ?');
+    return stmt.run(guildId);
+  }
+
+  getAllDashboards() {
+    const stmt = this.db.prepare('SELECT * FROM dashboards');
+    return stmt.all();
+  }
+
+  getDashboardsForUser(discordId) {
+    const stmt = this.db.prepare(`SELECT * FROM dashboards WHERE ${VISIBLE_GUILDS}`);
+    return stmt.all(discordId, discordId);
+  }
+
+  // Users who hid their presence from this guild or paused tracking are left out
+  getDashboardEntries(guildId) {
+    const stmt = this.db.prepare(`
+      SELECT um.discord_id, um.steam_id, um.is_primary, sc.persona_name, sc.persona_state, sc.game_name, ps.started_at
+      FROM user_mappings um
+      LEFT JOIN privacy_settings p ON p.discord_id = um.discord_id
+      LEFT JOIN steam_cache sc ON sc.steam_id = um.steam_id
+      LEFT JOIN play_sessions ps ON ps.steam_id = um.steam_id AND ps.ended_at IS NULL
+      WHERE ${visibleInGuild('um.discord_id', '?')}
+      AND COALESCE(p.paused_until, 0) <= CAST(strftime('%s', 'now') AS INTEGER)
+    `);
+    return stmt.all(guildId);
+  }
+
+  // Notification settings methods (list columns are stored as JSON arrays)
+  getNotificationSettings(guildId) {
+    const stmt = this.db.prepare('SELECT * FROM notification_settings WHERE guild_id = ?');
+    const row = stmt.get(guildId);
+
+    return {
+      enabledEvents: row && row.enabled_events ? JSON.parse(row.enabled_events) : Object.keys(EVENT_TYPES),
+      allowedAppIds: row && row.allowed_app_ids ? JSON.parse(row.allowed_app_ids) : [],
+      deniedAppIds: row && row.denied_app_ids ? JSON.parse(row.denied_app_ids) : [],
+      minSessionSeconds: row ? row.min_session_seconds : 0,
+    };
+  }
+
+  saveNotificationSettings(guildId, settings) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO notification_settings
+        (guild_id, enabled_events, allowed_app_ids, denied_app_ids, min_session_seconds, updated_at)
+      VALUES (?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(
+      guildId,
+      JSON.stringify(settings.enabledEvents),
+      JSON.stringify(settings.allowedAppIds),
+      JSON.stringify(settings.deniedAppIds),
+      settings.minSessionSeconds
+    );
+  }
+
+  // Announcement template methods (locale is null when the guild's detected locale should be used)
+  getAnnouncementTemplate(guildId) {
+    const stmt = this.db.prepare('SELECT * FROM announcement_templates WHERE guild_id = ?');
+    const row = stmt.get(guildId);
+
+    return {
+      layout: row ? row.layout : 'full',
+      customText: row ? row.custom_text : null,
+      locale: row ? row.locale : null,
+      detectedLocale: row ? row.detected_locale : null,
+    };
+  }
+
+  saveAnnouncementTemplate(guildId, template) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO announcement_templates (guild_id, layout, custom_text, locale, detected_locale, updated_at)
+      VALUES (?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, template.layout, template.customText, template.locale, template.detectedLocale);
+  }
+
+  // Runs on every command in a guild, so nothing is written unless the locale changed
+  setDetectedLocale(guildId, discordLocale) {
+    const stmt = this.db.prepare(`
+      INSERT INTO announcement_templates (guild_id, detected_locale) VALUES (?, ?)
+      ON CONFLICT(guild_id) DO UPDATE SET detected_locale = excluded.detected_locale
+      WHERE detected_locale IS NOT excluded.detected_locale
+    `);
+    return stmt.run(guildId, discordLocale);
+  }
+
+  // Same as setDetectedLocale, per user: Steam chat has no locale of its own to go by
+  setUserLocale(discordId, discordLocale) {
+    const stmt = this.db.prepare(`
+      INSERT INTO user_locales (discord_id, locale) VALUES (?, ?)
+      ON CONFLICT(discord_id) DO UPDATE SET locale = excluded.locale, updated_at = strftime('%s', 'now')
+      WHERE locale IS NOT excluded.locale
+    `);
+    return stmt.run(discordId, discordLocale);
+  }
+
+  getUserLocale(discordId) {
+    const stmt = this.db.prepare('SELECT locale FROM user_locales WHERE discord_id = ?');
+    const row = stmt.get(discordId);
+    return row ? row.locale : null;
+  }
+
+  // Game metadata methods
+  saveGameMetadata(metadata) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO game_metadata (app_id, name, header_image_url, store_url, genres, released_at, fetched_at)
+      VALUES (?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(
+      metadata.appId,
+      metadata.name,
+      metadata.headerImageUrl,
+      metadata.storeUrl,
+      JSON.stringify(metadata.genres),
+      metadata.releasedAt
+    );
+  }
+
+  getGameMetadata(appId) {
+    const stmt = this.db.prepare('SELECT * FROM game_metadata WHERE app_id = ?');
+    return stmt.get(appId);
+  }
+
+  // Friend request methods
+  recordFriendRequest(steamId, personaName) {
+    const stmt = this.db.prepare(`
+      INSERT INTO friend_requests (steam_id, persona_name, status, received_at, decided_at, decided_by)
+      VALUES (?, ?, 'pending', strftime('%s', 'now'), NULL, NULL)
+      ON CONFLICT(steam_id) DO UPDATE SET
+        persona_name = excluded.persona_name,
+        status = 'pending',
+        received_at = excluded.received_at,
+        decided_at = NULL,
+        decided_by = NULL
+    `);
+    return stmt.run(steamId, personaName);
+  }
+
+  getFriendRequest(steamId) {
+    const stmt = this.db.prepare('SELECT * FROM friend_requests WHERE steam_id = ?');
+    return stmt.get(steamId);
+  }
+
+  resolveFriendRequest(steamId, status, decidedBy) {
+    const stmt = this.db.prepare(`
+      UPDATE friend_requests
+      SET status = ?, decided_at = strftime('%s', 'now'), decided_by = ?
+      WHERE steam_id = ? AND status = 'pending'
+    `);
+    return stmt.run(status, decidedBy, steamId).changes > 0;
+  }
+
+  addFriendRequestMessage(steamId, guildId, channelId, messageId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO friend_request_messages (steam_id, guild_id, channel_id, message_id)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(steamId, guildId, channelId, messageId);
+  }
+
+  getFriendRequestMessages(steamId) {
+    const stmt = this.db.prepare('SELECT * FROM friend_request_messages WHERE steam_id = ?');
+    return stmt.all(steamId);
+  }
+
+  removeFriendRequestMessages(steamId) {
+    const stmt = this.db.prepare('DELETE FROM friend_request_messages WHERE steam_id = ?');
+    return stmt.run(steamId);
+  }
+
+  getFriendRequestSettings(guildId) {
+    const stmt = this.db.prepare('SELECT channel_id, auto_accept FROM friend_request_settings WHERE guild_id = ?');
+    const row = stmt.get(guildId);
+    return {
+      channelId: row ? row.channel_id : null,
+      autoAccept: row ? row.auto_accept === 1 : false,
+    };
+  }
+
+  setFriendRequestSettings(guildId, channelId, autoAccept) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO friend_request_settings (guild_id, channel_id, auto_accept, updated_at)
+      VALUES (?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, channelId, autoAccept ? 1 : 0);
+  }
+
+  // Review channels of the guilds where someone recently tried to link the account
+  getFriendRequestTargets(steamId, since) {
+    const stmt = this.db.prepare(`
+      SELECT DISTINCT frs.guild_id, frs.channel_id
+      FROM link_intents li
+      JOIN friend_request_settings frs ON frs.guild_id = li.guild_id
+      WHERE li.steam_id = ? AND li.created_at >= ? AND frs.channel_id IS NOT NULL
+    `);
+    return stmt.all(steamId, since);
+  }
+
+  // Returns the guilds that posted friend requests to the channel
+  clearFriendRequestChannel(channelId) {
+    return this.transaction(() => {
+      const guildIds = this.db.prepare('SELECT guild_id FROM friend_request_settings WHERE channel_id = ?').pluck().all(channelId);
+      this.db.prepare(`
+        UPDATE friend_request_settings SET channel_id = NULL, updated_at = strftime('%s', 'now') WHERE channel_id = ?
+      `).run(channelId);
+      return guildIds;
+    });
+  }
+
+  addFriendRequestAudit(steamId, action, actorId, guildId) {
+    const stmt = this.db.prepare(`
+      INSERT INTO friend_request_audit (steam_id, action, actor_id, guild_id)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(steamId, action, actorId, guildId);
+  }
+
+  // Link intent methods
+  setLinkIntent(discordId, steamId, guildId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO link_intents (discord_id, steam_id, guild_id, created_at)
+      VALUES (?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(discordId, steamId, guildId);
+  }
+
+  getAutoAcceptIntents(steamId, since) {
+    const stmt = this.db.prepare(`
+      SELECT li.discord_id, li.guild_id
+      FROM link_intents li
+      JOIN friend_request_settings frs ON frs.guild_id = li.guild_id
+      WHERE li.steam_id = ? AND li.created_at >= ? AND frs.auto_accept = 1
+    `);
+    return stmt.all(steamId, since);
+  }
+
+  getLinkIntentsBySteamId(steamId) {
+    const stmt = this.db.prepare('SELECT * FROM link_intents WHERE steam_id = ?');
+    return stmt.all(steamId);
+  }
+
+  removeLinkIntent(discordId) {
+    const stmt = this.db.prepare('DELETE FROM link_intents WHERE discord_id = ?');
+    return stmt.run(discordId);
+  }
+
+  // Vanity cache methods
+  setVanityCache(vanity, steamId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO vanity_cache (vanity, steam_id, resolved_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(vanity, steamId);
+  }
+
+  getVanityCache(vanity) {
+    const stmt = this.db.prepare('SELECT * FROM vanity_cache WHERE vanity = ?');
+    return stmt.get(vanity);
+  }
+
+  // Game watch methods (target_type is 'user' for DM alerts or 'role' for pings in the update channel)
+  addGameWatch(guildId, gameName, targetType, targetId, createdBy) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO game_watches (guild_id, game_name, target_type, target_id, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(guildId, gameName, targetType, targetId, createdBy);
+  }
+
+  removeGameWatch(guildId, gameName, targetType, targetId) {
+    const stmt = this.db.prepare(`
+      DELETE FROM game_watches WHERE guild_id = ? AND game_name = ? AND target_type = ? AND target_id = ?
+    `);
+    return stmt.run(guildId, gameName, targetType, targetId);
+  }
+
+  getGameWatches(guildId, gameName) {
+    const stmt = this.db.prepare('SELECT * FROM game_watches WHERE guild_id = ? AND game_name = ?');
+    return stmt.all(guildId, gameName);
+  }
+
+  getGuildGameWatches(guildId) {
+    const stmt = this.db.prepare('SELECT * FROM game_watches WHERE guild_id = ? ORDER BY game_name');
+    return stmt.all(guildId);
+  }
+
+  countUserGameWatches(discordId) {
+    const stmt = this.db.prepare("SELECT COUNT(*) FROM game_watches WHERE target_type = 'user' AND target_id = ?");
+    return stmt.pluck().get(discordId);
+  }
+
+  // Across guilds, so a subscriber watching the same game in two servers is alerted once
+  getLastWatchAlert(targetType, targetId, gameName) {
+    const stmt = this.db.prepare(`
+      SELECT MAX(last_alerted_at) FROM game_watches WHERE target_type = ? AND target_id = ? AND game_name = ?
+    `);
+    return stmt.pluck().get(targetType, targetId, gameName);
+  }
+
+  markGameWatchAlerted(guildId, gameName, targetType, targetId) {
+    const stmt = this.db.prepare(`
+      UPDATE game_watches SET last_alerted_at = strftime('%s', 'now')
+      WHERE guild_id = ? AND game_name = ? AND target_type = ? AND target_id = ?
+    `);
+    return stmt.run(guildId, gameName, targetType, targetId);
+  }
+
+  removeRoleGameWatches(guildId, roleId) {
+    const stmt = this.db.prepare("DELETE FROM game_watches WHERE guild_id = ? AND target_type = 'role' AND target_id = ?");
+    return stmt.run(guildId, roleId);
+  }
+
+  getQuietHours(discordId) {
+    const stmt = this.db.prepare('SELECT * FROM watch_quiet_hours WHERE discord_id = ?');
+    return stmt.get(discordId);
+  }
+
+  setQuietHours(discordId, startMinute, endMinute, utcOffsetMinutes) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO watch_quiet_hours (discord_id, start_minute, end_minute, utc_offset_minutes, updated_at)
+      VALUES (?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(discordId, startMinute, endMinute, utcOffsetMinutes);
+  }
+
+  clearQuietHours(discordId) {
+    const stmt = this.db.prepare('DELETE FROM watch_quiet_hours WHERE discord_id = ?');
+    return stmt.run(discordId);
+  }
+
+  // LFG methods (persona states 5 "Looking to trade" and 6 "Looking to play")
+  getLfgChannel(guildId) {
+    const stmt = this.db.prepare('SELECT channel_id FROM lfg_settings WHERE guild_id = ?');
+    const row = stmt.get(guildId);
+    return row ? row.channel_id : null;
+  }
+
+  setLfgChannel(guildId, channelId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO lfg_settings (guild_id, channel_id, updated_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(guildId, channelId);
+  }
+
+  // Same visibility rules as announcements, applied to guilds with an LFG channel
+  getLfgTargets(discordId) {
+    const stmt = this.db.prepare(`
+      SELECT ls.* FROM lfg_settings ls
+      LEFT JOIN privacy_settings p ON p.discord_id = ?
+      WHERE ls.channel_id IS NOT NULL AND ${visibleInGuild('?', 'ls.guild_id')}
+    `);
+    return stmt.all(discordId, discordId);
+  }
+
+  getLfgPost(guildId, steamId) {
+    const stmt = this.db.prepare('SELECT * FROM lfg_posts WHERE guild_id = ? AND steam_id = ?');
+    return stmt.get(guildId, steamId);
+  }
+
+  getLfgPosts(steamId) {
+    const stmt = this.db.prepare('SELECT * FROM lfg_posts WHERE steam_id = ?');
+    return stmt.all(steamId);
+  }
+
+  saveLfgPost(guildId, steamId, channelId, messageId, personaState, gameName) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO lfg_posts (guild_id, steam_id, channel_id, message_id, persona_state, game_name)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(guildId, steamId, channelId, messageId, personaState, gameName);
+  }
+
+  removeLfgPost(guildId, steamId) {
+    return this.transaction(() => {
+      this.db.prepare('DELETE FROM lfg_joins WHERE guild_id = ? AND steam_id = ?').run(guildId, steamId);
+      return this.db.prepare('DELETE FROM lfg_posts WHERE guild_id = ? AND steam_id = ?').run(guildId, steamId);
+    });
+  }
+
+  // Returns false if the member already joined this post (joins on an earlier post for the account don't count)
+  addLfgJoin(guildId, steamId, discordId, messageId) {
+    const stmt = this.db.prepare(`
+      INSERT INTO lfg_joins (guild_id, steam_id, discord_id, message_id)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (guild_id, steam_id, discord_id) DO UPDATE
+        SET message_id = excluded.message_id, joined_at = excluded.joined_at
+        WHERE lfg_joins.message_id != excluded.message_id
+    `);
+    return stmt.run(guildId, steamId, discordId, messageId).changes > 0;
+  }
+
+  // Linked accounts currently looking to play or trade that may be shown in the guild
+  getLfgEntries(guildId) {
+    const stmt = this.db.prepare(`
+      SELECT um.discord_id, um.steam_id, sc.persona_name, sc.persona_state, sc.game_name, sc.last_updated
+      FROM user_mappings um
+      INNER JOIN steam_cache sc ON sc.steam_id = um.steam_id
+      LEFT JOIN privacy_settings p ON p.discord_id = um.discord_id
+      WHERE sc.persona_state IN (5, 6)
+        AND ${visibleInGuild('um.discord_id', '?')}
+        AND COALESCE(p.paused_until, 0) <= CAST(strftime('%s', 'now') AS INTEGER)
+      ORDER BY sc.last_updated DESC
+    `);
+    return stmt.all(guildId);
+  }
+
+  // Role mapping methods (trigger_type is 'game' for a game name or 'state' for a key of ROLE_STATES in role-sync.js)
+  setRoleMapping(guildId, triggerType, triggerValue, roleId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO role_mappings (guild_id, trigger_type, trigger_value, role_id)
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(guildId, triggerType, triggerValue, roleId);
+  }
+
+  removeRoleMapping(guildId, triggerType, triggerValue) {
+    const stmt = this.db.prepare('DELETE FROM role_mappings WHERE guild_id = ? AND trigger_type = ? AND trigger_value = ?');
+    return stmt.run(guildId, triggerType, triggerValue);
+  }
+
+  removeRoleMappingsByRole(guildId, roleId) {
+    const stmt = this.db.prepare('DELETE FROM role_mappings WHERE guild_id = ? AND role_id = ?');
+    return stmt.run(guildId, roleId);
+  }
+
+  getRoleMappings(guildId) {
+    const stmt = this.db.prepare('SELECT * FROM role_mappings WHERE guild_id = ? ORDER BY trigger_type DESC, trigger_value');
+    return stmt.all(guildId);
+  }
+
+  getRoleMappingGuildIds() {
+    const stmt = this.db.prepare('SELECT DISTINCT guild_id FROM role_mappings');
+    return stmt.pluck().all();
+  }
+
+  // Role assignment methods (activity roles the bot added itself)
+  addRoleAssignments(guildId, discordId, roleIds) {
+    const stmt = this.db.prepare('INSERT OR IGNORE INTO role_assignments (guild_id, discord_id, role_id) VALUES (?, ?, ?)');
+    this.transaction(() => roleIds.forEach(roleId => stmt.run(guildId, discordId, roleId)));
+  }
+
+  removeRoleAssignments(guildId, discordId, roleIds) {
+    const stmt = this.db.prepare(`
+      DELETE FROM role_assignments WHERE guild_id = ? AND discord_id = ? AND role_id IN (${placeholders(roleIds)})
+    `);
+    return stmt.run(guildId, discordId, ...roleIds);
+  }
+
+  clearRoleAssignments(guildId, discordId) {
+    const stmt = this.db.prepare('DELETE FROM role_assignments WHERE guild_id = ? AND discord_id = ?');
+    return stmt.run(guildId, discordId);
+  }
+
+  removeRoleAssignmentsByRole(guildId, roleId) {
+    const stmt = this.db.prepare('DELETE FROM role_assignments WHERE guild_id = ? AND role_id = ?');
+    return stmt.run(guildId, roleId);
+  }
+
+  getRoleAssignments(guildId, discordId) {
+    const stmt = this.db.prepare('SELECT role_id FROM role_assignments WHERE guild_id = ? AND discord_id = ?');
+    return stmt.pluck().all(guildId, discordId);
+  }
+
+  getRoleAssignmentMemberIds(guildId) {
+    const stmt = this.db.prepare('SELECT DISTINCT discord_id FROM role_assignments WHERE guild_id = ?');
+    return stmt.pluck().all(guildId);
+  }
+
+  // Same visibility rules as announcements: activity roles are only given where the user may be announced
+  getRoleSyncGuildIds(discordId) {
+    const stmt = this.db.prepare(`
+      SELECT DISTINCT rm.guild_id FROM role_mappings rm
+      LEFT JOIN privacy_settings p ON p.discord_id = ?
+      WHERE ${visibleInGuild('?', 'rm.guild_id')}
+    `);
+    return stmt.pluck().all(discordId, discordId);
+  }
+
+  // Chat relay methods
+  setChatRelay(discordId, destination, channelId) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO chat_relays (discord_id, destination, channel_id)
+      VALUES (?, ?, ?)
+    `);
+    return stmt.run(discordId, destination, channelId);
+  }
+
+  getChatRelay(discordId) {
+    const stmt = this.db.prepare('SELECT * FROM chat_relays WHERE discord_id = ?');
+    return stmt.get(discordId);
+  }
+
+  setChatRelayLastSteamId(discordId, steamId) {
+    const stmt = this.db.prepare('UPDATE chat_relays SET last_steam_id = ? WHERE discord_id = ?');
+    return stmt.run(steamId, discordId);
+  }
+
+  removeChatRelay(discordId) {
+    const stmt = this.db.prepare('DELETE FROM chat_relays WHERE discord_id = ?');
+    return stmt.run(discordId);
+  }
+
+  // Returns the users whose relay pointed at the channel
+  removeChatRelaysByChannel(channelId) {
+    return this.transaction(() => {
+      const discordIds = this.db.prepare('SELECT discord_id FROM chat_relays WHERE channel_id = ?').pluck().all(channelId);
+      this.db.prepare('DELETE FROM chat_relays WHERE channel_id = ?').run(channelId);
+      return discordIds;
+    });
+  }
+
+  // Privacy methods (hidden games are stored as a JSON array of game names)
+  getPrivacySettings(discordId) {
+    const stmt = this.db.prepare('SELECT * FROM privacy_settings WHERE discord_id = ?');
+    const row = stmt.get(discordId);
+
+    return {
+      visibility: row ? row.visibility : 'guild',
+      hiddenGames: row ? JSON.parse(row.hidden_games) : [],
+      pausedUntil: row ? row.paused_until : null,
+    };
+  }
+
+  savePrivacySettings(discordId, settings) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO privacy_settings (discord_id, visibility, hidden_games, paused_until, updated_at)
+      VALUES (?, ?, ?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(discordId, settings.visibility, JSON.stringify(settings.hiddenGames), settings.pausedUntil);
+  }
+
+  // Deletes everything stored about a Discord user and their Steam accounts. Admin decisions they made
+  // on other people's friend requests and role watches they set up are kept, without their ID.
+  forgetUser(discordId) {
+    // Only accounts the user proved they own; pending links and link intents hold unverified IDs
+    const steamIds = this.db.prepare('SELECT steam_id FROM user_mappings WHERE discord_id = ?').pluck().all(discordId);
+
+    const byDiscordId = [
+      'user_mappings',
+      'announce_opt_ins',
+      'cooldown_settings',
+      'pending_verifications',
+      'link_intents',
+      'privacy_settings',
+      'chat_relays',
+      'watch_quiet_hours',
+      'lfg_joins',
+      'user_locales',
+    ];
+    const bySteamId = [
+      ...PRESENCE_STATE_TABLES,
+      'play_sessions',
+      'friend_requests',
+      'friend_request_messages',
+      'friend_request_audit',
+      'vanity_cache',
+    ];
+
+    return this.transaction(() => {
+      let deleted = 0;
+      for (const table of byDiscordId) {
+        deleted += this.db.prepare(`DELETE FROM ${table} WHERE discord_id = ?`).run(discordId).changes;
+      }
+      if (steamIds.length > 0) {
+        for (const table of bySteamId) {
+          deleted += this.db.prepare(`DELETE FROM ${table} WHERE steam_id IN (${placeholders(steamIds)})`).run(...steamIds).changes;
+        }
+      }
+
+      deleted += this.db.prepare("DELETE FROM game_watches WHERE target_type = 'user' AND target_id = ?").run(discordId).changes;
+
+      this.db.prepare('UPDATE game_watches SET created_by = NULL WHERE created_by = ?').run(discordId);
+      this.db.prepare('UPDATE friend_requests SET decided_by = NULL WHERE decided_by = ?').run(discordId);
+      this.db.prepare('UPDATE friend_request_audit SET actor_id = NULL WHERE actor_id = ?').run(discordId);
+
+      return { steamIds, deleted };
+    });
+  }
+
+  // Bot state methods
+  setBotState(key, value) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO bot_state (key, value, updated_at)
+      VALUES (?, ?, strftime('%s', 'now'))
+    `);
+    return stmt.run(key, String(value));
+  }
+
+  getBotState(key) {
+    const stmt = this.db.prepare('SELECT value FROM bot_state WHERE key = ?');
+    const row = stmt.get(key);
+    return row ? row.value : null;
+  }
+
+  // Backup and export methods (table and column names come from the whitelist in data-export.js)
+  backup(destPath) {
+    return this.db.backup(destPath);
+  }
+
+  getSchemaVersion() {
+    return getMigrationStatus(this.db).currentVersion;
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  getExportRows(table, columns, scope, guildId = null) {
+    const where = guildId ? `WHERE ${GUILD_SCOPES[scope]}` : '';
+    const stmt = this.db.prepare(`SELECT ${columns.join(', ')} FROM ${table} ${where}`);
+    return guildId ? stmt.all(guildId) : stmt.all();
+  }
+
+  deleteExportRows(table, scope, guildId = null) {
+    const where = guildId ? `WHERE ${GUILD_SCOPES[scope]}` : '';
+    const stmt = this.db.prepare(`DELETE FROM ${table} ${where}`);
+    return guildId ? stmt.run(guildId) : stmt.run();
+  }
+
+  importRow(table, columns, row) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO ${table} (${columns.join(', ')})
+      VALUES (${placeholders(columns)})
+    `);
+    return stmt.run(...columns.map(column => row[column]));
+  }
+
+  // History rows have no natural key; skip sessions that are already recorded
+  importPlaySession(row) {
+    const stmt = this.db.prepare(`
+      INSERT INTO play_sessions (steam_id, game_id, game_name, started_at, ended_at, duration)
+      SELECT ?, ?, ?, ?, ?, ?
+      WHERE NOT EXISTS (SELECT 1 FROM play_sessions WHERE steam_id = ? AND started_at = ? AND game_name = ?)
+    `);
+    return stmt.run(
+      row.steam_id, row.game_id, row.game_name, row.started_at, row.ended_at, row.duration,
+      row.steam_id, row.started_at, row.game_name
+    ).changes > 0;
+  }
+
+  // Merged imports can leave a user with zero or several primary accounts; keep exactly one
+  normalizePrimaryAccounts() {
+    this.db.exec(`
+      UPDATE user_mappings SET is_primary = 0
+      WHERE is_primary = 1 AND steam_id NOT IN (
+        SELECT steam_id FROM (
+          SELECT steam_id, ROW_NUMBER() OVER (PARTITION BY discord_id ORDER BY linked_at, steam_id) AS rank
+          FROM user_mappings WHERE is_primary = 1
+        ) WHERE rank = 1
+      )
+    `);
+    this.db.exec(`
+      UPDATE user_mappings SET is_primary = 1
+      WHERE steam_id IN (
+        SELECT steam_id FROM (
+          SELECT steam_id, discord_id, ROW_NUMBER() OVER (PARTITION BY discord_id ORDER BY linked_at, steam_id) AS rank
+          FROM user_mappings
+        ) WHERE rank = 1 AND discord_id NOT IN (SELECT discord_id FROM user_mappings WHERE is_primary = 1)
+      )
+    `);
+  }
+
   close() {
     this.db.close();
   }
@@ -1,15 +1,149 @@
-import { Client, GatewayIntentBits, EmbedBuilder, PermissionFlagsBits, REST, Routes } from 'discord.js';
+import { Client, GatewayIntentBits, Partials, ActivityType, EmbedBuilder, PermissionFlagsBits, REST, Routes } from 'discord.js';
+import TokenBucket from './token-bucket.js';
+import { hasRichPresence } from './rich-presence.js';
+import { getSteamAppId } from './game-metadata.js';
+import { DEFAULT_LOCALE, t, formatList, getStateName } from './i18n.js';
+import { STATE_COLORS, getTemplateValues, renderCustomText, renderCompactLine, describeSessionRecap } from './presence-templates.js';
+
+// Global budget for outgoing announcement messages across all guilds
+const MESSAGE_BURST = 10;
+const MESSAGES_PER_SECOND = 1;
+
+// Consecutive 403/404 delivery failures before a channel is reported as unusable
+const DELIVERY_FAILURE_LIMIT = 3;
 
 class DiscordManager {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    // Reading replies in chat relay threads needs the privileged Message Content intent; DMs work without it
+    const intents = [
+      GatewayIntentBits.Guilds,
+      GatewayIntentBits.GuildMembers,
+      GatewayIntentBits.DirectMessages,
+    ];
+    if (config.messageContent) {
+      intents.push(GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent);
+    }
+
     this.client = new Client({
-      intents: [
-        GatewayIntentBits.Guilds,
-      ],
+      intents,
+      // DM channels are not cached, so their messages arrive as partials
+      partials: [Partials.Channel],
     });
     this.commands = new Map();
+    this.messageThrottle = new TokenBucket({ capacity: MESSAGE_BURST, refillPerSecond: MESSAGES_PER_SECOND });
+    this.deliveryFailures = new Map();
+    this.roleWarnings = new Set();
+    this.eventHandlers = {
+      guildRemoved: null,
+      channelDeleted: null,
+      memberLeft: null,
+      roleDeleted: null,
+      channelUnavailable: null,
+      message: null,
+    };
+  }
+
+  setupEventHandlers() {
+    this.client.on('guildDelete', (guild) => {
+      this.logger.info(`Removed from guild ${guild.id}`);
+      if (this.eventHandlers.guildRemoved) {
+        this.eventHandlers.guildRemoved(guild.id);
+      }
+    });
+
+    this.client.on('channelDelete', (channel) => {
+      this.deliveryFailures.delete(channel.id);
+      if (channel.guildId && this.eventHandlers.channelDeleted) {
+        this.eventHandlers.channelDeleted(channel.guildId, channel.id);
+      }
+    });
+
+    this.client.on('guildMemberRemove', (member) => {
+      if (this.eventHandlers.memberLeft) {
+        this.eventHandlers.memberLeft(member.guild.id, member.id);
+      }
+    });
+
+    this.client.on('roleDelete', (role) => {
+      if (this.eventHandlers.roleDeleted) {
+        this.eventHandlers.roleDeleted(role.guild.id, role.id);
+      }
+    });
+
+    this.client.on('messageCreate', (message) => {
+      if (!message.author.bot && this.eventHandlers.message) {
+        this.eventHandlers.message(message);
+      }
+    });
+  }
+
+  onGuildRemoved(handler) {
+    this.eventHandlers.guildRemoved = handler;
+  }
+
+  onChannelDeleted(handler) {
+    this.eventHandlers.channelDeleted = handler;
+  }
+
+  onMemberLeft(handler) {
+    this.eventHandlers.memberLeft = handler;
+  }
+
+  onRoleDeleted(handler) {
+    this.eventHandlers.roleDeleted = handler;
+  }
+
+  onChannelUnavailable(handler) {
+    this.eventHandlers.channelUnavailable = handler;
+  }
+
+  onMessage(handler) {
+    this.eventHandlers.message = handler;
+  }
+
+  canReadGuildMessages() {
+    return Boolean(this.config.messageContent);
+  }
+
+  // Missing access/permissions (403) and unknown channels (404) won't fix themselves; anything else is transient
+  recordDelivery(channelId, error = null) {
+    if (!error) {
+      this.deliveryFailures.delete(channelId);
+      return;
+    }
+    if (error.status !== 403 && error.status !== 404) {
+      return;
+    }
+
+    const failures = (this.deliveryFailures.get(channelId) || 0) + 1;
+    if (failures < DELIVERY_FAILURE_LIMIT) {
+      this.deliveryFailures.set(channelId, failures);
+      return;
+    }
+
+    this.deliveryFailures.delete(channelId);
+    this.logger.warn(`Channel ${channelId} failed ${failures} deliveries in a row: ${error.message}`);
+    if (this.eventHandlers.channelUnavailable) {
+      this.eventHandlers.channelUnavailable(channelId, error);
+    }
+  }
+
+  async notifyGuildOwner(guildId, content) {
+    const guild = this.client.guilds.cache.get(guildId);
+    if (!guild) {
+      return false;
+    }
+
+    try {
+      const owner = await guild.fetchOwner();
+      await owner.send(`**${guild.name}**: ${content}`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`Could not notify the owner of guild ${guildId}: ${error.message}`);
+      return false;
+    }
   }
 
   async login() {
@@ -54,15 +188,33 @@ class DiscordManager {
 
   setupInteractionHandler(handler) {
     this.client.on('interactionCreate', async (interaction) => {
-      if (!interaction.isChatInputCommand()) return;
+      let commandName;
+      if (interaction.isChatInputCommand() || interaction.isAutocomplete()) {
+        commandName = interaction.commandName;
+      } else if (interaction.isMessageComponent()) {
+        // Persistent components use "<command>:<action>:..." custom IDs
+        commandName = interaction.customId.split(':')[0];
+      } else {
+        return;
+      }
 
-      const command = this.commands.get(interaction.commandName);
+      const command = this.commands.get(commandName);
       if (!command) return;
+      if (interaction.isMessageComponent() && !command.handleComponent) return;
 
       try {
         await handler(interaction, command);
       } catch (error) {
-        this.logger.error(`Error executing command ${interaction.commandName}:`, error);
+        if (interaction.isAutocomplete()) {
+          this.logger.error(`Error autocompleting command ${commandName}:`, error);
+          return;
+        }
+
+        if (interaction.isMessageComponent()) {
+          this.logger.error(`Error handling component ${interaction.customId}:`, error);
+        } else {
+          this.logger.error(`Error executing command ${commandName}:`, error);
+        }
         
         const errorMessage = 'There was an error executing this command.';
         if (interaction.deferred || interaction.replied) {
@@ -74,7 +226,201 @@ class DiscordManager {
     });
   }
 
-  async sendPresenceUpdate(channelId, presenceData, previousState) {
+  setSteamConnectionStatus(state) {
+    if (!this.client.user) {
+      return;
+    }
+
+    if (state === 'connected') {
+      this.client.user.setPresence({ status: 'online', activities: [] });
+      return;
+    }
+
+    const text = state === 'failed' ? 'Steam connection lost' : 'Reconnecting to Steam…';
+    this.client.user.setPresence({
+      status: 'idle',
+      activities: [{ name: text, state: text, type: ActivityType.Custom }],
+    });
+  }
+
+  getGuildName(guildId) {
+    const guild = this.client.guilds.cache.get(guildId);
+    return guild ? guild.name : 'a server';
+  }
+
+  getGuildIds() {
+    return [...this.client.guilds.cache.keys()];
+  }
+
+  async isGuildMember(guildId, userId) {
+    const guild = this.client.guilds.cache.get(guildId);
+    if (!guild) {
+      return false;
+    }
+
+    try {
+      await guild.members.fetch(userId);
+      return true;
+    } catch (error) {
+      // 10007 = Unknown Member
+      if (error.code !== 10007) {
+        this.logger.error(`Error checking membership of ${userId} in guild ${guildId}:`, error);
+      }
+      return false;
+    }
+  }
+
+  async getGuildMemberIds(guildId, userIds) {
+    const guild = this.client.guilds.cache.get(guildId);
+    const memberIds = new Set();
+    if (!guild || userIds.length === 0) {
+      return memberIds;
+    }
+
+    // Discord accepts at most 100 user IDs per member request
+    for (let i = 0; i < userIds.length; i += 100) {
+      const members = await guild.members.fetch({ user: userIds.slice(i, i + 100) });
+      members.forEach(member => memberIds.add(member.id));
+    }
+
+    return memberIds;
+  }
+
+  // Why the bot cannot give out or take away a role, or null when it can
+  getRoleProblem(guildId, roleId) {
+    const guild = this.client.guilds.cache.get(guildId);
+    const role = guild ? guild.roles.cache.get(roleId) : null;
+    if (!role) {
+      return 'deleted';
+    }
+    if (role.managed || role.id === guild.id) {
+      return 'managed';
+    }
+
+    const me = guild.members.me;
+    if (!me.permissions.has(PermissionFlagsBits.ManageRoles)) {
+      return 'permission';
+    }
+    if (role.comparePositionTo(me.roles.highest) >= 0) {
+      return 'position';
+    }
+    return null;
+  }
+
+  // Logs each unmanageable role once instead of on every presence change
+  canManageRole(guildId, roleId) {
+    const problem = this.getRoleProblem(guildId, roleId);
+    if (problem) {
+      const key = `${roleId}:${problem}`;
+      if (!this.roleWarnings.has(key)) {
+        this.roleWarnings.add(key);
+        this.logger.warn(`Cannot sync role ${roleId} in guild ${guildId}: ${t(DEFAULT_LOCALE, `roles.problems.${problem}`)}`);
+      }
+      return false;
+    }
+
+    // Fixed roles warn again if they break later
+    for (const key of this.roleWarnings) {
+      if (key.startsWith(`${roleId}:`)) {
+        this.roleWarnings.delete(key);
+      }
+    }
+    return true;
+  }
+
+  // Adds the wanted roles and takes away the removable ones that are no longer wanted; any other role is left alone.
+  // Returns the roles actually added and removed, or null if the member could not be updated.
+  async updateMemberRoles(guildId, userId, removableRoleIds, wantedRoleIds) {
+    const guild = this.client.guilds.cache.get(guildId);
+    if (!guild) {
+      return null;
+    }
+
+    let member;
+    try {
+      member = await guild.members.fetch(userId);
+    } catch (error) {
+      // 10007 = Unknown Member
+      if (error.code !== 10007) {
+        this.logger.error(`Error fetching member ${userId} in guild ${guildId}:`, error);
+      }
+      return null;
+    }
+
+    const wanted = new Set(wantedRoleIds);
+    const toAdd = [...wanted].filter(roleId => !member.roles.cache.has(roleId) && this.canManageRole(guildId, roleId));
+    const toRemove = removableRoleIds.filter(roleId =>
+      !wanted.has(roleId) && member.roles.cache.has(roleId) && this.canManageRole(guildId, roleId)
+    );
+    if (toAdd.length === 0 && toRemove.length === 0) {
+      return { added: [], removed: [] };
+    }
+
+    try {
+      if (toAdd.length > 0) {
+        await member.roles.add(toAdd, 'Steam activity role sync');
+      }
+      if (toRemove.length > 0) {
+        await member.roles.remove(toRemove, 'Steam activity role sync');
+      }
+      return { added: toAdd, removed: toRemove };
+    } catch (error) {
+      this.logger.warn(`Could not update roles of ${userId} in guild ${guildId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async sendMessage(channelId, payload) {
+    try {
+      await this.messageThrottle.acquire();
+      const channel = await this.client.channels.fetch(channelId);
+      if (!channel || !channel.isTextBased()) {
+        this.logger.warn(`Channel ${channelId} not found or not text-based`);
+        return null;
+      }
+
+      const message = await channel.send(payload);
+      this.recordDelivery(channelId);
+      return message;
+    } catch (error) {
+      this.logger.error(`Error sending message to channel ${channelId}:`, error);
+      this.recordDelivery(channelId, error);
+      return null;
+    }
+  }
+
+  // Users can close their DMs at any time, so failures are expected and only logged at debug level
+  async sendDirectMessage(userId, payload) {
+    try {
+      await this.messageThrottle.acquire();
+      const user = await this.client.users.fetch(userId);
+      return await user.send(payload);
+    } catch (error) {
+      this.logger.debug(`Could not DM user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Errors propagate so callers can tell a deleted message from a transient failure
+  async editMessage(channelId, messageId, payload) {
+    const channel = await this.client.channels.fetch(channelId);
+    const message = await channel.messages.fetch(messageId);
+    return message.edit(payload);
+  }
+
+  async deleteMessage(channelId, messageId) {
+    try {
+      const channel = await this.client.channels.fetch(channelId);
+      const message = await channel.messages.fetch(messageId);
+      await message.delete();
+      return true;
+    } catch (error) {
+      this.logger.warn(`Could not delete message ${messageId} in channel ${channelId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async sendPresenceUpdate(channelId, presenceData, previousState, format = { layout: 'full', locale: DEFAULT_LOCALE }) {
     try {
       const channel = await this.client.channels.fetch(channelId);
       if (!channel || !channel.isTextBased()) {
@@ -82,74 +428,170 @@ class DiscordManager {
         return false;
       }
 
-      const embed = this.createPresenceEmbed(presenceData, previousState);
-      await channel.send({ embeds: [embed] });
+      const payload = this.createPresencePayload(presenceData, previousState, format);
+      await this.messageThrottle.acquire();
+      await channel.send(payload);
+      this.recordDelivery(channelId);
       return true;
     } catch (error) {
       this.logger.error(`Error sending presence update to channel ${channelId}:`, error);
+      this.recordDelivery(channelId, error);
+      return false;
+    }
+  }
+
+  async sendRichPresenceUpdate(channelId, presenceData, changes, locale = DEFAULT_LOCALE) {
+    try {
+      const channel = await this.client.channels.fetch(channelId);
+      if (!channel || !channel.isTextBased()) {
+        this.logger.warn(`Channel ${channelId} not found or not text-based`);
+        return false;
+      }
+
+      const embed = this.createRichPresenceEmbed(presenceData, changes, locale);
+      await this.messageThrottle.acquire();
+      await channel.send({ embeds: [embed] });
+      this.recordDelivery(channelId);
+      return true;
+    } catch (error) {
+      this.logger.error(`Error sending rich presence update to channel ${channelId}:`, error);
+      this.recordDelivery(channelId, error);
       return false;
     }
   }
 
-  createPresenceEmbed(presenceData, previousState) {
+  createRichPresenceEmbed(presenceData, changes, locale = DEFAULT_LOCALE) {
     const embed = new EmbedBuilder()
+      .setColor(0x90ba3c)
       .setTimestamp()
-      .setFooter({ text: 'Steam Presence Update' });
-
-    // Persona states mapping
-    const stateNames = {
-      0: 'Offline',
-      1: 'Online',
-      2: 'Busy',
-      3: 'Away',
-      4: 'Snooze',
-      5: 'Looking to trade',
-      6: 'Looking to play',
-    };
+      .setFooter({ text: this.withAccountLabel(t(locale, 'richPresence.footer'), presenceData, locale) })
+      .setDescription(t(locale, 'richPresenceChanges.description', {
+        name: presenceData.personaName,
+        changes: formatList(locale, changes.map(change => t(locale, `richPresenceChanges.${change.key}`, change.values))),
+        game: presenceData.gameName,
+      }));
 
-    const currentState = stateNames[presenceData.personaState] || 'Unknown';
-    const previousStateName = previousState ? stateNames[previousState.personaState] || 'Unknown' : null;
-
-    // Set embed color based on state
-    const stateColors = {
-      0: 0x898989, // Offline - Gray
-      1: 0x57cbde, // Online - Light Blue
-      2: 0xc03030, // Busy - Red
-      3: 0xc0c030, // Away - Yellow
-      4: 0x5c7e10, // Snooze - Dark Green
-      5: 0x5c7e10, // Looking to trade - Dark Green
-      6: 0x5c7e10, // Looking to play - Dark Green
-    };
-    embed.setColor(stateColors[presenceData.personaState] || 0x000000);
+    this.addRichPresenceFields(embed, presenceData.richPresence, locale);
+    return embed;
+  }
+
+  addRichPresenceFields(embed, richPresence, locale = DEFAULT_LOCALE) {
+    if (!hasRichPresence(richPresence)) {
+      return;
+    }
+
+    const fields = [];
+    if (richPresence.display) {
+      fields.push({ name: t(locale, 'richPresence.activity'), value: richPresence.display, inline: false });
+    }
+    if (richPresence.map) {
+      fields.push({ name: t(locale, 'richPresence.map'), value: richPresence.map, inline: true });
+    }
+    if (richPresence.gameMode) {
+      fields.push({ name: t(locale, 'richPresence.mode'), value: richPresence.gameMode, inline: true });
+    }
+    if (richPresence.partySize > 1) {
+      fields.push({
+        name: t(locale, 'richPresence.party'),
+        value: t(locale, 'richPresence.players', { count: richPresence.partySize }),
+        inline: true,
+      });
+    }
+
+    embed.addFields(fields.map(field => ({ ...field, value: field.value.slice(0, 1024) })));
+  }
+
+  // Users with several linked accounts see which one the update is about
+  withAccountLabel(text, presenceData, locale = DEFAULT_LOCALE) {
+    const account = presenceData.linkedAccount;
+    if (!account || account.accountCount <= 1) {
+      return text;
+    }
+
+    const label = t(locale, account.isPrimary ? 'presence.primaryAccount' : 'presence.altAccount', { steamId: presenceData.steamId });
+    return `${text} • ${label}`;
+  }
+
+  // format is the guild's announcement template ({ layout, customText, locale }) plus the member's
+  // discordId, durationSeconds and, for stop events, the sessionRecap
+  createPresencePayload(presenceData, previousState, format) {
+    if (format.layout === 'compact' || format.layout === 'custom') {
+      const content = format.layout === 'custom'
+        ? renderCustomText(format.customText, getTemplateValues(presenceData, previousState, format))
+        : renderCompactLine(presenceData, previousState, format);
+      return { content: content.slice(0, 2000), allowedMentions: { parse: [] } };
+    }
+
+    return { embeds: [this.createPresenceEmbed(presenceData, previousState, format.locale, format.sessionRecap)] };
+  }
+
+  createPresenceEmbed(presenceData, previousState, locale = DEFAULT_LOCALE, sessionRecap = null) {
+    const embed = new EmbedBuilder()
+      .setTimestamp()
+      .setFooter({ text: this.withAccountLabel(t(locale, 'presence.footer'), presenceData, locale) });
+
+    const currentState = getStateName(locale, presenceData.personaState);
+    const previousStateName = previousState ? getStateName(locale, previousState.personaState) : null;
+
+    embed.setColor(STATE_COLORS[presenceData.personaState] || 0x000000);
 
     // Title and description
-    embed.setTitle(`${presenceData.personaName}'s Steam Status`);
+    embed.setTitle(t(locale, 'presence.title', { name: presenceData.personaName }));
 
-    let description = `**Status:** ${currentState}`;
+    let description = `**${t(locale, 'presence.status')}:** ${currentState}`;
     
     if (previousStateName && previousStateName !== currentState) {
-      description += ` (was ${previousStateName})`;
+      description += ` (${t(locale, 'presence.was', { state: previousStateName })})`;
     }
 
     if (presenceData.gameName) {
-      description += `\n**Playing:** ${presenceData.gameName}`;
+      const metadata = presenceData.gameMetadata;
+      const playing = t(locale, 'presence.playing');
+
+      if (metadata && metadata.storeUrl) {
+        description += `\n**${playing}:** [${presenceData.gameName}](${metadata.storeUrl})`;
+      } else if (getSteamAppId(presenceData.gameId) === null) {
+        description += `\n**${playing}:** ${presenceData.gameName} (${t(locale, 'presence.nonSteamGame')})`;
+      } else {
+        description += `\n**${playing}:** ${presenceData.gameName}`;
+      }
+
+      if (metadata && metadata.headerImageUrl) {
+        embed.setThumbnail(metadata.headerImageUrl);
+      }
       
       if (previousState && previousState.gameName && previousState.gameName !== presenceData.gameName) {
-        description += `\n**Previously:** ${previousState.gameName}`;
+        description += `\n**${t(locale, 'presence.previously')}:** ${previousState.gameName}`;
       }
     } else if (previousState && previousState.gameName) {
-      description += `\n**Stopped playing:** ${previousState.gameName}`;
+      description += `\n**${t(locale, 'presence.stoppedPlaying')}:** ${previousState.gameName}`;
     }
 
     embed.setDescription(description);
 
+    if (presenceData.gameName) {
+      this.addRichPresenceFields(embed, presenceData.richPresence, locale);
+    }
+
+    if (sessionRecap) {
+      embed.addFields({ name: t(locale, 'presence.sessionRecap'), value: describeSessionRecap(sessionRecap, locale) });
+    }
+
     // Add profile link
     embed.addFields({
-      name: 'Steam Profile',
-      value: `[View Profile](https://steamcommunity.com/profiles/${presenceData.steamId})`,
+      name: t(locale, 'presence.profile'),
+      value: `[${t(locale, 'presence.viewProfile')}](https://steamcommunity.com/profiles/${presenceData.steamId})`,
       inline: true,
     });
 
+    if (presenceData.gameName && presenceData.gameMetadata && presenceData.gameMetadata.genres.length > 0) {
+      embed.addFields({
+        name: t(locale, 'presence.genres'),
+        value: presenceData.gameMetadata.genres.join(', '),
+        inline: true,
+      });
+    }
+
     return embed;
   }
 
@@ -158,6 +600,7 @@ class DiscordManager {
   }
 
   async destroy() {
+    this.messageThrottle.stop();
     await this.client.destroy();
     this.logger.info('Discord client destroyed');
   }
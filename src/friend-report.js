@@ -0,0 +1,101 @@
+import { DEFAULT_LOCALE, t } from './i18n.js';
+
+export const DEFAULT_INACTIVE_DAYS = 90;
+
+export const PRUNE_CATEGORIES = {
+  unlinked: 'Not linked to a Discord user',
+  left: 'Linked user left every server',
+  inactive: 'Inactive',
+};
+
+// How many entries are listed per category, keeping messages under Discord's length limit
+const LIST_LIMIT = 10;
+const REPORT_SECTION_LIMIT = 5;
+
+export async function buildFriendReport({ db, steamManager, discordManager }, inactiveDays = DEFAULT_INACTIVE_DAYS) {
+  const now = Math.floor(Date.now() / 1000);
+  const cutoff = now - inactiveDays * 24 * 60 * 60;
+  const friendIds = steamManager.getFriendIds();
+  const mappings = new Map(db.getAllMappings().map(m => [m.steam_id, m]));
+
+  // Which linked users are still in at least one server the bot is in
+  const linkedDiscordIds = friendIds.filter(id => mappings.has(id)).map(id => mappings.get(id).discord_id);
+  const presentIds = new Set();
+  for (const guildId of discordManager.getGuildIds()) {
+    const memberIds = await discordManager.getGuildMemberIds(guildId, linkedDiscordIds);
+    memberIds.forEach(id => presentIds.add(id));
+  }
+
+  const report = {
+    total: friendIds.length,
+    capacity: await steamManager.getFriendsCapacity(),
+    unlinked: [],
+    left: [],
+    inactive: [],
+  };
+
+  for (const steamId of friendIds) {
+    const mapping = mappings.get(steamId);
+    const cache = db.getSteamCache(steamId);
+    const lastSeen = steamManager.getLastSeen(steamId) ?? (cache ? cache.last_updated : null);
+    const entry = {
+      steamId,
+      personaName: cache ? cache.persona_name : null,
+      discordId: mapping ? mapping.discord_id : null,
+      lastSeen,
+    };
+
+    if (!mapping) {
+      // Friends in the middle of linking aren't strays
+      const linking = db.getLinkIntentsBySteamId(steamId).length > 0 || db.getVerificationsBySteamId(steamId).length > 0;
+      if (!linking) {
+        report.unlinked.push(entry);
+      }
+    } else if (!presentIds.has(mapping.discord_id)) {
+      report.left.push(entry);
+    }
+
+    if (lastSeen !== null && lastSeen < cutoff) {
+      report.inactive.push(entry);
+    }
+  }
+
+  report.inactive.sort((a, b) => a.lastSeen - b.lastSeen);
+  return report;
+}
+
+export function describeFriend(entry, locale = DEFAULT_LOCALE) {
+  let text = entry.personaName ? `${entry.personaName} (\`${entry.steamId}\`)` : `\`${entry.steamId}\``;
+  if (entry.discordId) {
+    text += ` — <@${entry.discordId}>`;
+  }
+  if (entry.lastSeen !== null) {
+    text += ` — ${t(locale, 'friends.lastSeen', { lastSeen: entry.lastSeen })}`;
+  }
+  return text;
+}
+
+export function formatFriendList(entries, locale = DEFAULT_LOCALE, limit = LIST_LIMIT) {
+  const lines = entries.slice(0, limit).map(entry => `- ${describeFriend(entry, locale)}`);
+  if (entries.length > limit) {
+    lines.push(`- ${t(locale, 'common.more', { count: entries.length - limit })}`);
+  }
+  return lines.join('\n');
+}
+
+export function formatFriendReport(report, inactiveDays, locale = DEFAULT_LOCALE) {
+  const used = Math.round((report.total / report.capacity) * 100);
+  let content = `${t(locale, 'friends.summary', { total: report.total, capacity: report.capacity, percent: used })}\n`;
+
+  for (const category of Object.keys(PRUNE_CATEGORIES)) {
+    const entries = report[category];
+    const label = t(locale, `friends.categories.${category}`);
+    const heading = category === 'inactive' ? t(locale, 'friends.inactiveFor', { label, days: inactiveDays }) : label;
+    content += `\n${t(locale, 'friends.section', { heading, count: entries.length })}\n`;
+    if (entries.length > 0) {
+      content += `${formatFriendList(entries, locale, REPORT_SECTION_LIMIT)}\n`;
+    }
+  }
+
+  return content;
+}
@@ -0,0 +1,162 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getGuildLocale, getUserLocale, t } from './i18n.js';
+
+// A /steam link attempt only vouches for a friend request for this long
+const LINK_INTENT_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+const STATUS_COLORS = {
+  pending: 0xfee75c,
+  accepted: 0x57f287,
+  declined: 0xed4245,
+  cancelled: 0x747f8d,
+};
+
+class FriendRequestManager {
+  constructor(db, steamManager, discordManager, logger) {
+    this.db = db;
+    this.steamManager = steamManager;
+    this.discordManager = discordManager;
+    this.logger = logger;
+  }
+
+  // Called for each incoming request, again whenever the friends list is reloaded, and when someone links the account
+  async handleRequest(steamId) {
+    const existing = this.db.getFriendRequest(steamId);
+    if (!existing || existing.status !== 'pending') {
+      const personaName = await this.steamManager.getPersonaName(steamId);
+      this.db.recordFriendRequest(steamId, personaName);
+      this.db.addFriendRequestAudit(steamId, 'received', null, null);
+    }
+
+    // Auto-accept accounts a member of an opted-in guild is trying to link
+    const since = Math.floor(Date.now() / 1000) - LINK_INTENT_MAX_AGE_SECONDS;
+    for (const intent of this.db.getAutoAcceptIntents(steamId, since)) {
+      if (await this.discordManager.isGuildMember(intent.guild_id, intent.discord_id)) {
+        await this.decide(steamId, true, 'auto', intent.guild_id);
+        return;
+      }
+    }
+
+    // Only guilds where someone is linking this account review it; other guilds don't learn who is behind it
+    const posted = new Set(this.db.getFriendRequestMessages(steamId).map(message => message.guild_id));
+    const targets = this.db.getFriendRequestTargets(steamId, since).filter(target => !posted.has(target.guild_id));
+    if (targets.length === 0) {
+      if (posted.size === 0) {
+        this.logger.info(`Friend request from ${steamId} left pending; nobody is linking it in a server with a friend request channel`);
+      }
+      return;
+    }
+
+    const request = this.db.getFriendRequest(steamId);
+    for (const { guild_id: guildId, channel_id: channelId } of targets) {
+      const message = await this.discordManager.sendMessage(channelId, this.createPayload(request, guildId));
+      if (message) {
+        this.db.addFriendRequestMessage(steamId, guildId, channelId, message.id);
+      }
+    }
+  }
+
+  // Returns { status } with the request's final status, 'handled' if someone else decided first,
+  // or 'elsewhere' if the request was not posted for review in the actor's guild
+  async decide(steamId, accept, actorId, guildId) {
+    const request = this.db.getFriendRequest(steamId);
+    if (!request || request.status !== 'pending') {
+      return { status: 'handled', request };
+    }
+    if (actorId !== 'auto' && !this.db.getFriendRequestMessages(steamId).some(message => message.guild_id === guildId)) {
+      return { status: 'elsewhere', request };
+    }
+
+    let status = accept ? 'accepted' : 'declined';
+    if (!this.steamManager.hasPendingFriendRequest(steamId)) {
+      status = 'cancelled';
+    } else if (accept) {
+      await this.steamManager.acceptFriendRequest(steamId);
+    } else {
+      this.steamManager.declineFriendRequest(steamId);
+    }
+
+    if (!this.db.resolveFriendRequest(steamId, status, actorId)) {
+      return { status: 'handled', request: this.db.getFriendRequest(steamId) };
+    }
+
+    const action = status === 'accepted' && actorId === 'auto' ? 'auto_accepted' : status;
+    this.db.addFriendRequestAudit(steamId, action, actorId, guildId);
+    this.logger.info(`Friend request from ${steamId} ${status} by ${actorId}`);
+
+    const intents = status === 'accepted' ? this.db.getLinkIntentsBySteamId(steamId) : [];
+    if (intents.length > 0) {
+      try {
+        const locale = getUserLocale(this.db.getUserLocale(intents[0].discord_id));
+        await this.steamManager.sendChatMessage(steamId, t(locale, 'steamChat.friendAccepted'));
+      } catch (error) {
+        this.logger.warn(`Could not notify ${steamId} about the accepted request: ${error.message}`);
+      }
+    }
+
+    await this.updateMessages(steamId);
+    return { status, request: this.db.getFriendRequest(steamId) };
+  }
+
+  async updateMessages(steamId) {
+    const request = this.db.getFriendRequest(steamId);
+
+    for (const message of this.db.getFriendRequestMessages(steamId)) {
+      try {
+        await this.discordManager.editMessage(message.channel_id, message.message_id, this.createPayload(request, message.guild_id));
+      } catch (error) {
+        this.logger.debug(`Could not update friend request message ${message.message_id}: ${error.message}`);
+      }
+    }
+
+    this.db.removeFriendRequestMessages(steamId);
+  }
+
+  createPayload(request, guildId) {
+    const locale = getGuildLocale(this.db.getAnnouncementTemplate(guildId));
+    const embed = new EmbedBuilder()
+      .setTitle(t(locale, 'friendRequests.post.title'))
+      .setColor(STATUS_COLORS[request.status])
+      .addFields(
+        {
+          name: t(locale, 'friendRequests.post.from'),
+          value: `[${request.persona_name || request.steam_id}](https://steamcommunity.com/profiles/${request.steam_id})`,
+          inline: true,
+        },
+        { name: t(locale, 'status.steamId'), value: `\`${request.steam_id}\``, inline: true },
+        { name: t(locale, 'status.status'), value: t(locale, `friendRequests.post.statuses.${request.status}`), inline: true }
+      )
+      .setTimestamp(request.received_at * 1000);
+
+    if (request.decided_by) {
+      const decidedBy = request.decided_by === 'auto' ? t(locale, 'friendRequests.post.auto') : `<@${request.decided_by}>`;
+      embed.addFields({ name: t(locale, 'friendRequests.post.decided'), value: `${decidedBy} <t:${request.decided_at}:R>` });
+    }
+
+    const linkedBy = this.db.getLinkIntentsBySteamId(request.steam_id)
+      .filter(intent => intent.guild_id === guildId)
+      .map(intent => `<@${intent.discord_id}>`);
+    if (linkedBy.length > 0) {
+      embed.addFields({ name: t(locale, 'friendRequests.post.linkedBy'), value: linkedBy.join(', ') });
+    }
+
+    if (request.status !== 'pending') {
+      return { embeds: [embed], components: [] };
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`steam:friendrequest:accept:${request.steam_id}`)
+        .setLabel(t(locale, 'friendRequests.post.accept'))
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`steam:friendrequest:decline:${request.steam_id}`)
+        .setLabel(t(locale, 'friendRequests.post.decline'))
+        .setStyle(ButtonStyle.Danger)
+    );
+
+    return { embeds: [embed], components: [row] };
+  }
+}
+
+export default FriendRequestManager;
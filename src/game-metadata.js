@@ -0,0 +1,135 @@
+// Cached app info is refreshed after this long
+const METADATA_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Apps Steam returned nothing for (or that failed) are retried after this long; they are never stored
+const FAILED_RETRY_SECONDS = 10 * 60;
+
+// PICS product info requests can hang for a long time; give up on enrichment well before that
+const FETCH_TIMEOUT_MS = 15000;
+
+// Steam store genre IDs as they appear in PICS app info (common.genres)
+const GENRE_NAMES = {
+  1: 'Action',
+  2: 'Strategy',
+  3: 'RPG',
+  4: 'Casual',
+  9: 'Racing',
+  18: 'Sports',
+  23: 'Indie',
+  25: 'Adventure',
+  28: 'Simulation',
+  29: 'Massively Multiplayer',
+  37: 'Free to Play',
+  70: 'Early Access',
+};
+
+// Non-Steam shortcuts report a zero game ID or a 64-bit ID with shortcut bits set instead of an app ID
+export function getSteamAppId(gameId) {
+  if (!gameId || !/^\d+$/.test(String(gameId))) {
+    return null;
+  }
+
+  const id = BigInt(gameId);
+  if (id === 0n || id > 0xffffffn) {
+    return null;
+  }
+
+  return Number(id);
+}
+
+class GameMetadataService {
+  constructor(db, steamManager, logger) {
+    this.db = db;
+    this.steamManager = steamManager;
+    this.logger = logger;
+    this.inFlight = new Map();
+    this.failedAt = new Map();
+  }
+
+  async getMetadata(gameId) {
+    const appId = getSteamAppId(gameId);
+    if (appId === null) {
+      return null;
+    }
+
+    const cached = this.db.getGameMetadata(appId);
+    const now = Math.floor(Date.now() / 1000);
+    if (cached && now - cached.fetched_at < METADATA_TTL_SECONDS) {
+      return this.toMetadata(cached);
+    }
+
+    const failedAt = this.failedAt.get(appId);
+    if (failedAt && now - failedAt < FAILED_RETRY_SECONDS) {
+      return cached ? this.toMetadata(cached) : null;
+    }
+
+    // Concurrent presence events for the same game share one request
+    if (!this.inFlight.has(appId)) {
+      this.inFlight.set(appId, this.fetchMetadata(appId).finally(() => this.inFlight.delete(appId)));
+    }
+
+    const fetched = await this.inFlight.get(appId);
+    if (fetched) {
+      return this.toMetadata(fetched);
+    }
+
+    // Stale data beats no data when Steam can't be reached
+    return cached ? this.toMetadata(cached) : null;
+  }
+
+  async fetchMetadata(appId) {
+    let timer;
+
+    try {
+      const appInfo = await Promise.race([
+        this.steamManager.getAppInfo(appId),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Timed out fetching app info')), FETCH_TIMEOUT_MS);
+        }),
+      ]);
+
+      if (!appInfo || !appInfo.common) {
+        this.logger.debug(`Steam returned no app info for ${appId}`);
+        this.failedAt.set(appId, Math.floor(Date.now() / 1000));
+        return null;
+      }
+
+      const common = appInfo.common;
+      const genres = Object.values(common.genres || {})
+        .map(id => GENRE_NAMES[id])
+        .filter(Boolean);
+      const releaseTimestamp = Number(common.steam_release_date || common.original_release_date) || null;
+
+      this.db.saveGameMetadata({
+        appId,
+        name: common.name || null,
+        headerImageUrl: `https://cdn.cloudflare.steamstatic.com/steam/apps/${appId}/header.jpg`,
+        storeUrl: `https://store.steampowered.com/app/${appId}/`,
+        genres,
+        releasedAt: releaseTimestamp,
+      });
+
+      this.failedAt.delete(appId);
+      return this.db.getGameMetadata(appId);
+    } catch (error) {
+      this.logger.warn(`Could not fetch app info for ${appId}: ${error.message}`);
+      this.failedAt.set(appId, Math.floor(Date.now() / 1000));
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  toMetadata(row) {
+    return {
+      appId: row.app_id,
+      name: row.name,
+      headerImageUrl: row.header_image_url,
+      storeUrl: row.store_url,
+      genres: row.genres ? JSON.parse(row.genres) : [],
+      releasedAt: row.released_at,
+    };
+  }
+}
+
+export default GameMetadataService;
@@ -0,0 +1,129 @@
+import { formatList, getGuildLocale, t } from './i18n.js';
+
+// Game starts within this window are collected into one alert ("Alice and Bob started playing …")
+const ALERT_BATCH_WINDOW_MS = 60 * 1000;
+
+// A subscriber or role is alerted about the same game at most this often
+const ALERT_COOLDOWN_SECONDS = 30 * 60;
+
+export const MAX_WATCHES_PER_USER = 25;
+
+export function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours || quietHours.start_minute === quietHours.end_minute) {
+    return false;
+  }
+
+  const utcMinute = date.getUTCHours() * 60 + date.getUTCMinutes();
+  const minute = (((utcMinute + quietHours.utc_offset_minutes) % 1440) + 1440) % 1440;
+
+  // Windows that cross midnight (e.g. 22:00-07:00) wrap around
+  return quietHours.start_minute < quietHours.end_minute
+    ? minute >= quietHours.start_minute && minute < quietHours.end_minute
+    : minute >= quietHours.start_minute || minute < quietHours.end_minute;
+}
+
+export function formatMinute(minute) {
+  return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+}
+
+export function formatUtcOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  return `UTC${sign}${formatMinute(Math.abs(offsetMinutes))}`;
+}
+
+class GameWatchManager {
+  constructor(db, discordManager, logger) {
+    this.db = db;
+    this.discordManager = discordManager;
+    this.logger = logger;
+    this.batches = new Map();
+  }
+
+  // Called once the player's privacy settings have been applied; only guilds they are visible in are alerted
+  async handleGameStart(mapping, presenceData) {
+    for (const config of this.db.getAnnouncementTargets(mapping.discord_id)) {
+      if (this.db.getGameWatches(config.guild_id, presenceData.gameName).length === 0) {
+        continue;
+      }
+      if (!(await this.discordManager.isGuildMember(config.guild_id, mapping.discord_id))) {
+        continue;
+      }
+
+      this.addToBatch(config, mapping.discord_id, presenceData);
+    }
+  }
+
+  addToBatch(config, discordId, presenceData) {
+    const key = `${config.guild_id}:${presenceData.gameName.toLowerCase()}`;
+    let batch = this.batches.get(key);
+    if (!batch) {
+      batch = { config, gameName: presenceData.gameName, players: new Map(), timer: null };
+      batch.timer = setTimeout(() => {
+        this.batches.delete(key);
+        this.flush(batch).catch(error => this.logger.error(`Error sending game watch alert for ${key}:`, error));
+      }, ALERT_BATCH_WINDOW_MS);
+      this.batches.set(key, batch);
+    }
+
+    batch.players.set(discordId, { steamId: presenceData.steamId, personaName: presenceData.personaName });
+  }
+
+  async flush({ config, gameName, players }) {
+    // Anyone who already quit during the batch window is left out
+    const playing = [...players].filter(([, player]) => {
+      const session = this.db.getOpenPlaySession(player.steamId);
+      return session && session.game_name === gameName;
+    });
+    if (playing.length === 0) {
+      return;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const guildId = config.guild_id;
+    const locale = getGuildLocale(this.db.getAnnouncementTemplate(guildId));
+    let sentCount = 0;
+
+    for (const watch of this.db.getGameWatches(guildId, gameName)) {
+      const lastAlert = this.db.getLastWatchAlert(watch.target_type, watch.target_id, watch.game_name);
+      if (lastAlert && now - lastAlert < ALERT_COOLDOWN_SECONDS) {
+        continue;
+      }
+
+      let sent;
+      if (watch.target_type === 'role') {
+        const names = formatList(locale, playing.map(([discordId]) => `<@${discordId}>`));
+        sent = await this.discordManager.sendMessage(config.update_channel_id, {
+          content: t(locale, 'watch.roleAlert', { role: `<@&${watch.target_id}>`, names, game: gameName }),
+          allowedMentions: { roles: [watch.target_id] },
+        });
+      } else {
+        // Nobody needs an alert about their own game, and quiet hours are respected
+        const others = playing.filter(([discordId]) => discordId !== watch.target_id);
+        if (others.length === 0 || isQuietTime(this.db.getQuietHours(watch.target_id))) {
+          continue;
+        }
+
+        const names = formatList(locale, others.map(([, player]) => `**${player.personaName}**`));
+        sent = await this.discordManager.sendDirectMessage(watch.target_id, {
+          content: t(locale, 'watch.dmAlert', { names, game: gameName, guild: this.discordManager.getGuildName(guildId) }),
+        });
+      }
+
+      if (sent) {
+        this.db.markGameWatchAlerted(guildId, watch.game_name, watch.target_type, watch.target_id);
+        sentCount++;
+      }
+    }
+
+    if (sentCount > 0) {
+      this.logger.info(`Sent ${sentCount} game watch alert(s) for ${gameName} in guild ${guildId}`);
+    }
+  }
+
+  stop() {
+    this.batches.forEach(batch => clearTimeout(batch.timer));
+    this.batches.clear();
+  }
+}
+
+export default GameWatchManager;
@@ -0,0 +1,54 @@
+import en from './locales/en.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+
+// Keyed by the language part of Discord locale codes ("es-ES" → "es")
+export const LOCALES = { en, de, es, fr };
+
+export const DEFAULT_LOCALE = 'en';
+
+export function resolveLocale(discordLocale) {
+  if (!discordLocale) {
+    return null;
+  }
+
+  const language = discordLocale.split('-')[0].toLowerCase();
+  return language in LOCALES ? language : null;
+}
+
+// A locale picked with /steam config locale wins over the one Discord reports for the guild
+export function getGuildLocale(template) {
+  return template.locale || resolveLocale(template.detectedLocale) || DEFAULT_LOCALE;
+}
+
+// Outside Discord (Steam chat) there is no interaction to ask, so go by the user's last one
+export function getUserLocale(discordLocale) {
+  return resolveLocale(discordLocale) || DEFAULT_LOCALE;
+}
+
+function lookup(strings, key) {
+  return key.split('.').reduce((node, part) => (node === undefined ? undefined : node[part]), strings);
+}
+
+// Fills {name} placeholders; placeholders without a value are left as written
+export function formatText(text, values = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+}
+
+export function t(locale, key, values = {}) {
+  const text = lookup(LOCALES[locale] || en, key) ?? lookup(en, key) ?? key;
+  return formatText(text, values);
+}
+
+// "A, B and C" in the given language
+export function formatList(locale, items) {
+  if (items.length <= 1) {
+    return items.join('');
+  }
+  return t(locale, 'common.list', { first: items.slice(0, -1).join(', '), last: items[items.length - 1] });
+}
+
+export function getStateName(locale, personaState) {
+  return t(locale, personaState in en.states ? `states.${personaState}` : 'states.unknown');
+}
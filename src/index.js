@@ -5,6 +5,23 @@ import Logger from './logger.js';
 import DatabaseManager from './database.js';
 import SteamManager from './steam-manager.js';
 import DiscordManager from './discord-manager.js';
+import RefreshTokenStore from './token-store.js';
+import DashboardManager from './dashboard.js';
+import FriendRequestManager from './friend-requests.js';
+import ChatRelay from './chat-relay.js';
+import GameWatchManager from './game-watch.js';
+import LfgManager from './lfg.js';
+import RoleSyncManager from './role-sync.js';
+import { buildFriendReport, DEFAULT_INACTIVE_DAYS } from './friend-report.js';
+import GameMetadataService from './game-metadata.js';
+import BackupManager from './backup.js';
+import SteamIdResolver from './steam-id-resolver.js';
+import { classifyPresenceChange, filterEventsForGuild, getCooldownRemaining } from './notification-filters.js';
+import { describeRichPresenceChanges, richPresenceFromRow } from './rich-presence.js';
+import { buildLeaderboard, createLeaderboardEmbed } from './leaderboard.js';
+import { isGameHidden, isTrackingPaused, hideGame } from './privacy.js';
+import { checkVerificationCode, looksLikeVerificationCode, normalizeVerificationCode } from './verification.js';
+import { getGuildLocale, getUserLocale, t } from './i18n.js';
 import steamCommand from './commands/steam.js';
 
 dotenv.config();
@@ -12,27 +29,98 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Above this many missed changes after a reconnect, the cache is updated without announcing
+const RESYNC_ANNOUNCE_LIMIT = 10;
+
+// How often the bot records that it is alive, used to close sessions after a crash
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// Relaunching the same game within this long (e.g. after a crash) continues the previous session
+const SESSION_MERGE_GAP_SECONDS = 5 * 60;
+
+// Weekly leaderboards are checked hourly and posted once a week per guild
+const LEADERBOARD_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const WEEKLY_LEADERBOARD_INTERVAL_SECONDS = 7 * 24 * 60 * 60;
+
+// Unset or empty falls back to the default; anything else must pass the check or startup fails
+function readNumberSetting(name, defaultValue, isValid, expected) {
+  const raw = (process.env[name] || '').trim();
+  if (raw === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || !isValid(value)) {
+    throw new Error(`Invalid ${name}=${raw}: expected ${expected}.\nPlease check your .env file.`);
+  }
+  return value;
+}
+
 class SteamDiscordBot {
   constructor() {
     this.logger = new Logger(process.env.LOG_LEVEL || 'info');
     this.db = null;
     this.steamManager = null;
     this.discordManager = null;
+    this.dashboardManager = null;
+    this.friendRequestManager = null;
+    this.chatRelay = null;
+    this.gameWatchManager = null;
+    this.lfgManager = null;
+    this.roleSyncManager = null;
+    this.queuedFriendRequests = new Set();
+    this.friendsListLoaded = false;
+    this.gameMetadata = null;
+    this.steamIdResolver = null;
+    this.tokenStore = null;
+    this.backupManager = null;
+    this.heartbeatTimer = null;
+    this.leaderboardTimer = null;
+    this.pendingAnnouncements = new Map();
+    this.trailingAnnouncements = new Map();
     this.isShuttingDown = false;
+    // Discord users allowed to manage the bot's Steam friends list, which every server shares
+    this.ownerIds = (process.env.BOT_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
   }
 
   async start() {
     try {
       this.logger.info('Starting Steam-Discord Bot...');
 
-      // Validate environment variables
-      this.validateConfig();
-
-      // Initialize database
+      // Initialize database (a stored refresh token can stand in for the Steam password)
       const dbPath = process.env.DATABASE_PATH || join(__dirname, '../database/bot.db');
       this.db = new DatabaseManager(dbPath);
+      if (this.db.migrationBackupPath) {
+        this.logger.info(`Backed up the database before migrating to ${this.db.migrationBackupPath}`);
+      }
+      for (const migration of this.db.appliedMigrations) {
+        this.logger.info(`Applied database migration ${migration.version} (${migration.name})`);
+        migration.notes.forEach(note => this.logger.warn(`Migration ${migration.version}: ${note}`));
+      }
       this.logger.info('Database initialized');
 
+      this.backupManager = new BackupManager(
+        this.db,
+        {
+          dir: process.env.BACKUP_DIR || join(dirname(dbPath), 'backups'),
+          intervalHours: readNumberSetting('BACKUP_INTERVAL_HOURS', 24, value => value >= 0, 'a number of hours (0 disables backups)'),
+          retention: readNumberSetting('BACKUP_RETENTION', 7, value => Number.isInteger(value) && value >= 1, 'a whole number of at least 1'),
+        },
+        this.logger
+      );
+      this.backupManager.start();
+
+      if (process.env.STEAM_TOKEN_KEY) {
+        this.tokenStore = new RefreshTokenStore(this.db, process.env.STEAM_USERNAME, process.env.STEAM_TOKEN_KEY);
+      }
+
+      // Validate environment variables
+      this.validateConfig();
+
+      // Close play sessions left open by a crash, then keep the heartbeat fresh
+      this.recoverPlaySessions();
+      this.startHeartbeat();
+
       // Initialize Steam client
       this.steamManager = new SteamManager(
         {
@@ -40,6 +128,18 @@ class SteamDiscordBot {
           password: process.env.STEAM_PASSWORD,
           sharedSecret: process.env.STEAM_SHARED_SECRET,
           twoFactorCode: process.env.STEAM_2FA_CODE,
+          tokenStore: this.tokenStore,
+          language: process.env.STEAM_LANGUAGE,
+        },
+        this.logger
+      );
+
+      this.gameMetadata = new GameMetadataService(this.db, this.steamManager, this.logger);
+      this.steamIdResolver = new SteamIdResolver(
+        {
+          db: this.db,
+          steamManager: this.steamManager,
+          apiKey: process.env.STEAM_WEB_API_KEY,
         },
         this.logger
       );
@@ -48,6 +148,10 @@ class SteamDiscordBot {
       this.steamManager.setupEventHandlers();
       this.steamManager.onPresenceChange(this.handlePresenceChange.bind(this));
       this.steamManager.onFriendsListLoaded(this.handleFriendsListLoaded.bind(this));
+      this.steamManager.onConnectionStateChange(this.handleSteamConnectionState.bind(this));
+      this.steamManager.onResync(this.handleSteamResync.bind(this));
+      this.steamManager.onChatMessage(this.handleSteamChatMessage.bind(this));
+      this.steamManager.onFriendRequest(this.handleFriendRequest.bind(this));
 
       // Login to Steam
       await this.steamManager.login();
@@ -57,19 +161,66 @@ class SteamDiscordBot {
         {
           token: process.env.DISCORD_TOKEN,
           clientId: process.env.DISCORD_CLIENT_ID,
+          messageContent: process.env.DISCORD_MESSAGE_CONTENT_INTENT === 'true',
         },
         this.logger
       );
 
+      this.discordManager.setupEventHandlers();
+      this.discordManager.onGuildRemoved(this.handleGuildRemoved.bind(this));
+      this.discordManager.onChannelDeleted(this.handleChannelDeleted.bind(this));
+      this.discordManager.onMemberLeft(this.handleMemberLeft.bind(this));
+      this.discordManager.onRoleDeleted(this.handleRoleDeleted.bind(this));
+      this.discordManager.onChannelUnavailable(this.handleChannelUnavailable.bind(this));
+      this.discordManager.onMessage(this.handleDiscordMessage.bind(this));
+
       // Login to Discord
       await this.discordManager.login();
 
+      // Guilds that removed the bot while it was offline
+      this.cleanupRemovedGuilds();
+
+      // Live dashboards are edited in place as presence changes
+      this.dashboardManager = new DashboardManager(this.db, this.discordManager, this.logger);
+      this.dashboardManager.refreshAll();
+
+      this.gameWatchManager = new GameWatchManager(this.db, this.discordManager, this.logger);
+      this.lfgManager = new LfgManager(this.db, this.discordManager, this.logger);
+
+      // Activity roles may be stale after a restart
+      this.roleSyncManager = new RoleSyncManager(this.db, this.discordManager, this.logger);
+      this.roleSyncManager.reconcileAll();
+
+      // Friend requests received before Discord was ready are surfaced now
+      this.friendRequestManager = new FriendRequestManager(this.db, this.steamManager, this.discordManager, this.logger);
+      for (const steamId of this.queuedFriendRequests) {
+        await this.handleFriendRequest(steamId);
+      }
+      this.queuedFriendRequests.clear();
+      if (this.friendsListLoaded) {
+        await this.reportFriendCapacity();
+      }
+
+      // Steam chat commands run through the same handlers as slash commands
+      this.chatRelay = new ChatRelay(
+        {
+          db: this.db,
+          steamManager: this.steamManager,
+          discordManager: this.discordManager,
+          runCommand: interaction => this.handleInteraction(interaction, steamCommand),
+        },
+        this.logger
+      );
+
       // Register commands
       await this.discordManager.registerCommands([steamCommand]);
 
       // Set up interaction handler
       this.discordManager.setupInteractionHandler(this.handleInteraction.bind(this));
 
+      // Post automatic weekly leaderboards
+      this.leaderboardTimer = setInterval(() => this.postWeeklyLeaderboards(), LEADERBOARD_CHECK_INTERVAL_MS);
+
       this.logger.info('✅ Bot is now running!');
       this.logger.info(`Steam friends: ${this.steamManager.getFriendsCount()}`);
       this.logger.info(`Discord servers: ${this.discordManager.getClient().guilds.cache.size}`);
@@ -88,15 +239,27 @@ class SteamDiscordBot {
       'DISCORD_TOKEN',
       'DISCORD_CLIENT_ID',
       'STEAM_USERNAME',
-      'STEAM_PASSWORD',
     ];
 
     const missing = required.filter(key => !process.env[key]);
+
+    // The password is only needed until a refresh token has been stored
+    const hasStoredToken = Boolean(this.tokenStore && this.tokenStore.load());
+    if (!process.env.STEAM_PASSWORD && !hasStoredToken) {
+      missing.push('STEAM_PASSWORD');
+    }
     
     if (missing.length > 0) {
       throw new Error(`Missing required environment variables: ${missing.join(', ')}\nPlease check your .env file.`);
     }
 
+    if (!this.tokenStore) {
+      this.logger.warn('⚠️  STEAM_TOKEN_KEY is not set. Steam refresh tokens will not be stored and the password is used on every login.');
+    } else if (hasStoredToken) {
+      this.logger.info('Using stored Steam refresh token');
+      return;
+    }
+
     // Warn if no 2FA method is configured
     if (!process.env.STEAM_SHARED_SECRET && !process.env.STEAM_2FA_CODE) {
       this.logger.warn('⚠️  No 2FA method configured. If your Steam account has SteamGuard enabled, login may fail.');
@@ -104,18 +267,74 @@ class SteamDiscordBot {
     }
   }
 
+  recoverPlaySessions() {
+    const lastHeartbeat = Number(this.db.getBotState('heartbeat')) || Math.floor(Date.now() / 1000);
+    const result = this.db.closeOpenPlaySessions(lastHeartbeat);
+
+    if (result.changes > 0) {
+      this.logger.info(`Closed ${result.changes} play session(s) left open by the previous run`);
+    }
+  }
+
+  startHeartbeat() {
+    const beat = () => this.db.setBotState('heartbeat', Math.floor(Date.now() / 1000));
+    beat();
+    this.heartbeatTimer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+  }
+
   async handleInteraction(interaction, command) {
     const context = {
       db: this.db,
       steamManager: this.steamManager,
+      steamIdResolver: this.steamIdResolver,
+      discordManager: this.discordManager,
+      dashboardManager: this.dashboardManager,
+      friendRequestManager: this.friendRequestManager,
+      roleSyncManager: this.roleSyncManager,
+      lfgManager: this.lfgManager,
+      ownerIds: this.ownerIds,
       logger: this.logger,
     };
 
+    if (interaction.isMessageComponent()) {
+      await command.handleComponent(interaction, context);
+      return;
+    }
+
+    if (interaction.isAutocomplete()) {
+      if (command.autocomplete) {
+        await command.autocomplete(interaction, context);
+      }
+      return;
+    }
+
     await command.execute(interaction, context);
   }
 
+  async postWeeklyLeaderboards() {
+    for (const settings of this.db.getDueWeeklyLeaderboards(WEEKLY_LEADERBOARD_INTERVAL_SECONDS)) {
+      try {
+        const visibleIds = this.db.getVisibleDiscordIds(settings.guild_id);
+        const memberIds = await this.discordManager.getGuildMemberIds(settings.guild_id, visibleIds);
+        const entries = buildLeaderboard(this.db, memberIds, { period: 'week' });
+
+        const locale = getGuildLocale(this.db.getAnnouncementTemplate(settings.guild_id));
+        const embed = createLeaderboardEmbed(entries, { period: 'week', locale }).setTitle(t(locale, 'leaderboard.weeklyTitle'));
+        const message = await this.discordManager.sendMessage(settings.update_channel_id, { embeds: [embed] });
+
+        if (message) {
+          this.db.markWeeklyLeaderboardPosted(settings.guild_id);
+          this.logger.info(`Posted weekly leaderboard to guild ${settings.guild_id}`);
+        }
+      } catch (error) {
+        this.logger.error(`Error posting weekly leaderboard for guild ${settings.guild_id}:`, error);
+      }
+    }
+  }
+
   handleFriendsListLoaded(friendsCache) {
     this.logger.info(`Friends list loaded with ${friendsCache.size} friends`);
+    this.friendsListLoaded = true;
     
     // Log any linked users who are not friends
     const mappings = this.db.getAllMappings();
@@ -128,6 +347,559 @@ class SteamDiscordBot {
       });
       this.logger.warn('These users will not receive presence updates until they add the bot as a friend.');
     }
+
+    // On first login Discord isn't ready yet; start() reports once it is
+    if (this.discordManager && this.discordManager.getClient().isReady()) {
+      this.reportFriendCapacity();
+    }
+  }
+
+  async reportFriendCapacity() {
+    try {
+      const report = await buildFriendReport(
+        { db: this.db, steamManager: this.steamManager, discordManager: this.discordManager },
+        DEFAULT_INACTIVE_DAYS
+      );
+
+      const level = report.total / report.capacity >= 0.9 ? 'warn' : 'info';
+      this.logger[level](`Steam friends list: ${report.total}/${report.capacity} slots used`);
+      this.logger.info(
+        `Prunable friends: ${report.unlinked.length} unlinked, ${report.left.length} left every server, ` +
+        `${report.inactive.length} inactive for ${DEFAULT_INACTIVE_DAYS}+ days (see /steam admin friends)`
+      );
+    } catch (error) {
+      this.logger.error('Error building friends list report:', error);
+    }
+  }
+
+  cleanupRemovedGuilds() {
+    const current = new Set(this.discordManager.getGuildIds());
+    for (const guildId of this.db.getKnownGuildIds()) {
+      if (!current.has(guildId)) {
+        this.handleGuildRemoved(guildId);
+      }
+    }
+  }
+
+  handleGuildRemoved(guildId) {
+    try {
+      this.cancelGuildAnnouncements(guildId);
+      const deleted = this.db.removeGuildData(guildId);
+      this.logger.info(`Deleted ${deleted} stored row(s) for guild ${guildId}, which the bot is no longer in`);
+    } catch (error) {
+      this.logger.error(`Error cleaning up after leaving guild ${guildId}:`, error);
+    }
+  }
+
+  async handleChannelDeleted(guildId, channelId) {
+    try {
+      const updateChannel = this.db.getUpdateChannel(guildId);
+      const dashboard = this.db.getDashboard(guildId);
+      const notices = [];
+
+      if (updateChannel && updateChannel.update_channel_id === channelId) {
+        notices.push('presence updates stopped. Run `/steam setchannel` to pick a new update channel.');
+      }
+      if (dashboard && dashboard.channel_id === channelId) {
+        notices.push('the live dashboard was removed. Run `/steam dashboard create` to post a new one.');
+      }
+      this.db.removeChannelData(channelId);
+      if (this.db.clearFriendRequestChannel(channelId).length > 0) {
+        notices.push('friend requests are no longer posted. Run `/steam config friendrequests` to pick a new channel.');
+      }
+      for (const discordId of this.db.removeChatRelaysByChannel(channelId)) {
+        this.logger.info(`Chat relay thread of ${discordId} was deleted; relay disabled`);
+      }
+
+      if (notices.length > 0) {
+        this.logger.info(`Channel ${channelId} in guild ${guildId} was deleted; removed its bot configuration`);
+        await this.discordManager.notifyGuildOwner(
+          guildId,
+          `A channel the Steam bot used was deleted, so ${notices.join(' Also, ')}`
+        );
+      }
+    } catch (error) {
+      this.logger.error(`Error cleaning up after channel ${channelId} was deleted:`, error);
+    }
+  }
+
+  handleMemberLeft(guildId, discordId) {
+    try {
+      const result = this.db.removeMemberData(guildId, discordId);
+      if (result.changes > 0) {
+        this.logger.info(`Discord user ${discordId} left guild ${guildId}; removed their announcement opt-in`);
+        if (this.dashboardManager) {
+          this.dashboardManager.requestUpdate(guildId);
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Error cleaning up after ${discordId} left guild ${guildId}:`, error);
+    }
+  }
+
+  handleRoleDeleted(guildId, roleId) {
+    try {
+      const result = this.db.removeRoleGameWatches(guildId, roleId);
+      if (result.changes > 0) {
+        this.logger.info(`Role ${roleId} was deleted in guild ${guildId}; removed ${result.changes} game watch(es)`);
+      }
+      this.db.removeRoleAssignmentsByRole(guildId, roleId);
+      const mappings = this.db.removeRoleMappingsByRole(guildId, roleId);
+      if (mappings.changes > 0) {
+        this.logger.info(`Role ${roleId} was deleted in guild ${guildId}; removed ${mappings.changes} activity role mapping(s)`);
+      }
+    } catch (error) {
+      this.logger.error(`Error cleaning up after role ${roleId} was deleted:`, error);
+    }
+  }
+
+  // Repeated 403/404s mean the bot lost access to the channel; stop posting there and tell the owner
+  async handleChannelUnavailable(channelId, lastError) {
+    const reason = lastError.status === 404 ? 'channel not found' : 'missing access or permissions';
+
+    try {
+      for (const config of this.db.getServerConfigsByChannel(channelId)) {
+        this.db.disableUpdateChannel(config.guild_id, reason);
+        this.cancelGuildAnnouncements(config.guild_id);
+        this.logger.warn(`Disabled update channel ${channelId} in guild ${config.guild_id} (${reason})`);
+        await this.discordManager.notifyGuildOwner(
+          config.guild_id,
+          `Steam presence updates to <#${channelId}> were disabled after repeated delivery failures (${reason}). ` +
+          'Fix the bot\'s access to the channel, then run `/steam setchannel` to turn them back on.'
+        );
+      }
+
+      for (const discordId of this.db.removeChatRelaysByChannel(channelId)) {
+        this.logger.warn(`Disabled the chat relay of ${discordId}: channel ${channelId} is unavailable (${reason})`);
+      }
+
+      for (const guildId of this.db.clearFriendRequestChannel(channelId)) {
+        this.logger.warn(`Stopped posting friend requests to channel ${channelId} in guild ${guildId} (${reason})`);
+        await this.discordManager.notifyGuildOwner(
+          guildId,
+          `Steam friend requests are no longer posted to <#${channelId}> after repeated delivery failures (${reason}). ` +
+          'Run `/steam config friendrequests` to pick a channel the bot can post in.'
+        );
+      }
+    } catch (error) {
+      this.logger.error(`Error disabling unavailable channel ${channelId}:`, error);
+    }
+  }
+
+  handleSteamConnectionState(state, details) {
+    if (state === 'disconnected') {
+      this.logger.warn(`Steam connection lost: ${details.reason}`);
+      // We can't see presence while disconnected; sessions still running reopen on resync
+      this.db.closeOpenPlaySessions();
+    } else if (state === 'reconnecting') {
+      this.logger.info(`Steam reconnect attempt ${details.attempt} scheduled in ${Math.round(details.delay / 1000)}s`);
+    } else if (state === 'failed') {
+      this.logger.error(`Steam reconnection failed permanently: ${details.reason}`);
+    } else {
+      this.logger.debug(`Steam connection state: ${state}`);
+    }
+
+    if (this.discordManager) {
+      this.discordManager.setSteamConnectionStatus(state);
+    }
+  }
+
+  async handleSteamResync(snapshots) {
+    try {
+      const linked = snapshots.filter(presenceData => {
+        const mapping = this.db.getMappingBySteamId(presenceData.steamId);
+        return mapping && this.applyPrivacy(mapping, presenceData);
+      });
+
+      // Reopen sessions for games that kept running through the disconnect
+      linked.forEach(presenceData => this.trackPlaySession(presenceData));
+
+      // Only linked users whose state drifted while we were disconnected matter
+      const missed = linked.filter(presenceData =>
+        this.hasPresenceChanged(this.db.getPreviousPresence(presenceData.steamId), presenceData)
+      );
+
+      if (missed.length === 0) {
+        this.logger.info('No presence changes missed while disconnected from Steam');
+        return;
+      }
+
+      if (missed.length > RESYNC_ANNOUNCE_LIMIT) {
+        // Announcing all of these at once would flood the channels; just bring the cache up to date
+        this.logger.info(`Reconciling ${missed.length} missed presence change(s) silently`);
+        for (const presenceData of missed) {
+          this.db.updateSteamCache(presenceData.steamId, presenceData);
+          const mapping = this.db.getMappingBySteamId(presenceData.steamId);
+          if (this.lfgManager) {
+            await this.lfgManager.sync(mapping, presenceData);
+          }
+          if (this.roleSyncManager) {
+            await this.roleSyncManager.syncUser(mapping.discord_id);
+          }
+        }
+        if (this.dashboardManager) {
+          this.dashboardManager.refreshAll();
+        }
+        return;
+      }
+
+      this.logger.info(`Reconciling ${missed.length} missed presence change(s)`);
+      for (const presenceData of missed) {
+        await this.handlePresenceChange(presenceData);
+      }
+    } catch (error) {
+      this.logger.error('Error reconciling presence after reconnect:', error);
+    }
+  }
+
+  async handleFriendRequest(steamId) {
+    if (!this.friendRequestManager) {
+      this.queuedFriendRequests.add(steamId);
+      return;
+    }
+
+    try {
+      await this.friendRequestManager.handleRequest(steamId);
+    } catch (error) {
+      this.logger.error(`Error handling friend request from ${steamId}:`, error);
+    }
+  }
+
+  async handleSteamChatMessage(steamId, message) {
+    try {
+      const pendingList = this.db.getVerificationsBySteamId(steamId);
+      if (pendingList.length > 0 && looksLikeVerificationCode(message)) {
+        await this.handleVerificationMessage(steamId, message, pendingList);
+        return;
+      }
+
+      const mapping = this.db.getMappingBySteamId(steamId);
+      if (mapping && this.chatRelay) {
+        await this.chatRelay.handleSteamMessage(mapping, steamId, message);
+      }
+    } catch (error) {
+      this.logger.error(`Error handling Steam chat message from ${steamId}:`, error);
+    }
+  }
+
+  async handleVerificationMessage(steamId, message, pendingList) {
+    // Only the account owner can message from this Steam ID, so a wrong code here doesn't count as an attempt
+    const now = Math.floor(Date.now() / 1000);
+    const code = normalizeVerificationCode(message);
+    const pending = pendingList.find(p => p.code === code && p.expires_at > now);
+    if (!pending) {
+      // Several Discord users may be linking this account; answer in the first one's language
+      const locale = getUserLocale(this.db.getUserLocale(pendingList[0].discord_id));
+      await this.steamManager.sendChatMessage(steamId, t(locale, 'steamChat.codeMismatch'));
+      return;
+    }
+
+    const locale = getUserLocale(this.db.getUserLocale(pending.discord_id));
+    const result = checkVerificationCode(this.db, pending, code);
+    if (result.status === 'verified') {
+      this.logger.info(`Linked Discord user ${pending.discord_id} to Steam ID ${steamId} via Steam chat`);
+      await this.steamManager.sendChatMessage(steamId, t(locale, 'steamChat.linked'));
+    } else if (result.status === 'taken') {
+      await this.steamManager.sendChatMessage(steamId, t(locale, 'steamChat.taken'));
+    } else if (result.status === 'locked') {
+      await this.steamManager.sendChatMessage(steamId, t(locale, 'steamChat.locked'));
+    }
+  }
+
+  async handleDiscordMessage(message) {
+    if (!this.chatRelay) {
+      return;
+    }
+
+    try {
+      await this.chatRelay.handleDiscordMessage(message);
+    } catch (error) {
+      this.logger.error(`Error relaying Discord message ${message.id}:`, error);
+    }
+  }
+
+  trackPlaySession(presenceData) {
+    const openSession = this.db.getOpenPlaySession(presenceData.steamId);
+
+    if (openSession && openSession.game_name === presenceData.gameName) {
+      // Still playing the same game
+      return;
+    }
+
+    if (openSession) {
+      this.db.endPlaySession(presenceData.steamId);
+    }
+
+    if (!presenceData.gameName) {
+      return;
+    }
+
+    const lastSession = this.db.getLastEndedPlaySession(presenceData.steamId);
+    const now = Math.floor(Date.now() / 1000);
+    if (lastSession && lastSession.game_name === presenceData.gameName && now - lastSession.ended_at <= SESSION_MERGE_GAP_SECONDS) {
+      this.db.resumePlaySession(lastSession.id);
+      this.logger.debug(`Resumed ${presenceData.gameName} session for ${presenceData.steamId}`);
+      return;
+    }
+
+    this.db.startPlaySession(presenceData.steamId, presenceData.gameId, presenceData.gameName);
+  }
+
+  async announceToGuild(config, mapping, presenceData, previousState) {
+    const guildId = config.guild_id;
+    const settings = this.db.getNotificationSettings(guildId);
+    const events = classifyPresenceChange(previousState, presenceData);
+    let guildEvents = filterEventsForGuild(settings, events, previousState, presenceData);
+
+    // A game that ends before its "started playing" post went out was a blip; say nothing about it
+    const gameEnded = events.includes('game_stop') || events.includes('game_switch');
+    if (gameEnded && this.cancelDeferredAnnouncement(guildId, presenceData.steamId)) {
+      guildEvents = guildEvents.filter(event => event !== 'game_stop');
+    }
+
+    if (guildEvents.length === 0) {
+      return false;
+    }
+
+    // Per-guild (or per-user) cooldown since the last announcement in this guild
+    const cooldown = this.db.getCooldownSettings(guildId, mapping.discord_id);
+    const lastAnnouncement = this.db.getLastAnnouncement(guildId, presenceData.steamId);
+    const expiresIn = getCooldownRemaining(lastAnnouncement, cooldown.cooldownSeconds, Math.floor(Date.now() / 1000));
+
+    if (expiresIn > 0) {
+      this.logger.debug(`Cooldown active for ${presenceData.steamId} in guild ${guildId}`);
+
+      if (cooldown.trailingEdge) {
+        this.scheduleTrailingAnnouncement(guildId, mapping, presenceData.steamId, expiresIn);
+      }
+      return false;
+    }
+
+    if (guildEvents.includes('game_start') && settings.minSessionSeconds > 0) {
+      this.deferAnnouncement(config, presenceData, previousState, settings.minSessionSeconds);
+      return false;
+    }
+
+    return this.deliverAnnouncement(config, presenceData, previousState);
+  }
+
+  async announceRichPresenceChanges(mapping, presenceData, changes) {
+    for (const config of this.db.getAnnouncementTargets(mapping.discord_id)) {
+      const settings = this.db.getRichPresenceSettings(config.guild_id);
+      if (!settings.enabled || this.db.getDashboard(config.guild_id)) {
+        continue;
+      }
+
+      if (!this.db.canAnnounceRichPresence(config.guild_id, presenceData.steamId, settings.cooldownSeconds)) {
+        this.logger.debug(`Rich presence cooldown active for ${presenceData.steamId} in guild ${config.guild_id}`);
+        continue;
+      }
+
+      if (!(await this.discordManager.isGuildMember(config.guild_id, mapping.discord_id))) {
+        continue;
+      }
+
+      const locale = getGuildLocale(this.db.getAnnouncementTemplate(config.guild_id));
+      const success = await this.discordManager.sendRichPresenceUpdate(config.update_channel_id, presenceData, changes, locale);
+      if (success) {
+        this.db.recordRichPresenceAnnouncement(config.guild_id, presenceData.steamId);
+        this.logger.info(`Sent rich presence update for ${presenceData.personaName} to guild ${config.guild_id}`);
+      }
+    }
+  }
+
+  async deliverAnnouncement(config, presenceData, previousState) {
+    const template = this.db.getAnnouncementTemplate(config.guild_id);
+    const mapping = this.db.getMappingBySteamId(presenceData.steamId);
+    const sessionRecap = this.buildSessionRecap(mapping, presenceData, previousState);
+    const format = {
+      layout: template.layout,
+      customText: template.customText,
+      locale: getGuildLocale(template),
+      discordId: mapping ? mapping.discord_id : null,
+      durationSeconds: sessionRecap ? sessionRecap.durationSeconds : this.getSessionDuration(presenceData),
+      sessionRecap,
+    };
+    const success = await this.discordManager.sendPresenceUpdate(config.update_channel_id, presenceData, previousState, format);
+
+    if (success) {
+      this.db.recordAnnouncement(config.guild_id, presenceData);
+    }
+
+    return success;
+  }
+
+  // Time in the current game so far
+  getSessionDuration(presenceData) {
+    if (!presenceData.gameName) {
+      return null;
+    }
+
+    const openSession = this.db.getOpenPlaySession(presenceData.steamId);
+    return openSession ? Math.floor(Date.now() / 1000) - openSession.started_at : null;
+  }
+
+  // For a stop event: the session that just ended and how it compares with the user's earlier sessions of that game
+  buildSessionRecap(mapping, presenceData, previousState) {
+    if (presenceData.gameName || !previousState || !previousState.gameName) {
+      return null;
+    }
+
+    const session = this.db.getLastEndedPlaySession(presenceData.steamId);
+    if (!session || session.game_name !== previousState.gameName) {
+      return null;
+    }
+
+    const steamIds = mapping
+      ? this.db.getUserMappings(mapping.discord_id).map(account => account.steam_id)
+      : [presenceData.steamId];
+    const stats = this.db.getGameSessionStats(steamIds, session.game_name, session.id);
+
+    return {
+      gameName: session.game_name,
+      startedAt: session.started_at,
+      durationSeconds: session.duration,
+      averageSeconds: stats.averageSeconds,
+      previousSessions: stats.sessionCount,
+    };
+  }
+
+  // Trailing edge: once the cooldown expires, announce the final state if it differs from the last one posted
+  scheduleTrailingAnnouncement(guildId, mapping, steamId, delaySeconds) {
+    const key = `${guildId}:${steamId}`;
+    if (this.trailingAnnouncements.has(key)) {
+      // Already scheduled; it will pick up this change too
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      this.trailingAnnouncements.delete(key);
+
+      try {
+        const config = this.db.getAnnouncementTargets(mapping.discord_id).find(c => c.guild_id === guildId);
+        const cached = this.db.getSteamCache(steamId);
+        const lastAnnounced = this.db.getLastAnnouncedPresence(guildId, steamId);
+        if (!config || !cached) {
+          return;
+        }
+
+        const presenceData = {
+          steamId,
+          personaName: cached.persona_name,
+          personaState: cached.persona_state,
+          gameId: cached.game_id,
+          gameName: cached.game_name,
+          richPresence: richPresenceFromRow(this.db.getRichPresence(steamId)),
+          linkedAccount: this.describeLinkedAccount(mapping),
+        };
+
+        if (!this.hasPresenceChanged(lastAnnounced, presenceData)) {
+          return;
+        }
+
+        await this.enrichPresence(presenceData);
+
+        if (await this.announceToGuild(config, mapping, presenceData, lastAnnounced)) {
+          this.logger.info(`Sent trailing presence update for ${presenceData.personaName} to guild ${guildId}`);
+        }
+      } catch (error) {
+        this.logger.error(`Error sending trailing presence update for ${steamId}:`, error);
+      }
+    }, Math.max(1, delaySeconds) * 1000);
+
+    this.trailingAnnouncements.set(key, timer);
+  }
+
+  deferAnnouncement(config, presenceData, previousState, delaySeconds) {
+    const key = `${config.guild_id}:${presenceData.steamId}`;
+
+    const timer = setTimeout(async () => {
+      this.pendingAnnouncements.delete(key);
+
+      try {
+        // Only announce if the same game is still running after the minimum session length
+        const openSession = this.db.getOpenPlaySession(presenceData.steamId);
+        if (!openSession || openSession.game_name !== presenceData.gameName) {
+          return;
+        }
+
+        // The user may have changed their privacy settings (or deleted their data) in the meantime
+        const mapping = this.db.getMappingBySteamId(presenceData.steamId);
+        if (!mapping || !this.db.getAnnouncementTargets(mapping.discord_id).some(c => c.guild_id === config.guild_id)) {
+          return;
+        }
+
+        const success = await this.deliverAnnouncement(config, presenceData, previousState);
+        if (success) {
+          this.logger.info(`Sent delayed presence update for ${presenceData.personaName} to guild ${config.guild_id}`);
+        }
+      } catch (error) {
+        this.logger.error(`Error sending delayed presence update for ${presenceData.steamId}:`, error);
+      }
+    }, delaySeconds * 1000);
+
+    this.pendingAnnouncements.set(key, timer);
+    this.logger.debug(`Deferred "started playing" for ${presenceData.steamId} in guild ${config.guild_id} by ${delaySeconds}s`);
+  }
+
+  cancelGuildAnnouncements(guildId) {
+    for (const timers of [this.pendingAnnouncements, this.trailingAnnouncements]) {
+      for (const [key, timer] of timers) {
+        if (key.startsWith(`${guildId}:`)) {
+          clearTimeout(timer);
+          timers.delete(key);
+        }
+      }
+    }
+  }
+
+  cancelDeferredAnnouncement(guildId, steamId) {
+    const key = `${guildId}:${steamId}`;
+    const timer = this.pendingAnnouncements.get(key);
+    if (!timer) {
+      return false;
+    }
+
+    clearTimeout(timer);
+    this.pendingAnnouncements.delete(key);
+    return true;
+  }
+
+  // Attaches cached Steam store metadata (header image, store link) for the current game
+  async enrichPresence(presenceData) {
+    if (presenceData.gameName) {
+      presenceData.gameMetadata = await this.gameMetadata.getMetadata(presenceData.gameId);
+    }
+  }
+
+  // Lets embeds say which of the user's accounts changed
+  describeLinkedAccount(mapping) {
+    return {
+      isPrimary: mapping.is_primary === 1,
+      accountCount: this.db.getUserMappings(mapping.discord_id).length,
+    };
+  }
+
+  // Privacy settings apply before anything is stored or announced; returns false while tracking is paused
+  applyPrivacy(mapping, presenceData) {
+    const privacy = this.db.getPrivacySettings(mapping.discord_id);
+    if (isTrackingPaused(privacy)) {
+      return false;
+    }
+
+    if (isGameHidden(privacy, presenceData.gameName)) {
+      hideGame(presenceData);
+    }
+    return true;
+  }
+
+  hasPresenceChanged(previousState, presenceData) {
+    if (!previousState) {
+      return true;
+    }
+
+    return previousState.personaState !== presenceData.personaState ||
+      previousState.gameName !== presenceData.gameName;
   }
 
   async handlePresenceChange(presenceData) {
@@ -139,46 +911,76 @@ class SteamDiscordBot {
         return;
       }
 
+      if (!this.applyPrivacy(mapping, presenceData)) {
+        this.logger.debug(`Tracking paused for ${mapping.discord_id}; ignoring presence change of ${presenceData.steamId}`);
+        if (this.lfgManager) {
+          await this.lfgManager.clear(presenceData.steamId);
+        }
+        return;
+      }
+
+      presenceData.linkedAccount = this.describeLinkedAccount(mapping);
+
+      // Record play history regardless of whether a notification goes out
+      this.trackPlaySession(presenceData);
+
       // Get previous state from cache
-      const previousState = this.db.getSteamCache(presenceData.steamId);
+      const previousState = this.db.getPreviousPresence(presenceData.steamId);
+      const previousRichPresenceRow = this.db.getRichPresence(presenceData.steamId);
+      this.db.updateRichPresence(presenceData.steamId, presenceData.richPresence);
 
       // Check if state actually changed
-      if (previousState) {
-        const stateChanged = previousState.persona_state !== presenceData.personaState;
-        const gameChanged = previousState.game_name !== presenceData.gameName;
-        
-        if (!stateChanged && !gameChanged) {
-          // No meaningful change
-          return;
+      if (!this.hasPresenceChanged(previousState, presenceData)) {
+        // Rich presence changes within the same game are announced separately, where guilds opted in
+        if (presenceData.gameName && previousRichPresenceRow) {
+          const previousRichPresence = richPresenceFromRow(previousRichPresenceRow);
+          const changes = describeRichPresenceChanges(previousRichPresence, presenceData.richPresence);
+          if (changes.length > 0) {
+            await this.announceRichPresenceChanges(mapping, presenceData, changes);
+          }
         }
-      }
-
-      // Rate limiting: only send updates every 5 minutes per user
-      if (!this.db.canUpdate(presenceData.steamId, 300)) {
-        this.logger.debug(`Rate limited update for ${presenceData.steamId}`);
-        // Still update cache but don't send notification
-        this.db.updateSteamCache(presenceData.steamId, presenceData);
         return;
       }
 
-      // Update cache
+      // Update cache and dashboards even when no notification goes out
       this.db.updateSteamCache(presenceData.steamId, presenceData);
+      if (this.dashboardManager) {
+        this.dashboardManager.requestUpdateForUser(mapping.discord_id);
+      }
+
+      // LFG posts follow "Looking to play"/"Looking to trade" independently of announcements
+      if (this.lfgManager) {
+        await this.lfgManager.sync(mapping, presenceData);
+      }
+      if (this.roleSyncManager) {
+        await this.roleSyncManager.syncUser(mapping.discord_id);
+      }
 
-      // Record this update for rate limiting
-      this.db.recordUpdate(presenceData.steamId);
+      await this.enrichPresence(presenceData);
 
-      // Send updates to all configured servers
-      const serverConfigs = this.db.getAllServerConfigs();
+      // Members watching this game are alerted on top of the regular announcements
+      const startedGame = presenceData.gameName && (!previousState || previousState.gameName !== presenceData.gameName);
+      if (startedGame && this.gameWatchManager) {
+        await this.gameWatchManager.handleGameStart(mapping, presenceData);
+      }
+
+      // Send updates only to guilds the user's visibility allows and they are still a member of
+      const serverConfigs = this.db.getAnnouncementTargets(mapping.discord_id);
       let sentCount = 0;
 
       for (const config of serverConfigs) {
-        const success = await this.discordManager.sendPresenceUpdate(
-          config.update_channel_id,
-          presenceData,
-          previousState
-        );
-        
-        if (success) {
+        // Guilds with a live dashboard see changes there instead of as individual posts
+        if (this.db.getDashboard(config.guild_id)) {
+          continue;
+        }
+
+        const isMember = await this.discordManager.isGuildMember(config.guild_id, mapping.discord_id);
+        if (!isMember) {
+          this.logger.debug(`Skipping guild ${config.guild_id}: ${mapping.discord_id} is not a member`);
+          continue;
+        }
+
+        if (await this.announceToGuild(config, mapping, presenceData, previousState)) {
           sentCount++;
         }
       }
@@ -208,7 +1010,29 @@ class SteamDiscordBot {
           await this.discordManager.destroy();
         }
         
+        clearInterval(this.leaderboardTimer);
+        this.pendingAnnouncements.forEach(timer => clearTimeout(timer));
+        this.trailingAnnouncements.forEach(timer => clearTimeout(timer));
+
+        if (this.dashboardManager) {
+          this.dashboardManager.stop();
+        }
+
+        if (this.backupManager) {
+          this.backupManager.stop();
+        }
+
+        if (this.chatRelay) {
+          this.chatRelay.stop();
+        }
+
+        if (this.gameWatchManager) {
+          this.gameWatchManager.stop();
+        }
+
         if (this.db) {
+          clearInterval(this.heartbeatTimer);
+          this.db.closeOpenPlaySessions();
           this.db.close();
         }
 
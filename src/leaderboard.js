@@ -0,0 +1,61 @@
+import { EmbedBuilder } from 'discord.js';
+import { getPeriodStart, formatDuration } from './playtime.js';
+import { DEFAULT_LOCALE, t } from './i18n.js';
+
+export const LEADERBOARD_PAGE_SIZE = 10;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Ranks the given Discord users by tracked playtime across their linked Steam accounts
+export function buildLeaderboard(db, discordIds, { period = 'week', gameName = null } = {}) {
+  const steamToDiscord = new Map();
+  for (const mapping of db.getAllMappings()) {
+    if (discordIds.has(mapping.discord_id)) {
+      steamToDiscord.set(mapping.steam_id, mapping.discord_id);
+    }
+  }
+
+  const rows = db.getPlaytimeLeaderboard([...steamToDiscord.keys()], getPeriodStart(period), gameName);
+
+  // Users with several accounts get one combined entry
+  const totals = new Map();
+  for (const row of rows) {
+    const discordId = steamToDiscord.get(row.steam_id);
+    const entry = totals.get(discordId) || { discordId, totalSeconds: 0, sessionCount: 0 };
+    entry.totalSeconds += row.total_seconds;
+    entry.sessionCount += row.session_count;
+    totals.set(discordId, entry);
+  }
+
+  return [...totals.values()].sort((a, b) => b.totalSeconds - a.totalSeconds);
+}
+
+export function getLeaderboardPageCount(entries) {
+  return Math.max(1, Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE));
+}
+
+export function createLeaderboardEmbed(entries, { period = 'week', gameName = null, page = 0, locale = DEFAULT_LOCALE } = {}) {
+  const pageCount = getLeaderboardPageCount(entries);
+  const offset = page * LEADERBOARD_PAGE_SIZE;
+
+  const embed = new EmbedBuilder()
+    .setTitle(gameName ? t(locale, 'leaderboard.gameTitle', { game: gameName }) : t(locale, 'leaderboard.title'))
+    .setColor(0xf1c40f)
+    .setTimestamp()
+    .setFooter({ text: t(locale, 'leaderboard.footer', { period: t(locale, `periods.${period}`), page: page + 1, pages: pageCount }) });
+
+  if (entries.length === 0) {
+    embed.setDescription(t(locale, 'leaderboard.empty'));
+    return embed;
+  }
+
+  const lines = entries.slice(offset, offset + LEADERBOARD_PAGE_SIZE).map((entry, index) => {
+    const rank = offset + index + 1;
+    const badge = MEDALS[rank - 1] || `**${rank}.**`;
+    const sessions = t(locale, entry.sessionCount === 1 ? 'common.sessionsOne' : 'common.sessions', { count: entry.sessionCount });
+    return `${badge} <@${entry.discordId}>: ${formatDuration(entry.totalSeconds)} (${sessions})`;
+  });
+
+  embed.setDescription(lines.join('\n'));
+  return embed;
+}
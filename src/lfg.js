@@ -0,0 +1,110 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getGuildLocale, t } from './i18n.js';
+
+export const LFG_STATES = {
+  5: 'Looking to trade',
+  6: 'Looking to play',
+};
+
+export function isLookingForGroup(personaState) {
+  return personaState in LFG_STATES;
+}
+
+// Keeps one post per guild in sync with a user's "Looking to play"/"Looking to trade" state
+class LfgManager {
+  constructor(db, discordManager, logger) {
+    this.db = db;
+    this.discordManager = discordManager;
+    this.logger = logger;
+  }
+
+  async sync(mapping, presenceData) {
+    const { steamId } = presenceData;
+    const targets = isLookingForGroup(presenceData.personaState) ? this.db.getLfgTargets(mapping.discord_id) : [];
+    const posts = new Map(this.db.getLfgPosts(steamId).map(post => [post.guild_id, post]));
+
+    for (const settings of targets) {
+      if (!(await this.discordManager.isGuildMember(settings.guild_id, mapping.discord_id))) {
+        continue;
+      }
+
+      const post = posts.get(settings.guild_id);
+      posts.delete(settings.guild_id);
+      await this.publish(settings, post, mapping, presenceData);
+    }
+
+    // Whatever is left no longer applies: the state cleared, or the user is hidden from that guild now
+    await this.removePosts(steamId, [...posts.values()]);
+  }
+
+  async clear(steamId) {
+    await this.removePosts(steamId, this.db.getLfgPosts(steamId));
+  }
+
+  async removePosts(steamId, posts) {
+    for (const post of posts) {
+      await this.discordManager.deleteMessage(post.channel_id, post.message_id);
+      this.db.removeLfgPost(post.guild_id, steamId);
+      this.logger.debug(`Removed LFG post for ${steamId} in guild ${post.guild_id}`);
+    }
+  }
+
+  async publish(settings, post, mapping, presenceData) {
+    const { steamId, personaState, gameName } = presenceData;
+    const locale = getGuildLocale(this.db.getAnnouncementTemplate(settings.guild_id));
+    const payload = this.createPayload(mapping.discord_id, presenceData, locale);
+
+    if (post && post.channel_id === settings.channel_id) {
+      if (post.persona_state === personaState && post.game_name === gameName) {
+        return;
+      }
+
+      try {
+        await this.discordManager.editMessage(post.channel_id, post.message_id, payload);
+        this.db.saveLfgPost(settings.guild_id, steamId, post.channel_id, post.message_id, personaState, gameName);
+        return;
+      } catch (error) {
+        // Someone deleted the post; fall through and post a fresh one
+        this.logger.debug(`Could not edit LFG post ${post.message_id}: ${error.message}`);
+      }
+    } else if (post) {
+      await this.discordManager.deleteMessage(post.channel_id, post.message_id);
+    }
+
+    const message = await this.discordManager.sendMessage(settings.channel_id, payload);
+    if (message) {
+      this.db.saveLfgPost(settings.guild_id, steamId, settings.channel_id, message.id, personaState, gameName);
+      this.logger.info(`Posted LFG for ${presenceData.personaName} in guild ${settings.guild_id}`);
+    } else {
+      this.db.removeLfgPost(settings.guild_id, steamId);
+    }
+  }
+
+  createPayload(discordId, presenceData, locale) {
+    const mention = `<@${discordId}>`;
+    const embed = new EmbedBuilder()
+      .setColor(0x5c7e10)
+      .setTitle(t(locale, `lfg.postTitles.${presenceData.personaState}`, { name: presenceData.personaName }))
+      .setDescription(
+        `${presenceData.gameName ? t(locale, 'lfg.postInGame', { mention, game: presenceData.gameName }) : mention}\n` +
+        t(locale, 'lfg.joinPrompt')
+      )
+      .setFooter({ text: t(locale, 'lfg.footer') })
+      .setTimestamp();
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`steam:lfg:join:${presenceData.steamId}`)
+        .setLabel(t(locale, 'lfg.join'))
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setLabel(t(locale, 'presence.profile'))
+        .setStyle(ButtonStyle.Link)
+        .setURL(`https://steamcommunity.com/profiles/${presenceData.steamId}`)
+    );
+
+    return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+  }
+}
+
+export default LfgManager;
@@ -0,0 +1,417 @@
+export default {
+  name: 'Deutsch',
+  states: {
+    0: 'Offline',
+    1: 'Online',
+    2: 'Beschäftigt',
+    3: 'Abwesend',
+    4: 'Schlafen',
+    5: 'Möchte handeln',
+    6: 'Möchte spielen',
+    unknown: 'Unbekannt',
+  },
+  presence: {
+    footer: 'Steam-Statusänderung',
+    title: 'Steam-Status von {name}',
+    status: 'Status',
+    was: 'vorher {state}',
+    playing: 'Spielt',
+    nonSteamGame: 'Nicht-Steam-Spiel',
+    previously: 'Vorher',
+    stoppedPlaying: 'Spielt nicht mehr',
+    profile: 'Steam-Profil',
+    viewProfile: 'Profil ansehen',
+    genres: 'Genres',
+    primaryAccount: 'Hauptkonto {steamId}',
+    altAccount: 'Zweitkonto {steamId}',
+    sessionRecap: 'Sitzungsrückblick',
+    sessionLength: '{duration} gespielt, begonnen um <t:{started}:t>',
+    firstSession: 'Erste aufgezeichnete Sitzung in diesem Spiel',
+    nearAverage: 'Etwa so lang wie üblich (Durchschnitt {average})',
+    aboveAverage: '{percent} % länger als üblich (Durchschnitt {average})',
+    belowAverage: '{percent} % kürzer als üblich (Durchschnitt {average})',
+  },
+  compact: {
+    gameStart: '🎮 **{user}** spielt jetzt **{game}**',
+    gameStop: '⏹️ **{user}** hat **{game}** beendet',
+    gameStopDuration: '⏹️ **{user}** hat **{game}** nach {duration} beendet',
+    gameSwitch: '🔀 **{user}** ist von **{previous_game}** zu **{game}** gewechselt',
+    status: '{icon} **{user}** ist jetzt **{status}**',
+  },
+  richPresence: {
+    footer: 'Steam Rich Presence',
+    activity: 'Aktivität',
+    map: 'Karte',
+    mode: 'Modus',
+    party: 'Gruppe',
+    players: '{count} Spieler',
+  },
+  status: {
+    heading: '**Dein verknüpftes Steam-Konto:**',
+    headingMultiple: '**Deine verknüpften Steam-Konten ({count}):**',
+    notLinked: '❌ Du hast kein verknüpftes Steam-Konto. Verknüpfe eines mit `/steam link`.',
+    steamId: 'Steam-ID',
+    primary: 'Hauptkonto',
+    alt: 'Zweitkonto',
+    friendStatus: 'Freundschaft',
+    friends: 'Mit dem Bot befreundet',
+    notFriends: 'Nicht mit dem Bot befreundet',
+    linkedSince: 'Verknüpft seit',
+    lastKnown: 'Zuletzt bekannter Status',
+    name: 'Name',
+    status: 'Status',
+    playing: 'Spielt',
+    lastUpdated: 'Zuletzt aktualisiert',
+    noData: 'Noch keine Statusdaten vorhanden.',
+  },
+  common: {
+    list: '{first} und {last}',
+    more: '…und {count} weitere',
+    none: 'Keine',
+    off: 'aus',
+    cancel: 'Abbrechen',
+    sessions: '{count} Sitzungen',
+    sessionsOne: '{count} Sitzung',
+    guildOnly: '❌ Dieser Befehl kann nur auf einem Server verwendet werden.',
+    adminOnly: '❌ Für diesen Befehl brauchst du Administratorrechte.',
+    textChannel: '❌ Bitte wähle einen Textkanal.',
+    channelPermissions: '❌ Ich darf in diesem Kanal keine Nachrichten und Embeds senden.',
+    notLinked: '❌ Du hast kein verknüpftes Steam-Konto. Verknüpfe zuerst eines mit `/steam link`.',
+    notYourAccount: '❌ Die Steam-ID `{steamId}` ist nicht mit deinem Discord-Konto verknüpft.',
+    unknownGame: 'ℹ️ Hier hat noch niemand dieses Spiel gespielt; prüfe, ob der Name genau wie auf Steam geschrieben ist.',
+  },
+  periods: {
+    week: 'Letzte 7 Tage',
+    month: 'Letzte 30 Tage',
+    all: 'Gesamte Zeit',
+  },
+  events: {
+    game_start: 'Spiel gestartet',
+    game_stop: 'Spiel beendet',
+    game_switch: 'Spiel gewechselt',
+    online: 'Online gekommen',
+    offline: 'Offline gegangen',
+    away: 'Abwesend geworden',
+  },
+  visibility: {
+    everyone: 'auf jedem Server mit einem Update-Kanal',
+    guild: 'nur auf Servern, auf denen du `/steam announce here` ausgeführt hast',
+    off: 'nirgends',
+  },
+  layouts: {
+    full: 'Vollständiges Embed',
+    compact: 'Kompakte Zeile',
+    custom: 'Eigener Text',
+  },
+  placeholders: {
+    user: 'Steam-Name',
+    mention: 'Discord-Erwähnung des Mitglieds (ohne Ping)',
+    status: 'aktueller Status',
+    previous_status: 'Status vor der Änderung',
+    game: 'aktuelles Spiel oder das gerade beendete',
+    previous_game: 'Spiel vor der Änderung',
+    duration: 'Zeit im aktuellen Spiel oder Spieldauer des beendeten Spiels',
+    started: 'Beginn der Sitzung des beendeten Spiels',
+    average: 'durchschnittliche Sitzungslänge des Mitglieds im beendeten Spiel',
+    profile: 'Link zum Steam-Profil',
+  },
+  richPresenceChanges: {
+    description: '**{name}** in **{game}**: {changes}',
+    joinedLobby: 'ist einer Lobby beigetreten ({count} Spieler)',
+    leftLobby: 'hat die Lobby verlassen',
+    startedMatch: 'hat ein Match im Modus {mode} gestartet',
+    movedTo: 'ist jetzt auf {map}',
+    nowDisplay: 'ist jetzt: {display}',
+  },
+  link: {
+    invalid: '❌ {error}\n\nUnterstützte Formate:\n- Steam-ID64: `76561198000000000`\n- Steam-ID: `STEAM_0:0:19867136` oder `[U:1:39734272]`\n- Profil-URL: `https://steamcommunity.com/profiles/76561198000000000`\n- Eigene URL: `https://steamcommunity.com/id/username` oder nur `username`\n- Freundescode: `39734272` oder Einladungslink `https://s.team/p/xxxx-xxxx`',
+    notFriends: '❌ Das Steam-Konto `{steamId}` ist nicht mit dem Bot befreundet.\n\nDamit dein Steam-Status verfolgt werden kann, musst du zuerst das Steam-Konto des Bots als Freund hinzufügen:\n\n**Steam-ID des Bots:** `{botSteamId}`\n\n{nextStep}',
+    botUnavailable: 'Nicht verfügbar',
+    autoAccept: 'Deine Anfrage wird automatisch angenommen. Führe danach `/steam link` erneut aus.',
+    adminReview: 'Ein Administrator prüft deine Anfrage. Sobald sie angenommen ist, führe `/steam link` erneut aus.',
+    alreadyLinked: 'ℹ️ Du bist bereits mit der Steam-ID `{steamId}` verknüpft.',
+    tooMany: '⚠️ Du hast bereits {max} verknüpfte Steam-Konten. Entferne eines, bevor du ein weiteres hinzufügst.',
+    taken: '❌ Dieses Steam-Konto ist bereits mit einem anderen Discord-Nutzer verknüpft.',
+    locked: '⚠️ Es wurden zu viele falsche Codes eingegeben. Warte eine Minute, bevor du einen neuen anforderst.',
+    alreadySent: '⚠️ An `{steamId}` wurde bereits ein Bestätigungscode gesendet. Sieh in deinem Steam-Chat nach oder warte eine Minute, um einen neuen anzufordern.',
+    sendFailed: '❌ Die Bestätigungsnachricht konnte nicht über Steam gesendet werden. Bitte versuche es später erneut.',
+    codeSent: '📨 Ein Bestätigungscode wurde im Steam-Chat an `{steamId}` gesendet.\n\nAntworte dem Bot auf Steam mit dem Code oder führe hier `/steam verify <code>` aus. Der Code läuft in {minutes} Minuten ab.',
+  },
+  verify: {
+    noPending: '❌ Du hast keine offene Verknüpfung. Verwende zuerst `/steam link`.',
+    expired: '❌ Dein Bestätigungscode ist abgelaufen. Hol dir mit `/steam link` einen neuen.',
+    mismatch: '❌ Dieser Code ist falsch. Noch {attempts} Versuch(e).',
+    locked: '❌ Zu viele falsche Codes. Warte eine Minute und hol dir dann mit `/steam link` einen neuen.',
+    taken: '❌ Dieses Steam-Konto wurde inzwischen mit einem anderen Discord-Nutzer verknüpft.',
+    verified: '✅ Dein Discord-Konto ist jetzt mit der Steam-ID `{steamId}` verknüpft.\n\nFühre auf jedem Server, auf dem deine Steam-Statusänderungen angekündigt werden sollen, `/steam announce here` aus.',
+  },
+  unlink: {
+    pickAccount: '⚠️ Du hast mehrere verknüpfte Steam-Konten. Wähle eines mit der Option `account`.',
+    done: '✅ Die Verknüpfung deines Discord-Kontos mit der Steam-ID `{steamId}` wurde aufgehoben.',
+    friendRemoved: ' Der Bot hat das Konto auch aus seiner Steam-Freundesliste entfernt.',
+    steamOffline: '\n\n⚠️ Der Bot ist gerade nicht mit Steam verbunden, daher steht das Konto noch in seiner Freundesliste.',
+    newPrimary: '\n\n`{steamId}` ist jetzt dein Hauptkonto.',
+  },
+  primary: {
+    done: '✅ `{steamId}` ist jetzt dein Steam-Hauptkonto.',
+    label: '{name} — Hauptkonto',
+  },
+  watch: {
+    roleAdminOnly: '❌ Um Rollen-Beobachtungen zu verwalten, brauchst du Administratorrechte.',
+    mine: '**Deine beobachteten Spiele (DM):**',
+    roles: '**Rollen-Beobachtungen auf diesem Server:**',
+    quietHours: '**Ruhezeit:** {range}',
+    quietOff: '**Ruhezeit:** aus',
+    quietCleared: '✅ Ruhezeit ausgeschaltet. Beobachtungs-Benachrichtigungen können dich jederzeit per DM erreichen.',
+    quietInvalid: '❌ Gib sowohl `start_hour` als auch ein anderes `end_hour` an, oder keines von beiden, um die Ruhezeit auszuschalten.',
+    quietSet: '✅ Keine Beobachtungs-DMs zwischen {start} und {end} {offset}.',
+    you: 'dich',
+    removed: '✅ **{game}** wird für {target} nicht mehr beobachtet.',
+    notWatched: 'ℹ️ **{game}** wurde für {target} nicht beobachtet.',
+    limit: '❌ Du kannst höchstens {max} Spiele beobachten. Entferne zuerst eines.',
+    alreadyWatched: 'ℹ️ **{game}** wird für {target} bereits beobachtet.',
+    roleAdded: '✅ {role} wird im Update-Kanal gepingt, wenn ein Mitglied **{game}** startet.',
+    userAdded: '✅ Du bekommst eine DM, wenn ein Mitglied dieses Servers **{game}** startet.',
+    noUpdateChannel: '\n\n⚠️ Hier ist noch kein Update-Kanal eingerichtet. Führe zuerst `/steam setchannel` aus.',
+    roleAlert: '🎮 {role} Jetzt in **{game}**: {names}',
+    dmAlert: '🎮 Jetzt in **{game}**: {names} (beobachtet auf {guild}). Benachrichtigungen verwaltest du mit `/steam watch`.',
+  },
+  relay: {
+    disabled: '✅ Dein Steam-Chat wird nicht mehr weitergeleitet.',
+    notRelayed: 'ℹ️ Dein Steam-Chat wurde nicht weitergeleitet.',
+    intro: '💬 Nachrichten, die du dem Bot auf Steam schickst, erscheinen hier. Antworte hier, um über den Steam-Chat zu antworten.\nDer Steam-Chat versteht außerdem diese Befehle:\n```\n{help}\n```',
+    threadOnly: '❌ Führe das in einem Textkanal eines Servers aus, um in einen Thread weiterzuleiten.',
+    noIntent: '❌ Thread-Weiterleitungen brauchen den Message Content Intent, für den dieser Bot nicht eingerichtet ist. Verwende stattdessen eine DM.',
+    threadName: 'Steam-Chat – {name}',
+    threadFailed: '❌ Ich konnte hier keinen privaten Thread erstellen. Prüfe meine Thread-Berechtigungen.',
+    dmFailed: '❌ Ich konnte dir keine DM schicken. Erlaube Direktnachrichten von Servermitgliedern und versuche es erneut.',
+    enabled: '✅ Dein Steam-Chat mit dem Bot wird jetzt an {destination} weitergeleitet.',
+    yourDms: 'deine DMs',
+    noAccount: '❌ Du hast kein verknüpftes Steam-Konto mehr, an das weitergeleitet werden kann.',
+    slowDown: '⚠️ Langsamer! Einige deiner Nachrichten wurden nicht an Steam gesendet.',
+    sendFailed: '❌ Deine Nachricht konnte nicht über den Steam-Chat gesendet werden. Der Bot ist möglicherweise nicht mit Steam verbunden.',
+  },
+  steamChat: {
+    verificationCode: 'Der Discord-Nutzer {user} möchte dieses Steam-Konto verknüpfen. Wenn du das bist, antworte hier mit {code} oder führe in Discord /steam verify {code} aus. Der Code läuft in {minutes} Minuten ab. Wenn du das nicht warst, ignoriere diese Nachricht.',
+    codeMismatch: 'Dieser Code passt zu keiner offenen Verknüpfung. Führe in Discord /steam link aus, um einen neuen zu erhalten.',
+    linked: 'Dein Steam-Konto ist jetzt mit Discord verknüpft.',
+    taken: 'Dieses Steam-Konto ist bereits mit einem anderen Discord-Nutzer verknüpft.',
+    locked: 'Für diese Verknüpfung wurden zu viele falsche Codes eingegeben. Führe in einer Minute erneut /steam link in Discord aus, um einen neuen zu erhalten.',
+    friendAccepted: 'Deine Freundschaftsanfrage wurde angenommen. Führe in Discord erneut /steam link aus, um die Verknüpfung abzuschließen.',
+    commandsHeading: 'Befehle:',
+    commands: {
+      status: { usage: '!status', description: 'deine verknüpften Konten und die zuletzt bekannte Präsenz' },
+      pause: { usage: '!pause <stunden>', description: 'Tracking für 1-{max} Stunden pausieren' },
+      resume: { usage: '!resume', description: 'Tracking fortsetzen' },
+      unlink: { usage: '!unlink', description: 'das Steam-Konto trennen, von dem aus du chattest' },
+      help: { usage: '!help', description: 'diese Liste' },
+    },
+    usage: 'Verwendung: {usage}',
+    slowDown: 'Langsamer! Einige deiner Nachrichten wurden nicht zugestellt.',
+    notDelivered: 'Deine Nachricht konnte nicht an Discord zugestellt werden.',
+    discordChannel: 'ein Discord-Kanal',
+  },
+  privacy: {
+    visibility: '✅ Dein Steam-Status wird jetzt {where} angekündigt.',
+    alreadyHidden: 'ℹ️ **{game}** ist bereits ausgeblendet.',
+    hideLimit: '❌ Du kannst höchstens {max} Spiele ausblenden. Blende zuerst eines wieder ein.',
+    hidden: '✅ **{game}** wird nicht mehr verfolgt oder angekündigt.',
+    notHidden: 'ℹ️ **{game}** ist nicht ausgeblendet.',
+    unhidden: '✅ **{game}** wird wieder verfolgt und angekündigt.',
+    paused: '✅ Verfolgung pausiert bis <t:{until}:f>. Bis dahin wird nichts über dich aufgezeichnet oder angekündigt.',
+    notPaused: 'ℹ️ Die Verfolgung ist nicht pausiert.',
+    resumed: '✅ Verfolgung fortgesetzt.',
+    heading: '**Deine Privatsphäre-Einstellungen**',
+    announcements: 'Ankündigungen: {where}',
+    hiddenGames: 'Ausgeblendete Spiele: {games}',
+    tracking: 'Verfolgung: {state}',
+    pausedUntil: 'Pausiert bis <t:{until}:f>',
+    active: 'Aktiv',
+  },
+  forgetMe: {
+    confirm: '⚠️ Dadurch werden deine verknüpften Steam-Konten, dein Spielverlauf, deine Privatsphäre- und Ankündigungseinstellungen und alles andere, was der Bot über dich speichert, auf allen Servern gelöscht. Das kann nicht rückgängig gemacht werden. Fortfahren?',
+    deleteButton: 'Meine Daten löschen',
+    timedOut: '⌛ Es wurde nichts gelöscht (keine Bestätigung erhalten).',
+    cancelled: 'Es wurde nichts gelöscht.',
+    done: '✅ {count} Einträge über dich wurden gelöscht. Der Bot verfolgt deine Steam-Konten nicht mehr.',
+  },
+  stats: {
+    notShared: '❌ {user} teilt die eigene Steam-Aktivität auf diesem Server nicht.',
+    notLinked: '❌ {user} hat kein verknüpftes Steam-Konto.',
+    noSessions: 'ℹ️ Keine Spielsitzungen für {user} aufgezeichnet ({period}).',
+    title: 'Spielzeit von {name}',
+    total: 'Gesamte Spielzeit',
+    sessions: 'Sitzungen',
+    longest: 'Längste Sitzung',
+    longestValue: '{duration} in {game} (<t:{started}:d>)',
+    topGames: 'Meistgespielte Spiele',
+    daily: 'Nach Tagen',
+    accounts: '{count} Steam-Konten',
+    steamId: 'Steam-ID {steamId}',
+  },
+  leaderboard: {
+    title: '🏆 Spielzeit-Rangliste',
+    gameTitle: '🏆 Rangliste für {game}',
+    weeklyTitle: '🏆 Wöchentliche Spielzeit-Rangliste',
+    footer: '{period} • Seite {page}/{pages}',
+    empty: 'Für verknüpfte Mitglieder wurde noch keine Spielzeit aufgezeichnet.',
+    previous: 'Zurück',
+    next: 'Weiter',
+  },
+  weeklyLeaderboard: {
+    disabled: '✅ Die wöchentliche Rangliste wurde ausgeschaltet.',
+    enabled: '✅ Alle 7 Tage wird eine Spielzeit-Rangliste der letzten Woche gepostet, zum ersten Mal in einer Woche.',
+    noUpdateChannel: '\n\n⚠️ Es ist noch kein Update-Kanal eingerichtet. Verwende `/steam setchannel`, damit die Rangliste gepostet werden kann.',
+  },
+  lfg: {
+    title: '🎮 Mitspieler gesucht',
+    empty: 'Hier sucht gerade niemand Mitspieler oder Handelspartner. Setze deinen Steam-Status auf „Möchte spielen“, um hier zu erscheinen.',
+    entry: '<@{discordId}> ({name}): {state} seit <t:{since}:R>',
+    entryInGame: '<@{discordId}> ({name}): {state} in **{game}** seit <t:{since}:R>',
+    postTitles: {
+      5: '🎮 {name} möchte handeln',
+      6: '🎮 {name} möchte spielen',
+    },
+    postInGame: '{mention} ist in **{game}**',
+    joinPrompt: 'Drücke **Mitmachen**, um Bescheid zu geben, dass du dabei bist.',
+    footer: 'Steam-Mitspielersuche',
+    join: 'Mitmachen',
+    gone: 'ℹ️ Diese Person sucht keine Mitspieler mehr.',
+    own: 'ℹ️ Das ist dein eigener Beitrag.',
+    alreadyJoined: 'ℹ️ Du hast bereits gefragt, ob du mitmachen kannst. Die Person wurde benachrichtigt.',
+    joined: '🎮 <@{discordId}>, {user} möchte mitspielen!',
+  },
+  dashboard: {
+    title: '🎮 Wer gerade spielt',
+    footer: 'Zuletzt aktualisiert',
+    counts: '🟢 Online: **{online}** • 🟡 Abwesend: **{away}** • ⚫ Offline: **{offline}**',
+    nobodyPlaying: 'Gerade spielt niemand.',
+    playerSince: '<@{discordId}> seit <t:{started}:R>',
+    none: '❌ Dieser Server hat kein Dashboard.',
+    removed: '✅ Dashboard entfernt. Statusänderungen werden wieder einzeln gepostet.',
+    created: '✅ Dashboard in {channel} erstellt. Es ersetzt auf diesem Server die einzelnen Status-Beiträge.',
+    pinPermission: '\n\n⚠️ Zum Anheften brauche ich die Berechtigung „Nachrichten verwalten“.',
+  },
+  roles: {
+    states: {
+      ingame: 'Im Spiel',
+      online: 'Online',
+      away: 'Abwesend',
+      lfg: 'Möchte spielen oder handeln',
+    },
+    stateTrigger: '{state} (Status)',
+    problems: {
+      deleted: 'die Rolle existiert nicht mehr',
+      managed: 'die Rolle wird von Discord oder einer Integration verwaltet',
+      permission: 'dem Bot fehlt die Berechtigung „Rollen verwalten“',
+      position: 'die Rolle steht nicht unter der höchsten Rolle des Bots',
+    },
+    heading: '**Aktivitätsrollen auf diesem Server:**',
+    notMapped: 'ℹ️ **{activity}** ist keine Rolle zugeordnet.',
+    unmapped: '✅ **{activity}** vergibt {role} nicht mehr. Mitglieder, die sie durch diese Zuordnung haben, verlieren sie in Kürze.',
+    cannotGive: '❌ Ich kann {role} nicht vergeben: {problem}.',
+    limit: '❌ Ein Server kann höchstens {max} Aktivitätsrollen haben. Entferne zuerst eine Zuordnung.',
+    whileState: 'sie **{state}** sind',
+    whileGame: 'sie **{game}** spielen',
+    mapped: '✅ Verknüpfte Mitglieder bekommen {role}, solange {activity}. Mitglieder, die hier ihre Steam-Aktivität teilen, werden jetzt aktualisiert; wer die Rolle schon hatte, behält sie.',
+    unknownGame: '\n\nℹ️ Dieses Spiel hat noch niemand gespielt; prüfe, ob der Name genau wie auf Steam geschrieben ist.',
+  },
+  config: {
+    pickEvent: '❌ Wähle mindestens eine Ereignisart zum Ein- oder Ausschalten.',
+    userCooldownReset: '✅ Für {user} gilt jetzt wieder die Abklingzeit des Servers.',
+    userCooldownSet: '✅ Abklingzeit für {user} auf {duration} gesetzt.',
+    localeSet: '✅ Statusankündigungen auf diesem Server sind jetzt auf **{language}**.',
+    localeAuto: '✅ Statusankündigungen folgen der Discord-Sprache dieses Servers (derzeit **{language}**).',
+    heading: '**Benachrichtigungseinstellungen:**',
+    updated: '✅ Benachrichtigungseinstellungen aktualisiert.',
+    events: '**Ereignisse:**',
+    allowedGames: '**Erlaubte Spiele:** {games}',
+    allGames: 'alle',
+    deniedGames: '**Gesperrte Spiele:** {games}',
+    noGames: 'keine',
+    minSession: '**Mindestsitzung vor „spielt jetzt“:** {duration}',
+    cooldown: '**Abklingzeit pro Mitglied:** {duration}',
+    trailing: ' (der letzte Stand wird am Ende gepostet)',
+    dropped: ' (Änderungen während der Abklingzeit werden verworfen)',
+    richPresence: '**Rich-Presence-Ankündigungen:** {state}',
+    richPresenceOn: 'an (höchstens alle {duration} pro Mitglied)',
+    updateChannel: '**Update-Kanal:** {channel}',
+    updateChannelDisabled: '**Update-Kanal:** {channel} ⚠️ deaktiviert ({reason}); führe `/steam setchannel` aus, um ihn wieder zu aktivieren',
+    notSet: 'nicht festgelegt',
+    friendRequests: '**Freundschaftsanfragen:** {where}',
+    postedIn: 'werden in {channel} gepostet',
+    notPosted: 'werden nicht gepostet',
+    autoAccepted: ', automatisch angenommen für Mitglieder, die ihr Konto verknüpfen',
+    lfgPosts: '**Mitspielersuche:** {where}',
+    lfgIn: 'in {channel}',
+    layout: '**Ankündigungslayout:** {layout}',
+    language: '**Sprache:** {language}',
+    serverLanguage: ' (Serversprache)',
+    unknownPlaceholders: '❌ Unbekannte Platzhalter: {unknown}. Verfügbar: {known}.',
+    customNeedsText: '❌ Das eigene Layout braucht `text`. Verfügbare Platzhalter:\n{known}',
+    templateSet: '✅ Statusankündigungen verwenden jetzt das Layout **{layout}**. Vorschau:',
+  },
+  admin: {
+    exported: '✅ Export der Daten dieses Servers ({accounts} verknüpfte Konten, {sessions} Spielsitzungen). Wiederherstellen mit `npm run import`.',
+    ownerOnly: '❌ Nur der Besitzer des Bots kann die Steam-Freundesliste des Bots verwalten (siehe `BOT_OWNER_IDS`).',
+    steamOffline: '❌ Der Bot ist gerade nicht mit Steam verbunden.',
+    noMatch: 'ℹ️ Keine Freunde passen zu „{category}“.',
+    wouldRemove: '**{count} Freunde würden entfernt:**\n{list}',
+    dryRun: '{preview}\n\nDas war ein Probelauf. Führe den Befehl mit `dry_run: False` erneut aus, um sie zu entfernen.',
+    confirm: '⚠️ {preview}\n\nAus der Steam-Freundesliste des Bots entfernen?',
+    removeButton: '{count} entfernen',
+    timedOut: '⌛ Aufräumen abgebrochen (keine Bestätigung erhalten).',
+    cancelled: 'Aufräumen abgebrochen.',
+    removing: '⏳ Freunde werden entfernt…',
+    removed: '✅ {count} Freunde wurden aus dem Steam-Konto des Bots entfernt.',
+  },
+  friends: {
+    categories: {
+      unlinked: 'Mit keinem Discord-Nutzer verknüpft',
+      left: 'Verknüpfter Nutzer hat alle Server verlassen',
+      inactive: 'Inaktiv',
+    },
+    summary: '**Freunde:** {total} / {capacity} ({percent} %)',
+    section: '**{heading}:** {count}',
+    inactiveFor: '{label} seit {days}+ Tagen',
+    lastSeen: 'zuletzt gesehen <t:{lastSeen}:R>',
+  },
+  friendRequests: {
+    adminOnly: '❌ Um Freundschaftsanfragen zu prüfen, brauchst du Administratorrechte.',
+    accepted: '✅ Freundschaftsanfrage von `{steamId}` angenommen.',
+    declined: '✅ Freundschaftsanfrage von `{steamId}` abgelehnt.',
+    cancelled: 'ℹ️ `{steamId}` hat die Freundschaftsanfrage zurückgezogen.',
+    handled: 'ℹ️ Diese Freundschaftsanfrage wurde bereits bearbeitet.',
+    already: {
+      accepted: 'ℹ️ Diese Freundschaftsanfrage wurde bereits angenommen.',
+      declined: 'ℹ️ Diese Freundschaftsanfrage wurde bereits abgelehnt.',
+      cancelled: 'ℹ️ Diese Freundschaftsanfrage wurde bereits zurückgezogen.',
+    },
+    elsewhere: '❌ Diese Freundschaftsanfrage wurde nicht auf diesem Server zur Prüfung gepostet.',
+    post: {
+      title: 'Steam-Freundschaftsanfrage',
+      from: 'Von',
+      statuses: {
+        pending: '⏳ Offen',
+        accepted: '✅ Angenommen',
+        declined: '❌ Abgelehnt',
+        cancelled: '↩️ Vom Absender zurückgezogen',
+      },
+      auto: 'automatisch (verknüpftes Mitglied)',
+      decided: 'Entschieden',
+      linkedBy: 'Verknüpfung angefragt von',
+      accept: 'Annehmen',
+      decline: 'Ablehnen',
+    },
+  },
+  setChannel: {
+    done: '✅ Steam-Statusänderungen werden jetzt in {channel} gesendet.',
+  },
+  announce: {
+    disabled: '✅ Dein Steam-Status wird auf diesem Server nicht mehr angekündigt.',
+    notAnnounced: 'ℹ️ Dein Steam-Status wurde auf diesem Server nicht angekündigt.',
+    enabled: '✅ Deine Steam-Statusänderungen werden jetzt auf diesem Server angekündigt.',
+    visibilityOff: '\n\n⚠️ Deine Sichtbarkeit ist auf „aus“ gestellt, daher wird nichts angekündigt, bis du sie mit `/steam privacy visibility` änderst.',
+    noUpdateChannel: '\n\n⚠️ Hier ist noch kein Update-Kanal eingerichtet. Ein Administrator muss `/steam setchannel` ausführen.',
+  },
+};
@@ -0,0 +1,418 @@
+// English is the fallback: other locales may leave out any string and get this one instead
+export default {
+  name: 'English',
+  states: {
+    0: 'Offline',
+    1: 'Online',
+    2: 'Busy',
+    3: 'Away',
+    4: 'Snooze',
+    5: 'Looking to trade',
+    6: 'Looking to play',
+    unknown: 'Unknown',
+  },
+  presence: {
+    footer: 'Steam Presence Update',
+    title: '{name}\'s Steam Status',
+    status: 'Status',
+    was: 'was {state}',
+    playing: 'Playing',
+    nonSteamGame: 'non-Steam game',
+    previously: 'Previously',
+    stoppedPlaying: 'Stopped playing',
+    profile: 'Steam Profile',
+    viewProfile: 'View Profile',
+    genres: 'Genres',
+    primaryAccount: 'Primary account {steamId}',
+    altAccount: 'Alt account {steamId}',
+    sessionRecap: 'Session recap',
+    sessionLength: 'Played {duration}, started <t:{started}:t>',
+    firstSession: 'First recorded session of this game',
+    nearAverage: 'About as long as usual (average {average})',
+    aboveAverage: '{percent}% longer than usual (average {average})',
+    belowAverage: '{percent}% shorter than usual (average {average})',
+  },
+  compact: {
+    gameStart: '🎮 **{user}** started playing **{game}**',
+    gameStop: '⏹️ **{user}** stopped playing **{game}**',
+    gameStopDuration: '⏹️ **{user}** stopped playing **{game}** after {duration}',
+    gameSwitch: '🔀 **{user}** switched from **{previous_game}** to **{game}**',
+    status: '{icon} **{user}** is now **{status}**',
+  },
+  richPresence: {
+    footer: 'Steam Rich Presence',
+    activity: 'Activity',
+    map: 'Map',
+    mode: 'Mode',
+    party: 'Party',
+    players: '{count} players',
+  },
+  status: {
+    heading: '**Your Linked Steam Account:**',
+    headingMultiple: '**Your Linked Steam Accounts ({count}):**',
+    notLinked: '❌ You do not have a linked Steam account. Use `/steam link` to link one.',
+    steamId: 'Steam ID',
+    primary: 'Primary',
+    alt: 'alt',
+    friendStatus: 'Friend Status',
+    friends: 'Friends with bot',
+    notFriends: 'Not friends with bot',
+    linkedSince: 'Linked Since',
+    lastKnown: 'Last Known Status',
+    name: 'Name',
+    status: 'Status',
+    playing: 'Playing',
+    lastUpdated: 'Last Updated',
+    noData: 'No presence data cached yet.',
+  },
+  common: {
+    list: '{first} and {last}',
+    more: '…and {count} more',
+    none: 'None',
+    off: 'off',
+    cancel: 'Cancel',
+    sessions: '{count} sessions',
+    sessionsOne: '{count} session',
+    guildOnly: '❌ This command can only be used in a server.',
+    adminOnly: '❌ You need Administrator permissions to use this command.',
+    textChannel: '❌ Please select a text channel.',
+    channelPermissions: '❌ I do not have permission to send messages and embeds in that channel.',
+    notLinked: '❌ You do not have a linked Steam account. Use `/steam link` to link one first.',
+    notYourAccount: '❌ Steam ID `{steamId}` is not linked to your Discord account.',
+    unknownGame: 'ℹ️ Nobody here has played this game yet; check the spelling matches the name on Steam.',
+  },
+  periods: {
+    week: 'Past 7 days',
+    month: 'Past 30 days',
+    all: 'All time',
+  },
+  events: {
+    game_start: 'Started playing',
+    game_stop: 'Stopped playing',
+    game_switch: 'Switched game',
+    online: 'Came online',
+    offline: 'Went offline',
+    away: 'Went away',
+  },
+  visibility: {
+    everyone: 'every server with an update channel',
+    guild: 'only servers where you ran `/steam announce here`',
+    off: 'nowhere',
+  },
+  layouts: {
+    full: 'Full embed',
+    compact: 'Compact line',
+    custom: 'Custom text',
+  },
+  placeholders: {
+    user: 'Steam name',
+    mention: 'Discord mention of the member (does not ping)',
+    status: 'current status',
+    previous_status: 'status before the change',
+    game: 'current game, or the one that was just stopped',
+    previous_game: 'game before the change',
+    duration: 'time in the current game, or how long the stopped game was played',
+    started: 'when the stopped game\'s session began',
+    average: 'the member\'s average session length for the stopped game',
+    profile: 'Steam profile link',
+  },
+  richPresenceChanges: {
+    description: '**{name}** {changes} in **{game}**',
+    joinedLobby: 'joined a lobby ({count} players)',
+    leftLobby: 'left their lobby',
+    startedMatch: 'started a {mode} match',
+    movedTo: 'moved to {map}',
+    nowDisplay: 'is now: {display}',
+  },
+  link: {
+    invalid: '❌ {error}\n\nAccepted formats:\n- Steam ID64: `76561198000000000`\n- Steam ID: `STEAM_0:0:19867136` or `[U:1:39734272]`\n- Profile URL: `https://steamcommunity.com/profiles/76561198000000000`\n- Custom URL: `https://steamcommunity.com/id/username` or just `username`\n- Friend code: `39734272` or invite link `https://s.team/p/xxxx-xxxx`',
+    notFriends: '❌ The Steam account `{steamId}` is not friends with the bot.\n\nTo monitor your Steam presence, you must first add the bot\'s Steam account as a friend:\n\n**Bot Steam ID:** `{botSteamId}`\n\n{nextStep}',
+    botUnavailable: 'Not available',
+    autoAccept: 'Your request will be accepted automatically. Once it is, run `/steam link` again.',
+    adminReview: 'An administrator will review your request. Once it is accepted, run `/steam link` again.',
+    alreadyLinked: 'ℹ️ You are already linked to Steam ID `{steamId}`.',
+    tooMany: '⚠️ You already have {max} linked Steam accounts. Unlink one before adding another.',
+    taken: '❌ This Steam account is already linked to another Discord user.',
+    locked: '⚠️ Too many incorrect codes were entered. Wait a minute before requesting a new one.',
+    alreadySent: '⚠️ A verification code was already sent to `{steamId}`. Check your Steam chat, or wait a minute to request a new one.',
+    sendFailed: '❌ Could not send a verification message on Steam. Please try again later.',
+    codeSent: '📨 A verification code was sent to `{steamId}` in Steam chat.\n\nReply to the bot on Steam with the code, or run `/steam verify <code>` here. The code expires in {minutes} minutes.',
+  },
+  verify: {
+    noPending: '❌ You have no pending link. Use `/steam link` first.',
+    expired: '❌ Your verification code has expired. Use `/steam link` to get a new one.',
+    mismatch: '❌ That code is not correct. {attempts} attempt(s) left.',
+    locked: '❌ Too many incorrect codes. Wait a minute, then use `/steam link` to get a new one.',
+    taken: '❌ This Steam account was linked to another Discord user in the meantime.',
+    verified: '✅ Successfully linked your Discord account to Steam ID `{steamId}`.\n\nUse `/steam announce here` in each server where you want your Steam status changes announced.',
+  },
+  unlink: {
+    pickAccount: '⚠️ You have several linked Steam accounts. Pick one with the `account` option.',
+    done: '✅ Successfully unlinked your Discord account from Steam ID `{steamId}`.',
+    friendRemoved: ' The bot has also removed it from its Steam friends list.',
+    steamOffline: '\n\n⚠️ The bot is not connected to Steam right now, so the account is still on its friends list.',
+    newPrimary: '\n\n`{steamId}` is now your primary account.',
+  },
+  primary: {
+    done: '✅ `{steamId}` is now your primary Steam account.',
+    label: '{name} — primary',
+  },
+  watch: {
+    roleAdminOnly: '❌ You need Administrator permissions to manage role watches.',
+    mine: '**Your watched games (DM):**',
+    roles: '**Role watches in this server:**',
+    quietHours: '**Quiet hours:** {range}',
+    quietOff: '**Quiet hours:** off',
+    quietCleared: '✅ Quiet hours turned off. Watch alerts can DM you at any time.',
+    quietInvalid: '❌ Give both a `start_hour` and a different `end_hour`, or neither to turn quiet hours off.',
+    quietSet: '✅ No watch DMs between {start} and {end} {offset}.',
+    you: 'you',
+    removed: '✅ Stopped watching **{game}** for {target}.',
+    notWatched: 'ℹ️ **{game}** was not being watched for {target}.',
+    limit: '❌ You can watch at most {max} games. Remove one first.',
+    alreadyWatched: 'ℹ️ **{game}** is already watched for {target}.',
+    roleAdded: '✅ {role} will be pinged in the update channel when a member starts **{game}**.',
+    userAdded: '✅ You will get a DM when a member of this server starts **{game}**.',
+    noUpdateChannel: '\n\n⚠️ No update channel is configured here yet. Run `/steam setchannel` first.',
+    roleAlert: '🎮 {role} {names} started playing **{game}**',
+    dmAlert: '🎮 {names} started playing **{game}** (watched in {guild}). Manage alerts with `/steam watch`.',
+  },
+  relay: {
+    disabled: '✅ Your Steam chat is no longer relayed.',
+    notRelayed: 'ℹ️ Your Steam chat was not being relayed.',
+    intro: '💬 Messages you send the bot on Steam will appear here. Reply here to answer over Steam chat.\nSteam chat also understands these commands:\n```\n{help}\n```',
+    threadOnly: '❌ Run this in a server text channel to relay into a thread.',
+    noIntent: '❌ Thread relays need the Message Content intent, which this bot is not configured for. Use a DM instead.',
+    threadName: 'Steam chat – {name}',
+    threadFailed: '❌ I could not create a private thread here. Check my thread permissions.',
+    dmFailed: '❌ I could not DM you. Allow direct messages from server members and try again.',
+    enabled: '✅ Your Steam chat with the bot is now relayed to {destination}.',
+    yourDms: 'your DMs',
+    noAccount: '❌ You no longer have a linked Steam account to relay to.',
+    slowDown: '⚠️ Slow down! Some of your messages were not sent to Steam.',
+    sendFailed: '❌ Your message could not be sent over Steam chat. The bot may be disconnected from Steam.',
+  },
+  steamChat: {
+    verificationCode: 'Discord user {user} wants to link this Steam account. If that\'s you, reply here with {code} or run /steam verify {code} in Discord. The code expires in {minutes} minutes. If it wasn\'t you, ignore this message.',
+    codeMismatch: 'That code does not match a pending link. Run /steam link in Discord to get a new one.',
+    linked: 'Your Steam account is now linked to Discord.',
+    taken: 'This Steam account is already linked to another Discord user.',
+    locked: 'Too many incorrect codes were entered for this link. Run /steam link in Discord again in a minute to get a new one.',
+    friendAccepted: 'Your friend request was accepted. Run /steam link again in Discord to finish linking your account.',
+    commandsHeading: 'Commands:',
+    commands: {
+      status: { usage: '!status', description: 'your linked accounts and last known presence' },
+      pause: { usage: '!pause <hours>', description: 'pause tracking for 1-{max} hours' },
+      resume: { usage: '!resume', description: 'resume tracking' },
+      unlink: { usage: '!unlink', description: 'unlink the Steam account you are chatting from' },
+      help: { usage: '!help', description: 'this list' },
+    },
+    usage: 'Usage: {usage}',
+    slowDown: 'Slow down! Some of your messages were not delivered.',
+    notDelivered: 'Your message could not be delivered to Discord.',
+    discordChannel: 'a Discord channel',
+  },
+  privacy: {
+    visibility: '✅ Your Steam presence will be announced in {where}.',
+    alreadyHidden: 'ℹ️ **{game}** is already hidden.',
+    hideLimit: '❌ You can hide at most {max} games. Unhide one first.',
+    hidden: '✅ **{game}** will no longer be tracked or announced.',
+    notHidden: 'ℹ️ **{game}** is not hidden.',
+    unhidden: '✅ **{game}** will be tracked and announced again.',
+    paused: '✅ Tracking paused until <t:{until}:f>. Nothing about you is recorded or announced until then.',
+    notPaused: 'ℹ️ Tracking is not paused.',
+    resumed: '✅ Tracking resumed.',
+    heading: '**Your privacy settings**',
+    announcements: 'Announcements: {where}',
+    hiddenGames: 'Hidden games: {games}',
+    tracking: 'Tracking: {state}',
+    pausedUntil: 'Paused until <t:{until}:f>',
+    active: 'Active',
+  },
+  forgetMe: {
+    confirm: '⚠️ This deletes your linked Steam accounts, play history, privacy and announcement settings, and everything else the bot stores about you, in every server. It cannot be undone. Continue?',
+    deleteButton: 'Delete my data',
+    timedOut: '⌛ Nothing was deleted (no confirmation received).',
+    cancelled: 'Nothing was deleted.',
+    done: '✅ Deleted {count} record(s) about you. The bot no longer tracks your Steam accounts.',
+  },
+  stats: {
+    notShared: '❌ {user} does not share their Steam activity in this server.',
+    notLinked: '❌ {user} does not have a linked Steam account.',
+    noSessions: 'ℹ️ No play sessions recorded for {user} ({period}).',
+    title: '{name}\'s Playtime',
+    total: 'Total Playtime',
+    sessions: 'Sessions',
+    longest: 'Longest Session',
+    longestValue: '{duration} of {game} (<t:{started}:d>)',
+    topGames: 'Top Games',
+    daily: 'Daily Breakdown',
+    accounts: '{count} Steam accounts',
+    steamId: 'Steam ID {steamId}',
+  },
+  leaderboard: {
+    title: '🏆 Playtime Leaderboard',
+    gameTitle: '🏆 {game} Leaderboard',
+    weeklyTitle: '🏆 Weekly Playtime Leaderboard',
+    footer: '{period} • Page {page}/{pages}',
+    empty: 'No tracked playtime for linked members yet.',
+    previous: 'Previous',
+    next: 'Next',
+  },
+  weeklyLeaderboard: {
+    disabled: '✅ The weekly leaderboard has been turned off.',
+    enabled: '✅ A playtime leaderboard for the past week will be posted every 7 days, starting one week from now.',
+    noUpdateChannel: '\n\n⚠️ No update channel is configured yet. Use `/steam setchannel` so the leaderboard has somewhere to go.',
+  },
+  lfg: {
+    title: '🎮 Looking for Group',
+    empty: 'Nobody here is looking to play or trade right now. Set your Steam status to "Looking to play" to show up.',
+    entry: '<@{discordId}> ({name}): {state} since <t:{since}:R>',
+    entryInGame: '<@{discordId}> ({name}): {state} in **{game}** since <t:{since}:R>',
+    postTitles: {
+      5: '🎮 {name} is looking to trade',
+      6: '🎮 {name} is looking to play',
+    },
+    postInGame: '{mention} is in **{game}**',
+    joinPrompt: 'Press **Join** to let them know you\'re in.',
+    footer: 'Steam LFG',
+    join: 'Join',
+    gone: 'ℹ️ They are no longer looking for a group.',
+    own: 'ℹ️ This is your own LFG post.',
+    alreadyJoined: 'ℹ️ You already asked to join. They have been notified.',
+    joined: '🎮 <@{discordId}>, {user} wants to join you!',
+  },
+  dashboard: {
+    title: '🎮 Who\'s Playing Now',
+    footer: 'Last updated',
+    counts: '🟢 Online: **{online}** • 🟡 Away: **{away}** • ⚫ Offline: **{offline}**',
+    nobodyPlaying: 'Nobody is in-game right now.',
+    playerSince: '<@{discordId}> since <t:{started}:R>',
+    none: '❌ This server does not have a dashboard.',
+    removed: '✅ Dashboard removed. Presence changes will be posted as individual updates again.',
+    created: '✅ Dashboard created in {channel}. It replaces individual presence posts in this server.',
+    pinPermission: '\n\n⚠️ I need the Manage Messages permission to pin it.',
+  },
+  roles: {
+    states: {
+      ingame: 'In-Game',
+      online: 'Online',
+      away: 'Away',
+      lfg: 'Looking to play or trade',
+    },
+    stateTrigger: '{state} (state)',
+    problems: {
+      deleted: 'the role no longer exists',
+      managed: 'the role is managed by Discord or an integration',
+      permission: 'the bot is missing the Manage Roles permission',
+      position: 'the role is not below the bot\'s highest role',
+    },
+    heading: '**Activity roles in this server:**',
+    notMapped: 'ℹ️ No role is mapped to **{activity}**.',
+    unmapped: '✅ **{activity}** no longer gives {role}. Members who have it because of this mapping lose it shortly.',
+    cannotGive: '❌ I can\'t give out {role}: {problem}.',
+    limit: '❌ A server can have at most {max} activity roles. Unmap one first.',
+    whileState: 'they are **{state}**',
+    whileGame: 'playing **{game}**',
+    mapped: '✅ Linked members get {role} while {activity}. Members who share their Steam activity here are being updated now; anyone who already had the role keeps it.',
+    unknownGame: '\n\nℹ️ Nobody has played this game yet; check the spelling matches the name on Steam.',
+  },
+  config: {
+    pickEvent: '❌ Pick at least one event type to turn on or off.',
+    userCooldownReset: '✅ {user} now uses the server cooldown.',
+    userCooldownSet: '✅ Cooldown for {user} set to {duration}.',
+    localeSet: '✅ Presence announcements in this server are now in **{language}**.',
+    localeAuto: '✅ Presence announcements follow this server\'s Discord language (currently **{language}**).',
+    heading: '**Notification settings:**',
+    updated: '✅ Notification settings updated.',
+    events: '**Events:**',
+    allowedGames: '**Allowed games:** {games}',
+    allGames: 'all',
+    deniedGames: '**Denied games:** {games}',
+    noGames: 'none',
+    minSession: '**Minimum session before "started playing":** {duration}',
+    cooldown: '**Cooldown per member:** {duration}',
+    trailing: ' (final state posted when it ends)',
+    dropped: ' (changes during the cooldown are dropped)',
+    richPresence: '**Rich presence announcements:** {state}',
+    richPresenceOn: 'on (at most every {duration} per member)',
+    updateChannel: '**Update channel:** {channel}',
+    updateChannelDisabled: '**Update channel:** {channel} ⚠️ disabled ({reason}); run `/steam setchannel` to re-enable',
+    notSet: 'not set',
+    friendRequests: '**Friend requests:** {where}',
+    postedIn: 'posted in {channel}',
+    notPosted: 'not posted',
+    autoAccepted: ', auto-accepted for members linking their account',
+    lfgPosts: '**LFG posts:** {where}',
+    lfgIn: 'in {channel}',
+    layout: '**Announcement layout:** {layout}',
+    language: '**Language:** {language}',
+    serverLanguage: ' (server language)',
+    unknownPlaceholders: '❌ Unknown placeholder(s): {unknown}. Available: {known}.',
+    customNeedsText: '❌ The custom layout needs `text`. Available placeholders:\n{known}',
+    templateSet: '✅ Presence announcements now use the **{layout}** layout. Preview:',
+  },
+  admin: {
+    exported: '✅ Export of this server\'s data ({accounts} linked account(s), {sessions} play session(s)). Restore it with `npm run import`.',
+    ownerOnly: '❌ Only the bot owner can manage the bot\'s Steam friends list (see `BOT_OWNER_IDS`).',
+    steamOffline: '❌ The bot is not connected to Steam right now.',
+    noMatch: 'ℹ️ No friends match "{category}".',
+    wouldRemove: '**{count} friend(s) would be removed:**\n{list}',
+    dryRun: '{preview}\n\nThis was a dry run. Run again with `dry_run: False` to remove them.',
+    confirm: '⚠️ {preview}\n\nRemove them from the bot\'s Steam friends list?',
+    removeButton: 'Remove {count}',
+    timedOut: '⌛ Prune cancelled (no confirmation received).',
+    cancelled: 'Prune cancelled.',
+    removing: '⏳ Removing friends…',
+    removed: '✅ Removed {count} friend(s) from the bot\'s Steam account.',
+  },
+  friends: {
+    categories: {
+      unlinked: 'Not linked to a Discord user',
+      left: 'Linked user left every server',
+      inactive: 'Inactive',
+    },
+    summary: '**Friends:** {total} / {capacity} ({percent}%)',
+    section: '**{heading}:** {count}',
+    inactiveFor: '{label} for {days}+ days',
+    lastSeen: 'last seen <t:{lastSeen}:R>',
+  },
+  friendRequests: {
+    adminOnly: '❌ You need Administrator permissions to review friend requests.',
+    accepted: '✅ Accepted the friend request from `{steamId}`.',
+    declined: '✅ Declined the friend request from `{steamId}`.',
+    cancelled: 'ℹ️ `{steamId}` withdrew the friend request.',
+    handled: 'ℹ️ This friend request was already handled.',
+    already: {
+      accepted: 'ℹ️ This friend request was already accepted.',
+      declined: 'ℹ️ This friend request was already declined.',
+      cancelled: 'ℹ️ This friend request was already cancelled.',
+    },
+    elsewhere: '❌ This friend request was not posted for review in this server.',
+    post: {
+      title: 'Steam friend request',
+      from: 'From',
+      statuses: {
+        pending: '⏳ Pending',
+        accepted: '✅ Accepted',
+        declined: '❌ Declined',
+        cancelled: '↩️ Withdrawn by sender',
+      },
+      auto: 'automatically (linked member)',
+      decided: 'Decided',
+      linkedBy: 'Link requested by',
+      accept: 'Accept',
+      decline: 'Decline',
+    },
+  },
+  setChannel: {
+    done: '✅ Steam presence updates will now be sent to {channel}.',
+  },
+  announce: {
+    disabled: '✅ Your Steam presence will no longer be announced in this server.',
+    notAnnounced: 'ℹ️ Your Steam presence was not being announced in this server.',
+    enabled: '✅ Your Steam presence changes will now be announced in this server.',
+    visibilityOff: '\n\n⚠️ Your privacy visibility is set to off, so nothing is announced until you change it with `/steam privacy visibility`.',
+    noUpdateChannel: '\n\n⚠️ No update channel is configured here yet. An administrator needs to run `/steam setchannel`.',
+  },
+};
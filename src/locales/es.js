@@ -0,0 +1,417 @@
+export default {
+  name: 'Español',
+  states: {
+    0: 'Desconectado',
+    1: 'Conectado',
+    2: 'Ocupado',
+    3: 'Ausente',
+    4: 'Durmiendo',
+    5: 'Buscando intercambios',
+    6: 'Buscando partida',
+    unknown: 'Desconocido',
+  },
+  presence: {
+    footer: 'Actualización de estado de Steam',
+    title: 'Estado de Steam de {name}',
+    status: 'Estado',
+    was: 'antes {state}',
+    playing: 'Jugando a',
+    nonSteamGame: 'juego ajeno a Steam',
+    previously: 'Antes',
+    stoppedPlaying: 'Dejó de jugar a',
+    profile: 'Perfil de Steam',
+    viewProfile: 'Ver perfil',
+    genres: 'Géneros',
+    primaryAccount: 'Cuenta principal {steamId}',
+    altAccount: 'Cuenta secundaria {steamId}',
+    sessionRecap: 'Resumen de la sesión',
+    sessionLength: 'Jugó {duration}, empezó a las <t:{started}:t>',
+    firstSession: 'Primera sesión registrada de este juego',
+    nearAverage: 'Más o menos lo habitual (media {average})',
+    aboveAverage: '{percent} % más larga de lo habitual (media {average})',
+    belowAverage: '{percent} % más corta de lo habitual (media {average})',
+  },
+  compact: {
+    gameStart: '🎮 **{user}** empezó a jugar a **{game}**',
+    gameStop: '⏹️ **{user}** dejó de jugar a **{game}**',
+    gameStopDuration: '⏹️ **{user}** dejó de jugar a **{game}** tras {duration}',
+    gameSwitch: '🔀 **{user}** cambió de **{previous_game}** a **{game}**',
+    status: '{icon} **{user}** ahora está **{status}**',
+  },
+  richPresence: {
+    footer: 'Steam Rich Presence',
+    activity: 'Actividad',
+    map: 'Mapa',
+    mode: 'Modo',
+    party: 'Grupo',
+    players: '{count} jugadores',
+  },
+  status: {
+    heading: '**Tu cuenta de Steam vinculada:**',
+    headingMultiple: '**Tus cuentas de Steam vinculadas ({count}):**',
+    notLinked: '❌ No tienes ninguna cuenta de Steam vinculada. Usa `/steam link` para vincular una.',
+    steamId: 'ID de Steam',
+    primary: 'Principal',
+    alt: 'secundaria',
+    friendStatus: 'Amistad',
+    friends: 'Amigo del bot',
+    notFriends: 'No es amigo del bot',
+    linkedSince: 'Vinculada desde',
+    lastKnown: 'Último estado conocido',
+    name: 'Nombre',
+    status: 'Estado',
+    playing: 'Jugando a',
+    lastUpdated: 'Última actualización',
+    noData: 'Todavía no hay datos de estado.',
+  },
+  common: {
+    list: '{first} y {last}',
+    more: '…y {count} más',
+    none: 'Ninguno',
+    off: 'desactivado',
+    cancel: 'Cancelar',
+    sessions: '{count} sesiones',
+    sessionsOne: '{count} sesión',
+    guildOnly: '❌ Este comando solo se puede usar en un servidor.',
+    adminOnly: '❌ Necesitas permisos de administrador para usar este comando.',
+    textChannel: '❌ Selecciona un canal de texto.',
+    channelPermissions: '❌ No tengo permiso para enviar mensajes e incrustaciones en ese canal.',
+    notLinked: '❌ No tienes ninguna cuenta de Steam vinculada. Usa `/steam link` para vincular una primero.',
+    notYourAccount: '❌ El ID de Steam `{steamId}` no está vinculado a tu cuenta de Discord.',
+    unknownGame: 'ℹ️ Nadie aquí ha jugado todavía a este juego; comprueba que el nombre coincide con el de Steam.',
+  },
+  periods: {
+    week: 'Últimos 7 días',
+    month: 'Últimos 30 días',
+    all: 'Desde siempre',
+  },
+  events: {
+    game_start: 'Empezó a jugar',
+    game_stop: 'Dejó de jugar',
+    game_switch: 'Cambió de juego',
+    online: 'Se conectó',
+    offline: 'Se desconectó',
+    away: 'Se ausentó',
+  },
+  visibility: {
+    everyone: 'en todos los servidores con un canal de actualizaciones',
+    guild: 'solo en los servidores donde usaste `/steam announce here`',
+    off: 'en ningún sitio',
+  },
+  layouts: {
+    full: 'Incrustación completa',
+    compact: 'Línea compacta',
+    custom: 'Texto personalizado',
+  },
+  placeholders: {
+    user: 'nombre de Steam',
+    mention: 'mención de Discord del miembro (sin notificar)',
+    status: 'estado actual',
+    previous_status: 'estado antes del cambio',
+    game: 'juego actual, o el que se acaba de cerrar',
+    previous_game: 'juego antes del cambio',
+    duration: 'tiempo en el juego actual, o cuánto se jugó al juego cerrado',
+    started: 'cuándo empezó la sesión del juego cerrado',
+    average: 'duración media de las sesiones del miembro en el juego cerrado',
+    profile: 'enlace al perfil de Steam',
+  },
+  richPresenceChanges: {
+    description: '**{name}** {changes} en **{game}**',
+    joinedLobby: 'se unió a una sala ({count} jugadores)',
+    leftLobby: 'salió de su sala',
+    startedMatch: 'empezó una partida en modo {mode}',
+    movedTo: 'pasó a {map}',
+    nowDisplay: 'ahora está: {display}',
+  },
+  link: {
+    invalid: '❌ {error}\n\nFormatos aceptados:\n- Steam ID64: `76561198000000000`\n- ID de Steam: `STEAM_0:0:19867136` o `[U:1:39734272]`\n- URL del perfil: `https://steamcommunity.com/profiles/76561198000000000`\n- URL personalizada: `https://steamcommunity.com/id/username` o solo `username`\n- Código de amigo: `39734272` o enlace de invitación `https://s.team/p/xxxx-xxxx`',
+    notFriends: '❌ La cuenta de Steam `{steamId}` no es amiga del bot.\n\nPara seguir tu presencia en Steam, primero tienes que añadir la cuenta de Steam del bot como amigo:\n\n**ID de Steam del bot:** `{botSteamId}`\n\n{nextStep}',
+    botUnavailable: 'No disponible',
+    autoAccept: 'Tu solicitud se aceptará automáticamente. Cuando se acepte, vuelve a usar `/steam link`.',
+    adminReview: 'Un administrador revisará tu solicitud. Cuando se acepte, vuelve a usar `/steam link`.',
+    alreadyLinked: 'ℹ️ Ya estás vinculado al ID de Steam `{steamId}`.',
+    tooMany: '⚠️ Ya tienes {max} cuentas de Steam vinculadas. Desvincula una antes de añadir otra.',
+    taken: '❌ Esta cuenta de Steam ya está vinculada a otro usuario de Discord.',
+    locked: '⚠️ Se han introducido demasiados códigos incorrectos. Espera un minuto antes de pedir uno nuevo.',
+    alreadySent: '⚠️ Ya se envió un código de verificación a `{steamId}`. Revisa tu chat de Steam o espera un minuto para pedir uno nuevo.',
+    sendFailed: '❌ No se pudo enviar el mensaje de verificación por Steam. Inténtalo de nuevo más tarde.',
+    codeSent: '📨 Se envió un código de verificación a `{steamId}` por el chat de Steam.\n\nResponde al bot en Steam con el código o usa `/steam verify <code>` aquí. El código caduca en {minutes} minutos.',
+  },
+  verify: {
+    noPending: '❌ No tienes ninguna vinculación pendiente. Usa primero `/steam link`.',
+    expired: '❌ Tu código de verificación ha caducado. Usa `/steam link` para obtener uno nuevo.',
+    mismatch: '❌ Ese código no es correcto. Te quedan {attempts} intento(s).',
+    locked: '❌ Demasiados códigos incorrectos. Espera un minuto y usa `/steam link` para obtener uno nuevo.',
+    taken: '❌ Mientras tanto, esta cuenta de Steam se vinculó a otro usuario de Discord.',
+    verified: '✅ Tu cuenta de Discord está vinculada al ID de Steam `{steamId}`.\n\nUsa `/steam announce here` en cada servidor donde quieras que se anuncien tus cambios de estado de Steam.',
+  },
+  unlink: {
+    pickAccount: '⚠️ Tienes varias cuentas de Steam vinculadas. Elige una con la opción `account`.',
+    done: '✅ Se desvinculó tu cuenta de Discord del ID de Steam `{steamId}`.',
+    friendRemoved: ' El bot también la ha eliminado de su lista de amigos de Steam.',
+    steamOffline: '\n\n⚠️ El bot no está conectado a Steam ahora mismo, así que la cuenta sigue en su lista de amigos.',
+    newPrimary: '\n\n`{steamId}` es ahora tu cuenta principal.',
+  },
+  primary: {
+    done: '✅ `{steamId}` es ahora tu cuenta principal de Steam.',
+    label: '{name} — principal',
+  },
+  watch: {
+    roleAdminOnly: '❌ Necesitas permisos de administrador para gestionar avisos de rol.',
+    mine: '**Tus juegos vigilados (MD):**',
+    roles: '**Avisos de rol en este servidor:**',
+    quietHours: '**Horas de silencio:** {range}',
+    quietOff: '**Horas de silencio:** desactivadas',
+    quietCleared: '✅ Horas de silencio desactivadas. Los avisos pueden enviarte MD en cualquier momento.',
+    quietInvalid: '❌ Indica `start_hour` y un `end_hour` distinto, o ninguno para desactivar las horas de silencio.',
+    quietSet: '✅ Sin MD de avisos entre las {start} y las {end} {offset}.',
+    you: 'ti',
+    removed: '✅ Se dejó de vigilar **{game}** para {target}.',
+    notWatched: 'ℹ️ **{game}** no se estaba vigilando para {target}.',
+    limit: '❌ Puedes vigilar como máximo {max} juegos. Quita uno primero.',
+    alreadyWatched: 'ℹ️ **{game}** ya se vigila para {target}.',
+    roleAdded: '✅ Se mencionará a {role} en el canal de actualizaciones cuando un miembro empiece **{game}**.',
+    userAdded: '✅ Recibirás un MD cuando un miembro de este servidor empiece **{game}**.',
+    noUpdateChannel: '\n\n⚠️ Aquí todavía no hay un canal de actualizaciones. Usa primero `/steam setchannel`.',
+    roleAlert: '🎮 {role} Jugando ahora a **{game}**: {names}',
+    dmAlert: '🎮 Jugando ahora a **{game}**: {names} (vigilado en {guild}). Gestiona los avisos con `/steam watch`.',
+  },
+  relay: {
+    disabled: '✅ Tu chat de Steam ya no se reenvía.',
+    notRelayed: 'ℹ️ Tu chat de Steam no se estaba reenviando.',
+    intro: '💬 Los mensajes que envíes al bot en Steam aparecerán aquí. Responde aquí para contestar por el chat de Steam.\nEl chat de Steam también entiende estos comandos:\n```\n{help}\n```',
+    threadOnly: '❌ Usa esto en un canal de texto de un servidor para reenviar a un hilo.',
+    noIntent: '❌ El reenvío a hilos necesita el intent Message Content, que este bot no tiene configurado. Usa un MD en su lugar.',
+    threadName: 'Chat de Steam – {name}',
+    threadFailed: '❌ No pude crear un hilo privado aquí. Revisa mis permisos de hilos.',
+    dmFailed: '❌ No pude enviarte un MD. Permite los mensajes directos de miembros del servidor y vuelve a intentarlo.',
+    enabled: '✅ Tu chat de Steam con el bot ahora se reenvía a {destination}.',
+    yourDms: 'tus MD',
+    noAccount: '❌ Ya no tienes una cuenta de Steam vinculada a la que reenviar.',
+    slowDown: '⚠️ ¡Más despacio! Algunos de tus mensajes no se enviaron a Steam.',
+    sendFailed: '❌ No se pudo enviar tu mensaje por el chat de Steam. Puede que el bot esté desconectado de Steam.',
+  },
+  steamChat: {
+    verificationCode: 'El usuario de Discord {user} quiere vincular esta cuenta de Steam. Si eres tú, responde aquí con {code} o usa /steam verify {code} en Discord. El código caduca en {minutes} minutos. Si no fuiste tú, ignora este mensaje.',
+    codeMismatch: 'Ese código no coincide con ninguna vinculación pendiente. Usa /steam link en Discord para obtener uno nuevo.',
+    linked: 'Tu cuenta de Steam ya está vinculada a Discord.',
+    taken: 'Esta cuenta de Steam ya está vinculada a otro usuario de Discord.',
+    locked: 'Se introdujeron demasiados códigos incorrectos para esta vinculación. Vuelve a usar /steam link en Discord dentro de un minuto para obtener uno nuevo.',
+    friendAccepted: 'Se aceptó tu solicitud de amistad. Vuelve a usar /steam link en Discord para terminar de vincular tu cuenta.',
+    commandsHeading: 'Comandos:',
+    commands: {
+      status: { usage: '!status', description: 'tus cuentas vinculadas y la última presencia conocida' },
+      pause: { usage: '!pause <horas>', description: 'pausar el seguimiento durante 1-{max} horas' },
+      resume: { usage: '!resume', description: 'reanudar el seguimiento' },
+      unlink: { usage: '!unlink', description: 'desvincular la cuenta de Steam desde la que chateas' },
+      help: { usage: '!help', description: 'esta lista' },
+    },
+    usage: 'Uso: {usage}',
+    slowDown: '¡Más despacio! Algunos de tus mensajes no se entregaron.',
+    notDelivered: 'No se pudo entregar tu mensaje a Discord.',
+    discordChannel: 'un canal de Discord',
+  },
+  privacy: {
+    visibility: '✅ Tu presencia de Steam se anunciará {where}.',
+    alreadyHidden: 'ℹ️ **{game}** ya está oculto.',
+    hideLimit: '❌ Puedes ocultar como máximo {max} juegos. Muestra uno primero.',
+    hidden: '✅ **{game}** ya no se seguirá ni se anunciará.',
+    notHidden: 'ℹ️ **{game}** no está oculto.',
+    unhidden: '✅ **{game}** se volverá a seguir y anunciar.',
+    paused: '✅ Seguimiento en pausa hasta <t:{until}:f>. Hasta entonces no se registra ni se anuncia nada sobre ti.',
+    notPaused: 'ℹ️ El seguimiento no está en pausa.',
+    resumed: '✅ Seguimiento reanudado.',
+    heading: '**Tu configuración de privacidad**',
+    announcements: 'Anuncios: {where}',
+    hiddenGames: 'Juegos ocultos: {games}',
+    tracking: 'Seguimiento: {state}',
+    pausedUntil: 'En pausa hasta <t:{until}:f>',
+    active: 'Activo',
+  },
+  forgetMe: {
+    confirm: '⚠️ Esto borra tus cuentas de Steam vinculadas, tu historial de juego, tu configuración de privacidad y anuncios, y todo lo demás que el bot guarda sobre ti, en todos los servidores. No se puede deshacer. ¿Continuar?',
+    deleteButton: 'Borrar mis datos',
+    timedOut: '⌛ No se borró nada (no se recibió confirmación).',
+    cancelled: 'No se borró nada.',
+    done: '✅ Se borraron {count} registro(s) sobre ti. El bot ya no sigue tus cuentas de Steam.',
+  },
+  stats: {
+    notShared: '❌ {user} no comparte su actividad de Steam en este servidor.',
+    notLinked: '❌ {user} no tiene ninguna cuenta de Steam vinculada.',
+    noSessions: 'ℹ️ No hay sesiones de juego registradas para {user} ({period}).',
+    title: 'Tiempo de juego de {name}',
+    total: 'Tiempo total',
+    sessions: 'Sesiones',
+    longest: 'Sesión más larga',
+    longestValue: '{duration} de {game} (<t:{started}:d>)',
+    topGames: 'Juegos más jugados',
+    daily: 'Desglose diario',
+    accounts: '{count} cuentas de Steam',
+    steamId: 'ID de Steam {steamId}',
+  },
+  leaderboard: {
+    title: '🏆 Clasificación de tiempo de juego',
+    gameTitle: '🏆 Clasificación de {game}',
+    weeklyTitle: '🏆 Clasificación semanal de tiempo de juego',
+    footer: '{period} • Página {page}/{pages}',
+    empty: 'Todavía no hay tiempo de juego registrado para los miembros vinculados.',
+    previous: 'Anterior',
+    next: 'Siguiente',
+  },
+  weeklyLeaderboard: {
+    disabled: '✅ Se desactivó la clasificación semanal.',
+    enabled: '✅ Cada 7 días se publicará una clasificación de tiempo de juego de la última semana, empezando dentro de una semana.',
+    noUpdateChannel: '\n\n⚠️ Todavía no hay un canal de actualizaciones. Usa `/steam setchannel` para que la clasificación tenga dónde publicarse.',
+  },
+  lfg: {
+    title: '🎮 Buscando grupo',
+    empty: 'Nadie aquí busca jugar o intercambiar ahora mismo. Pon tu estado de Steam en "Buscando partida" para aparecer.',
+    entry: '<@{discordId}> ({name}): {state} desde <t:{since}:R>',
+    entryInGame: '<@{discordId}> ({name}): {state} en **{game}** desde <t:{since}:R>',
+    postTitles: {
+      5: '🎮 {name} busca intercambiar',
+      6: '🎮 {name} busca partida',
+    },
+    postInGame: '{mention} está en **{game}**',
+    joinPrompt: 'Pulsa **Unirse** para avisar de que te apuntas.',
+    footer: 'Steam LFG',
+    join: 'Unirse',
+    gone: 'ℹ️ Ya no busca grupo.',
+    own: 'ℹ️ Esta es tu propia publicación.',
+    alreadyJoined: 'ℹ️ Ya pediste unirte. Ya se le ha avisado.',
+    joined: '🎮 <@{discordId}>, ¡{user} quiere unirse!',
+  },
+  dashboard: {
+    title: '🎮 Quién está jugando',
+    footer: 'Última actualización',
+    counts: '🟢 Conectados: **{online}** • 🟡 Ausentes: **{away}** • ⚫ Desconectados: **{offline}**',
+    nobodyPlaying: 'Nadie está jugando ahora mismo.',
+    playerSince: '<@{discordId}> desde <t:{started}:R>',
+    none: '❌ Este servidor no tiene un panel.',
+    removed: '✅ Panel eliminado. Los cambios de presencia se volverán a publicar uno a uno.',
+    created: '✅ Panel creado en {channel}. Sustituye a las publicaciones de presencia individuales en este servidor.',
+    pinPermission: '\n\n⚠️ Necesito el permiso Gestionar mensajes para fijarlo.',
+  },
+  roles: {
+    states: {
+      ingame: 'En partida',
+      online: 'Conectado',
+      away: 'Ausente',
+      lfg: 'Buscando partida o intercambio',
+    },
+    stateTrigger: '{state} (estado)',
+    problems: {
+      deleted: 'el rol ya no existe',
+      managed: 'el rol lo gestiona Discord o una integración',
+      permission: 'al bot le falta el permiso Gestionar roles',
+      position: 'el rol no está por debajo del rol más alto del bot',
+    },
+    heading: '**Roles de actividad en este servidor:**',
+    notMapped: 'ℹ️ No hay ningún rol asignado a **{activity}**.',
+    unmapped: '✅ **{activity}** ya no da {role}. Los miembros que lo tienen por esta asignación lo perderán en breve.',
+    cannotGive: '❌ No puedo dar {role}: {problem}.',
+    limit: '❌ Un servidor puede tener como máximo {max} roles de actividad. Quita una asignación primero.',
+    whileState: 'estén **{state}**',
+    whileGame: 'jueguen a **{game}**',
+    mapped: '✅ Los miembros vinculados recibirán {role} mientras {activity}. Los miembros que comparten aquí su actividad de Steam se están actualizando ahora; quien ya tenía el rol lo conserva.',
+    unknownGame: '\n\nℹ️ Nadie ha jugado todavía a este juego; comprueba que el nombre coincide con el de Steam.',
+  },
+  config: {
+    pickEvent: '❌ Elige al menos un tipo de evento para activar o desactivar.',
+    userCooldownReset: '✅ {user} vuelve a usar el tiempo de espera del servidor.',
+    userCooldownSet: '✅ Tiempo de espera de {user} fijado en {duration}.',
+    localeSet: '✅ Los anuncios de presencia de este servidor ahora están en **{language}**.',
+    localeAuto: '✅ Los anuncios de presencia siguen el idioma de Discord de este servidor (ahora **{language}**).',
+    heading: '**Configuración de notificaciones:**',
+    updated: '✅ Configuración de notificaciones actualizada.',
+    events: '**Eventos:**',
+    allowedGames: '**Juegos permitidos:** {games}',
+    allGames: 'todos',
+    deniedGames: '**Juegos bloqueados:** {games}',
+    noGames: 'ninguno',
+    minSession: '**Sesión mínima antes de "empezó a jugar":** {duration}',
+    cooldown: '**Tiempo de espera por miembro:** {duration}',
+    trailing: ' (el estado final se publica al terminar)',
+    dropped: ' (los cambios durante la espera se descartan)',
+    richPresence: '**Anuncios de Rich Presence:** {state}',
+    richPresenceOn: 'activados (como mucho cada {duration} por miembro)',
+    updateChannel: '**Canal de actualizaciones:** {channel}',
+    updateChannelDisabled: '**Canal de actualizaciones:** {channel} ⚠️ desactivado ({reason}); usa `/steam setchannel` para reactivarlo',
+    notSet: 'sin configurar',
+    friendRequests: '**Solicitudes de amistad:** {where}',
+    postedIn: 'se publican en {channel}',
+    notPosted: 'no se publican',
+    autoAccepted: ', aceptadas automáticamente para miembros que vinculan su cuenta',
+    lfgPosts: '**Publicaciones LFG:** {where}',
+    lfgIn: 'en {channel}',
+    layout: '**Diseño de los anuncios:** {layout}',
+    language: '**Idioma:** {language}',
+    serverLanguage: ' (idioma del servidor)',
+    unknownPlaceholders: '❌ Marcador(es) desconocido(s): {unknown}. Disponibles: {known}.',
+    customNeedsText: '❌ El diseño personalizado necesita `text`. Marcadores disponibles:\n{known}',
+    templateSet: '✅ Los anuncios de presencia ahora usan el diseño **{layout}**. Vista previa:',
+  },
+  admin: {
+    exported: '✅ Exportación de los datos de este servidor ({accounts} cuenta(s) vinculada(s), {sessions} sesión(es) de juego). Restáurala con `npm run import`.',
+    ownerOnly: '❌ Solo el propietario del bot puede gestionar la lista de amigos de Steam del bot (ver `BOT_OWNER_IDS`).',
+    steamOffline: '❌ El bot no está conectado a Steam ahora mismo.',
+    noMatch: 'ℹ️ Ningún amigo coincide con "{category}".',
+    wouldRemove: '**Se eliminarían {count} amigo(s):**\n{list}',
+    dryRun: '{preview}\n\nEsto fue una simulación. Vuelve a ejecutarlo con `dry_run: False` para eliminarlos.',
+    confirm: '⚠️ {preview}\n\n¿Eliminarlos de la lista de amigos de Steam del bot?',
+    removeButton: 'Eliminar {count}',
+    timedOut: '⌛ Limpieza cancelada (no se recibió confirmación).',
+    cancelled: 'Limpieza cancelada.',
+    removing: '⏳ Eliminando amigos…',
+    removed: '✅ Se eliminaron {count} amigo(s) de la cuenta de Steam del bot.',
+  },
+  friends: {
+    categories: {
+      unlinked: 'Sin vincular a un usuario de Discord',
+      left: 'El usuario vinculado salió de todos los servidores',
+      inactive: 'Inactivos',
+    },
+    summary: '**Amigos:** {total} / {capacity} ({percent} %)',
+    section: '**{heading}:** {count}',
+    inactiveFor: '{label} desde hace {days}+ días',
+    lastSeen: 'visto por última vez <t:{lastSeen}:R>',
+  },
+  friendRequests: {
+    adminOnly: '❌ Necesitas permisos de administrador para revisar solicitudes de amistad.',
+    accepted: '✅ Se aceptó la solicitud de amistad de `{steamId}`.',
+    declined: '✅ Se rechazó la solicitud de amistad de `{steamId}`.',
+    cancelled: 'ℹ️ `{steamId}` retiró la solicitud de amistad.',
+    handled: 'ℹ️ Esta solicitud de amistad ya se gestionó.',
+    already: {
+      accepted: 'ℹ️ Esta solicitud de amistad ya se aceptó.',
+      declined: 'ℹ️ Esta solicitud de amistad ya se rechazó.',
+      cancelled: 'ℹ️ Esta solicitud de amistad ya se retiró.',
+    },
+    elsewhere: '❌ Esta solicitud de amistad no se publicó para revisión en este servidor.',
+    post: {
+      title: 'Solicitud de amistad de Steam',
+      from: 'De',
+      statuses: {
+        pending: '⏳ Pendiente',
+        accepted: '✅ Aceptada',
+        declined: '❌ Rechazada',
+        cancelled: '↩️ Retirada por el remitente',
+      },
+      auto: 'automáticamente (miembro vinculado)',
+      decided: 'Decidida',
+      linkedBy: 'Vinculación pedida por',
+      accept: 'Aceptar',
+      decline: 'Rechazar',
+    },
+  },
+  setChannel: {
+    done: '✅ Las actualizaciones de presencia de Steam se enviarán ahora a {channel}.',
+  },
+  announce: {
+    disabled: '✅ Tu presencia de Steam ya no se anunciará en este servidor.',
+    notAnnounced: 'ℹ️ Tu presencia de Steam no se estaba anunciando en este servidor.',
+    enabled: '✅ Tus cambios de presencia de Steam se anunciarán ahora en este servidor.',
+    visibilityOff: '\n\n⚠️ Tu visibilidad de privacidad está desactivada, así que no se anuncia nada hasta que la cambies con `/steam privacy visibility`.',
+    noUpdateChannel: '\n\n⚠️ Aquí todavía no hay un canal de actualizaciones. Un administrador tiene que usar `/steam setchannel`.',
+  },
+};
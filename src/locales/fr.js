@@ -0,0 +1,417 @@
+export default {
+  name: 'Français',
+  states: {
+    0: 'Hors ligne',
+    1: 'En ligne',
+    2: 'Occupé',
+    3: 'Absent',
+    4: 'Endormi',
+    5: 'Cherche à échanger',
+    6: 'Cherche à jouer',
+    unknown: 'Inconnu',
+  },
+  presence: {
+    footer: 'Mise à jour du statut Steam',
+    title: 'Statut Steam de {name}',
+    status: 'Statut',
+    was: 'auparavant {state}',
+    playing: 'Joue à',
+    nonSteamGame: 'jeu hors Steam',
+    previously: 'Auparavant',
+    stoppedPlaying: 'A arrêté de jouer à',
+    profile: 'Profil Steam',
+    viewProfile: 'Voir le profil',
+    genres: 'Genres',
+    primaryAccount: 'Compte principal {steamId}',
+    altAccount: 'Compte secondaire {steamId}',
+    sessionRecap: 'Résumé de la session',
+    sessionLength: 'A joué {duration}, depuis <t:{started}:t>',
+    firstSession: 'Première session enregistrée de ce jeu',
+    nearAverage: 'Durée habituelle (moyenne {average})',
+    aboveAverage: '{percent} % plus longue que d\'habitude (moyenne {average})',
+    belowAverage: '{percent} % plus courte que d\'habitude (moyenne {average})',
+  },
+  compact: {
+    gameStart: '🎮 **{user}** joue maintenant à **{game}**',
+    gameStop: '⏹️ **{user}** a arrêté de jouer à **{game}**',
+    gameStopDuration: '⏹️ **{user}** a arrêté de jouer à **{game}** après {duration}',
+    gameSwitch: '🔀 **{user}** est passé de **{previous_game}** à **{game}**',
+    status: '{icon} **{user}** est maintenant **{status}**',
+  },
+  richPresence: {
+    footer: 'Steam Rich Presence',
+    activity: 'Activité',
+    map: 'Carte',
+    mode: 'Mode',
+    party: 'Groupe',
+    players: '{count} joueurs',
+  },
+  status: {
+    heading: '**Ton compte Steam lié :**',
+    headingMultiple: '**Tes comptes Steam liés ({count}) :**',
+    notLinked: '❌ Tu n\'as aucun compte Steam lié. Utilise `/steam link` pour en lier un.',
+    steamId: 'ID Steam',
+    primary: 'Principal',
+    alt: 'secondaire',
+    friendStatus: 'Amitié',
+    friends: 'Ami avec le bot',
+    notFriends: 'Pas ami avec le bot',
+    linkedSince: 'Lié depuis',
+    lastKnown: 'Dernier statut connu',
+    name: 'Nom',
+    status: 'Statut',
+    playing: 'Joue à',
+    lastUpdated: 'Dernière mise à jour',
+    noData: 'Aucune donnée de statut pour l\'instant.',
+  },
+  common: {
+    list: '{first} et {last}',
+    more: '…et {count} de plus',
+    none: 'Aucun',
+    off: 'désactivé',
+    cancel: 'Annuler',
+    sessions: '{count} sessions',
+    sessionsOne: '{count} session',
+    guildOnly: '❌ Cette commande ne peut être utilisée que sur un serveur.',
+    adminOnly: '❌ Tu dois être administrateur pour utiliser cette commande.',
+    textChannel: '❌ Choisis un salon textuel.',
+    channelPermissions: '❌ Je n\'ai pas la permission d\'envoyer des messages et des intégrations dans ce salon.',
+    notLinked: '❌ Tu n\'as aucun compte Steam lié. Utilise d\'abord `/steam link` pour en lier un.',
+    notYourAccount: '❌ L\'ID Steam `{steamId}` n\'est pas lié à ton compte Discord.',
+    unknownGame: 'ℹ️ Personne ici n\'a encore joué à ce jeu ; vérifie que le nom correspond à celui sur Steam.',
+  },
+  periods: {
+    week: '7 derniers jours',
+    month: '30 derniers jours',
+    all: 'Depuis toujours',
+  },
+  events: {
+    game_start: 'A commencé à jouer',
+    game_stop: 'A arrêté de jouer',
+    game_switch: 'A changé de jeu',
+    online: 'S\'est connecté',
+    offline: 'S\'est déconnecté',
+    away: 'Est absent',
+  },
+  visibility: {
+    everyone: 'sur chaque serveur avec un salon de mises à jour',
+    guild: 'uniquement sur les serveurs où tu as utilisé `/steam announce here`',
+    off: 'nulle part',
+  },
+  layouts: {
+    full: 'Intégration complète',
+    compact: 'Ligne compacte',
+    custom: 'Texte personnalisé',
+  },
+  placeholders: {
+    user: 'nom Steam',
+    mention: 'mention Discord du membre (sans notification)',
+    status: 'statut actuel',
+    previous_status: 'statut avant le changement',
+    game: 'jeu actuel, ou celui qui vient d\'être quitté',
+    previous_game: 'jeu avant le changement',
+    duration: 'temps dans le jeu actuel, ou durée de jeu du jeu quitté',
+    started: 'début de la session du jeu quitté',
+    average: 'durée moyenne des sessions du membre dans le jeu quitté',
+    profile: 'lien vers le profil Steam',
+  },
+  richPresenceChanges: {
+    description: '**{name}** {changes} dans **{game}**',
+    joinedLobby: 'a rejoint un salon ({count} joueurs)',
+    leftLobby: 'a quitté son salon',
+    startedMatch: 'a lancé une partie en mode {mode}',
+    movedTo: 'est passé sur {map}',
+    nowDisplay: 'est maintenant : {display}',
+  },
+  link: {
+    invalid: '❌ {error}\n\nFormats acceptés :\n- Steam ID64 : `76561198000000000`\n- ID Steam : `STEAM_0:0:19867136` ou `[U:1:39734272]`\n- URL du profil : `https://steamcommunity.com/profiles/76561198000000000`\n- URL personnalisée : `https://steamcommunity.com/id/username` ou simplement `username`\n- Code ami : `39734272` ou lien d\'invitation `https://s.team/p/xxxx-xxxx`',
+    notFriends: '❌ Le compte Steam `{steamId}` n\'est pas ami avec le bot.\n\nPour suivre ta présence Steam, tu dois d\'abord ajouter le compte Steam du bot en ami :\n\n**ID Steam du bot :** `{botSteamId}`\n\n{nextStep}',
+    botUnavailable: 'Indisponible',
+    autoAccept: 'Ta demande sera acceptée automatiquement. Une fois acceptée, relance `/steam link`.',
+    adminReview: 'Un administrateur va examiner ta demande. Une fois acceptée, relance `/steam link`.',
+    alreadyLinked: 'ℹ️ Tu es déjà lié à l\'ID Steam `{steamId}`.',
+    tooMany: '⚠️ Tu as déjà {max} comptes Steam liés. Délie-en un avant d\'en ajouter un autre.',
+    taken: '❌ Ce compte Steam est déjà lié à un autre utilisateur Discord.',
+    locked: '⚠️ Trop de codes incorrects ont été saisis. Attends une minute avant d\'en demander un nouveau.',
+    alreadySent: '⚠️ Un code de vérification a déjà été envoyé à `{steamId}`. Regarde ton chat Steam, ou attends une minute pour en demander un nouveau.',
+    sendFailed: '❌ Impossible d\'envoyer le message de vérification sur Steam. Réessaie plus tard.',
+    codeSent: '📨 Un code de vérification a été envoyé à `{steamId}` dans le chat Steam.\n\nRéponds au bot sur Steam avec le code, ou utilise `/steam verify <code>` ici. Le code expire dans {minutes} minutes.',
+  },
+  verify: {
+    noPending: '❌ Tu n\'as aucune liaison en attente. Utilise d\'abord `/steam link`.',
+    expired: '❌ Ton code de vérification a expiré. Utilise `/steam link` pour en obtenir un nouveau.',
+    mismatch: '❌ Ce code n\'est pas correct. Il te reste {attempts} essai(s).',
+    locked: '❌ Trop de codes incorrects. Attends une minute, puis utilise `/steam link` pour en obtenir un nouveau.',
+    taken: '❌ Ce compte Steam a été lié à un autre utilisateur Discord entre-temps.',
+    verified: '✅ Ton compte Discord est maintenant lié à l\'ID Steam `{steamId}`.\n\nUtilise `/steam announce here` sur chaque serveur où tu veux que tes changements de statut Steam soient annoncés.',
+  },
+  unlink: {
+    pickAccount: '⚠️ Tu as plusieurs comptes Steam liés. Choisis-en un avec l\'option `account`.',
+    done: '✅ Ton compte Discord n\'est plus lié à l\'ID Steam `{steamId}`.',
+    friendRemoved: ' Le bot l\'a aussi retiré de sa liste d\'amis Steam.',
+    steamOffline: '\n\n⚠️ Le bot n\'est pas connecté à Steam pour le moment, le compte est donc toujours dans sa liste d\'amis.',
+    newPrimary: '\n\n`{steamId}` est maintenant ton compte principal.',
+  },
+  primary: {
+    done: '✅ `{steamId}` est maintenant ton compte Steam principal.',
+    label: '{name} — principal',
+  },
+  watch: {
+    roleAdminOnly: '❌ Tu dois être administrateur pour gérer les alertes de rôle.',
+    mine: '**Tes jeux surveillés (MP) :**',
+    roles: '**Alertes de rôle sur ce serveur :**',
+    quietHours: '**Heures calmes :** {range}',
+    quietOff: '**Heures calmes :** désactivées',
+    quietCleared: '✅ Heures calmes désactivées. Les alertes peuvent t\'envoyer un MP à tout moment.',
+    quietInvalid: '❌ Indique à la fois `start_hour` et un `end_hour` différent, ou aucun des deux pour désactiver les heures calmes.',
+    quietSet: '✅ Aucun MP d\'alerte entre {start} et {end} {offset}.',
+    you: 'toi',
+    removed: '✅ **{game}** n\'est plus surveillé pour {target}.',
+    notWatched: 'ℹ️ **{game}** n\'était pas surveillé pour {target}.',
+    limit: '❌ Tu peux surveiller au maximum {max} jeux. Retires-en un d\'abord.',
+    alreadyWatched: 'ℹ️ **{game}** est déjà surveillé pour {target}.',
+    roleAdded: '✅ {role} sera mentionné dans le salon de mises à jour quand un membre lance **{game}**.',
+    userAdded: '✅ Tu recevras un MP quand un membre de ce serveur lance **{game}**.',
+    noUpdateChannel: '\n\n⚠️ Aucun salon de mises à jour n\'est configuré ici. Utilise d\'abord `/steam setchannel`.',
+    roleAlert: '🎮 {role} En jeu sur **{game}** : {names}',
+    dmAlert: '🎮 En jeu sur **{game}** : {names} (surveillé sur {guild}). Gère tes alertes avec `/steam watch`.',
+  },
+  relay: {
+    disabled: '✅ Ton chat Steam n\'est plus relayé.',
+    notRelayed: 'ℹ️ Ton chat Steam n\'était pas relayé.',
+    intro: '💬 Les messages que tu envoies au bot sur Steam apparaîtront ici. Réponds ici pour répondre via le chat Steam.\nLe chat Steam comprend aussi ces commandes :\n```\n{help}\n```',
+    threadOnly: '❌ Utilise ceci dans un salon textuel d\'un serveur pour relayer dans un fil.',
+    noIntent: '❌ Le relais dans un fil nécessite l\'intent Message Content, qui n\'est pas configuré pour ce bot. Utilise plutôt un MP.',
+    threadName: 'Chat Steam – {name}',
+    threadFailed: '❌ Je n\'ai pas pu créer de fil privé ici. Vérifie mes permissions de fils.',
+    dmFailed: '❌ Je n\'ai pas pu t\'envoyer de MP. Autorise les messages privés des membres du serveur et réessaie.',
+    enabled: '✅ Ton chat Steam avec le bot est maintenant relayé vers {destination}.',
+    yourDms: 'tes MP',
+    noAccount: '❌ Tu n\'as plus de compte Steam lié vers lequel relayer.',
+    slowDown: '⚠️ Doucement ! Certains de tes messages n\'ont pas été envoyés sur Steam.',
+    sendFailed: '❌ Ton message n\'a pas pu être envoyé via le chat Steam. Le bot est peut-être déconnecté de Steam.',
+  },
+  steamChat: {
+    verificationCode: 'L\'utilisateur Discord {user} veut lier ce compte Steam. Si c\'est toi, réponds ici avec {code} ou utilise /steam verify {code} sur Discord. Le code expire dans {minutes} minutes. Si ce n\'était pas toi, ignore ce message.',
+    codeMismatch: 'Ce code ne correspond à aucune liaison en attente. Utilise /steam link sur Discord pour en obtenir un nouveau.',
+    linked: 'Ton compte Steam est maintenant lié à Discord.',
+    taken: 'Ce compte Steam est déjà lié à un autre utilisateur Discord.',
+    locked: 'Trop de codes incorrects ont été saisis pour cette liaison. Réutilise /steam link sur Discord dans une minute pour en obtenir un nouveau.',
+    friendAccepted: 'Ta demande d\'ami a été acceptée. Réutilise /steam link sur Discord pour terminer la liaison de ton compte.',
+    commandsHeading: 'Commandes :',
+    commands: {
+      status: { usage: '!status', description: 'tes comptes liés et ta dernière présence connue' },
+      pause: { usage: '!pause <heures>', description: 'mettre le suivi en pause pendant 1 à {max} heures' },
+      resume: { usage: '!resume', description: 'reprendre le suivi' },
+      unlink: { usage: '!unlink', description: 'délier le compte Steam depuis lequel tu discutes' },
+      help: { usage: '!help', description: 'cette liste' },
+    },
+    usage: 'Utilisation : {usage}',
+    slowDown: 'Doucement ! Certains de tes messages n\'ont pas été transmis.',
+    notDelivered: 'Ton message n\'a pas pu être transmis à Discord.',
+    discordChannel: 'un salon Discord',
+  },
+  privacy: {
+    visibility: '✅ Ta présence Steam sera annoncée {where}.',
+    alreadyHidden: 'ℹ️ **{game}** est déjà masqué.',
+    hideLimit: '❌ Tu peux masquer au maximum {max} jeux. Réaffiches-en un d\'abord.',
+    hidden: '✅ **{game}** ne sera plus suivi ni annoncé.',
+    notHidden: 'ℹ️ **{game}** n\'est pas masqué.',
+    unhidden: '✅ **{game}** sera de nouveau suivi et annoncé.',
+    paused: '✅ Suivi en pause jusqu\'à <t:{until}:f>. Rien n\'est enregistré ni annoncé à ton sujet d\'ici là.',
+    notPaused: 'ℹ️ Le suivi n\'est pas en pause.',
+    resumed: '✅ Suivi repris.',
+    heading: '**Tes paramètres de confidentialité**',
+    announcements: 'Annonces : {where}',
+    hiddenGames: 'Jeux masqués : {games}',
+    tracking: 'Suivi : {state}',
+    pausedUntil: 'En pause jusqu\'à <t:{until}:f>',
+    active: 'Actif',
+  },
+  forgetMe: {
+    confirm: '⚠️ Cela supprime tes comptes Steam liés, ton historique de jeu, tes paramètres de confidentialité et d\'annonces, et tout ce que le bot conserve à ton sujet, sur tous les serveurs. C\'est irréversible. Continuer ?',
+    deleteButton: 'Supprimer mes données',
+    timedOut: '⌛ Rien n\'a été supprimé (aucune confirmation reçue).',
+    cancelled: 'Rien n\'a été supprimé.',
+    done: '✅ {count} enregistrement(s) te concernant supprimé(s). Le bot ne suit plus tes comptes Steam.',
+  },
+  stats: {
+    notShared: '❌ {user} ne partage pas son activité Steam sur ce serveur.',
+    notLinked: '❌ {user} n\'a aucun compte Steam lié.',
+    noSessions: 'ℹ️ Aucune session de jeu enregistrée pour {user} ({period}).',
+    title: 'Temps de jeu de {name}',
+    total: 'Temps de jeu total',
+    sessions: 'Sessions',
+    longest: 'Session la plus longue',
+    longestValue: '{duration} sur {game} (<t:{started}:d>)',
+    topGames: 'Jeux les plus joués',
+    daily: 'Détail par jour',
+    accounts: '{count} comptes Steam',
+    steamId: 'ID Steam {steamId}',
+  },
+  leaderboard: {
+    title: '🏆 Classement du temps de jeu',
+    gameTitle: '🏆 Classement de {game}',
+    weeklyTitle: '🏆 Classement hebdomadaire du temps de jeu',
+    footer: '{period} • Page {page}/{pages}',
+    empty: 'Aucun temps de jeu enregistré pour les membres liés pour l\'instant.',
+    previous: 'Précédent',
+    next: 'Suivant',
+  },
+  weeklyLeaderboard: {
+    disabled: '✅ Le classement hebdomadaire a été désactivé.',
+    enabled: '✅ Un classement du temps de jeu de la semaine passée sera publié tous les 7 jours, à partir de dans une semaine.',
+    noUpdateChannel: '\n\n⚠️ Aucun salon de mises à jour n\'est configuré. Utilise `/steam setchannel` pour que le classement puisse être publié.',
+  },
+  lfg: {
+    title: '🎮 Recherche de groupe',
+    empty: 'Personne ici ne cherche à jouer ou à échanger pour le moment. Mets ton statut Steam sur « Cherche à jouer » pour apparaître.',
+    entry: '<@{discordId}> ({name}) : {state} depuis <t:{since}:R>',
+    entryInGame: '<@{discordId}> ({name}) : {state} dans **{game}** depuis <t:{since}:R>',
+    postTitles: {
+      5: '🎮 {name} cherche à échanger',
+      6: '🎮 {name} cherche à jouer',
+    },
+    postInGame: '{mention} est dans **{game}**',
+    joinPrompt: 'Appuie sur **Rejoindre** pour dire que tu es partant.',
+    footer: 'Steam LFG',
+    join: 'Rejoindre',
+    gone: 'ℹ️ Cette personne ne cherche plus de groupe.',
+    own: 'ℹ️ C\'est ta propre annonce.',
+    alreadyJoined: 'ℹ️ Tu as déjà demandé à rejoindre. La personne a été prévenue.',
+    joined: '🎮 <@{discordId}>, {user} veut te rejoindre !',
+  },
+  dashboard: {
+    title: '🎮 Qui joue en ce moment',
+    footer: 'Dernière mise à jour',
+    counts: '🟢 En ligne : **{online}** • 🟡 Absents : **{away}** • ⚫ Hors ligne : **{offline}**',
+    nobodyPlaying: 'Personne n\'est en jeu pour le moment.',
+    playerSince: '<@{discordId}> depuis <t:{started}:R>',
+    none: '❌ Ce serveur n\'a pas de tableau de bord.',
+    removed: '✅ Tableau de bord supprimé. Les changements de présence seront de nouveau publiés un par un.',
+    created: '✅ Tableau de bord créé dans {channel}. Il remplace les annonces de présence individuelles sur ce serveur.',
+    pinPermission: '\n\n⚠️ J\'ai besoin de la permission Gérer les messages pour l\'épingler.',
+  },
+  roles: {
+    states: {
+      ingame: 'En jeu',
+      online: 'En ligne',
+      away: 'Absent',
+      lfg: 'Cherche à jouer ou à échanger',
+    },
+    stateTrigger: '{state} (statut)',
+    problems: {
+      deleted: 'le rôle n\'existe plus',
+      managed: 'le rôle est géré par Discord ou une intégration',
+      permission: 'il manque au bot la permission Gérer les rôles',
+      position: 'le rôle n\'est pas sous le rôle le plus élevé du bot',
+    },
+    heading: '**Rôles d\'activité sur ce serveur :**',
+    notMapped: 'ℹ️ Aucun rôle n\'est associé à **{activity}**.',
+    unmapped: '✅ **{activity}** ne donne plus {role}. Les membres qui l\'ont grâce à cette association le perdront sous peu.',
+    cannotGive: '❌ Je ne peux pas attribuer {role} : {problem}.',
+    limit: '❌ Un serveur peut avoir au maximum {max} rôles d\'activité. Supprime d\'abord une association.',
+    whileState: 'ils sont **{state}**',
+    whileGame: 'ils jouent à **{game}**',
+    mapped: '✅ Les membres liés reçoivent {role} tant qu\'{activity}. Les membres qui partagent ici leur activité Steam sont mis à jour maintenant ; ceux qui avaient déjà le rôle le gardent.',
+    unknownGame: '\n\nℹ️ Personne n\'a encore joué à ce jeu ; vérifie que le nom correspond à celui sur Steam.',
+  },
+  config: {
+    pickEvent: '❌ Choisis au moins un type d\'événement à activer ou désactiver.',
+    userCooldownReset: '✅ {user} utilise de nouveau le délai du serveur.',
+    userCooldownSet: '✅ Délai de {user} fixé à {duration}.',
+    localeSet: '✅ Les annonces de présence de ce serveur sont maintenant en **{language}**.',
+    localeAuto: '✅ Les annonces de présence suivent la langue Discord de ce serveur (actuellement **{language}**).',
+    heading: '**Paramètres de notification :**',
+    updated: '✅ Paramètres de notification mis à jour.',
+    events: '**Événements :**',
+    allowedGames: '**Jeux autorisés :** {games}',
+    allGames: 'tous',
+    deniedGames: '**Jeux bloqués :** {games}',
+    noGames: 'aucun',
+    minSession: '**Session minimale avant « a commencé à jouer » :** {duration}',
+    cooldown: '**Délai par membre :** {duration}',
+    trailing: ' (l\'état final est publié à la fin)',
+    dropped: ' (les changements pendant le délai sont ignorés)',
+    richPresence: '**Annonces Rich Presence :** {state}',
+    richPresenceOn: 'activées (au plus toutes les {duration} par membre)',
+    updateChannel: '**Salon de mises à jour :** {channel}',
+    updateChannelDisabled: '**Salon de mises à jour :** {channel} ⚠️ désactivé ({reason}) ; utilise `/steam setchannel` pour le réactiver',
+    notSet: 'non défini',
+    friendRequests: '**Demandes d\'ami :** {where}',
+    postedIn: 'publiées dans {channel}',
+    notPosted: 'non publiées',
+    autoAccepted: ', acceptées automatiquement pour les membres qui lient leur compte',
+    lfgPosts: '**Annonces LFG :** {where}',
+    lfgIn: 'dans {channel}',
+    layout: '**Mise en page des annonces :** {layout}',
+    language: '**Langue :** {language}',
+    serverLanguage: ' (langue du serveur)',
+    unknownPlaceholders: '❌ Variable(s) inconnue(s) : {unknown}. Disponibles : {known}.',
+    customNeedsText: '❌ La mise en page personnalisée nécessite `text`. Variables disponibles :\n{known}',
+    templateSet: '✅ Les annonces de présence utilisent maintenant la mise en page **{layout}**. Aperçu :',
+  },
+  admin: {
+    exported: '✅ Export des données de ce serveur ({accounts} compte(s) lié(s), {sessions} session(s) de jeu). Restaure-le avec `npm run import`.',
+    ownerOnly: '❌ Seul le propriétaire du bot peut gérer la liste d\'amis Steam du bot (voir `BOT_OWNER_IDS`).',
+    steamOffline: '❌ Le bot n\'est pas connecté à Steam pour le moment.',
+    noMatch: 'ℹ️ Aucun ami ne correspond à « {category} ».',
+    wouldRemove: '**{count} ami(s) seraient retirés :**\n{list}',
+    dryRun: '{preview}\n\nCeci était une simulation. Relance avec `dry_run: False` pour les retirer.',
+    confirm: '⚠️ {preview}\n\nLes retirer de la liste d\'amis Steam du bot ?',
+    removeButton: 'Retirer {count}',
+    timedOut: '⌛ Nettoyage annulé (aucune confirmation reçue).',
+    cancelled: 'Nettoyage annulé.',
+    removing: '⏳ Retrait des amis…',
+    removed: '✅ {count} ami(s) retiré(s) du compte Steam du bot.',
+  },
+  friends: {
+    categories: {
+      unlinked: 'Non lié à un utilisateur Discord',
+      left: 'L\'utilisateur lié a quitté tous les serveurs',
+      inactive: 'Inactifs',
+    },
+    summary: '**Amis :** {total} / {capacity} ({percent} %)',
+    section: '**{heading} :** {count}',
+    inactiveFor: '{label} depuis {days}+ jours',
+    lastSeen: 'vu <t:{lastSeen}:R>',
+  },
+  friendRequests: {
+    adminOnly: '❌ Tu dois être administrateur pour examiner les demandes d\'ami.',
+    accepted: '✅ Demande d\'ami de `{steamId}` acceptée.',
+    declined: '✅ Demande d\'ami de `{steamId}` refusée.',
+    cancelled: 'ℹ️ `{steamId}` a retiré sa demande d\'ami.',
+    handled: 'ℹ️ Cette demande d\'ami a déjà été traitée.',
+    already: {
+      accepted: 'ℹ️ Cette demande d\'ami a déjà été acceptée.',
+      declined: 'ℹ️ Cette demande d\'ami a déjà été refusée.',
+      cancelled: 'ℹ️ Cette demande d\'ami a déjà été retirée.',
+    },
+    elsewhere: '❌ Cette demande d\'ami n\'a pas été publiée pour examen sur ce serveur.',
+    post: {
+      title: 'Demande d\'ami Steam',
+      from: 'De',
+      statuses: {
+        pending: '⏳ En attente',
+        accepted: '✅ Acceptée',
+        declined: '❌ Refusée',
+        cancelled: '↩️ Retirée par l\'expéditeur',
+      },
+      auto: 'automatiquement (membre lié)',
+      decided: 'Décision',
+      linkedBy: 'Liaison demandée par',
+      accept: 'Accepter',
+      decline: 'Refuser',
+    },
+  },
+  setChannel: {
+    done: '✅ Les mises à jour de présence Steam seront maintenant envoyées dans {channel}.',
+  },
+  announce: {
+    disabled: '✅ Ta présence Steam ne sera plus annoncée sur ce serveur.',
+    notAnnounced: 'ℹ️ Ta présence Steam n\'était pas annoncée sur ce serveur.',
+    enabled: '✅ Tes changements de présence Steam seront maintenant annoncés sur ce serveur.',
+    visibilityOff: '\n\n⚠️ Ta visibilité est réglée sur désactivée, donc rien n\'est annoncé tant que tu ne la changes pas avec `/steam privacy visibility`.',
+    noUpdateChannel: '\n\n⚠️ Aucun salon de mises à jour n\'est configuré ici. Un administrateur doit utiliser `/steam setchannel`.',
+  },
+};
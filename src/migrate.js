@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Database migration CLI
+ * Run with: npm run migrate:status | npm run migrate
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Database from 'better-sqlite3';
+import { getMigrationStatus, runMigrations } from './migrator.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const dbPath = process.env.DATABASE_PATH || join(__dirname, '../database/bot.db');
+const command = process.argv[2] || 'status';
+
+if (!['status', 'up'].includes(command)) {
+  console.error('Usage: node src/migrate.js [status|up]');
+  process.exit(1);
+}
+
+if (!fs.existsSync(dbPath)) {
+  console.log(`No database at ${dbPath}; it will be created at the latest schema on first start.`);
+  process.exit(0);
+}
+
+const db = new Database(dbPath);
+
+try {
+  if (command === 'up') {
+    const { applied, backupPath } = runMigrations(db, dbPath);
+    if (applied.length === 0) {
+      console.log('✓ Database is already up to date');
+    }
+    if (backupPath) {
+      console.log(`✓ Backed up the database to ${backupPath}`);
+    }
+    for (const migration of applied) {
+      console.log(`✓ Applied migration ${migration.version} (${migration.name})`);
+      migration.notes.forEach(note => console.log(`  ⚠️ ${note}`));
+    }
+  }
+
+  const status = getMigrationStatus(db);
+  console.log(`\nDatabase: ${dbPath}`);
+  console.log(`Schema version: ${status.currentVersion} (latest known: ${status.latestVersion})\n`);
+
+  for (const migration of status.applied) {
+    console.log(`  ✓ ${migration.version} ${migration.name} (applied ${new Date(migration.applied_at * 1000).toISOString()})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  • ${migration.version} ${migration.name} (pending)`);
+  }
+
+  if (status.currentVersion > status.latestVersion) {
+    console.error('\n✗ The database was migrated by a newer version of the bot. Upgrade before starting it.');
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('✗ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
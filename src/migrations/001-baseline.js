@@ -0,0 +1,301 @@
+// Baseline: every table as of the first versioned release. Databases that predate schema_version
+// already have some of these tables, so everything here must be safe to run against them.
+// Returns notes about destructive changes so the runner can log them.
+export default {
+  version: 1,
+  name: 'baseline',
+  up(db) {
+    const notes = [];
+    convertLegacyUserMappings(db);
+
+    // User mappings table: Discord user ID -> Steam IDs (one primary account per user)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_mappings (
+        steam_id TEXT PRIMARY KEY,
+        discord_id TEXT NOT NULL,
+        is_primary INTEGER NOT NULL DEFAULT 0,
+        linked_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_user_mappings_discord ON user_mappings (discord_id)');
+
+    // Server configurations table: per-guild update channel
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS server_configs (
+        guild_id TEXT PRIMARY KEY,
+        update_channel_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // The old global per-user rate limit was replaced by per-guild cooldowns (last_announcements).
+    // Its rows only held last-sent timestamps, so nothing is lost, but say so rather than drop it silently.
+    if (db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'rate_limits'").get()) {
+      db.exec('DROP TABLE rate_limits');
+      notes.push('Dropped the legacy rate_limits table; per-server cooldowns and the global message throttle replace it');
+    }
+
+    // Last announcement table: what was last posted per guild and user, for cooldowns
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS last_announcements (
+        guild_id TEXT NOT NULL,
+        steam_id TEXT NOT NULL,
+        persona_state INTEGER,
+        game_name TEXT,
+        game_id TEXT,
+        sent_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, steam_id)
+      )
+    `);
+
+    // Cooldown settings table: guild default (discord_id = '') and per-user overrides
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS cooldown_settings (
+        guild_id TEXT NOT NULL,
+        discord_id TEXT NOT NULL DEFAULT '',
+        cooldown_seconds INTEGER NOT NULL,
+        trailing_edge INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, discord_id)
+      )
+    `);
+
+    // Steam cache table: store current state
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS steam_cache (
+        steam_id TEXT PRIMARY KEY,
+        persona_name TEXT,
+        game_name TEXT,
+        game_id TEXT,
+        persona_state INTEGER,
+        last_updated INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Announcement opt-ins: which guilds a Discord user wants to be announced in
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS announce_opt_ins (
+        guild_id TEXT NOT NULL,
+        discord_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, discord_id)
+      )
+    `);
+
+    // Steam credentials table: encrypted refresh token per bot account
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS steam_credentials (
+        account_name TEXT PRIMARY KEY,
+        refresh_token TEXT NOT NULL,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Play sessions table: one row per game session, ended_at is NULL while playing
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS play_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        steam_id TEXT NOT NULL,
+        game_id TEXT,
+        game_name TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        duration INTEGER
+      )
+    `);
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_play_sessions_steam_started
+      ON play_sessions (steam_id, started_at)
+    `);
+
+    // Leaderboard settings table: per-guild automatic weekly leaderboard
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS leaderboard_settings (
+        guild_id TEXT PRIMARY KEY,
+        weekly_enabled INTEGER NOT NULL DEFAULT 0,
+        last_posted_at INTEGER,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Dashboards table: the live "who's playing" message per guild
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS dashboards (
+        guild_id TEXT PRIMARY KEY,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Notification settings table: per-guild event types, game filters and session threshold
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_settings (
+        guild_id TEXT PRIMARY KEY,
+        enabled_events TEXT,
+        allowed_app_ids TEXT,
+        denied_app_ids TEXT,
+        min_session_seconds INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Rich presence cache: latest parsed rich presence per Steam user (alongside steam_cache)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rich_presence_cache (
+        steam_id TEXT PRIMARY KEY,
+        display TEXT,
+        map TEXT,
+        game_mode TEXT,
+        party_id TEXT,
+        party_size INTEGER,
+        last_updated INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Rich presence settings: per-guild opt-in to rich presence announcements and their cooldown
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rich_presence_settings (
+        guild_id TEXT PRIMARY KEY,
+        enabled INTEGER NOT NULL DEFAULT 0,
+        cooldown_seconds INTEGER NOT NULL DEFAULT 600,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Rich presence announcements: when a user's rich presence was last posted in a guild
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rich_presence_announcements (
+        guild_id TEXT NOT NULL,
+        steam_id TEXT NOT NULL,
+        sent_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, steam_id)
+      )
+    `);
+
+    // Game metadata table: cached Steam app info keyed by app ID
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS game_metadata (
+        app_id INTEGER PRIMARY KEY,
+        name TEXT,
+        header_image_url TEXT,
+        store_url TEXT,
+        genres TEXT,
+        released_at INTEGER,
+        fetched_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Pending verifications table: one-time codes proving ownership of a Steam account before linking
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS pending_verifications (
+        discord_id TEXT PRIMARY KEY,
+        steam_id TEXT NOT NULL,
+        code TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Friend requests table: incoming Steam friend requests and their outcome
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS friend_requests (
+        steam_id TEXT PRIMARY KEY,
+        persona_name TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        received_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        decided_at INTEGER,
+        decided_by TEXT
+      )
+    `);
+
+    // Friend request messages table: admin channel posts to update once a request is decided
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS friend_request_messages (
+        steam_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        PRIMARY KEY (steam_id, channel_id)
+      )
+    `);
+
+    // Friend request settings table: per-guild admin channel and auto-accept toggle
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS friend_request_settings (
+        guild_id TEXT PRIMARY KEY,
+        channel_id TEXT,
+        auto_accept INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Friend request audit table: every received request and decision
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS friend_request_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        steam_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        actor_id TEXT,
+        guild_id TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Link intents table: Steam accounts a Discord user tried to link before befriending the bot
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS link_intents (
+        discord_id TEXT PRIMARY KEY,
+        steam_id TEXT NOT NULL,
+        guild_id TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Vanity cache table: custom profile URL names resolved to SteamID64
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS vanity_cache (
+        vanity TEXT PRIMARY KEY,
+        steam_id TEXT NOT NULL,
+        resolved_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Bot state table: small key/value store for process-level bookkeeping
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS bot_state (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    return notes;
+  },
+};
+
+// Databases created before multi-account linking keyed user_mappings by discord_id; keep their rows as primary accounts
+function convertLegacyUserMappings(db) {
+  const columns = db.prepare('PRAGMA table_info(user_mappings)').all();
+  if (columns.length === 0 || columns.some(column => column.name === 'is_primary')) {
+    return;
+  }
+
+  db.exec('ALTER TABLE user_mappings RENAME TO user_mappings_old');
+  db.exec(`
+    CREATE TABLE user_mappings (
+      steam_id TEXT PRIMARY KEY,
+      discord_id TEXT NOT NULL,
+      is_primary INTEGER NOT NULL DEFAULT 0,
+      linked_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+  db.exec(`
+    INSERT INTO user_mappings (steam_id, discord_id, is_primary, linked_at, updated_at)
+    SELECT steam_id, discord_id, 1, linked_at, updated_at FROM user_mappings_old
+  `);
+  db.exec('DROP TABLE user_mappings_old');
+}
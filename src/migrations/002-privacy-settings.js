@@ -0,0 +1,16 @@
+export default {
+  version: 2,
+  name: 'privacy-settings',
+  up(db) {
+    // Privacy settings table: per-user announce visibility, hidden games (JSON array) and tracking pause
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS privacy_settings (
+        discord_id TEXT PRIMARY KEY,
+        visibility TEXT NOT NULL DEFAULT 'guild',
+        hidden_games TEXT NOT NULL DEFAULT '[]',
+        paused_until INTEGER,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+  },
+};
@@ -0,0 +1,10 @@
+export default {
+  version: 3,
+  name: 'channel-disable',
+  up(db) {
+    // Update channels the bot could not post to are disabled rather than retried forever;
+    // /steam setchannel replaces the row and so re-enables it
+    db.exec('ALTER TABLE server_configs ADD COLUMN disabled_at INTEGER');
+    db.exec('ALTER TABLE server_configs ADD COLUMN disabled_reason TEXT');
+  },
+};
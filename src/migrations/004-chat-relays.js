@@ -0,0 +1,17 @@
+export default {
+  version: 4,
+  name: 'chat-relays',
+  up(db) {
+    // Chat relays table: users who opted in to relaying Steam chat with the bot to a Discord DM or thread
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_relays (
+        discord_id TEXT PRIMARY KEY,
+        destination TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        last_steam_id TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_chat_relays_channel ON chat_relays (channel_id)');
+  },
+};
@@ -0,0 +1,30 @@
+export default {
+  version: 5,
+  name: 'game-watches',
+  up(db) {
+    // Game watches table: who to alert in a guild when a member starts a game (a user by DM, or a role ping)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS game_watches (
+        guild_id TEXT NOT NULL,
+        game_name TEXT NOT NULL COLLATE NOCASE,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        created_by TEXT,
+        last_alerted_at INTEGER,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, game_name, target_type, target_id)
+      )
+    `);
+
+    // Watch quiet hours table: per-subscriber window (minutes after local midnight) without alert DMs
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS watch_quiet_hours (
+        discord_id TEXT PRIMARY KEY,
+        start_minute INTEGER NOT NULL,
+        end_minute INTEGER NOT NULL,
+        utc_offset_minutes INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+  },
+};
@@ -0,0 +1,28 @@
+export default {
+  version: 6,
+  name: 'lfg',
+  up(db) {
+    // LFG settings table: per-guild channel for "Looking to play"/"Looking to trade" posts
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS lfg_settings (
+        guild_id TEXT PRIMARY KEY,
+        channel_id TEXT,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // LFG posts table: the live post per guild and account, edited or deleted as the state changes
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS lfg_posts (
+        guild_id TEXT NOT NULL,
+        steam_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        persona_state INTEGER NOT NULL,
+        game_name TEXT,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, steam_id)
+      )
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+export default {
+  version: 7,
+  name: 'role-mappings',
+  up(db) {
+    // Role mappings table: Discord roles held while a linked member plays a game ('game') or is in a state ('state')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS role_mappings (
+        guild_id TEXT NOT NULL,
+        trigger_type TEXT NOT NULL CHECK (trigger_type IN ('game', 'state')),
+        trigger_value TEXT NOT NULL COLLATE NOCASE,
+        role_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, trigger_type, trigger_value)
+      )
+    `);
+  },
+};
@@ -0,0 +1,17 @@
+export default {
+  version: 8,
+  name: 'announcement-templates',
+  up(db) {
+    // Announcement templates table: per-guild layout and locale; detected_locale is the last interaction.guildLocale seen
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS announcement_templates (
+        guild_id TEXT PRIMARY KEY,
+        layout TEXT NOT NULL DEFAULT 'full' CHECK (layout IN ('full', 'compact', 'custom')),
+        custom_text TEXT,
+        locale TEXT,
+        detected_locale TEXT,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+  },
+};
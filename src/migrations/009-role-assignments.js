@@ -0,0 +1,16 @@
+export default {
+  version: 9,
+  name: 'role-assignments',
+  up(db) {
+    // Role assignments table: activity roles the bot gave a member, the only ones it takes away again
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS role_assignments (
+        guild_id TEXT NOT NULL,
+        discord_id TEXT NOT NULL,
+        role_id TEXT NOT NULL,
+        assigned_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, discord_id, role_id)
+      )
+    `);
+  },
+};
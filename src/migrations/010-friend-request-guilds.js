@@ -0,0 +1,13 @@
+export default {
+  version: 10,
+  name: 'friend-request-guilds',
+  up(db) {
+    // Friend request review posts remember their guild, the only one whose admins may decide on them
+    db.exec('ALTER TABLE friend_request_messages ADD COLUMN guild_id TEXT');
+    db.exec(`
+      UPDATE friend_request_messages SET guild_id = (
+        SELECT guild_id FROM friend_request_settings WHERE channel_id = friend_request_messages.channel_id LIMIT 1
+      )
+    `);
+  },
+};
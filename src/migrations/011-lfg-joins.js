@@ -0,0 +1,17 @@
+export default {
+  version: 11,
+  name: 'lfg-joins',
+  up(db) {
+    // LFG joins table: who already pressed Join on a live LFG post, so repeat clicks don't ping again
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS lfg_joins (
+        guild_id TEXT NOT NULL,
+        steam_id TEXT NOT NULL,
+        discord_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        joined_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (guild_id, steam_id, discord_id)
+      )
+    `);
+  },
+};
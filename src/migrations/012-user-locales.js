@@ -0,0 +1,14 @@
+export default {
+  version: 12,
+  name: 'user-locales',
+  up(db) {
+    // User locales table: the last interaction.locale seen per Discord user, for replies outside Discord (Steam chat)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_locales (
+        discord_id TEXT PRIMARY KEY,
+        locale TEXT NOT NULL,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+  },
+};
@@ -0,0 +1,28 @@
+import baseline from './001-baseline.js';
+import privacySettings from './002-privacy-settings.js';
+import channelDisable from './003-channel-disable.js';
+import chatRelays from './004-chat-relays.js';
+import gameWatches from './005-game-watches.js';
+import lfg from './006-lfg.js';
+import roleMappings from './007-role-mappings.js';
+import announcementTemplates from './008-announcement-templates.js';
+import roleAssignments from './009-role-assignments.js';
+import friendRequestGuilds from './010-friend-request-guilds.js';
+import lfgJoins from './011-lfg-joins.js';
+import userLocales from './012-user-locales.js';
+
+// Append new migrations here; versions must be consecutive and never change once released
+export default [
+  baseline,
+  privacySettings,
+  channelDisable,
+  chatRelays,
+  gameWatches,
+  lfg,
+  roleMappings,
+  announcementTemplates,
+  roleAssignments,
+  friendRequestGuilds,
+  lfgJoins,
+  userLocales,
+];
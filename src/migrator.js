@@ -0,0 +1,105 @@
+import fs from 'fs';
+import { basename, dirname, join } from 'path';
+import migrations from './migrations/index.js';
+
+// Pre-migration copies kept next to the database; older ones are removed after each backup
+export const MIGRATION_BACKUP_RETENTION = 3;
+
+// Catch a mis-numbered or duplicated migration before it touches any database
+export function validateMigrations(list) {
+  list.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(
+        `Migration "${migration.name}" has version ${migration.version} but is listed at position ${index + 1}; ` +
+        'versions in src/migrations/index.js must be unique and consecutive starting at 1'
+      );
+    }
+  });
+}
+
+validateMigrations(migrations);
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+function hasTable(db, name) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+// Read-only: safe to call on a database that hasn't been migrated yet
+export function getMigrationStatus(db) {
+  const applied = hasTable(db, 'schema_version')
+    ? db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all()
+    : [];
+  const currentVersion = applied.length > 0 ? applied[applied.length - 1].version : 0;
+
+  return {
+    currentVersion,
+    latestVersion: LATEST_SCHEMA_VERSION,
+    applied,
+    pending: migrations.filter(migration => migration.version > currentVersion),
+  };
+}
+
+function backupDatabase(db, dbPath, version) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+  const backupPath = `${dbPath}.pre-v${version}-${stamp}.bak`;
+
+  // VACUUM INTO writes a consistent copy even with WAL journaling
+  db.exec(`VACUUM INTO '${backupPath.replace(/'/g, "''")}'`);
+  return backupPath;
+}
+
+function pruneBackups(dbPath) {
+  const prefix = `${basename(dbPath)}.pre-v`;
+  const dir = dirname(dbPath);
+  const stampOf = name => name.match(/-(\d{8}T\d{6})\.bak$/)[1];
+  const backups = fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && /^\d+-\d{8}T\d{6}\.bak$/.test(name.slice(prefix.length)))
+    .sort((a, b) => stampOf(b).localeCompare(stampOf(a)));
+
+  for (const name of backups.slice(MIGRATION_BACKUP_RETENTION)) {
+    fs.unlinkSync(join(dir, name));
+  }
+}
+
+// Applies pending migrations in order; returns the applied ones and the single backup taken before them
+export function runMigrations(db, dbPath) {
+  const status = getMigrationStatus(db);
+  if (status.currentVersion > status.latestVersion) {
+    throw new Error(
+      `Database schema version ${status.currentVersion} is newer than this build supports (${status.latestVersion}). ` +
+      'Upgrade the bot or restore a backup made before the newer version ran.'
+    );
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+
+  // A brand new database has nothing worth backing up
+  const isEmpty = !db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name != 'schema_version'").get();
+  const inMemory = dbPath === ':memory:' || !fs.existsSync(dbPath);
+
+  let backupPath = null;
+  if (status.pending.length > 0 && !isEmpty && !inMemory) {
+    backupPath = backupDatabase(db, dbPath, status.pending[0].version);
+    pruneBackups(dbPath);
+  }
+
+  const applied = [];
+  for (const migration of status.pending) {
+    const notes = db.transaction(() => {
+      const result = migration.up(db);
+      db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      return result || [];
+    })();
+
+    applied.push({ version: migration.version, name: migration.name, notes });
+  }
+
+  return { applied, backupPath };
+}
@@ -0,0 +1,82 @@
+// Presence change event types a guild can choose to announce
+export const EVENT_TYPES = {
+  game_start: 'Started playing',
+  game_stop: 'Stopped playing',
+  game_switch: 'Switched game',
+  online: 'Came online',
+  offline: 'Went offline',
+  away: 'Went away',
+};
+
+const GAME_EVENTS = ['game_start', 'game_stop', 'game_switch'];
+
+export function getStateCategory(personaState) {
+  if (!personaState) {
+    return 'offline';
+  }
+
+  // Away and Snooze
+  if (personaState === 3 || personaState === 4) {
+    return 'away';
+  }
+
+  return 'online';
+}
+
+// previousState is { personaState, gameId, gameName } as the database hands it out (or null for a user we have never seen)
+export function classifyPresenceChange(previousState, presenceData) {
+  const events = [];
+  const previousGame = previousState ? previousState.gameName : null;
+  const previousCategory = getStateCategory(previousState ? previousState.personaState : 0);
+  const currentCategory = getStateCategory(presenceData.personaState);
+
+  if (!previousGame && presenceData.gameName) {
+    events.push('game_start');
+  } else if (previousGame && !presenceData.gameName) {
+    events.push('game_stop');
+  } else if (previousGame && presenceData.gameName && previousGame !== presenceData.gameName) {
+    events.push('game_switch');
+  }
+
+  if (previousCategory !== currentCategory) {
+    events.push(currentCategory);
+  }
+
+  return events;
+}
+
+function isGameAllowed(settings, gameId) {
+  const appId = Number(gameId) || null;
+
+  if (settings.allowedAppIds.length > 0 && !settings.allowedAppIds.includes(appId)) {
+    return false;
+  }
+
+  return !settings.deniedAppIds.includes(appId);
+}
+
+// Seconds left before this guild may announce the user again (0 once the cooldown has passed);
+// a trailing-edge announcement is scheduled for that moment
+export function getCooldownRemaining(lastAnnouncement, cooldownSeconds, now) {
+  if (!lastAnnouncement) {
+    return 0;
+  }
+  return Math.max(0, lastAnnouncement.sent_at + cooldownSeconds - now);
+}
+
+// Narrows the classified events down to what this guild wants announced
+export function filterEventsForGuild(settings, events, previousState, presenceData) {
+  return events.filter(event => {
+    if (!settings.enabledEvents.includes(event)) {
+      return false;
+    }
+
+    if (!GAME_EVENTS.includes(event)) {
+      return true;
+    }
+
+    // Stop events are about the previous game; start and switch about the current one
+    const gameId = event === 'game_stop' ? previousState.gameId : presenceData.gameId;
+    return isGameAllowed(settings, gameId);
+  });
+}
@@ -0,0 +1,31 @@
+// Reporting periods shared by the stats and leaderboard commands
+export const PERIODS = {
+  week: { label: 'Past 7 days', seconds: 7 * 24 * 60 * 60 },
+  month: { label: 'Past 30 days', seconds: 30 * 24 * 60 * 60 },
+  all: { label: 'All time', seconds: null },
+};
+
+export function getPeriodStart(period) {
+  const { seconds } = PERIODS[period] || PERIODS.week;
+  if (seconds === null) {
+    return 0;
+  }
+
+  return Math.floor(Date.now() / 1000) - seconds;
+}
+
+export function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) {
+    return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  }
+
+  if (minutes > 0) {
+    return `${minutes}m`;
+  }
+
+  return `${seconds}s`;
+}
@@ -0,0 +1,117 @@
+import { t, getStateName, formatText } from './i18n.js';
+import { classifyPresenceChange, getStateCategory } from './notification-filters.js';
+import { formatDuration } from './playtime.js';
+
+// How a guild's presence announcements look
+export const LAYOUTS = {
+  full: 'Full embed',
+  compact: 'Compact line',
+  custom: 'Custom text',
+};
+
+export const MAX_TEMPLATE_LENGTH = 500;
+
+// A session within this fraction of the average counts as a usual one
+const AVERAGE_TOLERANCE = 0.1;
+
+// Placeholders for custom text; anything missing (e.g. {game} while not playing) becomes empty
+export const PLACEHOLDERS = {
+  user: 'Steam name',
+  mention: 'Discord mention of the member (does not ping)',
+  status: 'current status',
+  previous_status: 'status before the change',
+  game: 'current game, or the one that was just stopped',
+  previous_game: 'game before the change',
+  duration: 'time in the current game, or how long the stopped game was played',
+  started: 'when the stopped game\'s session began',
+  average: 'the member\'s average session length for the stopped game',
+  profile: 'Steam profile link',
+};
+
+export const STATE_COLORS = {
+  0: 0x898989, // Offline - Gray
+  1: 0x57cbde, // Online - Light Blue
+  2: 0xc03030, // Busy - Red
+  3: 0xc0c030, // Away - Yellow
+  4: 0x5c7e10, // Snooze - Dark Green
+  5: 0x5c7e10, // Looking to trade - Dark Green
+  6: 0x5c7e10, // Looking to play - Dark Green
+};
+
+const STATE_ICONS = {
+  offline: '⚫',
+  away: '🟡',
+  online: '🟢',
+};
+
+export function findUnknownPlaceholders(text) {
+  const names = [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  return [...new Set(names.filter(name => !(name in PLACEHOLDERS)))];
+}
+
+// previousState is the normalized previous presence (null for a user we have never seen);
+// format carries the guild's locale plus the member, session length and session recap the caller looked up
+export function getTemplateValues(presenceData, previousState, format) {
+  const previousGame = previousState ? previousState.gameName : null;
+  const recap = format.sessionRecap;
+
+  return {
+    user: presenceData.personaName,
+    mention: format.discordId ? `<@${format.discordId}>` : presenceData.personaName,
+    status: getStateName(format.locale, presenceData.personaState),
+    previous_status: previousState ? getStateName(format.locale, previousState.personaState) : '',
+    game: presenceData.gameName || previousGame || '',
+    previous_game: previousGame || '',
+    duration: format.durationSeconds ? formatDuration(format.durationSeconds) : '',
+    started: recap ? `<t:${recap.startedAt}:t>` : '',
+    average: recap && recap.averageSeconds ? formatDuration(recap.averageSeconds) : '',
+    profile: `https://steamcommunity.com/profiles/${presenceData.steamId}`,
+  };
+}
+
+// Lines for a stop event's recap: how long the session ran and how that compares with the member's usual session
+export function describeSessionRecap(recap, locale) {
+  const lines = [t(locale, 'presence.sessionLength', {
+    duration: formatDuration(recap.durationSeconds),
+    started: recap.startedAt,
+  })];
+
+  if (!recap.averageSeconds) {
+    lines.push(t(locale, 'presence.firstSession'));
+    return lines.join('\n');
+  }
+
+  const average = formatDuration(recap.averageSeconds);
+  const ratio = recap.durationSeconds / recap.averageSeconds - 1;
+  const percent = Math.round(Math.abs(ratio) * 100);
+
+  if (Math.abs(ratio) <= AVERAGE_TOLERANCE) {
+    lines.push(t(locale, 'presence.nearAverage', { average }));
+  } else {
+    lines.push(t(locale, ratio > 0 ? 'presence.aboveAverage' : 'presence.belowAverage', { percent, average }));
+  }
+
+  return lines.join('\n');
+}
+
+export function renderCustomText(text, values) {
+  const filled = Object.fromEntries(Object.keys(PLACEHOLDERS).map(name => [name, values[name] || '']));
+  return formatText(text, filled);
+}
+
+export function renderCompactLine(presenceData, previousState, format) {
+  const values = getTemplateValues(presenceData, previousState, format);
+  const events = classifyPresenceChange(previousState, presenceData);
+
+  if (events.includes('game_switch')) {
+    return t(format.locale, 'compact.gameSwitch', values);
+  }
+  if (events.includes('game_start')) {
+    return t(format.locale, 'compact.gameStart', values);
+  }
+  if (events.includes('game_stop')) {
+    return t(format.locale, values.duration ? 'compact.gameStopDuration' : 'compact.gameStop', values);
+  }
+
+  return t(format.locale, 'compact.status', { ...values, icon: STATE_ICONS[getStateCategory(presenceData.personaState)] });
+}
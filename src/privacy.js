@@ -0,0 +1,24 @@
+import { richPresenceFromRow } from './rich-presence.js';
+
+export const MAX_HIDDEN_GAMES = 25;
+export const MAX_PAUSE_HOURS = 30 * 24;
+
+export function isTrackingPaused(settings, now = Math.floor(Date.now() / 1000)) {
+  return Boolean(settings.pausedUntil && settings.pausedUntil > now);
+}
+
+export function isGameHidden(settings, gameName) {
+  if (!gameName) {
+    return false;
+  }
+
+  const name = gameName.toLowerCase();
+  return settings.hiddenGames.some(hidden => hidden.toLowerCase() === name);
+}
+
+// Hidden games are treated as not playing at all, so they never reach the cache, history or announcements
+export function hideGame(presenceData) {
+  presenceData.gameId = null;
+  presenceData.gameName = null;
+  presenceData.richPresence = richPresenceFromRow(null);
+}
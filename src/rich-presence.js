@@ -0,0 +1,69 @@
+// Rich presence keys vary by game; these are the common conventions games use
+const MAP_KEYS = ['map', 'game:map', 'steam_display_map'];
+const MODE_KEYS = ['game:mode', 'gamemode', 'game_mode', 'mode'];
+
+function pickToken(tokens, keys) {
+  for (const key of keys) {
+    if (tokens[key]) {
+      return tokens[key];
+    }
+  }
+  return null;
+}
+
+// Turns steam-user's persona (rich_presence key/value list plus its localized string) into a flat object
+export function normalizeRichPresence(user) {
+  const tokens = {};
+  for (const { key, value } of user.rich_presence || []) {
+    tokens[key.toLowerCase()] = value;
+  }
+
+  const partySize = Number(tokens.steam_player_group_size) || null;
+
+  return {
+    display: user.rich_presence_string || tokens.status || null,
+    map: pickToken(tokens, MAP_KEYS),
+    gameMode: pickToken(tokens, MODE_KEYS),
+    partyId: tokens.steam_player_group || null,
+    partySize,
+  };
+}
+
+export function richPresenceFromRow(row) {
+  return {
+    display: row ? row.display : null,
+    map: row ? row.map : null,
+    gameMode: row ? row.game_mode : null,
+    partyId: row ? row.party_id : null,
+    partySize: row ? row.party_size : null,
+  };
+}
+
+export function hasRichPresence(richPresence) {
+  return Boolean(richPresence && (richPresence.display || richPresence.map || richPresence.gameMode || richPresence.partyId));
+}
+
+// What changed, as richPresenceChanges locale keys with their values, e.g. { key: 'joinedLobby', values: { count: 3 } }
+export function describeRichPresenceChanges(previous, current) {
+  const changes = [];
+  const wasInParty = Boolean(previous.partyId) && previous.partySize > 1;
+  const isInParty = Boolean(current.partyId) && current.partySize > 1;
+
+  if (isInParty && (!wasInParty || previous.partyId !== current.partyId)) {
+    changes.push({ key: 'joinedLobby', values: { count: current.partySize } });
+  } else if (wasInParty && !isInParty) {
+    changes.push({ key: 'leftLobby', values: {} });
+  }
+
+  if (current.gameMode && current.gameMode !== previous.gameMode) {
+    changes.push({ key: 'startedMatch', values: { mode: current.gameMode.toLowerCase() } });
+  } else if (current.map && current.map !== previous.map) {
+    changes.push({ key: 'movedTo', values: { map: current.map } });
+  }
+
+  if (changes.length === 0 && current.display && current.display !== previous.display) {
+    changes.push({ key: 'nowDisplay', values: { display: current.display } });
+  }
+
+  return changes;
+}
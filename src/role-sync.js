@@ -0,0 +1,141 @@
+import { isTrackingPaused } from './privacy.js';
+import { isLookingForGroup } from './lfg.js';
+import { DEFAULT_LOCALE, t } from './i18n.js';
+
+// States a role can be mapped to, tested against the steam_cache rows of a member's linked accounts
+export const ROLE_STATES = {
+  ingame: { label: 'In-Game', matches: presence => Boolean(presence.game_name) },
+  online: { label: 'Online', matches: presence => Boolean(presence.persona_state) },
+  away: { label: 'Away', matches: presence => presence.persona_state === 3 || presence.persona_state === 4 },
+  lfg: { label: 'Looking to play or trade', matches: presence => isLookingForGroup(presence.persona_state) },
+};
+
+export const MAX_ROLE_MAPPINGS = 25;
+
+// A state key or label (e.g. "ingame" or "In-Game") maps a state; anything else is a game name
+export function parseRoleTrigger(input) {
+  const text = input.trim();
+  const key = text.toLowerCase().replace(/^state:/, '');
+  const state = Object.keys(ROLE_STATES).find(name => name === key || ROLE_STATES[name].label.toLowerCase() === key);
+  return state ? { type: 'state', value: state } : { type: 'game', value: text };
+}
+
+export function describeRoleTrigger(type, value, locale = DEFAULT_LOCALE) {
+  return type === 'state' ? t(locale, 'roles.stateTrigger', { state: t(locale, `roles.states.${value}`) }) : value;
+}
+
+function getRoleIds(roleMappings) {
+  return [...new Set(roleMappings.map(roleMapping => roleMapping.role_id))];
+}
+
+function matchesRoleMapping(roleMapping, presences) {
+  if (roleMapping.trigger_type === 'state') {
+    const state = ROLE_STATES[roleMapping.trigger_value];
+    return Boolean(state) && presences.some(state.matches);
+  }
+
+  const game = roleMapping.trigger_value.toLowerCase();
+  return presences.some(presence => presence.game_name && presence.game_name.toLowerCase() === game);
+}
+
+// Adds and removes mapped roles so they reflect what a member is doing on Steam right now. Only roles the
+// bot added itself (recorded in role_assignments) are ever removed, so roles handed out manually stay put.
+class RoleSyncManager {
+  constructor(db, discordManager, logger) {
+    this.db = db;
+    this.discordManager = discordManager;
+    this.logger = logger;
+  }
+
+  // A member with several linked accounts gets the roles of all of them; paused tracking counts as no activity
+  getPresences(discordId) {
+    if (isTrackingPaused(this.db.getPrivacySettings(discordId))) {
+      return [];
+    }
+
+    return this.db.getUserMappings(discordId)
+      .map(mapping => this.db.getSteamCache(mapping.steam_id))
+      .filter(Boolean);
+  }
+
+  async syncUser(discordId) {
+    try {
+      const visibleGuildIds = new Set(this.db.getRoleSyncGuildIds(discordId));
+      const presences = this.getPresences(discordId);
+
+      // Guilds the user is hidden from still get their roles removed
+      for (const guildId of this.db.getRoleMappingGuildIds()) {
+        if (!(await this.discordManager.isGuildMember(guildId, discordId))) {
+          this.db.clearRoleAssignments(guildId, discordId);
+          continue;
+        }
+
+        const roleMappings = this.db.getRoleMappings(guildId);
+        await this.syncMember(guildId, discordId, roleMappings, visibleGuildIds.has(guildId) ? presences : []);
+      }
+    } catch (error) {
+      this.logger.error(`Error syncing activity roles of ${discordId}:`, error);
+    }
+  }
+
+  async syncMember(guildId, discordId, roleMappings, presences, managedRoleIds = getRoleIds(roleMappings)) {
+    const wantedRoleIds = roleMappings
+      .filter(roleMapping => matchesRoleMapping(roleMapping, presences))
+      .map(roleMapping => roleMapping.role_id);
+    const assigned = new Set(this.db.getRoleAssignments(guildId, discordId));
+    const removableRoleIds = managedRoleIds.filter(roleId => assigned.has(roleId));
+
+    const result = await this.discordManager.updateMemberRoles(guildId, discordId, removableRoleIds, wantedRoleIds);
+    if (!result) {
+      return;
+    }
+
+    if (result.added.length > 0) {
+      this.db.addRoleAssignments(guildId, discordId, result.added);
+    }
+    if (result.removed.length > 0) {
+      this.db.removeRoleAssignments(guildId, discordId, result.removed);
+    }
+    if (result.added.length > 0 || result.removed.length > 0) {
+      this.logger.debug(`Updated activity roles of ${discordId} in guild ${guildId}`);
+    }
+  }
+
+  // Covers changes missed while the bot was offline and members who were unlinked since; released roles
+  // (from mappings that were just replaced or removed) are taken away unless another mapping still gives them
+  async reconcileGuild(guildId, releasedRoleIds = []) {
+    const roleMappings = this.db.getRoleMappings(guildId);
+    const managedRoleIds = [...new Set([...getRoleIds(roleMappings), ...releasedRoleIds])];
+    const candidateIds = new Set([
+      ...this.db.getAllMappings().map(mapping => mapping.discord_id),
+      ...this.db.getRoleAssignmentMemberIds(guildId),
+    ]);
+    const memberIds = await this.discordManager.getGuildMemberIds(guildId, [...candidateIds]);
+
+    let checked = 0;
+    for (const discordId of candidateIds) {
+      if (!memberIds.has(discordId)) {
+        this.db.clearRoleAssignments(guildId, discordId);
+        continue;
+      }
+
+      const visible = this.db.getRoleSyncGuildIds(discordId).includes(guildId);
+      await this.syncMember(guildId, discordId, roleMappings, visible ? this.getPresences(discordId) : [], managedRoleIds);
+      checked++;
+    }
+
+    this.logger.info(`Reconciled activity roles of ${checked} member(s) in guild ${guildId}`);
+  }
+
+  async reconcileAll() {
+    for (const guildId of this.db.getRoleMappingGuildIds()) {
+      try {
+        await this.reconcileGuild(guildId);
+      } catch (error) {
+        this.logger.error(`Error reconciling activity roles in guild ${guildId}:`, error);
+      }
+    }
+  }
+}
+
+export default RoleSyncManager;
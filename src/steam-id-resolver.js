@@ -0,0 +1,188 @@
+// SteamID64 = this base + account ID for individual accounts in the public universe
+const STEAMID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xffffffffn;
+
+// Resolved vanity names are reused for this long
+const VANITY_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Quick invite codes (s.team/p/...) spell the account ID in hex using these letters
+const FRIEND_CODE_ALPHABET = 'bcdfghjkmnpqrtvw';
+
+const VANITY_PATTERN = /^[A-Za-z0-9_-]{2,32}$/;
+
+function fromAccountId(accountId) {
+  const id = BigInt(accountId);
+  if (id <= 0n || id > MAX_ACCOUNT_ID) {
+    throw new Error('That account number is out of range.');
+  }
+
+  return (STEAMID64_BASE + id).toString();
+}
+
+function decodeFriendCode(code) {
+  let hex = '';
+  for (const char of code.replace(/-/g, '').toLowerCase()) {
+    const digit = FRIEND_CODE_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      throw new Error('That friend invite code is not valid.');
+    }
+    hex += digit.toString(16);
+  }
+
+  return fromAccountId(BigInt(`0x${hex}`));
+}
+
+// A bare friend code or invite code may just as well be someone's custom URL, so that is tried first;
+// the conversion is kept as the fallback (or left out if the input can't be one after all)
+function ambiguous(identifier, convert) {
+  if (!VANITY_PATTERN.test(identifier)) {
+    return { steamId: convert(identifier) };
+  }
+
+  try {
+    return { vanity: identifier, steamId: convert(identifier) };
+  } catch {
+    return { vanity: identifier };
+  }
+}
+
+// Returns { steamId } for identifiers that can be converted offline, { vanity } for names needing a lookup,
+// or both for bare input that is a custom URL if one exists and a friend code otherwise
+export function parseSteamIdentifier(input) {
+  const identifier = input.trim();
+
+  // SteamID64 (17 digits starting with 7656119)
+  if (/^7656119\d{10}$/.test(identifier)) {
+    return { steamId: identifier };
+  }
+
+  // SteamID2: STEAM_X:Y:Z
+  const steamId2 = identifier.match(/^STEAM_[0-5]:([01]):(\d+)$/i);
+  if (steamId2) {
+    return { steamId: fromAccountId(BigInt(steamId2[2]) * 2n + BigInt(steamId2[1])) };
+  }
+
+  // SteamID3: [U:1:N]
+  const steamId3 = identifier.match(/^\[?U:1:(\d+)\]?$/i);
+  if (steamId3) {
+    return { steamId: fromAccountId(steamId3[1]) };
+  }
+
+  // Profile URL: steamcommunity.com/profiles/<SteamID64 or SteamID3>
+  const profileMatch = identifier.match(/steamcommunity\.com\/profiles\/([^/?#\s]+)/i);
+  if (profileMatch) {
+    return parseSteamIdentifier(decodeURIComponent(profileMatch[1]));
+  }
+
+  // Vanity URL: steamcommunity.com/id/<name>
+  const vanityMatch = identifier.match(/steamcommunity\.com\/id\/([^/?#\s]+)/i);
+  if (vanityMatch) {
+    return { vanity: vanityMatch[1] };
+  }
+
+  // Quick invite link or code: s.team/p/xxxx-xxxx
+  const inviteMatch = identifier.match(/^(?:https?:\/\/)?s\.team\/p\/([a-z-]+)/i);
+  if (inviteMatch) {
+    return { steamId: decodeFriendCode(inviteMatch[1]) };
+  }
+  if (/^[bcdfghjkmnpqrtvw]{1,4}-[bcdfghjkmnpqrtvw]{1,4}$/i.test(identifier)) {
+    return ambiguous(identifier, decodeFriendCode);
+  }
+
+  // Friend code (the account ID shown in the Steam client's "Add a Friend" page)
+  if (/^\d{1,10}$/.test(identifier)) {
+    return ambiguous(identifier, fromAccountId);
+  }
+
+  // Bare vanity name
+  if (VANITY_PATTERN.test(identifier)) {
+    return { vanity: identifier };
+  }
+
+  throw new Error('Unrecognized Steam identifier format.');
+}
+
+class SteamIdResolver {
+  constructor(config, logger) {
+    this.db = config.db;
+    this.apiKey = config.apiKey;
+    this.steamManager = config.steamManager;
+    this.logger = logger;
+  }
+
+  async resolve(input) {
+    const parsed = parseSteamIdentifier(input);
+    if (!parsed.vanity) {
+      return parsed.steamId;
+    }
+
+    const steamId = await this.resolveVanity(parsed.vanity);
+    if (steamId) {
+      return steamId;
+    }
+    if (parsed.steamId) {
+      return parsed.steamId;
+    }
+
+    throw new Error(`No Steam profile found for the custom URL \`${parsed.vanity}\`.`);
+  }
+
+  // Returns null when no profile uses the name
+  async resolveVanity(vanity) {
+    const key = vanity.toLowerCase();
+    const cached = this.db.getVanityCache(key);
+    const now = Math.floor(Date.now() / 1000);
+    if (cached && now - cached.resolved_at < VANITY_CACHE_TTL_SECONDS) {
+      return cached.steam_id;
+    }
+
+    const steamId = await this.resolveWithWebApi(vanity);
+    if (!steamId) {
+      return null;
+    }
+
+    this.db.setVanityCache(key, steamId);
+    this.logger.debug(`Resolved vanity URL ${vanity} to ${steamId}`);
+    return steamId;
+  }
+
+  // Authorized by the configured Web API key, or else by the logged-in bot account's own access token
+  async resolveWithWebApi(vanity) {
+    const url = new URL('https://api.steampowered.com/ISteamUser/ResolveVanityURL/v1/');
+    if (this.apiKey) {
+      url.searchParams.set('key', this.apiKey);
+    } else {
+      const accessToken = this.steamManager.getAccessToken();
+      if (!accessToken) {
+        throw new Error('The bot is not connected to Steam right now, so custom URLs can\'t be looked up. Use your SteamID64 or profile link instead.');
+      }
+      url.searchParams.set('access_token', accessToken);
+    }
+    url.searchParams.set('vanityurl', vanity);
+
+    const response = await this.fetchWithErrors(url);
+    const data = await response.json();
+
+    // success: 1 = found, 42 = no match
+    return data.response && data.response.success === 1 ? data.response.steamid : null;
+  }
+
+  async fetchWithErrors(url) {
+    let response;
+    try {
+      response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    } catch (error) {
+      this.logger.warn(`Vanity URL lookup failed: ${error.message}`);
+      throw new Error('Steam could not be reached to look up that custom URL. Please try again later.');
+    }
+
+    if (!response.ok) {
+      this.logger.warn(`Vanity URL lookup failed with HTTP ${response.status}`);
+      throw new Error('Steam could not be reached to look up that custom URL. Please try again later.');
+    }
+
+    return response;
+  }
+}
+
+export default SteamIdResolver;
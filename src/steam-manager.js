@@ -1,35 +1,111 @@
 import SteamUser from 'steam-user';
 import SteamTotp from 'steam-totp';
+import { normalizeRichPresence } from './rich-presence.js';
+
+// Steam allows 250 friends plus 5 per Steam level, up to this many
+const BASE_FRIEND_LIMIT = 250;
+const FRIEND_LIMIT_PER_LEVEL = 5;
+const MAX_FRIEND_LIMIT = 2000;
+
+// Reconnect backoff: base delay doubles per attempt up to the cap, with jitter applied
+const RECONNECT_BASE_DELAY_MS = 5000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// How long to wait for friend personas after a reconnect before resyncing anyway
+const RESYNC_TIMEOUT_MS = 30000;
+
+// Logon results meaning the stored refresh token is expired or revoked
+const REFRESH_TOKEN_REJECTIONS = [
+  SteamUser.EResult.InvalidPassword,
+  SteamUser.EResult.AccessDenied,
+  SteamUser.EResult.Expired,
+  SteamUser.EResult.Revoked,
+  SteamUser.EResult.InvalidSignature,
+];
 
 class SteamManager {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
-    this.client = new SteamUser();
+    // Reconnection is supervised here so every retry gets a fresh TOTP code
+    this.client = new SteamUser({
+      autoRelogin: false,
+      renewRefreshTokens: Boolean(config.tokenStore),
+      // Rich presence strings are localized into this language
+      language: config.language || 'english',
+    });
     this.friendsCache = new Set();
+    this.webCookies = [];
     this.isLoggedIn = false;
+    this.isLoggingIn = false;
+    this.isShuttingDown = false;
+    this.isResyncing = false;
+    this.connectionState = 'disconnected';
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.resyncTimer = null;
     this.eventHandlers = {
       presenceChange: null,
       friendsListLoaded: null,
+      connectionStateChange: null,
+      resync: null,
+      chatMessage: null,
+      friendRequest: null,
     };
   }
 
   async login() {
-    return new Promise((resolve, reject) => {
-      const logOnOptions = {
-        accountName: this.config.username,
-        password: this.config.password,
-      };
+    const tokenStore = this.config.tokenStore;
+    const refreshToken = tokenStore ? tokenStore.load() : null;
+
+    if (refreshToken) {
+      try {
+        await this.logOn({ refreshToken }, true);
+        return;
+      } catch (error) {
+        if (!REFRESH_TOKEN_REJECTIONS.includes(error.eresult)) {
+          throw error;
+        }
+
+        tokenStore.clear();
 
-      // Handle 2FA
-      if (this.config.sharedSecret) {
-        logOnOptions.twoFactorCode = SteamTotp.generateAuthCode(this.config.sharedSecret);
-        this.logger.info('Generated 2FA code from shared secret');
-      } else if (this.config.twoFactorCode) {
-        logOnOptions.twoFactorCode = this.config.twoFactorCode;
-        this.logger.info('Using provided 2FA code');
+        if (!this.config.password) {
+          error.refreshTokenRejected = true;
+          this.logger.error('Stored Steam refresh token was rejected and no STEAM_PASSWORD is set to log in again.');
+          throw error;
+        }
+
+        this.logger.warn('Stored Steam refresh token was rejected; falling back to password login');
       }
+    }
+
+    await this.logOn(this.buildPasswordLogOnOptions(), false);
+  }
+
+  buildPasswordLogOnOptions() {
+    const logOnOptions = {
+      accountName: this.config.username,
+      password: this.config.password,
+    };
 
+    // Handle 2FA
+    if (this.config.sharedSecret) {
+      logOnOptions.twoFactorCode = SteamTotp.generateAuthCode(this.config.sharedSecret);
+      this.logger.info('Generated 2FA code from shared secret');
+    } else if (this.config.twoFactorCode && this.reconnectAttempt === 0) {
+      // A one-time code is only valid for the first login, never for reconnects
+      logOnOptions.twoFactorCode = this.config.twoFactorCode;
+      this.logger.info('Using provided 2FA code');
+    }
+
+    return logOnOptions;
+  }
+
+  async logOn(logOnOptions, usingRefreshToken) {
+    this.isLoggingIn = true;
+    this.setConnectionState('connecting');
+
+    return new Promise((resolve, reject) => {
       // Set up event handlers before login attempt
       const onLoggedOn = () => {
         this.isLoggedIn = true;
@@ -37,13 +113,16 @@ class SteamManager {
         this.client.setPersona(SteamUser.EPersonaState.Online);
         this.client.gamesPlayed([]); // Not playing any games
         cleanup();
+        this.setConnectionState('connected');
         resolve();
       };
 
       const onError = (err) => {
         this.logger.error('Steam login error:', err.message);
         
-        if (err.eresult === SteamUser.EResult.InvalidPassword) {
+        if (usingRefreshToken) {
+          // login() decides whether to fall back to the password
+        } else if (err.eresult === SteamUser.EResult.InvalidPassword) {
           this.logger.error('Invalid Steam credentials. Please check STEAM_USERNAME and STEAM_PASSWORD.');
         } else if (err.eresult === SteamUser.EResult.AccountLogonDenied || 
                    err.eresult === SteamUser.EResult.TwoFactorCodeMismatch) {
@@ -66,12 +145,14 @@ class SteamManager {
           callback(code);
         } else {
           const error = new Error('SteamGuard code required but no shared secret or code provided. Please set STEAM_SHARED_SECRET or STEAM_2FA_CODE in .env');
+          error.steamGuardRequired = true;
           cleanup();
           reject(error);
         }
       };
 
       const cleanup = () => {
+        this.isLoggingIn = false;
         this.client.removeListener('loggedOn', onLoggedOn);
         this.client.removeListener('error', onError);
         this.client.removeListener('steamGuard', onSteamGuard);
@@ -82,7 +163,7 @@ class SteamManager {
       this.client.on('steamGuard', onSteamGuard);
 
       // Attempt login
-      this.logger.info('Attempting to log into Steam...');
+      this.logger.info(`Attempting to log into Steam${usingRefreshToken ? ' with stored refresh token' : ''}...`);
       this.client.logOn(logOnOptions);
     });
   }
@@ -96,9 +177,36 @@ class SteamManager {
       if (this.eventHandlers.friendsListLoaded) {
         this.eventHandlers.friendsListLoaded(this.friendsCache);
       }
+
+      // Requests that arrived while the bot was offline
+      for (const [steamId, relationship] of Object.entries(this.client.myFriends || {})) {
+        if (relationship === SteamUser.EFriendRelationship.RequestRecipient && this.eventHandlers.friendRequest) {
+          this.eventHandlers.friendRequest(steamId);
+        }
+      }
     });
 
-    // Relationship changes (friend added/removed)
+    // Steam issued a new refresh token (first password login or renewal)
+    this.client.on('refreshToken', (refreshToken) => {
+      if (this.config.tokenStore) {
+        this.config.tokenStore.save(refreshToken);
+        this.logger.info('Stored new Steam refresh token');
+      }
+    });
+
+    // Web session of the logged-in account; its access token authorizes Web API calls such as vanity URL lookups
+    this.client.on('webSession', (sessionId, cookies) => {
+      this.webCookies = cookies;
+    });
+
+    // Personas for the whole friends list arrived; reconcile if we just reconnected
+    this.client.on('friendPersonasLoaded', () => {
+      if (this.isResyncing) {
+        this.resyncPresence();
+      }
+    });
+
+    // Relationship changes (friend added/removed, incoming requests)
     this.client.on('friendRelationship', (steamId, relationship) => {
       const steamIdStr = steamId.getSteamID64();
       
@@ -108,6 +216,11 @@ class SteamManager {
       } else if (relationship === SteamUser.EFriendRelationship.None) {
         this.friendsCache.delete(steamIdStr);
         this.logger.info(`Removed friend: ${steamIdStr}`);
+      } else if (relationship === SteamUser.EFriendRelationship.RequestRecipient) {
+        this.logger.info(`Friend request received from ${steamIdStr}`);
+        if (this.eventHandlers.friendRequest) {
+          this.eventHandlers.friendRequest(steamIdStr);
+        }
       }
     });
 
@@ -120,15 +233,12 @@ class SteamManager {
         return;
       }
 
-      // Extract relevant presence data
-      const presenceData = {
-        steamId: steamIdStr,
-        personaName: user.player_name || 'Unknown',
-        personaState: user.persona_state || 0,
-        gameId: user.gameid || null,
-        gameName: user.game_name || null,
-        richPresence: user.rich_presence || {},
-      };
+      // The post-reconnect snapshot is reconciled in one pass by resyncPresence
+      if (this.isResyncing) {
+        return;
+      }
+
+      const presenceData = this.buildPresenceData(steamIdStr, user);
 
       this.logger.debug(`Presence update for ${presenceData.personaName}: state=${presenceData.personaState}, game=${presenceData.gameName}`);
 
@@ -139,18 +249,140 @@ class SteamManager {
 
     // Disconnection handling
     this.client.on('disconnected', (eresult, msg) => {
-      this.isLoggedIn = false;
-      this.logger.warn(`Disconnected from Steam: ${msg} (${eresult})`);
+      this.handleConnectionLoss(`${msg} (${eresult})`);
+    });
+
+    // With autoRelogin disabled, a dropped connection surfaces as a fatal error
+    this.client.on('error', (err) => {
+      if (this.isLoggingIn) {
+        // Reported by login() itself
+        return;
+      }
+
+      this.handleConnectionLoss(`${err.message} (${err.eresult})`);
     });
 
-    // Log trade offers, friend requests (but don't auto-accept per requirements)
+    // Direct messages from friends (group chat messages are ignored)
     this.client.on('friendOrChatMessage', (steamId, message, room) => {
-      if (!room) {
-        this.logger.debug(`Message from ${steamId.getSteamID64()}: ${message}`);
+      if (room) {
+        return;
+      }
+
+      this.logger.debug(`Message from ${steamId.getSteamID64()}: ${message}`);
+      if (this.eventHandlers.chatMessage) {
+        this.eventHandlers.chatMessage(steamId.getSteamID64(), message);
       }
     });
   }
 
+  buildPresenceData(steamId, user) {
+    return {
+      steamId,
+      personaName: user.player_name || 'Unknown',
+      personaState: user.persona_state || 0,
+      gameId: user.gameid || null,
+      gameName: user.game_name || null,
+      richPresence: normalizeRichPresence(user),
+    };
+  }
+
+  setConnectionState(state, details = {}) {
+    this.connectionState = state;
+
+    if (this.eventHandlers.connectionStateChange) {
+      this.eventHandlers.connectionStateChange(state, details);
+    }
+  }
+
+  handleConnectionLoss(reason) {
+    this.isLoggedIn = false;
+
+    if (this.isShuttingDown) {
+      return;
+    }
+
+    this.logger.warn(`Disconnected from Steam: ${reason}`);
+    this.setConnectionState('disconnected', { reason });
+    this.scheduleReconnect();
+  }
+
+  getReconnectDelay(attempt) {
+    const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+    // Equal jitter: keep at least half the backoff so retries never collapse to zero
+    return Math.floor(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.isShuttingDown) {
+      return;
+    }
+
+    this.reconnectAttempt++;
+    const delay = this.getReconnectDelay(this.reconnectAttempt);
+
+    this.logger.info(`Reconnecting to Steam in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempt})`);
+    this.setConnectionState('reconnecting', { attempt: this.reconnectAttempt, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnect();
+    }, delay);
+  }
+
+  async reconnect() {
+    // Hold back individual presence events until the fresh snapshot has been reconciled
+    this.isResyncing = true;
+
+    try {
+      await this.login();
+    } catch (error) {
+      if (this.isFatalLoginError(error)) {
+        this.isResyncing = false;
+        this.logger.error('Giving up on reconnecting to Steam until the bot is restarted');
+        this.setConnectionState('failed', { reason: error.message });
+        return;
+      }
+
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.logger.info(`Reconnected to Steam after ${this.reconnectAttempt} attempt(s)`);
+    this.reconnectAttempt = 0;
+
+    // friendPersonasLoaded normally triggers the resync; don't wait on it forever
+    this.resyncTimer = setTimeout(() => this.resyncPresence(), RESYNC_TIMEOUT_MS);
+  }
+
+  isFatalLoginError(error) {
+    return Boolean(error.steamGuardRequired || error.refreshTokenRejected) ||
+      error.eresult === SteamUser.EResult.InvalidPassword;
+  }
+
+  async resyncPresence() {
+    clearTimeout(this.resyncTimer);
+    this.resyncTimer = null;
+
+    if (!this.isResyncing) {
+      return;
+    }
+
+    const snapshots = [];
+    for (const steamId of this.friendsCache) {
+      const user = this.client.users[steamId];
+      if (user) {
+        snapshots.push(this.buildPresenceData(steamId, user));
+      }
+    }
+
+    this.isResyncing = false;
+    this.logger.info(`Resynced presence for ${snapshots.length} friend(s)`);
+
+    if (this.eventHandlers.resync) {
+      await this.eventHandlers.resync(snapshots);
+    }
+  }
+
   updateFriendsCache() {
     this.friendsCache.clear();
     
@@ -171,6 +403,90 @@ class SteamManager {
     this.eventHandlers.friendsListLoaded = handler;
   }
 
+  onConnectionStateChange(handler) {
+    this.eventHandlers.connectionStateChange = handler;
+  }
+
+  onResync(handler) {
+    this.eventHandlers.resync = handler;
+  }
+
+  onChatMessage(handler) {
+    this.eventHandlers.chatMessage = handler;
+  }
+
+  onFriendRequest(handler) {
+    this.eventHandlers.friendRequest = handler;
+  }
+
+  hasPendingFriendRequest(steamId) {
+    return (this.client.myFriends || {})[steamId] === SteamUser.EFriendRelationship.RequestRecipient;
+  }
+
+  async acceptFriendRequest(steamId) {
+    if (!this.isLoggedIn) {
+      throw new Error('Not logged into Steam');
+    }
+
+    // Adding someone who sent us a request accepts it
+    await this.client.addFriend(steamId);
+  }
+
+  declineFriendRequest(steamId) {
+    if (!this.isLoggedIn) {
+      throw new Error('Not logged into Steam');
+    }
+
+    this.client.removeFriend(steamId);
+  }
+
+  async getPersonaName(steamId) {
+    const user = this.client.users[steamId];
+    if (user && user.player_name) {
+      return user.player_name;
+    }
+
+    try {
+      const { personas } = await this.client.getPersonas([steamId]);
+      return personas[steamId] ? personas[steamId].player_name : null;
+    } catch (error) {
+      this.logger.debug(`Could not fetch persona for ${steamId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async sendChatMessage(steamId, message) {
+    if (!this.isLoggedIn) {
+      throw new Error('Not logged into Steam');
+    }
+
+    await this.client.chat.sendFriendMessage(steamId, message);
+  }
+
+  async getAppInfo(appId) {
+    if (!this.isLoggedIn) {
+      throw new Error('Not logged into Steam');
+    }
+
+    const { apps } = await this.client.getProductInfo([appId], [], false);
+    return apps[appId] ? apps[appId].appinfo : null;
+  }
+
+  // The steamLoginSecure cookie holds "<SteamID64>||<access token>"
+  getAccessToken() {
+    if (!this.isLoggedIn) {
+      return null;
+    }
+
+    const cookie = this.webCookies.find(value => value.startsWith('steamLoginSecure='));
+    if (!cookie) {
+      return null;
+    }
+
+    const [, accessToken] = decodeURIComponent(cookie.split(';')[0].slice('steamLoginSecure='.length)).split('||');
+    return accessToken || null;
+  }
+
   isFriend(steamId) {
     return this.friendsCache.has(steamId);
   }
@@ -179,7 +495,49 @@ class SteamManager {
     return this.friendsCache.size;
   }
 
+  getFriendIds() {
+    return [...this.friendsCache];
+  }
+
+  async getFriendsCapacity() {
+    if (!this.isLoggedIn) {
+      throw new Error('Not logged into Steam');
+    }
+
+    const selfId = this.client.steamID.getSteamID64();
+    const { users } = await this.client.getSteamLevels([selfId]);
+    const level = users[selfId] || 0;
+    return Math.min(MAX_FRIEND_LIMIT, BASE_FRIEND_LIMIT + level * FRIEND_LIMIT_PER_LEVEL);
+  }
+
+  // Unix seconds the friend was last online, or null if Steam hasn't told us
+  getLastSeen(steamId) {
+    const user = this.client.users[steamId];
+    if (!user) {
+      return null;
+    }
+
+    if (user.persona_state) {
+      return Math.floor(Date.now() / 1000);
+    }
+
+    const lastSeen = user.last_seen_online || user.last_logoff;
+    return lastSeen ? Math.floor(lastSeen.getTime() / 1000) : null;
+  }
+
+  removeFriend(steamId) {
+    if (!this.isLoggedIn) {
+      throw new Error('Not logged into Steam');
+    }
+
+    this.client.removeFriend(steamId);
+  }
+
   logout() {
+    this.isShuttingDown = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.resyncTimer);
+
     if (this.isLoggedIn) {
       this.client.logOff();
       this.logger.info('Logged out of Steam');
@@ -0,0 +1,53 @@
+// Token bucket limiter: callers await acquire() and are released in FIFO order as tokens refill
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.waiters = [];
+    this.timer = null;
+  }
+
+  acquire() {
+    return new Promise((resolve) => {
+      this.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  get pending() {
+    return this.waiters.length;
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    this.refill();
+
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.waiters.shift()();
+    }
+
+    if (this.waiters.length > 0 && !this.timer) {
+      const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+export default TokenBucket;
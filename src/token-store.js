@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+// Stored format: v1:<salt>:<iv>:<auth tag>:<ciphertext>, each part base64
+const FORMAT_VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+class RefreshTokenStore {
+  constructor(db, accountName, secret) {
+    this.db = db;
+    this.accountName = accountName;
+    this.secret = secret;
+  }
+
+  load() {
+    const row = this.db.getRefreshToken(this.accountName);
+    if (!row) {
+      return null;
+    }
+
+    try {
+      return this.decrypt(row.refresh_token);
+    } catch (error) {
+      // Wrong STEAM_TOKEN_KEY or tampered row; treat as if no token was stored
+      return null;
+    }
+  }
+
+  save(refreshToken) {
+    return this.db.saveRefreshToken(this.accountName, this.encrypt(refreshToken));
+  }
+
+  clear() {
+    return this.db.deleteRefreshToken(this.accountName);
+  }
+
+  encrypt(plaintext) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(salt), iv);
+
+    // Bind the ciphertext to the account so rows can't be swapped between accounts
+    cipher.setAAD(Buffer.from(this.accountName, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, salt, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join(':');
+  }
+
+  decrypt(payload) {
+    const [version, ...parts] = payload.split(':');
+    if (version !== FORMAT_VERSION || parts.length !== 4) {
+      throw new Error('Unsupported refresh token format');
+    }
+
+    const [salt, iv, authTag, ciphertext] = parts.map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.deriveKey(salt), iv);
+    decipher.setAAD(Buffer.from(this.accountName, 'utf8'));
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  deriveKey(salt) {
+    return crypto.scryptSync(this.secret, salt, 32);
+  }
+}
+
+export default RefreshTokenStore;
@@ -0,0 +1,67 @@
+import { randomInt } from 'crypto';
+
+export const VERIFICATION_TTL_SECONDS = 10 * 60;
+export const MAX_VERIFICATION_ATTEMPTS = 5;
+export const VERIFICATION_RESEND_SECONDS = 60;
+
+// No 0/O or 1/I so codes survive being read off a screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+export function generateVerificationCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+export function normalizeVerificationCode(input) {
+  return input.trim().toUpperCase().replace(/[\s-]/g, '');
+}
+
+export function isVerificationLocked(pending) {
+  return pending.attempts >= MAX_VERIFICATION_ATTEMPTS;
+}
+
+export function looksLikeVerificationCode(input) {
+  return new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`).test(normalizeVerificationCode(input));
+}
+
+// Checks a submitted code against a pending verification and links the accounts on success.
+// Returns one of: expired, mismatch, locked, taken, verified (plus attemptsLeft for mismatch).
+export function checkVerificationCode(db, pending, input) {
+  const now = Math.floor(Date.now() / 1000);
+  if (pending.expires_at <= now) {
+    db.deleteVerification(pending.discord_id);
+    return { status: 'expired' };
+  }
+
+  if (isVerificationLocked(pending)) {
+    return { status: 'locked' };
+  }
+
+  if (normalizeVerificationCode(input) !== pending.code) {
+    const attempts = pending.attempts + 1;
+    if (attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      // The row expires when the resend cooldown does, so the lockout can't be skipped by relinking
+      db.lockVerification(pending.discord_id, now + VERIFICATION_RESEND_SECONDS);
+      return { status: 'locked' };
+    }
+
+    db.incrementVerificationAttempts(pending.discord_id);
+    return { status: 'mismatch', attemptsLeft: MAX_VERIFICATION_ATTEMPTS - attempts };
+  }
+
+  db.deleteVerification(pending.discord_id);
+
+  // Someone else may have verified the same Steam account in the meantime
+  const existingSteam = db.getMappingBySteamId(pending.steam_id);
+  if (existingSteam && existingSteam.discord_id !== pending.discord_id) {
+    return { status: 'taken' };
+  }
+
+  db.linkUser(pending.discord_id, pending.steam_id);
+  db.removeLinkIntent(pending.discord_id);
+  return { status: 'verified' };
+}
@@ -0,0 +1,59 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import DatabaseManager from '../src/database.js';
+import { getCooldownRemaining } from '../src/notification-filters.js';
+
+const GUILD_ID = '111111111111111111';
+const DISCORD_ID = '222222222222222222';
+
+describe('getCooldownRemaining', () => {
+  it('is zero for a user never announced in the guild', () => {
+    assert.equal(getCooldownRemaining(undefined, 300, 1000), 0);
+  });
+
+  it('counts down from the last announcement', () => {
+    const lastAnnouncement = { sent_at: 1000 };
+    assert.equal(getCooldownRemaining(lastAnnouncement, 300, 1000), 300);
+    assert.equal(getCooldownRemaining(lastAnnouncement, 300, 1120), 180);
+    assert.equal(getCooldownRemaining(lastAnnouncement, 300, 1299), 1);
+  });
+
+  it('is zero once the cooldown has passed or is turned off', () => {
+    assert.equal(getCooldownRemaining({ sent_at: 1000 }, 300, 1300), 0);
+    assert.equal(getCooldownRemaining({ sent_at: 1000 }, 300, 5000), 0);
+    assert.equal(getCooldownRemaining({ sent_at: 1000 }, 0, 1000), 0);
+  });
+});
+
+describe('getCooldownSettings', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new DatabaseManager(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('defaults to five minutes with trailing edge on', () => {
+    assert.deepEqual(db.getCooldownSettings(GUILD_ID, DISCORD_ID), { cooldownSeconds: 300, trailingEdge: true });
+  });
+
+  it('uses the guild setting', () => {
+    db.setGuildCooldown(GUILD_ID, 60, false);
+    assert.deepEqual(db.getCooldownSettings(GUILD_ID, DISCORD_ID), { cooldownSeconds: 60, trailingEdge: false });
+  });
+
+  it('lets a user override the length but not the trailing edge', () => {
+    db.setGuildCooldown(GUILD_ID, 60, false);
+    db.setUserCooldown(GUILD_ID, DISCORD_ID, 900);
+    assert.deepEqual(db.getCooldownSettings(GUILD_ID, DISCORD_ID), { cooldownSeconds: 900, trailingEdge: false });
+    assert.deepEqual(db.getCooldownSettings(GUILD_ID, '333333333333333333'), { cooldownSeconds: 60, trailingEdge: false });
+  });
+
+  it('keeps other guilds on their own settings', () => {
+    db.setUserCooldown(GUILD_ID, DISCORD_ID, 900);
+    assert.deepEqual(db.getCooldownSettings('444444444444444444', DISCORD_ID), { cooldownSeconds: 300, trailingEdge: true });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isQuietTime, formatMinute, formatUtcOffset } from '../src/game-watch.js';
+
+const at = time => new Date(`2026-03-14T${time}:00Z`);
+
+function quietHours(start, end, offset = 0) {
+  const minute = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return { start_minute: minute(start), end_minute: minute(end), utc_offset_minutes: offset };
+}
+
+describe('isQuietTime', () => {
+  it('is never quiet without quiet hours or with an empty window', () => {
+    assert.equal(isQuietTime(null, at('03:00')), false);
+    assert.equal(isQuietTime(quietHours('08:00', '08:00'), at('08:00')), false);
+  });
+
+  it('covers a window within one day, start inclusive and end exclusive', () => {
+    const hours = quietHours('09:00', '17:00');
+    assert.equal(isQuietTime(hours, at('08:59')), false);
+    assert.equal(isQuietTime(hours, at('09:00')), true);
+    assert.equal(isQuietTime(hours, at('16:59')), true);
+    assert.equal(isQuietTime(hours, at('17:00')), false);
+  });
+
+  it('wraps windows that cross midnight', () => {
+    const hours = quietHours('22:00', '07:00');
+    assert.equal(isQuietTime(hours, at('21:59')), false);
+    assert.equal(isQuietTime(hours, at('22:00')), true);
+    assert.equal(isQuietTime(hours, at('00:00')), true);
+    assert.equal(isQuietTime(hours, at('06:59')), true);
+    assert.equal(isQuietTime(hours, at('07:00')), false);
+    assert.equal(isQuietTime(hours, at('12:00')), false);
+  });
+
+  it('applies positive UTC offsets', () => {
+    // UTC+02:00: 20:30 UTC is 22:30 local
+    const hours = quietHours('22:00', '07:00', 120);
+    assert.equal(isQuietTime(hours, at('20:30')), true);
+    assert.equal(isQuietTime(hours, at('19:59')), false);
+    // 04:59 UTC is 06:59 local, 05:00 UTC is 07:00
+    assert.equal(isQuietTime(hours, at('04:59')), true);
+    assert.equal(isQuietTime(hours, at('05:00')), false);
+  });
+
+  it('applies negative UTC offsets across the UTC day boundary', () => {
+    // UTC-05:00: 02:00 UTC is 21:00 the previous day locally
+    const hours = quietHours('22:00', '07:00', -300);
+    assert.equal(isQuietTime(hours, at('02:00')), false);
+    assert.equal(isQuietTime(hours, at('03:00')), true);
+    assert.equal(isQuietTime(hours, at('11:59')), true);
+    assert.equal(isQuietTime(hours, at('12:00')), false);
+  });
+
+  it('handles offsets that are not whole hours', () => {
+    // UTC-03:30: 01:30 UTC is 22:00 the previous day locally
+    const hours = quietHours('22:00', '23:00', -210);
+    assert.equal(isQuietTime(hours, at('01:29')), false);
+    assert.equal(isQuietTime(hours, at('01:30')), true);
+    assert.equal(isQuietTime(hours, at('02:30')), false);
+  });
+});
+
+describe('formatUtcOffset', () => {
+  it('formats offsets on either side of UTC', () => {
+    assert.equal(formatUtcOffset(0), 'UTC+00:00');
+    assert.equal(formatUtcOffset(330), 'UTC+05:30');
+    assert.equal(formatUtcOffset(-210), 'UTC-03:30');
+  });
+});
+
+describe('formatMinute', () => {
+  it('pads hours and minutes', () => {
+    assert.equal(formatMinute(0), '00:00');
+    assert.equal(formatMinute(22 * 60 + 5), '22:05');
+  });
+});
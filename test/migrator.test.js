@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import {
+  validateMigrations,
+  getMigrationStatus,
+  runMigrations,
+  LATEST_SCHEMA_VERSION,
+  MIGRATION_BACKUP_RETENTION,
+} from '../src/migrator.js';
+
+const noop = () => {};
+
+describe('validateMigrations', () => {
+  it('accepts consecutive versions starting at 1', () => {
+    assert.doesNotThrow(() => validateMigrations([
+      { version: 1, name: 'a', up: noop },
+      { version: 2, name: 'b', up: noop },
+    ]));
+  });
+
+  it('rejects gaps, duplicates and a wrong start', () => {
+    assert.throws(() => validateMigrations([{ version: 1, name: 'a' }, { version: 3, name: 'c' }]), /"c" has version 3/);
+    assert.throws(() => validateMigrations([{ version: 1, name: 'a' }, { version: 1, name: 'b' }]), /"b" has version 1/);
+    assert.throws(() => validateMigrations([{ version: 0, name: 'zero' }]), /listed at position 1/);
+  });
+});
+
+describe('runMigrations', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('applies every migration in order on a new database', () => {
+    const { applied, backupPath } = runMigrations(db, ':memory:');
+
+    const versions = Array.from({ length: LATEST_SCHEMA_VERSION }, (_, index) => index + 1);
+    assert.deepEqual(applied.map(migration => migration.version), versions);
+    assert.equal(backupPath, null);
+
+    const status = getMigrationStatus(db);
+    assert.equal(status.currentVersion, LATEST_SCHEMA_VERSION);
+    assert.deepEqual(status.applied.map(migration => migration.version), versions);
+    assert.deepEqual(status.pending, []);
+  });
+
+  it('does nothing when the schema is current', () => {
+    runMigrations(db, ':memory:');
+    assert.deepEqual(runMigrations(db, ':memory:').applied, []);
+  });
+
+  it('refuses a database written by a newer version', () => {
+    runMigrations(db, ':memory:');
+    db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(LATEST_SCHEMA_VERSION + 1, 'future');
+
+    assert.throws(() => runMigrations(db, ':memory:'), /is newer than this build supports/);
+  });
+});
+
+describe('migration backups', () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(join(tmpdir(), 'migrator-test-'));
+    dbPath = join(dir, 'bot.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Leaves a migrated database one version behind, so the next run has a migration to back up for
+  function createOutdatedDatabase() {
+    const db = new Database(dbPath);
+    runMigrations(db, dbPath);
+    db.prepare('DELETE FROM schema_version WHERE version = ?').run(LATEST_SCHEMA_VERSION);
+    return db;
+  }
+
+  it('backs up an existing database before migrating it', () => {
+    const db = createOutdatedDatabase();
+    try {
+      const { applied, backupPath } = runMigrations(db, dbPath);
+      assert.deepEqual(applied.map(migration => migration.version), [LATEST_SCHEMA_VERSION]);
+      assert.match(backupPath, new RegExp(`bot\\.db\\.pre-v${LATEST_SCHEMA_VERSION}-\\d{8}T\\d{6}\\.bak$`));
+      assert.ok(fs.existsSync(backupPath));
+    } finally {
+      db.close();
+    }
+  });
+
+  it(`keeps only the newest ${MIGRATION_BACKUP_RETENTION} backups`, () => {
+    const old = [
+      'bot.db.pre-v2-20200101T000000.bak',
+      'bot.db.pre-v3-20210101T000000.bak',
+      'bot.db.pre-v4-20220101T000000.bak',
+      'bot.db.pre-v5-20230101T000000.bak',
+    ];
+    // Not backups made by the migrator, so never pruned
+    const unrelated = ['bot.db.pre-v1-manual.bak', 'other.db.pre-v1-20190101T000000.bak'];
+    for (const name of [...old, ...unrelated]) {
+      fs.writeFileSync(join(dir, name), '');
+    }
+
+    const db = createOutdatedDatabase();
+    let backupPath;
+    try {
+      ({ backupPath } = runMigrations(db, dbPath));
+    } finally {
+      db.close();
+    }
+
+    const remaining = fs.readdirSync(dir).filter(name => name.endsWith('.bak'));
+    const kept = [...old.slice(-(MIGRATION_BACKUP_RETENTION - 1)), backupPath.slice(dir.length + 1), ...unrelated];
+    assert.deepEqual(remaining.sort(), kept.sort());
+  });
+
+  it('skips the backup for a brand new database file', () => {
+    const db = new Database(dbPath);
+    try {
+      assert.equal(runMigrations(db, dbPath).backupPath, null);
+    } finally {
+      db.close();
+    }
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.bak')), []);
+  });
+});
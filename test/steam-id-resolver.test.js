@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import SteamIdResolver, { parseSteamIdentifier } from '../src/steam-id-resolver.js';
+
+// Gabe Newell's account: account ID 22202, the usual example in Steam's own docs
+const STEAM_ID = '76561197960287930';
+const ACCOUNT_ID = '22202';
+
+describe('parseSteamIdentifier', () => {
+  it('accepts a SteamID64', () => {
+    assert.deepEqual(parseSteamIdentifier(STEAM_ID), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier(`  ${STEAM_ID}  `), { steamId: STEAM_ID });
+  });
+
+  it('converts a SteamID2', () => {
+    assert.deepEqual(parseSteamIdentifier('STEAM_0:0:11101'), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier('STEAM_1:0:11101'), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier('steam_0:1:0'), { steamId: '76561197960265729' });
+  });
+
+  it('converts a SteamID3 with or without brackets', () => {
+    assert.deepEqual(parseSteamIdentifier(`[U:1:${ACCOUNT_ID}]`), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier(`U:1:${ACCOUNT_ID}`), { steamId: STEAM_ID });
+  });
+
+  it('reads profile URLs', () => {
+    assert.deepEqual(parseSteamIdentifier(`https://steamcommunity.com/profiles/${STEAM_ID}/`), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier(`steamcommunity.com/profiles/${STEAM_ID}?l=german`), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier(`https://steamcommunity.com/profiles/%5BU:1:${ACCOUNT_ID}%5D`), { steamId: STEAM_ID });
+  });
+
+  it('reads vanity URLs and bare vanity names', () => {
+    assert.deepEqual(parseSteamIdentifier('https://steamcommunity.com/id/gabelogannewell/'), { vanity: 'gabelogannewell' });
+    assert.deepEqual(parseSteamIdentifier('gabelogannewell'), { vanity: 'gabelogannewell' });
+    assert.deepEqual(parseSteamIdentifier('some_name-2'), { vanity: 'some_name-2' });
+  });
+
+  it('decodes quick invite links', () => {
+    const code = 'bbbb-hjqp';
+    assert.deepEqual(parseSteamIdentifier(`https://s.team/p/${code}`), { steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier(`s.team/p/${code}/ABCDEF`), { steamId: STEAM_ID });
+  });
+
+  it('treats bare friend codes and invite codes as custom URLs first, with the code as fallback', () => {
+    assert.deepEqual(parseSteamIdentifier(ACCOUNT_ID), { vanity: ACCOUNT_ID, steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier('bbbb-hjqp'), { vanity: 'bbbb-hjqp', steamId: STEAM_ID });
+    assert.deepEqual(parseSteamIdentifier('7'), { steamId: '76561197960265735' });
+  });
+
+  it('keeps only the vanity reading when the code is out of range', () => {
+    assert.deepEqual(parseSteamIdentifier('9999999999'), { vanity: '9999999999' });
+    assert.deepEqual(parseSteamIdentifier('00'), { vanity: '00' });
+  });
+
+  it('rejects unrecognized input', () => {
+    assert.throws(() => parseSteamIdentifier('not a steam id!'), /Unrecognized/);
+    assert.throws(() => parseSteamIdentifier('x'), /Unrecognized/);
+    assert.throws(() => parseSteamIdentifier('STEAM_0:0:4294967296'), /out of range/);
+    assert.throws(() => parseSteamIdentifier('0'), /out of range/);
+  });
+});
+
+describe('SteamIdResolver', () => {
+  let cache;
+  let fetchMock;
+  const logger = { debug() {}, warn() {} };
+
+  function createResolver({ apiKey, accessToken = 'token' } = {}) {
+    const db = {
+      getVanityCache: key => cache.get(key),
+      setVanityCache: (key, steamId) => cache.set(key, { steam_id: steamId, resolved_at: Math.floor(Date.now() / 1000) }),
+    };
+    const steamManager = { getAccessToken: () => accessToken };
+    return new SteamIdResolver({ db, steamManager, apiKey }, logger);
+  }
+
+  function respondWith(body, status = 200) {
+    fetchMock.mock.mockImplementation(async () => new Response(JSON.stringify(body), { status }));
+  }
+
+  beforeEach(() => {
+    cache = new Map();
+    fetchMock = mock.method(globalThis, 'fetch', async () => {
+      throw new Error('unexpected fetch');
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('converts offline formats without a lookup', async () => {
+    const resolver = createResolver();
+    assert.equal(await resolver.resolve(`[U:1:${ACCOUNT_ID}]`), STEAM_ID);
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+
+  it('resolves a vanity name with the bot account\'s access token and caches it', async () => {
+    respondWith({ response: { success: 1, steamid: STEAM_ID } });
+    const resolver = createResolver();
+
+    assert.equal(await resolver.resolve('GabeLoganNewell'), STEAM_ID);
+    assert.equal(await resolver.resolve('https://steamcommunity.com/id/gabelogannewell'), STEAM_ID);
+
+    assert.equal(fetchMock.mock.callCount(), 1);
+    const url = new URL(fetchMock.mock.calls[0].arguments[0]);
+    assert.equal(url.pathname, '/ISteamUser/ResolveVanityURL/v1/');
+    assert.equal(url.searchParams.get('access_token'), 'token');
+    assert.equal(url.searchParams.get('vanityurl'), 'GabeLoganNewell');
+    assert.equal(cache.get('gabelogannewell').steam_id, STEAM_ID);
+  });
+
+  it('prefers the Web API key when one is configured', async () => {
+    respondWith({ response: { success: 1, steamid: STEAM_ID } });
+    const resolver = createResolver({ apiKey: 'key' });
+
+    await resolver.resolve('gabelogannewell');
+    const url = new URL(fetchMock.mock.calls[0].arguments[0]);
+    assert.equal(url.searchParams.get('key'), 'key');
+    assert.equal(url.searchParams.has('access_token'), false);
+  });
+
+  it('ignores expired cache entries', async () => {
+    cache.set('gabelogannewell', { steam_id: '76561197960265729', resolved_at: 0 });
+    respondWith({ response: { success: 1, steamid: STEAM_ID } });
+
+    assert.equal(await createResolver().resolve('gabelogannewell'), STEAM_ID);
+  });
+
+  it('prefers a matching custom URL over a friend code reading', async () => {
+    respondWith({ response: { success: 1, steamid: '76561197960265729' } });
+    assert.equal(await createResolver().resolve(ACCOUNT_ID), '76561197960265729');
+  });
+
+  it('falls back to the friend code when no profile uses the name', async () => {
+    respondWith({ response: { success: 42, message: 'No match' } });
+    assert.equal(await createResolver().resolve(ACCOUNT_ID), STEAM_ID);
+    assert.equal(cache.size, 0);
+  });
+
+  it('reports unknown vanity names', async () => {
+    respondWith({ response: { success: 42, message: 'No match' } });
+    await assert.rejects(createResolver().resolve('nobody-here'), /No Steam profile found/);
+  });
+
+  it('reports when Steam cannot be reached', async () => {
+    respondWith({}, 503);
+    await assert.rejects(createResolver().resolve('gabelogannewell'), /could not be reached/);
+  });
+
+  it('needs either an API key or a logged-in Steam account for lookups', async () => {
+    await assert.rejects(createResolver({ accessToken: null }).resolve('gabelogannewell'), /not connected to Steam/);
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import TokenBucket from '../src/token-bucket.js';
+
+// Lets resolved acquire() promises run their callbacks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TokenBucket', () => {
+  let bucket;
+  let released;
+
+  function acquire(label) {
+    bucket.acquire().then(() => released.push(label));
+  }
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    bucket = new TokenBucket({ capacity: 2, refillPerSecond: 0.5 });
+    released = [];
+  });
+
+  afterEach(() => {
+    bucket.stop();
+    mock.timers.reset();
+  });
+
+  it('lets a burst up to the capacity through at once', async () => {
+    acquire('a');
+    acquire('b');
+    await flush();
+
+    assert.deepEqual(released, ['a', 'b']);
+    assert.equal(bucket.pending, 0);
+  });
+
+  it('queues callers beyond the capacity and releases them in order as tokens refill', async () => {
+    for (const label of ['a', 'b', 'c', 'd']) {
+      acquire(label);
+    }
+    await flush();
+    assert.deepEqual(released, ['a', 'b']);
+    assert.equal(bucket.pending, 2);
+
+    // One token every two seconds
+    mock.timers.tick(1999);
+    await flush();
+    assert.deepEqual(released, ['a', 'b']);
+
+    mock.timers.tick(1);
+    await flush();
+    assert.deepEqual(released, ['a', 'b', 'c']);
+
+    mock.timers.tick(2000);
+    await flush();
+    assert.deepEqual(released, ['a', 'b', 'c', 'd']);
+    assert.equal(bucket.pending, 0);
+  });
+
+  it('refills no further than the capacity while idle', async () => {
+    acquire('a');
+    acquire('b');
+    mock.timers.tick(60000);
+
+    for (const label of ['c', 'd', 'e']) {
+      acquire(label);
+    }
+    await flush();
+    assert.deepEqual(released, ['a', 'b', 'c', 'd']);
+    assert.equal(bucket.pending, 1);
+  });
+
+  it('stops waking up waiters once stopped', async () => {
+    for (const label of ['a', 'b', 'c']) {
+      acquire(label);
+    }
+    bucket.stop();
+
+    mock.timers.tick(10000);
+    await flush();
+    assert.deepEqual(released, ['a', 'b']);
+  });
+});
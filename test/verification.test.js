@@ -0,0 +1,122 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateVerificationCode,
+  normalizeVerificationCode,
+  looksLikeVerificationCode,
+  isVerificationLocked,
+  checkVerificationCode,
+  MAX_VERIFICATION_ATTEMPTS,
+  VERIFICATION_RESEND_SECONDS,
+} from '../src/verification.js';
+
+const DISCORD_ID = '123456789012345678';
+const STEAM_ID = '76561197960287930';
+
+describe('generateVerificationCode', () => {
+  it('makes six characters without look-alikes', () => {
+    for (let i = 0; i < 200; i++) {
+      const code = generateVerificationCode();
+      assert.match(code, /^[A-Z2-9]{6}$/);
+      assert.doesNotMatch(code, /[01OI]/);
+      assert.ok(looksLikeVerificationCode(code));
+    }
+  });
+});
+
+describe('normalizeVerificationCode', () => {
+  it('ignores case, spaces and dashes', () => {
+    assert.equal(normalizeVerificationCode('  abc-d e2 '), 'ABCDE2');
+  });
+});
+
+describe('looksLikeVerificationCode', () => {
+  it('accepts codes as users tend to type them', () => {
+    assert.ok(looksLikeVerificationCode('abc-def'));
+    assert.ok(looksLikeVerificationCode(' XYZ 234 '));
+  });
+
+  it('rejects other chat messages', () => {
+    assert.equal(looksLikeVerificationCode('hello'), false);
+    assert.equal(looksLikeVerificationCode('ABCDEFG'), false);
+    assert.equal(looksLikeVerificationCode('ABCD10'), false);
+    assert.equal(looksLikeVerificationCode('!status'), false);
+  });
+});
+
+describe('checkVerificationCode', () => {
+  let calls;
+  let mappings;
+
+  // Records the writes checkVerificationCode makes instead of touching a database
+  const db = {
+    deleteVerification: discordId => calls.push(['delete', discordId]),
+    incrementVerificationAttempts: discordId => calls.push(['increment', discordId]),
+    lockVerification: (discordId, lockedUntil) => calls.push(['lock', discordId, lockedUntil]),
+    getMappingBySteamId: steamId => mappings.get(steamId),
+    linkUser: (discordId, steamId) => calls.push(['link', discordId, steamId]),
+    removeLinkIntent: discordId => calls.push(['removeIntent', discordId]),
+  };
+
+  function createPending(overrides = {}) {
+    return {
+      discord_id: DISCORD_ID,
+      steam_id: STEAM_ID,
+      code: 'ABCDEF',
+      attempts: 0,
+      expires_at: Math.floor(Date.now() / 1000) + 600,
+      ...overrides,
+    };
+  }
+
+  beforeEach(() => {
+    calls = [];
+    mappings = new Map();
+  });
+
+  it('links the accounts when the code matches', () => {
+    assert.deepEqual(checkVerificationCode(db, createPending(), 'abc-def'), { status: 'verified' });
+    assert.deepEqual(calls, [
+      ['delete', DISCORD_ID],
+      ['link', DISCORD_ID, STEAM_ID],
+      ['removeIntent', DISCORD_ID],
+    ]);
+  });
+
+  it('counts wrong codes and reports the attempts left', () => {
+    const result = checkVerificationCode(db, createPending({ attempts: 1 }), 'XXXXXX');
+    assert.deepEqual(result, { status: 'mismatch', attemptsLeft: MAX_VERIFICATION_ATTEMPTS - 2 });
+    assert.deepEqual(calls, [['increment', DISCORD_ID]]);
+  });
+
+  it('locks the verification on the last wrong attempt until the resend cooldown ends', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const result = checkVerificationCode(db, createPending({ attempts: MAX_VERIFICATION_ATTEMPTS - 1 }), 'XXXXXX');
+    assert.deepEqual(result, { status: 'locked' });
+    assert.equal(calls.length, 1);
+
+    const [action, discordId, lockedUntil] = calls[0];
+    assert.equal(action, 'lock');
+    assert.equal(discordId, DISCORD_ID);
+    assert.ok(lockedUntil >= now + VERIFICATION_RESEND_SECONDS && lockedUntil <= now + VERIFICATION_RESEND_SECONDS + 1);
+  });
+
+  it('rejects even the right code once locked', () => {
+    const pending = createPending({ attempts: MAX_VERIFICATION_ATTEMPTS });
+    assert.ok(isVerificationLocked(pending));
+    assert.deepEqual(checkVerificationCode(db, pending, 'ABCDEF'), { status: 'locked' });
+    assert.deepEqual(calls, []);
+  });
+
+  it('drops expired verifications', () => {
+    const pending = createPending({ expires_at: Math.floor(Date.now() / 1000) - 1 });
+    assert.deepEqual(checkVerificationCode(db, pending, 'ABCDEF'), { status: 'expired' });
+    assert.deepEqual(calls, [['delete', DISCORD_ID]]);
+  });
+
+  it('does not link a Steam account someone else verified in the meantime', () => {
+    mappings.set(STEAM_ID, { discord_id: '999', steam_id: STEAM_ID });
+    assert.deepEqual(checkVerificationCode(db, createPending(), 'ABCDEF'), { status: 'taken' });
+    assert.deepEqual(calls, [['delete', DISCORD_ID]]);
+  });
+});